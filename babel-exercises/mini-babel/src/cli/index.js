@@ -1,80 +1,113 @@
 #!/usr/bin/env node
-const commander = require('commander');
-const { cosmiconfigSync } = require('cosmiconfig');
+const { program } = require('commander');
 const glob = require('glob');
 const myBabel = require('../core');
+const stripTypes = require('../plugins/strip-types');
 const fsPromises = require('fs').promises;
 const path = require('path');
 
-commander.option('--out-dir <outDir>', '输出目录');
-commander.option('--watch', '监听文件变动');
+program.argument('[files]', '待编译的文件，支持 glob');
+program.option('--out-dir <outDir>', '输出目录');
+program.option('--watch', '监听文件变动');
+program.option('--config-file <path>', '指定项目级配置文件，代替 root 目录下的 myBabel.config.*');
+program.option('--env-name <name>', '配置中 env 使用的环境名，默认取 NODE_ENV');
+program.option('--no-babelrc', '不读取相对于文件的 .myBabelrc 配置');
 
 if (process.argv.length <=2 ) {
-    commander.outputHelp();
+    program.outputHelp();
     process.exit(0);
 }
 
-commander.parse(process.argv);
-const cliOpts = commander.opts();
+program.parse(process.argv);
+const cliOpts = program.opts();
 
-if (!commander.args[0]) {
+if (!program.args[0]) {
     console.error('没有指定待编译文件');
-    commander.outputHelp();
+    program.outputHelp();
     process.exit(1);
 }
 
 if(!cliOpts.outDir) {
     console.error('没有指定输出目录');
-    commander.outputHelp();
+    program.outputHelp();
     process.exit(1);
 }
 
 if(cliOpts.watch) {
     const chokidar = require('chokidar');
 
-    chokidar.watch(commander.args[0]).on('all', (_, path) => {
+    chokidar.watch(program.args[0]).on('all', (_, path) => {
         console.log('检测到文件变动，编译：' + path);
         compile([path]);
     });
 }
 
 
-const filenames = glob.sync(commander.args[0]);
-
-const explorerSync = cosmiconfigSync('myBabel');
-const searchResult = explorerSync.search();
+const filenames = glob.sync(program.args[0]);
 
+// 配置文件由 core 按每个文件查找、合并，这里只传命令行上的选项
 const options = {
-    babelOptions: searchResult.config,
+    babelOptions: {
+        configFile: cliOpts.configFile,
+        envName: cliOpts.envName,
+        babelrc: cliOpts.babelrc
+    },
     cliOptions:  {
         ...cliOpts,
         filenames
     }
 }
 
+const TS_EXTENSION = /\.tsx?$/;
+
+// .ts/.tsx 文件加上 strip-types，它会自动打开 typescript 语法；配置里已经有了就不再加，保留配置里的选项
+function withTypeScript(babelOptions, filename) {
+    const { plugins } = myBabel.loadOptions({ ...babelOptions, filename });
+    if (plugins.some(([plugin]) => plugin === stripTypes)) {
+        return babelOptions;
+    }
+    return {
+        ...babelOptions,
+        plugins: [...(babelOptions.plugins || []), [stripTypes, {}]]
+    };
+}
+
 function compile(fileNames) {
     fileNames.forEach(async filename => {
         const fileContent = await fsPromises.readFile(filename, 'utf-8');
+        const isTypeScript = TS_EXTENSION.test(filename);
         const baseFileName = path.basename(filename);
-        const sourceMapFileName = baseFileName + '.map.json';
-
-        const res = myBabel.transformSync(fileContent, {
-            ...options.babelOptions,
-            fileName: baseFileName
-         });
-         const generatedFile = res.code + '\n' + '//# sourceMappingURL=' + sourceMapFileName;
-
-         const distFilePath = path.join(options.cliOptions.outDir, baseFileName);
-         const distSourceMapPath = path.join(options.cliOptions.outDir, baseFileName + '.map.json');
-
-         try {
-            await fsPromises.access(options.cliOptions.outDir);
-         } catch(e) {
-            await fsPromises.mkdir(options.cliOptions.outDir);
-         }
-         await fsPromises.writeFile(distFilePath, generatedFile);
-         await fsPromises.writeFile(distSourceMapPath, res.map);
-     })
+        // a.ts 编译成 a.js，sourcemap 里的源文件仍是 a.ts
+        const outFileName = baseFileName.replace(TS_EXTENSION, '.js');
+        const sourceMapFileName = outFileName + '.map.json';
+
+        let res;
+        try {
+            const absoluteFilename = path.resolve(filename);
+            res = myBabel.transformSync(fileContent, {
+                ...(isTypeScript ? withTypeScript(options.babelOptions, absoluteFilename) : options.babelOptions),
+                filename: absoluteFilename,
+                fileName: baseFileName
+            });
+        } catch (e) {
+            // 一个文件编译失败不影响其他文件，最后以非 0 状态退出
+            console.error(e.message);
+            process.exitCode = 1;
+            return;
+        }
+        // sourceMaps 为 'inline' 或 false 时没有单独的 map 文件
+        const generatedFile = res.map ? res.code + '\n' + '//# sourceMappingURL=' + sourceMapFileName : res.code;
+
+        const distFilePath = path.join(options.cliOptions.outDir, outFileName);
+        const distSourceMapPath = path.join(options.cliOptions.outDir, sourceMapFileName);
+
+        // 多个文件同时编译，recursive 时目录已存在不会报错
+        await fsPromises.mkdir(options.cliOptions.outDir, { recursive: true });
+        await fsPromises.writeFile(distFilePath, generatedFile);
+        if (res.map) {
+            await fsPromises.writeFile(distSourceMapPath, res.map);
+        }
+    })
 }
 
 compile(options.cliOptions.filenames);
\ No newline at end of file
@@ -0,0 +1,93 @@
+const NEWLINE = /\r\n|[\n\r\u2028\u2029]/;
+
+const colors = {
+    gutter: ['\u001b[90m', '\u001b[39m'],
+    marker: ['\u001b[31m\u001b[1m', '\u001b[22m\u001b[39m'],
+    message: ['\u001b[31m\u001b[1m', '\u001b[22m\u001b[39m']
+};
+
+/**
+ * 每一行需要标记的列范围：[起始列, 标记长度]，整行标记时为 true。
+ * 同 @babel/code-frame，行号从 1 开始，列号也从 1 开始
+ */
+function getMarkerLines(loc, lines, linesAbove, linesBelow) {
+    const start = { column: 0, line: -1, ...loc.start };
+    const end = { ...start, ...loc.end };
+    const startLine = start.line;
+    const endLine = end.line;
+    const first = Math.max(startLine - (linesAbove + 1), 0);
+    const last = Math.min(lines.length, endLine + linesBelow);
+
+    const markerLines = {};
+    const lineDiff = endLine - startLine;
+    if (lineDiff) {
+        for (let i = 0; i <= lineDiff; i++) {
+            const line = i + startLine;
+            if (!start.column) {
+                markerLines[line] = true;
+            } else if (i === 0) {
+                markerLines[line] = [start.column, lines[line - 1].length - start.column + 1];
+            } else if (i === lineDiff) {
+                markerLines[line] = [0, end.column];
+            } else {
+                markerLines[line] = [0, lines[line - 1].length];
+            }
+        }
+    } else if (start.column === end.column) {
+        markerLines[startLine] = start.column ? [start.column, 0] : true;
+    } else {
+        markerLines[startLine] = [start.column, end.column - start.column];
+    }
+    return { first, last, markerLines };
+}
+
+/**
+ * 输出带行号的源码片段，出错的行前面加 `>`，下一行用 `^` 标出位置：
+ *
+ *   1 | const a = 1;
+ * > 2 | let b = ;
+ *     |         ^ Unexpected token
+ *
+ * loc: { start: { line, column }, end?: { line, column } }
+ * opts: linesAbove、linesBelow 上下保留的行数，highlightCode 输出颜色，message 跟在 `^` 后面的提示
+ */
+function codeFrameColumns(rawLines, loc, opts = {}) {
+    const { linesAbove = 2, linesBelow = 3, highlightCode = false, message } = opts;
+    const paint = (kind, str) => highlightCode ? colors[kind][0] + str + colors[kind][1] : str;
+
+    const lines = rawLines.split(NEWLINE);
+    const { first, last, markerLines } = getMarkerLines(loc, lines, linesAbove, linesBelow);
+    const numberMaxWidth = String(last).length;
+
+    let hasMessage = false;
+    const frame = lines.slice(first, last).map((line, index) => {
+        const number = first + 1 + index;
+        const gutter = ` ${String(number).padStart(numberMaxWidth)} |`;
+        const marker = markerLines[number];
+        const lastMarker = !markerLines[number + 1];
+        if (!marker) {
+            return ' ' + paint('gutter', gutter) + (line.length ? ' ' + line : '');
+        }
+        let markerLine = '';
+        if (Array.isArray(marker)) {
+            // tab 保留，其余字符换成空格，`^` 才能和源码对齐
+            const padding = line.slice(0, Math.max(marker[0] - 1, 0)).replace(/[^\t]/g, ' ');
+            markerLine = '\n ' + paint('gutter', gutter.replace(/\d/g, ' ')) + ' ' + padding +
+                paint('marker', '^'.repeat(marker[1] || 1));
+            if (lastMarker && message) {
+                markerLine += ' ' + paint('message', message);
+                hasMessage = true;
+            }
+        }
+        return paint('marker', '>') + paint('gutter', gutter) + (line.length ? ' ' + line : '') + markerLine;
+    }).join('\n');
+
+    if (message && !hasMessage) {
+        return `${' '.repeat(numberMaxWidth + 1)}${message}\n${frame}`;
+    }
+    return frame;
+}
+
+module.exports = {
+    codeFrameColumns
+};
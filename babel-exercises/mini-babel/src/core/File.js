@@ -0,0 +1,91 @@
+const types = require('../types');
+const NodePath = require('../traverse/path/NodePath');
+const helpers = require('./helpers');
+const { codeFrameColumns } = require('../code-frame');
+
+/**
+ * 一次编译对应一个 File，插件的 pre/post 拿到的就是它。
+ * get/set 在同一文件的所有插件之间共享数据，metadata 会随编译结果一起返回
+ */
+module.exports = class File {
+    constructor(options, { code, ast }) {
+        this.opts = options;
+        this.code = code;
+        this.ast = ast;
+        this.metadata = {};
+        this._map = new Map();
+        // 已经声明的 helper 名字 → 生成的函数名
+        this._helpers = new Map();
+        // 同 babel，path.hub 就是它，path.buildCodeFrameError 通过它拿到源码
+        this.hub = {
+            file: this,
+            getCode: () => this.code,
+            getScope: () => this.path.scope,
+            addHelper: name => this.addHelper(name),
+            buildError: (node, msg, ErrorClass) => this.buildCodeFrameError(node, msg, ErrorClass)
+        };
+        this.path.hub = this.hub;
+    }
+
+    // 根节点 Program 的路径，和遍历时拿到的是同一个实例
+    get path() {
+        return NodePath.get(this.ast);
+    }
+
+    get filename() {
+        return this.opts.filename || this.opts.fileName;
+    }
+
+    set(key, value) {
+        this._map.set(key, value);
+    }
+
+    get(key) {
+        return this._map.get(key);
+    }
+
+    has(key) {
+        return this._map.has(key);
+    }
+
+    /**
+     * 同 babel：错误信息后面附上节点所在位置的代码片段。
+     * 插件新建的节点没有位置信息，只在信息里说明是内部节点
+     */
+    buildCodeFrameError(node, msg, ErrorClass = SyntaxError) {
+        const loc = node && node.loc;
+        if (!loc || this.code == null) {
+            return new ErrorClass(`${msg} (This is an error on an internal node. Probably an internal error.)`);
+        }
+        const frame = codeFrameColumns(this.code, {
+            start: { line: loc.start.line, column: loc.start.column + 1 },
+            end: loc.end && loc.start.line === loc.end.line ? { line: loc.end.line, column: loc.end.column + 1 } : undefined
+        }, { highlightCode: this.opts.highlightCode });
+        return new ErrorClass(`${msg}\n${frame}`);
+    }
+
+    /**
+     * 同 babel：返回 helper 函数的标识符，第一次使用时在文件开头声明（依赖的 helper 一起声明），
+     * 函数名用 uid 生成，不会和代码中的名字冲突
+     */
+    addHelper(name) {
+        if (this._helpers.has(name)) {
+            return types.identifier(this._helpers.get(name));
+        }
+        const helper = helpers[name];
+        if (!helper) {
+            throw new Error(`Unknown helper ${name}`);
+        }
+        const replacements = {};
+        helper.dependencies.forEach(dependency => {
+            replacements[dependency] = this.addHelper(dependency);
+        });
+        const programPath = this.path;
+        const uid = programPath.scope.generateUid(name);
+        this._helpers.set(name, uid);
+        const declaration = helper.build({ ...replacements, helper: types.identifier(uid) });
+        const [declarationPath] = programPath.unshiftContainer('body', [declaration]);
+        programPath.scope.registerBinding('hoisted', declarationPath.get('id'), declarationPath);
+        return types.identifier(uid);
+    }
+}
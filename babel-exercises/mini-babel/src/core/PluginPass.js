@@ -0,0 +1,26 @@
+/**
+ * 每个插件一份的状态对象，作为 visitor 的第二个参数和 pre/post 的 this。
+ * 插件可以直接往上挂属性，也可以用 get/set（只在本插件内可见）
+ */
+module.exports = class PluginPass {
+    constructor(file, key, options) {
+        this.file = file;
+        this.key = key;
+        this.opts = options || {};
+        this.filename = file.filename;
+        this.cwd = file.opts.cwd || process.cwd();
+        this._map = new Map();
+    }
+
+    set(key, value) {
+        this._map.set(key, value);
+    }
+
+    get(key) {
+        return this._map.get(key);
+    }
+
+    addHelper(name) {
+        return this.file.addHelper(name);
+    }
+}
@@ -0,0 +1,177 @@
+const types = require('../../types');
+const template = require('../../template');
+const traverse = require('../../traverse');
+
+// 插件 API 按 babel 7 实现，插件里的 api.assertVersion(7) 用这个版本检查
+const version = '7.0.0';
+
+/**
+ * api.cache 的配置记录在 state 上：
+ * - cache.forever() / cache(true)：结果一直可以复用
+ * - cache.never() / cache(false)：每次都重新调用
+ * - cache.using(fn) / cache(fn)：fn 的返回值作为缓存的 key，返回值变了就重新调用，
+ *   fn 会收到 { envName }；invalidate 同 using
+ */
+function createCache() {
+    const state = { configured: false, never: false, keys: [] };
+    const cache = value => {
+        if (typeof value === 'boolean') {
+            return value ? cache.forever() : cache.never();
+        }
+        if (typeof value === 'function') {
+            return cache.using(value);
+        }
+        throw new Error('Caching must be passed a boolean or a function');
+    };
+    cache.forever = () => {
+        state.configured = true;
+    };
+    cache.never = () => {
+        state.configured = true;
+        state.never = true;
+    };
+    cache.using = fn => {
+        state.configured = true;
+        const key = fn(state.data);
+        state.keys.push({ fn, key });
+        return key;
+    };
+    cache.invalidate = cache.using;
+    return { cache, state };
+}
+
+function createEnv(envName, cache) {
+    // 不传参数返回当前环境名，传字符串、数组或函数时判断当前环境是否匹配；结果随环境名变化，会作为缓存的 key
+    return function env(value) {
+        const current = cache ? cache.using(data => data.envName) : envName;
+        if (value === undefined) {
+            return current;
+        }
+        if (typeof value === 'function') {
+            return value(current);
+        }
+        return [].concat(value).includes(current);
+    };
+}
+
+// js 配置导出函数时拿到的 api，配置文件每次都会重新读取，cache 只是为了兼容
+function createConfigApi(envName) {
+    const { cache } = createCache();
+    return {
+        cache,
+        env: createEnv(envName)
+    };
+}
+
+// 只支持常用的写法：7、^7.0.0、~7.1、>=7.2.0、7.x，多个条件用空格（且）或 ||（或）连接
+function satisfies(range) {
+    const current = version.split('.').map(Number);
+    const compare = parts => {
+        for (let i = 0; i < parts.length; i++) {
+            if (current[i] !== parts[i]) {
+                return current[i] > parts[i] ? 1 : -1;
+            }
+        }
+        return 0;
+    };
+    return range.split('||').some(alternative => alternative.trim().split(/\s+/).every(comparator => {
+        const match = /^(\^|~|>=|<=|>|<|=)?v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-[\w.]+)?$/.exec(comparator);
+        if (!match) {
+            return false;
+        }
+        const operator = match[1] || '=';
+        const parts = match.slice(2).filter(part => part !== undefined && part !== 'x' && part !== '*').map(Number);
+        switch (operator) {
+            case '^':
+                return current[0] === parts[0] && compare(parts) >= 0;
+            case '~':
+                return compare(parts.slice(0, 2)) === 0 && compare(parts) >= 0;
+            case '>=':
+                return compare(parts) >= 0;
+            case '<=':
+                return compare(parts) <= 0;
+            case '>':
+                return compare(parts) > 0;
+            case '<':
+                return compare(parts) < 0;
+            default:
+                return compare(parts) === 0;
+        }
+    }));
+}
+
+// 同 babel：传数字时只检查主版本号，传字符串时按 semver 范围检查
+function assertVersion(range) {
+    if (typeof range === 'number') {
+        if (!Number.isInteger(range)) {
+            throw new Error('Expected string or integer value.');
+        }
+        range = `^${range}.0.0-0`;
+    }
+    if (typeof range !== 'string') {
+        throw new Error('Expected string or integer value.');
+    }
+    if (!satisfies(range)) {
+        throw Object.assign(new Error(`Requires Babel "${range}", but was loaded with "${version}". ` +
+            'The plugin is not compatible with this version of mini-babel.'), {
+            code: 'BABEL_VERSION_UNSUPPORTED',
+            version,
+            range
+        });
+    }
+}
+
+/**
+ * 插件、preset 函数的第一个参数，同 babel 的 api：
+ * types、template、traverse、version、assertVersion、cache、env()
+ */
+function createPluginApi(envName, cache) {
+    return {
+        version,
+        types,
+        template,
+        traverse,
+        assertVersion,
+        cache,
+        env: createEnv(envName, cache),
+        // babel 用来声明 targets、assumptions、外部依赖，这里都没有
+        targets: () => ({}),
+        assumption: () => undefined,
+        addExternalDependency: () => {}
+    };
+}
+
+// 插件、preset 函数 → 配置了缓存的调用结果
+const factoryCache = new WeakMap();
+
+/**
+ * 调用插件、preset 函数。函数里通过 api.cache 配置了缓存时，
+ * 之后同一个函数、同一份 options 和 dirname、cache.using 的值也都没变，就直接返回上次的结果；
+ * 没有配置缓存或者调用了 cache.never() 时每次都重新调用
+ */
+function callFactory(factory, options, dirname, envName) {
+    const data = { envName };
+    const entries = factoryCache.get(factory) || [];
+    const cached = entries.find(entry => entry.options === options && entry.dirname === dirname &&
+        entry.keys.every(({ fn, key }) => fn(data) === key));
+    if (cached) {
+        return cached.value;
+    }
+
+    const { cache, state } = createCache();
+    state.data = data;
+    const value = factory(createPluginApi(envName, cache), options, dirname);
+    if (state.configured && !state.never) {
+        entries.push({ options, dirname, keys: state.keys, value });
+        factoryCache.set(factory, entries);
+    }
+    return value;
+}
+
+module.exports = {
+    version,
+    assertVersion,
+    createConfigApi,
+    createPluginApi,
+    callFactory
+};
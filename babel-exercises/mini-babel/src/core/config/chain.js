@@ -0,0 +1,153 @@
+const path = require('path');
+const { loadConfigFile } = require('./files');
+
+// 只能写在传给 core 的选项里，配置文件中不能出现
+const ROOT_ONLY_KEYS = ['cwd', 'root', 'filename', 'configFile', 'babelrc', 'envName'];
+// 描述配置怎么组合的字段，合并后的结果里不保留
+const CHAIN_KEYS = ['extends', 'env', 'overrides', 'test', 'include', 'exclude'];
+
+const sep = `\\${path.sep}`;
+const endSep = `(?:${sep}|$)`;
+const substitution = `[^${sep}]+`;
+const starPat = `(?:${substitution}${sep})`;
+const starPatLast = `(?:${substitution}${endSep})`;
+const starStarPat = `${starPat}*?`;
+const starStarPatLast = `${starPat}*?${starPatLast}?`;
+
+function escapeRegExp(string) {
+    return string.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&');
+}
+
+/**
+ * 同 @babel/core：路径相对 dirname，匹配这个路径本身以及它下面的所有文件，
+ * `*` 匹配一层目录或文件名，`**` 匹配任意层目录，`*.js` 匹配扩展名
+ */
+function pathPatternToRegex(pattern, dirname) {
+    const parts = path.resolve(dirname, pattern).split(path.sep);
+    return new RegExp(['^', ...parts.map((part, index) => {
+        const last = index === parts.length - 1;
+        if (part === '**') {
+            return last ? starStarPatLast : starStarPat;
+        }
+        if (part === '*') {
+            return last ? starPatLast : starPat;
+        }
+        if (part.indexOf('*.') === 0) {
+            return substitution + escapeRegExp(part.slice(1)) + (last ? endSep : sep);
+        }
+        return escapeRegExp(part) + (last ? endSep : sep);
+    })].join(''));
+}
+
+function matchPattern(pattern, dirname, context) {
+    if (typeof pattern === 'function') {
+        return !!pattern(context.filename, { dirname, envName: context.envName });
+    }
+    if (context.filename === undefined) {
+        throw new Error('Configuration contains string/RegExp pattern, but no filename was passed to mini-babel');
+    }
+    if (pattern instanceof RegExp) {
+        return pattern.test(context.filename);
+    }
+    return pathPatternToRegex(pattern, dirname).test(context.filename);
+}
+
+function matchesAny(patterns, dirname, context) {
+    return [].concat(patterns).some(pattern => matchPattern(pattern, dirname, context));
+}
+
+// test、include 都要匹配，exclude 不能匹配
+function configApplies(options, dirname, context) {
+    if (options.test !== undefined && !matchesAny(options.test, dirname, context)) {
+        return false;
+    }
+    if (options.include !== undefined && !matchesAny(options.include, dirname, context)) {
+        return false;
+    }
+    return options.exclude === undefined || !matchesAny(options.exclude, dirname, context);
+}
+
+function validateOptions(options, type, source) {
+    Object.keys(options).forEach(key => {
+        if (type !== 'programmatic' && ROOT_ONLY_KEYS.includes(key)) {
+            throw new Error(`${source}: .${key} is only allowed in root programmatic options`);
+        }
+    });
+    if (type === 'env' && (options.env || options.overrides || options.extends)) {
+        throw new Error(`${source}: .env blocks can't contain .env, .overrides or .extends`);
+    }
+    if (type === 'override' && (options.overrides || options.extends)) {
+        throw new Error(`${source}: .overrides blocks can't contain .overrides or .extends`);
+    }
+    if (options.env !== undefined && (typeof options.env !== 'object' || Array.isArray(options.env))) {
+        throw new Error(`${source}: .env must be an object`);
+    }
+    if (options.overrides !== undefined && !Array.isArray(options.overrides)) {
+        throw new Error(`${source}: .overrides must be an array`);
+    }
+}
+
+function toChainItem(options, dirname, source) {
+    const result = {};
+    Object.keys(options).forEach(key => {
+        if (!CHAIN_KEYS.includes(key)) {
+            result[key] = options[key];
+        }
+    });
+    return { options: result, dirname, source };
+}
+
+// 配置本身加上 env 中对应当前环境的部分
+function expandEnv(options, dirname, source, context) {
+    const items = [toChainItem(options, dirname, source)];
+    const envOptions = options.env && options.env[context.envName];
+    if (envOptions) {
+        const envSource = `${source}.env.${context.envName}`;
+        validateOptions(envOptions, 'env', envSource);
+        if (configApplies(envOptions, dirname, context)) {
+            items.push(toChainItem(envOptions, dirname, envSource));
+        }
+    }
+    return items;
+}
+
+/**
+ * 把一份配置展开成按优先级从低到高排列的列表：
+ * extends 的配置 → 配置本身 → env[envName] → 匹配当前文件的 overrides（及其中的 env）
+ *
+ * config: { options, dirname, filepath? }，programmatic 为 true 时是调用时传入的选项
+ */
+function buildConfigChain(config, context, programmatic = false, seen = new Set()) {
+    const { options, dirname, filepath } = config;
+    const source = filepath || 'programmatic options';
+    if (filepath) {
+        if (seen.has(filepath)) {
+            throw new Error(`${filepath}: Config file is extended in a cycle: ${[...seen, filepath].join(' -> ')}`);
+        }
+        seen = new Set(seen).add(filepath);
+    }
+    validateOptions(options, programmatic ? 'programmatic' : 'config', source);
+    if (!configApplies(options, dirname, context)) {
+        return [];
+    }
+
+    const chain = [];
+    if (options.extends !== undefined) {
+        const extended = loadConfigFile(options.extends, dirname, context.configApi);
+        chain.push(...buildConfigChain(extended, context, false, seen));
+    }
+    chain.push(...expandEnv(options, dirname, source, context));
+    (options.overrides || []).forEach((override, index) => {
+        const overrideSource = `${source}.overrides[${index}]`;
+        validateOptions(override, 'override', overrideSource);
+        if (configApplies(override, dirname, context)) {
+            chain.push(...expandEnv(override, dirname, overrideSource, context));
+        }
+    });
+    return chain;
+}
+
+module.exports = {
+    buildConfigChain,
+    pathPatternToRegex
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { cosmiconfigSync } = require('cosmiconfig');
+
+// 项目级的配置，放在 root 目录下，对所有文件生效
+const ROOT_CONFIG_FILENAMES = ['myBabel.config.js', 'myBabel.config.cjs', 'myBabel.config.json'];
+// 相对于文件的配置，从文件所在目录往上找，到 package.json 所在的目录为止
+const RELATIVE_CONFIG_FILENAMES = ['.myBabelrc', '.myBabelrc.json', '.myBabelrc.yaml', '.myBabelrc.yml', '.myBabelrc.js', '.myBabelrc.cjs'];
+const PACKAGE_KEY = 'myBabel';
+
+// 不缓存，watch 模式下修改配置后重新编译能读到新的内容
+const explorer = cosmiconfigSync('myBabel', { cache: false });
+
+function validateConfigObject(options, filepath) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`${filepath}: Configuration should be an exported JavaScript object.`);
+    }
+    return options;
+}
+
+/**
+ * 读取一个配置文件，返回 { filepath, dirname, options }。
+ * js 配置可以导出函数，调用时传入 configApi（env、cache）
+ */
+function readConfigFile(filepath, configApi) {
+    let options;
+    if (path.basename(filepath) === 'package.json') {
+        options = JSON.parse(fs.readFileSync(filepath, 'utf8'))[PACKAGE_KEY];
+    } else {
+        let result;
+        try {
+            result = explorer.load(filepath);
+        } catch (e) {
+            e.message = `${filepath}: Error while loading config - ${e.message}`;
+            throw e;
+        }
+        options = result ? result.config : {};
+        if (typeof options === 'function') {
+            options = options(configApi);
+        }
+    }
+    return {
+        filepath,
+        dirname: path.dirname(filepath),
+        options: validateConfigObject(options === undefined ? {} : options, filepath)
+    };
+}
+
+function hasPackageConfig(dirname) {
+    const filepath = path.join(dirname, 'package.json');
+    if (!fs.existsSync(filepath)) {
+        return false;
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'))[PACKAGE_KEY] !== undefined;
+}
+
+// 同一个目录下只能有一个配置文件，否则不知道该用哪个
+function findConfigInDirectory(dirname, filenames, includePackage) {
+    const found = filenames.map(name => path.join(dirname, name)).filter(filepath => fs.existsSync(filepath));
+    if (includePackage && hasPackageConfig(dirname)) {
+        found.push(path.join(dirname, 'package.json'));
+    }
+    if (found.length > 1) {
+        throw new Error(`Multiple configuration files found. Please remove one:\n${found.map(file => ` - ${file}`).join('\n')}`);
+    }
+    return found[0] || null;
+}
+
+function findRootConfig(root, configApi) {
+    const filepath = findConfigInDirectory(root, ROOT_CONFIG_FILENAMES, false);
+    return filepath ? readConfigFile(filepath, configApi) : null;
+}
+
+function findRelativeConfig(filename, configApi) {
+    let dirname = path.dirname(filename);
+    for (;;) {
+        const filepath = findConfigInDirectory(dirname, RELATIVE_CONFIG_FILENAMES, true);
+        if (filepath) {
+            return readConfigFile(filepath, configApi);
+        }
+        const parent = path.dirname(dirname);
+        if (fs.existsSync(path.join(dirname, 'package.json')) || parent === dirname) {
+            return null;
+        }
+        dirname = parent;
+    }
+}
+
+// configFile 选项、extends 指定的配置文件，相对路径基于 dirname
+function loadConfigFile(request, dirname, configApi) {
+    const filepath = path.resolve(dirname, request);
+    if (!fs.existsSync(filepath)) {
+        throw new Error(`Cannot find config file "${request}" relative to directory "${dirname}"`);
+    }
+    return readConfigFile(filepath, configApi);
+}
+
+module.exports = {
+    ROOT_CONFIG_FILENAMES,
+    RELATIVE_CONFIG_FILENAMES,
+    findRootConfig,
+    findRelativeConfig,
+    loadConfigFile
+};
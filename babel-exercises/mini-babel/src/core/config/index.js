@@ -0,0 +1,122 @@
+const path = require('path');
+const { findRootConfig, findRelativeConfig, loadConfigFile } = require('./files');
+const { buildConfigChain } = require('./chain');
+const { loadPlugin, loadPreset, assertNoDuplicates } = require('./plugins');
+const { createConfigApi } = require('./api');
+
+// 这几个选项是对象，合并时按属性合并，其余选项后面的直接覆盖前面的
+const MERGED_OBJECT_KEYS = ['parserOpts', 'generatorOpts'];
+
+/**
+ * plugins、presets 的每一项统一成 { value, options, name, request, dirname }，
+ * 可以写成 plugin、[plugin]、[plugin, options] 或 [plugin, options, name]。
+ * plugin 是字符串时按名字或路径加载（相对 dirname），见 plugins.js
+ */
+function createItems(items, type, dirname, source) {
+    if (!Array.isArray(items)) {
+        throw new Error(`${source}: .${type}s must be an array`);
+    }
+    const normalized = items.map(entry => {
+        const [value, options, name] = Array.isArray(entry) ? entry : [entry];
+        const item = { value, options: options === undefined ? {} : options, name, dirname };
+        if (typeof value === 'string') {
+            const loaded = type === 'plugin' ? loadPlugin(value, dirname) : loadPreset(value, dirname);
+            item.value = loaded.value;
+            item.request = value;
+        } else if (typeof value !== 'function' && (value === null || typeof value !== 'object')) {
+            throw new Error(`${source}: ${type} must be a name, a module path, a function or an object, got ${value === null ? 'null' : typeof value}`);
+        }
+        return item;
+    });
+    assertNoDuplicates(normalized, type, source);
+    return normalized;
+}
+
+/**
+ * 同 @babel/core：同一个插件（且 name 相同）出现多次时，后面的选项替换前面的，位置不变；
+ * 选项为 false 时表示关掉前面配置的这个插件
+ */
+function mergeItems(items) {
+    const merged = [];
+    items.forEach(item => {
+        const index = merged.findIndex(prev => prev.value === item.value && prev.name === item.name);
+        if (index === -1) {
+            merged.push(item);
+        } else {
+            merged[index] = item;
+        }
+    });
+    return merged
+        .filter(item => item.options !== false)
+        .map(item => item.name === undefined ? [item.value, item.options] : [item.value, item.options, item.name]);
+}
+
+function mergeChain(chain) {
+    const result = {};
+    const items = { plugins: [], presets: [] };
+    chain.forEach(item => {
+        Object.keys(item.options).forEach(key => {
+            const value = item.options[key];
+            if (key === 'plugins' || key === 'presets') {
+                items[key].push(...createItems(value, key.slice(0, -1), item.dirname, item.source));
+            } else if (MERGED_OBJECT_KEYS.includes(key)) {
+                result[key] = { ...result[key], ...value };
+            } else {
+                result[key] = value;
+            }
+        });
+    });
+    result.plugins = mergeItems(items.plugins);
+    result.presets = mergeItems(items.presets);
+    return result;
+}
+
+/**
+ * 加载并合并文件对应的所有配置，优先级从低到高：
+ * 1. 项目级配置 myBabel.config.*（root 目录下，configFile 可以指定其他文件，false 时不加载）
+ * 2. 相对于文件的 .myBabelrc*、package.json 中的 myBabel（传了 filename 且 babelrc 不为 false 时）
+ * 3. 调用时传入的选项
+ * 每份配置都会展开 extends、env 和 overrides，见 buildConfigChain
+ */
+function loadOptions(inputOptions = {}) {
+    const cwd = path.resolve(inputOptions.cwd || '.');
+    const root = path.resolve(cwd, inputOptions.root || '.');
+    const filename = typeof inputOptions.filename === 'string' ? path.resolve(cwd, inputOptions.filename) : undefined;
+    const envName = inputOptions.envName || process.env.NODE_ENV || 'development';
+    const configApi = createConfigApi(envName);
+    const context = { filename, envName, configApi };
+
+    const chain = [];
+    let configFile = null;
+    if (inputOptions.configFile !== false) {
+        configFile = typeof inputOptions.configFile === 'string'
+            ? loadConfigFile(inputOptions.configFile, cwd, configApi)
+            : findRootConfig(root, configApi);
+    }
+    if (configFile) {
+        chain.push(...buildConfigChain(configFile, context));
+    }
+    if (filename && inputOptions.babelrc !== false) {
+        const relativeConfig = findRelativeConfig(filename, configApi);
+        if (relativeConfig && (!configFile || relativeConfig.filepath !== configFile.filepath)) {
+            chain.push(...buildConfigChain(relativeConfig, context));
+        }
+    }
+    chain.push(...buildConfigChain({ options: inputOptions, dirname: cwd }, context, true));
+
+    const options = mergeChain(chain);
+    return {
+        ...options,
+        // 同 @babel/core，默认按 ES module 解析，单独使用 parser 时默认是 script
+        sourceType: options.sourceType || 'module',
+        cwd,
+        root,
+        filename,
+        envName
+    };
+}
+
+module.exports = {
+    loadOptions,
+    createItems
+};
@@ -0,0 +1,156 @@
+const path = require('path');
+
+// 自带的插件、preset，可以直接用名字引用，优先于 node_modules 中的同名模块
+const builtins = {
+    plugin: {
+        'strip-types': require.resolve('../../plugins/strip-types'),
+        'transform-arrow-functions': require.resolve('../../plugins/transform-arrow-functions'),
+        'transform-block-scoping': require.resolve('../../plugins/transform-block-scoping'),
+        'transform-class-properties': require.resolve('../../plugins/transform-class-properties'),
+        'transform-classes': require.resolve('../../plugins/transform-classes'),
+        'transform-computed-properties': require.resolve('../../plugins/transform-computed-properties'),
+        'transform-destructuring': require.resolve('../../plugins/transform-destructuring'),
+        'transform-object-rest-spread': require.resolve('../../plugins/transform-object-rest-spread'),
+        'transform-object-super': require.resolve('../../plugins/transform-object-super'),
+        'transform-parameters': require.resolve('../../plugins/transform-parameters'),
+        'transform-shorthand-properties': require.resolve('../../plugins/transform-shorthand-properties'),
+        'transform-spread': require.resolve('../../plugins/transform-spread'),
+        'transform-template-literals': require.resolve('../../plugins/transform-template-literals')
+    },
+    preset: {
+        env: require.resolve('../../presets/env')
+    }
+};
+
+const RELATIVE_PATH = /^\.{1,2}([\\/]|$)/;
+
+// 插件、preset 函数 → 它所在的目录，preset 返回的插件名相对这个目录解析
+const moduleDirnames = new WeakMap();
+
+/**
+ * 同 @babel/core 的名字规范化，以插件为例（preset 同理，前缀是 mini-babel-preset-）：
+ * - foo → mini-babel-plugin-foo，已经带前缀的不变
+ * - @scope/foo → @scope/mini-babel-plugin-foo，@scope → @scope/mini-babel-plugin
+ * - module:foo → foo，不加前缀
+ * - 相对路径、绝对路径不处理，相对配置文件所在的目录解析
+ */
+function standardizeName(type, name) {
+    if (path.isAbsolute(name) || RELATIVE_PATH.test(name)) {
+        return name;
+    }
+    const prefix = `mini-babel-${type}`;
+    if (name.startsWith('module:')) {
+        return name.slice('module:'.length);
+    }
+    if (/^@[^/]+$/.test(name)) {
+        return `${name}/${prefix}`;
+    }
+    const scoped = /^(@[^/]+\/)(.+)$/.exec(name);
+    if (scoped) {
+        const rest = scoped[2];
+        return rest.startsWith(prefix) || rest.includes('/') ? name : `${scoped[1]}${prefix}-${rest}`;
+    }
+    if (name.startsWith(`${prefix}-`) || name.includes('/')) {
+        return name;
+    }
+    return `${prefix}-${name}`;
+}
+
+function tryResolve(request, dirname) {
+    try {
+        return require.resolve(request, { paths: [dirname] });
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') {
+            throw e;
+        }
+        return null;
+    }
+}
+
+function resolveName(type, name, dirname) {
+    if (Object.prototype.hasOwnProperty.call(builtins[type], name)) {
+        return builtins[type][name];
+    }
+    const standardized = standardizeName(type, name);
+    const request = RELATIVE_PATH.test(standardized) ? path.resolve(dirname, standardized) : standardized;
+    const filepath = tryResolve(request, dirname);
+    if (filepath) {
+        return filepath;
+    }
+
+    // 找不到时给出提示：没加前缀的名字能找到，或者其实是另一种类型
+    const hints = [];
+    if (standardized !== name && tryResolve(name, dirname)) {
+        hints.push(`- Did you mean "module:${name}"? It resolves to a module without the mini-babel-${type}- prefix.`);
+    }
+    const otherType = type === 'plugin' ? 'preset' : 'plugin';
+    if (tryResolve(standardizeName(otherType, name), dirname)) {
+        hints.push(`- Did you accidentally pass a ${otherType} as a ${type}?`);
+    }
+    const error = new Error(`Cannot find ${type} "${name}" (resolved as "${standardized}") relative to directory "${dirname}"` +
+        (hints.length ? '\n' + hints.join('\n') : ''));
+    error.code = 'MODULE_NOT_FOUND';
+    throw error;
+}
+
+/**
+ * 按名字或路径加载插件、preset，返回 { value, filepath }。
+ * 模块可以导出函数或插件对象，ES module 取 default
+ */
+function loadModule(type, name, dirname) {
+    const filepath = resolveName(type, name, dirname);
+    let value = require(filepath);
+    if (value && value.__esModule) {
+        value = value.default;
+    }
+    if (typeof value !== 'function' && (value === null || typeof value !== 'object')) {
+        throw new Error(`${type === 'plugin' ? 'Plugin' : 'Preset'} "${name}" (${filepath}) must export a function or an object, got ${value === null ? 'null' : typeof value}`);
+    }
+    moduleDirnames.set(value, path.dirname(filepath));
+    return { value, filepath };
+}
+
+function loadPlugin(name, dirname) {
+    return loadModule('plugin', name, dirname);
+}
+
+function loadPreset(name, dirname) {
+    return loadModule('preset', name, dirname);
+}
+
+function getModuleDirname(value) {
+    return moduleDirnames.get(value);
+}
+
+/**
+ * 同一个列表里同一个插件（name 也相同）出现两次多半是写错了，直接报错；
+ * 确实要用两份时给其中一个起个名字
+ */
+function assertNoDuplicates(items, type, source) {
+    const duplicates = items.filter((item, index) => items.findIndex(other => other.value === item.value && other.name === item.name) !== index);
+    if (!duplicates.length) {
+        return;
+    }
+    const names = duplicates.map(item => item.request || (item.value && item.value.name) || '<anonymous>');
+    throw new Error([
+        `${source}: Duplicate ${type} detected.`,
+        `If you'd like to use two separate instances of a ${type},`,
+        'they need separate names, e.g.',
+        '',
+        `  ${type}s: [`,
+        `    ['some-${type}', {}],`,
+        `    ['some-${type}', {}, 'some unique name'],`,
+        '  ]',
+        '',
+        'Duplicates detected are:',
+        ...names.map(name => `  - ${name}`)
+    ].join('\n'));
+}
+
+module.exports = {
+    standardizeName,
+    loadPlugin,
+    loadPreset,
+    getModuleDirname,
+    assertNoDuplicates
+};
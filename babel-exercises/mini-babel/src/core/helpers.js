@@ -0,0 +1,254 @@
+const template = require('../template');
+
+/**
+ * 转换插件用到的运行时函数，同 @babel/helpers，第一次用到时声明在文件开头（见 File.addHelper）。
+ * 都用 ES5 写，%%helper%% 是函数自己的名字，依赖的其他 helper 同样用 %%名字%% 引用
+ */
+function helper(code, dependencies = []) {
+    return { build: template.statement(code), dependencies };
+}
+
+const helpers = {
+    extends: helper(`
+        function %%helper%%() {
+            %%helper%% = Object.assign || function (target) {
+                for (var i = 1; i < arguments.length; i++) {
+                    var source = arguments[i];
+                    for (var key in source) {
+                        if (Object.prototype.hasOwnProperty.call(source, key)) {
+                            target[key] = source[key];
+                        }
+                    }
+                }
+                return target;
+            };
+            return %%helper%%.apply(this, arguments);
+        }
+    `),
+
+    objectWithoutProperties: helper(`
+        function %%helper%%(source, excluded) {
+            if (source == null) return {};
+            var target = {};
+            var key;
+            for (key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key) && excluded.indexOf(key) < 0) {
+                    target[key] = source[key];
+                }
+            }
+            if (Object.getOwnPropertySymbols) {
+                var symbols = Object.getOwnPropertySymbols(source);
+                for (var i = 0; i < symbols.length; i++) {
+                    key = symbols[i];
+                    if (excluded.indexOf(key) < 0 && Object.prototype.propertyIsEnumerable.call(source, key)) {
+                        target[key] = source[key];
+                    }
+                }
+            }
+            return target;
+        }
+    `),
+
+    // 解构数组：数组直接用，其他可迭代对象先转成数组
+    toArray: helper(`
+        function %%helper%%(arr) {
+            return Array.isArray(arr) ? arr : Array.from(arr);
+        }
+    `),
+
+    // 展开数组：复制一份，空位变成 undefined
+    toConsumableArray: helper(`
+        function %%helper%%(arr) {
+            if (Array.isArray(arr)) {
+                for (var i = 0, copy = new Array(arr.length); i < arr.length; i++) {
+                    copy[i] = arr[i];
+                }
+                return copy;
+            }
+            return Array.from(arr);
+        }
+    `),
+
+    // 给 const 变量赋值
+    readOnlyError: helper(`
+        function %%helper%%(name) {
+            throw new TypeError("\\"" + name + "\\" is read-only");
+        }
+    `),
+
+    taggedTemplateLiteral: helper(`
+        function %%helper%%(strings, raw) {
+            if (!raw) {
+                raw = strings.slice(0);
+            }
+            return Object.freeze(Object.defineProperties(strings, { raw: { value: Object.freeze(raw) } }));
+        }
+    `),
+
+    defineProperty: helper(`
+        function %%helper%%(obj, key, value) {
+            if (key in obj) {
+                Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+            } else {
+                obj[key] = value;
+            }
+            return obj;
+        }
+    `),
+
+    classCallCheck: helper(`
+        function %%helper%%(instance, Constructor) {
+            if (!(instance instanceof Constructor)) {
+                throw new TypeError("Cannot call a class as a function");
+            }
+        }
+    `),
+
+    createClass: helper(`
+        function %%helper%%(Constructor, protoProps, staticProps) {
+            function defineProperties(target, props) {
+                for (var i = 0; i < props.length; i++) {
+                    var descriptor = props[i];
+                    descriptor.enumerable = descriptor.enumerable || false;
+                    descriptor.configurable = true;
+                    if ("value" in descriptor) descriptor.writable = true;
+                    Object.defineProperty(target, descriptor.key, descriptor);
+                }
+            }
+            if (protoProps) defineProperties(Constructor.prototype, protoProps);
+            if (staticProps) defineProperties(Constructor, staticProps);
+            Object.defineProperty(Constructor, "prototype", { writable: false });
+            return Constructor;
+        }
+    `),
+
+    setPrototypeOf: helper(`
+        function %%helper%%(o, p) {
+            %%helper%% = Object.setPrototypeOf || function (o, p) {
+                o.__proto__ = p;
+                return o;
+            };
+            return %%helper%%(o, p);
+        }
+    `),
+
+    getPrototypeOf: helper(`
+        function %%helper%%(o) {
+            %%helper%% = Object.setPrototypeOf ? Object.getPrototypeOf : function (o) {
+                return o.__proto__ || Object.getPrototypeOf(o);
+            };
+            return %%helper%%(o);
+        }
+    `),
+
+    inherits: helper(`
+        function %%helper%%(subClass, superClass) {
+            if (typeof superClass !== "function" && superClass !== null) {
+                throw new TypeError("Super expression must either be null or a function");
+            }
+            subClass.prototype = Object.create(superClass && superClass.prototype, {
+                constructor: { value: subClass, writable: true, configurable: true }
+            });
+            Object.defineProperty(subClass, "prototype", { writable: false });
+            if (superClass) %%setPrototypeOf%%(subClass, superClass);
+        }
+    `, ['setPrototypeOf']),
+
+    isNativeFunction: helper(`
+        function %%helper%%(fn) {
+            return Function.toString.call(fn).indexOf("[native code]") !== -1;
+        }
+    `),
+
+    isNativeReflectConstruct: helper(`
+        function %%helper%%() {
+            if (typeof Reflect === "undefined" || !Reflect.construct) return false;
+            if (Reflect.construct.sham) return false;
+            if (typeof Proxy === "function") return true;
+            try {
+                Boolean.prototype.valueOf.call(Reflect.construct(Boolean, [], function () {}));
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+    `),
+
+    // 同 new Parent(...args)，Class 存在时结果的原型是 Class.prototype
+    construct: helper(`
+        function %%helper%%(Parent, args, Class) {
+            if (%%isNativeReflectConstruct%%()) {
+                %%helper%% = Reflect.construct.bind();
+            } else {
+                %%helper%% = function (Parent, args, Class) {
+                    var a = [null];
+                    a.push.apply(a, args);
+                    var Constructor = Function.bind.apply(Parent, a);
+                    var instance = new Constructor();
+                    if (Class) %%setPrototypeOf%%(instance, Class.prototype);
+                    return instance;
+                };
+            }
+            return %%helper%%.apply(null, arguments);
+        }
+    `, ['isNativeReflectConstruct', 'setPrototypeOf']),
+
+    // 继承 Error、Array 等内置类：父类用 call 调用时会忽略 this 返回新对象，包一层，用 Reflect.construct 创建实例
+    wrapNativeSuper: helper(`
+        function %%helper%%(Class) {
+            var cache = typeof Map === "function" ? new Map() : undefined;
+            %%helper%% = function (Class) {
+                if (Class === null || !%%isNativeFunction%%(Class)) return Class;
+                if (typeof Class !== "function") {
+                    throw new TypeError("Super expression must either be null or a function");
+                }
+                if (typeof cache !== "undefined") {
+                    if (cache.has(Class)) return cache.get(Class);
+                    cache.set(Class, Wrapper);
+                }
+                function Wrapper() {
+                    return %%construct%%(Class, arguments, %%getPrototypeOf%%(this).constructor);
+                }
+                Wrapper.prototype = Object.create(Class.prototype, {
+                    constructor: { value: Wrapper, enumerable: false, writable: true, configurable: true }
+                });
+                return %%setPrototypeOf%%(Wrapper, Class);
+            };
+            return %%helper%%(Class);
+        }
+    `, ['isNativeFunction', 'construct', 'getPrototypeOf', 'setPrototypeOf']),
+
+    assertThisInitialized: helper(`
+        function %%helper%%(self) {
+            if (self === void 0) {
+                throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+            }
+            return self;
+        }
+    `),
+
+    // 父类构造函数返回了对象时用它作为 this，否则用原来的 this
+    possibleConstructorReturn: helper(`
+        function %%helper%%(self, call) {
+            if (call && (typeof call === "object" || typeof call === "function")) {
+                return call;
+            }
+            return %%assertThisInitialized%%(self);
+        }
+    `, ['assertThisInitialized']),
+
+    // super.x：从 object 开始沿原型链找属性，getter 以 receiver 作为 this 调用
+    get: helper(`
+        function %%helper%%(object, property, receiver) {
+            var base = object;
+            while (base !== null && !Object.prototype.hasOwnProperty.call(base, property)) {
+                base = Object.getPrototypeOf(base);
+            }
+            if (!base) return undefined;
+            var desc = Object.getOwnPropertyDescriptor(base, property);
+            return desc.get ? desc.get.call(receiver) : desc.value;
+        }
+    `)
+};
+
+module.exports = helpers;
@@ -1,31 +1,295 @@
+const fs = require('fs');
+const path = require('path');
 const parser = require('../parser');
 const traverse = require('../traverse');
 const generate = require('../generator');
 const template = require('../template');
+const types = require('../types');
+const { toInlineComment } = require('../generator/sourceMap');
+const { codeFrameColumns } = require('../code-frame');
+const File = require('./File');
+const PluginPass = require('./PluginPass');
+const { loadOptions, createItems } = require('./config');
+const { getModuleDirname } = require('./config/plugins');
+const { version, callFactory } = require('./config/api');
+
+/**
+ * 按 babel 的顺序把插件分成若干趟遍历：
+ * 先是 plugins（按声明顺序），再是 presets（倒序，preset 内部的插件按声明顺序）。
+ * 默认全部合并成一趟；passPerPreset 为 true 时每个 preset 单独一趟
+ */
+function loadPasses(options) {
+    const passes = [[...(options.plugins || [])]];
+    // 复制一份再倒序，不能改到调用方传入的配置
+    const presets = [...(options.presets || [])].reverse();
+    presets.forEach(([preset, presetOptions]) => {
+        const plugins = loadPresetPlugins(preset, presetOptions, options);
+        if (options.passPerPreset) {
+            passes.push([...plugins]);
+        } else {
+            passes[0].push(...plugins);
+        }
+    });
+    return passes;
+}
+
+/**
+ * preset 返回插件列表（也可以是 { plugins }），其中的插件名相对 preset 所在的目录加载
+ */
+function loadPresetPlugins(preset, presetOptions, options) {
+    const dirname = getModuleDirname(preset) || options.cwd;
+    const result = typeof preset === 'function' ? callFactory(preset, presetOptions, dirname, options.envName) : preset;
+    const plugins = Array.isArray(result) ? result : (result && result.plugins) || [];
+    const source = `preset ${preset.name || dirname}`;
+    return createItems(plugins, 'plugin', dirname, source)
+        .filter(item => item.options !== false)
+        .map(item => [item.value, item.options]);
+}
+
+/**
+ * 同 @babel/core：语法错误的信息前加上文件名，后面附上出错位置的代码片段，
+ * 错误本身（SyntaxError、loc、pos）保持不变
+ */
+function buildParseError(error, code, options) {
+    const filename = options.filename || options.fileName || 'unknown';
+    const frame = codeFrameColumns(code, {
+        start: { line: error.loc.line, column: error.loc.column + 1 }
+    }, { highlightCode: options.highlightCode });
+    error.message = `${filename}: ${error.message}\n\n${frame}`;
+    error.code = 'BABEL_PARSE_ERROR';
+    return error;
+}
+
+function parseCode(code, options) {
+    try {
+        // 顶层的 sourceType 同 babel，parserOpts 中的优先
+        return parser.parse(code, { sourceType: options.sourceType, ...options.parserOpts });
+    } catch (e) {
+        if (e instanceof SyntaxError && e.loc) {
+            throw buildParseError(e, code, options);
+        }
+        throw e;
+    }
+}
+
+/**
+ * 实例化所有插件，按趟分组返回 [[{ plugin, key, options }]]。
+ * 插件在解析之前就实例化，manipulateOptions 才能修改解析的选项
+ */
+function loadPlugins(options) {
+    let pluginIndex = 0;
+    return loadPasses(options).map(pluginItems => pluginItems.map(([plugin, pluginOptions]) => {
+        // 插件可以是返回插件对象的函数（第一个参数是插件 API，见 config/api.js），也可以直接是插件对象
+        const res = typeof plugin === 'function'
+            ? callFactory(plugin, pluginOptions, getModuleDirname(plugin) || options.cwd, options.envName)
+            : plugin;
+        return { plugin: res, key: res.name || `plugin-${pluginIndex++}`, options: pluginOptions };
+    }));
+}
+
+/**
+ * 先合并配置文件（见 config/index.js），再交给插件的 manipulateOptions(opts, parserOpts)，
+ * 同 babel，插件可以借此打开 parser 的语法插件，不会改到调用方传入的对象
+ */
+function prepareOptions(options = {}) {
+    const loaded = loadOptions(options);
+    const parserOpts = loaded.parserOpts || {};
+    const opts = {
+        ...loaded,
+        parserOpts: { ...parserOpts, plugins: [...(parserOpts.plugins || [])] }
+    };
+    const passes = loadPlugins(opts);
+    passes.forEach(plugins => plugins.forEach(({ plugin }) => {
+        if (plugin.manipulateOptions) {
+            plugin.manipulateOptions(opts, opts.parserOpts);
+        }
+    }));
+    return { opts, passes };
+}
+
+function runPasses(file, passes) {
+    passes.forEach(pluginItems => {
+        if (!pluginItems.length) {
+            return;
+        }
+        const plugins = pluginItems.map(({ plugin, key, options }) => ({
+            plugin,
+            pass: new PluginPass(file, key, options)
+        }));
+
+        // 同一趟里所有插件的 visitor 合并后只遍历一次 AST
+        const visitor = traverse.merge(
+            plugins.map(({ plugin }) => plugin.visitor || {}),
+            plugins.map(({ pass }) => pass)
+        );
+        plugins.forEach(({ plugin, pass }) => plugin.pre && plugin.pre.call(pass, file));
+        traverse(file.ast, visitor);
+        plugins.forEach(({ plugin, pass }) => plugin.post && plugin.post.call(pass, file));
+    });
+}
+
+/**
+ * 对解析好的 AST 执行插件并生成代码。
+ * ast: true 时结果里带上转换后的 AST，同 babel 是包着 Program 的 File 节点；code: false 时不生成代码
+ */
+function runTransform(ast, code, opts, passes) {
+    const file = new File(opts, { code, ast });
+    runPasses(file, passes);
+
+    let output = { code: null, map: null };
+    if (opts.code !== false) {
+        // sourcemap 里的文件名，没有传 fileName 时取 filename 的 basename
+        const fileName = opts.fileName || (opts.filename && path.basename(opts.filename));
+        const result = generate(ast, code, fileName, {
+            ...opts.generatorOpts,
+            inputSourceMap: opts.inputSourceMap
+        });
+        output = applySourceMapsOption(result, opts.sourceMaps);
+    }
+    return {
+        ...output,
+        ast: opts.ast ? buildFile(ast) : null,
+        metadata: file.metadata
+    };
+}
+
+function buildFile(program) {
+    const file = types.file(program, program.comments || []);
+    file.start = program.start;
+    file.end = program.end;
+    file.loc = program.loc;
+    return file;
+}
 
 function transformSync(code, options) {
-    const ast = parser.parse(code, options.parserOpts);
+    const { opts, passes } = prepareOptions(options);
+    return runTransform(parseCode(code, opts), code, opts, passes);
+}
+
+/**
+ * 转换已经解析好的 AST，code 是它对应的源码（用于 sourcemap，可以不传）。
+ * 默认先复制一份，调用方的 AST 不会被插件修改；cloneInputAst: false 时直接在原 AST 上改
+ */
+function transformFromAstSync(ast, code, options) {
+    if (!ast) {
+        throw new Error('No AST given');
+    }
+    const { opts, passes } = prepareOptions(options);
+    const program = ast.type === 'File' ? ast.program : ast;
+    const inputAst = opts.cloneInputAst === false ? program : types.cloneNode(program);
+    return runTransform(inputAst, code, opts, passes);
+}
+
+// 只解析，插件的 manipulateOptions 同样生效。同 babel 返回包着 Program 的 File 节点
+function parseSync(code, options) {
+    const { opts } = prepareOptions(options);
+    return buildFile(parseCode(code, opts));
+}
+
+// filename 是绝对路径
+function fileOptions(filename, options = {}) {
+    return {
+        ...options,
+        filename: path.resolve(options.cwd || process.cwd(), filename)
+    };
+}
+
+function transformFileSync(filename, options) {
+    return transformSync(fs.readFileSync(filename, 'utf8'), fileOptions(filename, options));
+}
+
+// 回调形式的接口都在下一轮事件循环里执行，回调收到 (err, result)
+function runWithCallback(fn, callback) {
+    setImmediate(() => {
+        let result;
+        try {
+            result = fn();
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        callback(null, result);
+    });
+}
+
+// 同 babel 7：transform(code, opts?, callback)，不传回调时同步返回结果
+function transform(code, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    if (!callback) {
+        return transformSync(code, options);
+    }
+    runWithCallback(() => transformSync(code, options), callback);
+}
 
-    const pluginApi = {
-        template
+function transformFile(filename, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
     }
-    const visitors = {};
-    options.plugins && options.plugins.forEach(([plugin, options]) => {
-        const res = plugin(pluginApi, options);
-        Object.assign(visitors, res.visitor);
+    if (typeof callback !== 'function') {
+        throw new Error('transformFile requires a callback, use transformFileSync or transformFileAsync instead');
+    }
+    fs.readFile(filename, 'utf8', (err, code) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        runWithCallback(() => transformSync(code, fileOptions(filename, options)), callback);
+    });
+}
+
+// 把回调形式的调用包成 promise
+function toPromise(run) {
+    return new Promise((resolve, reject) => {
+        run((err, result) => err ? reject(err) : resolve(result));
     });
-    options.presets && options.presets.reverse().forEach(([preset, options]) => {
-        const plugins = preset(pluginApi, options);
-        plugins.forEach(([plugin, options])=> {
-            const res = plugin(pluginApi, options);
-            Object.assign(visitors, res.visitor);
-        })
-    })
+}
+
+function transformAsync(code, options) {
+    return toPromise(callback => transform(code, options, callback));
+}
 
-    traverse(ast, visitors);
-    return generate(ast, code, options.fileName);
+function transformFileAsync(filename, options) {
+    return toPromise(callback => transformFile(filename, options, callback));
+}
+
+function transformFromAstAsync(ast, code, options) {
+    return toPromise(callback => runWithCallback(() => transformFromAstSync(ast, code, options), callback));
+}
+
+// sourceMaps: true 单独返回 map（默认），'inline' 以 data URL 注释写进代码，'both' 两者都要，false 不要
+function applySourceMapsOption(result, sourceMaps = true) {
+    if (!result.map || sourceMaps === true) {
+        return result;
+    }
+    if (sourceMaps === 'inline' || sourceMaps === 'both') {
+        return {
+            code: result.code + '\n' + toInlineComment(result.map),
+            map: sourceMaps === 'both' ? result.map : null
+        };
+    }
+    return {
+        code: result.code,
+        map: null
+    };
 }
 
 module.exports = {
-    transformSync
+    transform,
+    transformSync,
+    transformAsync,
+    transformFile,
+    transformFileSync,
+    transformFileAsync,
+    transformFromAstSync,
+    transformFromAstAsync,
+    parseSync,
+    loadOptions,
+    version,
+    types,
+    template,
+    traverse
 }
\ No newline at end of file
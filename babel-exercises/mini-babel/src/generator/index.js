@@ -1,160 +1,446 @@
-const { SourceMapGenerator } = require('source-map');
+const { SourceMap } = require('./sourceMap');
+const { needsParens, startsWithNode } = require('./parentheses');
+
+const isWordChar = (char) => /[\w$\u0080-\uffff]/.test(char);
+
+// 两段输出直接相连会改变词法含义时需要补空格，如 `a - -b`、`typeof a`、`a / /re/`
+function needsSpaceBetween(last, first) {
+    if (!last || !first) {
+        return false;
+    }
+    return (isWordChar(last) && isWordChar(first)) ||
+        ((last === '+' || last === '-' || last === '/') && first === last);
+}
+
+const defaultOptions = {
+    compact: false,     // 不输出可选的空格和换行，'auto' 时源码超过 500KB 自动开启
+    minified: false,    // 在 compact 基础上再省掉块尾分号、缩短数字
+    retainLines: false, // 尽量让节点输出在源码中的同一行，方便不用 sourcemap 调试
+    indent: 4,          // 缩进空格数，也可以直接传缩进字符串，如 '\t'
+    quotes: undefined,  // 'single' | 'double'，不传时保留源码里的引号
+    comments: true,     // 是否输出注释，minified 时默认不输出
+    shouldPrintComment: undefined, // (value) => boolean，自定义哪些注释需要保留
+    inputSourceMap: undefined // 源码本身是编译产物时传入它的 sourcemap，输出的 sourcemap 会直接对应到最初的源码
+};
+
+const COMPACT_AUTO_LIMIT = 500000;
+
+function normalizeOptions(source, opts = {}) {
+    const format = Object.assign({}, defaultOptions, opts);
+    if (format.minified) {
+        format.compact = true;
+        if (opts.comments === undefined) {
+            format.comments = false;
+        }
+    }
+    if (!format.shouldPrintComment) {
+        // 即使关闭了注释，版权声明也要保留
+        format.shouldPrintComment = (value) => format.comments || /@license|@preserve/.test(value);
+    }
+    if (format.compact === 'auto') {
+        format.compact = typeof source === 'string' && source.length > COMPACT_AUTO_LIMIT;
+    }
+    if (typeof format.indent === 'number') {
+        format.indent = ' '.repeat(format.indent);
+    }
+    if (format.quotes !== undefined && format.quotes !== 'single' && format.quotes !== 'double') {
+        throw new Error(`Invalid generator option quotes: ${format.quotes}, expected 'single' or 'double'`);
+    }
+    return format;
+}
 
 class Printer {
-    constructor (source, fileName) {
+    constructor (source, fileName, opts) {
         this.buf = '';
-        this.sourceMapGenerator = new SourceMapGenerator({
-            file: fileName + ".map.json",
-        });
+        this.format = normalizeOptions(source, opts);
+        // 没有文件名时（如 path.toString()）不生成 sourcemap
+        this.sourceMap = fileName ? new SourceMap({
+            fileName,
+            source,
+            inputSourceMap: this.format.inputSourceMap
+        }) : null;
+        this.pendingMapping = null;
         this.fileName = fileName;
-        this.sourceMapGenerator.setSourceContent(fileName, source);
         this.printLine = 1;
         this.printColumn = 0;
+
+        this.indentString = this.format.indent;
+        this.indentLevel = 0;
+        this.pendingSemicolon = false;
+        this.printedComments = new Set();
+        this.needIndent = false;
+        this.inForInit = false;
+    }
+
+    // 开始位置的映射先挂起，等真正输出内容时再记录位置，这样不会落在缩进、空格上；
+    // 结束位置就是节点刚输出完的位置，立即记录，不能落到下一个 token 上
+    addMapping(node, position = 'start') {
+        if (!this.sourceMap || !node.loc) {
+            return;
+        }
+        if (position === 'end') {
+            this.flushMapping();
+            this.sourceMap.mark({ line: this.printLine, column: this.printColumn }, node.loc.end);
+            return;
+        }
+        this.pendingMapping = {
+            original: node.loc.start,
+            // 标识符记录原始名字，改名之后调试器仍能显示源码里的变量名
+            name: node.loc.identifierName
+        };
+    }
+
+    flushMapping() {
+        if (!this.pendingMapping) {
+            return;
+        }
+        const { original, name } = this.pendingMapping;
+        this.pendingMapping = null;
+        this.sourceMap.mark({ line: this.printLine, column: this.printColumn }, original, name);
+    }
+
+    // 所有输出都经过这里，保证行列号和 buf 同步
+    append(str) {
+        if (!str) {
+            return;
+        }
+        this.flushSemicolon(str);
+        if (this.needIndent) {
+            this.needIndent = false;
+            this.write(this.indentString.repeat(this.indentLevel));
+        }
+        this.flushMapping();
+        this.write(str);
+    }
+
+    // 只写入内容、更新行列号，不处理缩进、分号和映射
+    write(str) {
+        this.buf += str;
+        const lines = str.split('\n');
+        if (lines.length > 1) {
+            this.printLine += lines.length - 1;
+            this.printColumn = lines[lines.length - 1].length;
+        } else {
+            this.printColumn += str.length;
+        }
+    }
+
+    lastChar() {
+        return this.buf[this.buf.length - 1];
     }
 
-    addMapping(node) {
-        if (node.loc) {
-            this.sourceMapGenerator.addMapping({
-                generated: {
-                  line: this.printLine,
-                  column: this.printColumn
-                },
-                source: this.fileName,
-                original: node.loc && node.loc.start
-            })
+    // 关键字、标识符、数字等：和前面的单词字符之间必须有空格
+    word(str) {
+        this.flushSemicolon(str);
+        if (!this.needIndent && needsSpaceBetween(this.lastChar(), str[0])) {
+            this.write(' ');
         }
+        this.append(str);
+    }
+
+    // 运算符和标点
+    token(str) {
+        this.word(str);
     }
 
     space() {
-        this.buf += ' ';
-        this.printColumn ++;
+        if (this.format.compact || !this.buf || this.needIndent || /\s/.test(this.lastChar())) {
+            return;
+        }
+        this.flushSemicolon(' ');
+        this.write(' ');
     }
 
     nextLine() {
-        this.buf += '\n';
-        this.printLine ++;
-        this.printColumn = 0;
+        if (this.format.compact) {
+            return;
+        }
+        // 行注释后面已经强制换过行了
+        if (this.lastChar() === '\n') {
+            this.needIndent = true;
+            return;
+        }
+        // retainLines 时换行只由 catchUp 按源码行号补齐
+        if (this.format.retainLines) {
+            this.space();
+            return;
+        }
+        this.needIndent = false;
+        this.flushSemicolon('\n');
+        this.write('\n');
+        this.needIndent = true;
     }
 
-    Program (node) {
-        this.addMapping(node);
-        node.body.forEach(item => {
-            this[item.type](item) + ';';
-            this.printColumn ++;
-            this.nextLine();
-        });
+    // 行注释之后必须换行，compact、retainLines 时也一样
+    forceNewline() {
+        this.needIndent = false;
+        this.flushSemicolon('\n');
+        this.write('\n');
+        this.needIndent = !this.format.compact;
     }
 
-    VariableDeclaration(node) {
-        if(!node.declarations.length) {
+    // 补换行直到追上节点在源码中的行号
+    catchUp(node) {
+        if (!this.format.retainLines || !node.loc) {
             return;
         }
-        this.addMapping(node);
+        if (this.printLine < node.loc.start.line) {
+            this.flushSemicolon('\n');
+            this.buf = this.buf.replace(/ +$/, '');
+        }
+        while (this.printLine < node.loc.start.line) {
+            this.write('\n');
+        }
+    }
 
-        this.buf += node.kind;
-        this.space();
-        node.declarations.forEach((declaration, index) => {
-            if (index != 0) {
-                this.buf += ',';
-                this.printColumn ++;
-            }
-            this[declaration.type](declaration);
-        });
-        this.buf += ';';
-        this.printColumn ++;
+    // minified 时分号先挂起，紧跟 `}` 的分号可以省掉；空语句的分号必须保留
+    semicolon(force) {
+        if (this.format.minified && !force) {
+            this.flushSemicolon('');
+            this.pendingSemicolon = true;
+            return;
+        }
+        this.token(';');
+    }
 
+    flushSemicolon(next) {
+        if (!this.pendingSemicolon) {
+            return;
+        }
+        this.pendingSemicolon = false;
+        if (next[0] !== '}') {
+            this.write(';');
+        }
     }
-    VariableDeclarator(node) {
-        this.addMapping(node);
-        this[node.id.type](node.id);
-        this.buf += '=';
-        this.printColumn ++;
-        this[node.init.type](node.init);
+
+    indent() {
+        this.indentLevel ++;
     }
-    Identifier(node) {
-        this.addMapping(node);
-        this.buf += node.name;
+
+    dedent() {
+        this.indentLevel --;
     }
-    FunctionDeclaration(node) {
-        this.addMapping(node);
 
-        this.buf += 'function ';
-        this.buf += node.id.name;
-        this.buf += '(';
-        this.buf += node.params.map(item => item.name).join(',');
-        this.buf += '){';
-        this.nextLine();
-        this[node.body.type](node.body);
-        this.buf += '}';
-        this.nextLine();
-    }
-    CallExpression(node) {
-        this.addMapping(node);
+    printComment(comment) {
+        if (this.printedComments.has(comment) || !this.format.shouldPrintComment(comment.value)) {
+            return false;
+        }
+        this.printedComments.add(comment);
+        this.catchUp(comment);
 
-        this[node.callee.type](node.callee);
-        this.buf += '(';
-        node.arguments.forEach((item, index) => {
-            if(index > 0 ) this.buf += ', ';
-            this[item.type](item);
-        })
-        this.buf += ')';
+        if (comment.type === 'CommentBlock') {
+            this.word(`/*${comment.value}*/`);
+        } else {
+            this.word(`//${comment.value}`);
+            this.forceNewline();
+        }
+        return true;
+    }
 
+    printLeadingComments(node) {
+        (node.leadingComments || []).forEach(comment => {
+            if (!this.printComment(comment) || comment.type !== 'CommentBlock') {
+                return;
+            }
+            // 单独占一行的块注释（如文件头的 license）保持独占一行
+            if (comment.loc && node.loc && comment.loc.end.line < node.loc.start.line) {
+                this.nextLine();
+            } else {
+                this.space();
+            }
+        });
     }
-    ExpressionStatement(node) {
-        this.addMapping(node);
 
-        this[node.expression.type](node.expression);
+    printTrailingComments(node, sameLineBlockOnly) {
+        (node.trailingComments || []).forEach(comment => {
+            if (!this.shouldPrintComment(comment)) {
+                return;
+            }
+            // 源码中另起一行的注释（如块末尾的注释）仍然另起一行
+            const onNextLine = comment.loc && node.loc && comment.loc.start.line > node.loc.end.line;
+            if (sameLineBlockOnly && (onNextLine || comment.type !== 'CommentBlock')) {
+                return;
+            }
+            if (onNextLine) {
+                this.nextLine();
+            } else {
+                this.space();
+            }
+            this.printComment(comment);
+        });
+    }
 
+    // 空块、空对象里的注释，由对应的 printer 调用；没被调用的兜底在节点后面输出
+    printInnerComments(node) {
+        (node.innerComments || []).forEach((comment, index) => {
+            if (this.shouldPrintComment(comment)) {
+                if (index > 0) {
+                    this.space();
+                }
+                this.printComment(comment);
+            }
+        });
     }
-    ReturnStatement(node) {
-       this.addMapping(node);
 
-        this.buf += 'return ';
-        this[node.argument.type](node.argument); 
+    shouldPrintComment(comment) {
+        return !this.printedComments.has(comment) && this.format.shouldPrintComment(comment.value);
+    }
 
+    hasInnerComments(node) {
+        return !!node && (node.innerComments || []).some(comment => this.shouldPrintComment(comment));
     }
-    BinaryExpression(node) {
-       this.addMapping(node);
 
-        this[node.left.type](node.left);
-        this.buf += node.operator;
-        this[node.right.type](node.right);
+    // afterNode 在节点（包括括号）之后、尾随注释之前执行，用来输出逗号等分隔符
+    print(node, parent, afterNode) {
+        if (!node) {
+            return;
+        }
+        if (typeof this[node.type] !== 'function') {
+            throw new Error(`Cannot print node of type ${node.type}`);
+        }
+
+        const parens = needsParens(node, parent) ||
+            (this.inForInit && node.type === 'BinaryExpression' && node.operator === 'in');
 
+        this.printLeadingComments(node);
+        this.catchUp(node);
+        if (parens) {
+            this.token('(');
+        }
+        const oldInForInit = this.inForInit;
+        if (parens) {
+            this.inForInit = false;
+        }
+        this.addMapping(node);
+        this[node.type](node, parent);
+        this.addMapping(node, 'end');
+        this.inForInit = oldInForInit;
+        if (this.hasInnerComments(node)) {
+            this.space();
+            this.printInnerComments(node);
+        }
+        if (parens) {
+            this.token(')');
+        }
+        if (afterNode) {
+            // a /* x */, b 里的块注释留在逗号前面，行注释要放到逗号后面
+            this.printTrailingComments(node, true);
+            afterNode();
+        }
+        this.printTrailingComments(node);
+    }
+
+    // 在语句开头出现 `{`、`function`、`class` 时要整体加括号，否则会被解析成声明
+    printExpressionAtStart(node, parent, startTypes) {
+        if (startsWithNode(node, startTypes) && !needsParens(node, parent)) {
+            this.token('(');
+            this.print(node, parent);
+            this.token(')');
+        } else {
+            this.print(node, parent);
+        }
     }
-    BlockStatement(node) {
-       this.addMapping(node);
 
-        node.body.forEach(item => {
-            this.buf += '    ';
-            this.printColumn += 4;
-            this[item.type](item);
+    // return/throw/yield 后面不能换行，retainLines 或者带行注释需要换行时用括号包起来
+    printTerminatorless(node, parent) {
+        const hasLineComment = (node.leadingComments || []).some(comment =>
+            this.shouldPrintComment(comment) && (comment.type === 'CommentLine' || comment.value.includes('\n')));
+        if (hasLineComment) {
+            this.token('(');
+            this.indent();
             this.nextLine();
+            this.print(node, parent);
+            this.dedent();
+            this.nextLine();
+            this.token(')');
+        } else if (this.format.retainLines && node.loc && node.loc.start.line > this.printLine) {
+            this.token('(');
+            this.print(node, parent);
+            this.token(')');
+        } else {
+            this.print(node, parent);
+        }
+    }
+
+    printList(nodes, parent, separator = ',') {
+        nodes.forEach((item, index) => {
+            if (index > 0) {
+                this.space();
+            }
+            this.print(item, parent, index < nodes.length - 1 ? () => this.token(separator) : undefined);
         });
+    }
 
+    printStatementList(nodes, parent) {
+        nodes.forEach((item, index) => {
+            if (index > 0) {
+                this.nextLine();
+            }
+            this.print(item, parent);
+        });
+    }
+
+    printBlock(nodes, parent) {
+        this.token('{');
+        if (!nodes.length && this.hasInnerComments(parent)) {
+            this.indent();
+            this.nextLine();
+            this.printInnerComments(parent);
+            this.dedent();
+            this.nextLine();
+        } else if (nodes.length) {
+            this.indent();
+            this.nextLine();
+            this.printStatementList(nodes, parent);
+            this.dedent();
+            this.nextLine();
+        }
+        this.token('}');
     }
-    NumericLiteral(node) {
-       this.addMapping(node);
 
-        this.buf += node.value;
+    // 循环体、if 分支等：块语句前加空格，空语句直接输出 `;`
+    printBody(node, parent) {
+        if (node.type !== 'EmptyStatement') {
+            this.space();
+        }
+        this.print(node, parent);
+    }
 
+    printParams(params, parent) {
+        this.token('(');
+        this.printList(params, parent);
+        this.token(')');
     }
 }
+
+Object.assign(
+    Printer.prototype,
+    require('./printers/base'),
+    require('./printers/statements'),
+    require('./printers/expressions'),
+    require('./printers/classes'),
+    require('./printers/modules'),
+    require('./printers/jsx'),
+    require('./printers/typescript')
+);
+
 class Generator extends Printer{
 
-    constructor(source, fileName) {
-        super(source, fileName);
+    constructor(source, fileName, opts) {
+        super(source, fileName, opts);
     }
 
     generate(node) {
-        this[node.type](node);
+        this.print(node, null);
+        this.flushSemicolon('');
         return {
             code: this.buf,
-            map: this.sourceMapGenerator.toString()
+            map: this.sourceMap ? this.sourceMap.toString() : null
         }
     }
 }
-function generate (node, source, fileName) {
-    return new Generator(source, fileName).generate(node);
+function generate (node, source, fileName, opts) {
+    return new Generator(source, fileName, opts).generate(node);
 }
 
-module.exports = generate;
\ No newline at end of file
+module.exports = generate;
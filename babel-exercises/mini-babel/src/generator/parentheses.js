@@ -0,0 +1,270 @@
+const PRECEDENCE = {
+    '??': 0,
+    '||': 0,
+    '&&': 1,
+    '|': 2,
+    '^': 3,
+    '&': 4,
+    '==': 5,
+    '===': 5,
+    '!=': 5,
+    '!==': 5,
+    '<': 6,
+    '>': 6,
+    '<=': 6,
+    '>=': 6,
+    'in': 6,
+    'instanceof': 6,
+    '>>': 7,
+    '<<': 7,
+    '>>>': 7,
+    '+': 8,
+    '-': 8,
+    '*': 9,
+    '/': 9,
+    '%': 9,
+    '**': 10
+};
+
+function isBinary(node) {
+    return node.type === 'BinaryExpression' || node.type === 'LogicalExpression';
+}
+
+function isUnaryLike(node) {
+    return node.type === 'UnaryExpression' ||
+        node.type === 'SpreadElement' ||
+        node.type === 'AwaitExpression' ||
+        node.type === 'TSTypeAssertion';
+}
+
+// node 后面紧跟 `.x`、`(...)`、`` `...` `` 之类的后缀，或者作为 extends 的父类
+function hasPostfixPart(node, parent) {
+    switch (parent.type) {
+        case 'MemberExpression':
+            return parent.object === node;
+        case 'CallExpression':
+        case 'NewExpression':
+            return parent.callee === node;
+        case 'TaggedTemplateExpression':
+            return parent.tag === node;
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+            return parent.superClass === node;
+        case 'TSNonNullExpression':
+            return parent.expression === node;
+    }
+    return false;
+}
+
+// a as T、a satisfies T 里的 a
+function isTSCastOf(node, parent) {
+    return (parent.type === 'TSAsExpression' || parent.type === 'TSSatisfiesExpression') && parent.expression === node;
+}
+
+function hasCallInChain(node) {
+    while (node) {
+        if (node.type === 'CallExpression') {
+            return true;
+        }
+        if (node.type === 'MemberExpression') {
+            node = node.object;
+        } else if (node.type === 'TaggedTemplateExpression') {
+            node = node.tag;
+        } else if (node.type === 'ChainExpression') {
+            node = node.expression;
+        } else {
+            return false;
+        }
+    }
+    return false;
+}
+
+function binaryNeedsParens(node, parent) {
+    if (hasPostfixPart(node, parent) || isUnaryLike(parent)) {
+        return true;
+    }
+    // as 的优先级同关系运算符
+    if (isTSCastOf(node, parent)) {
+        return PRECEDENCE[node.operator] < PRECEDENCE['<'];
+    }
+    if (isBinary(parent)) {
+        const parentOp = parent.operator;
+        const parentPos = PRECEDENCE[parentOp];
+        const nodePos = PRECEDENCE[node.operator];
+
+        // ?? 不能和 || && 直接混用
+        if ((parentOp === '??') !== (node.operator === '??') && parentPos <= 1 && nodePos <= 1) {
+            return true;
+        }
+        if (parentPos > nodePos) {
+            return true;
+        }
+        if (parentPos === nodePos) {
+            // ** 是右结合的，其余都是左结合
+            return parentOp === '**' ? parent.left === node : parent.right === node;
+        }
+    }
+    return false;
+}
+
+// 条件、赋值、箭头函数、yield 这类低优先级表达式
+function lowPrecedenceNeedsParens(node, parent) {
+    return isBinary(parent) ||
+        isUnaryLike(parent) ||
+        hasPostfixPart(node, parent) ||
+        isTSCastOf(node, parent) ||
+        (parent.type === 'ConditionalExpression' && parent.test === node);
+}
+
+// a as T 作为关系运算及更高优先级运算的操作数时要加括号，否则 `a as T < b` 里的 `<` 会被当成类型参数；
+// 作为赋值目标时也要加括号
+function tsCastNeedsParens(node, parent) {
+    return hasPostfixPart(node, parent) ||
+        isUnaryLike(parent) ||
+        (parent.type === 'AssignmentExpression' && parent.left === node) ||
+        (isBinary(parent) && PRECEDENCE[parent.operator] >= PRECEDENCE['<']);
+}
+
+// 类型里的优先级：条件、函数类型 < 联合 < 交叉 < 类型运算符 < 数组、索引访问
+const TS_TYPE_PRECEDENCE = {
+    TSConditionalType: 0,
+    TSFunctionType: 0,
+    TSConstructorType: 0,
+    TSUnionType: 1,
+    TSIntersectionType: 2,
+    TSTypeOperator: 3,
+    TSInferType: 3
+};
+
+function tsTypeNeedsParens(node, parent) {
+    const nodePos = TS_TYPE_PRECEDENCE[node.type];
+    switch (parent.type) {
+        case 'TSUnionType':
+            return nodePos < 1;
+        case 'TSIntersectionType':
+            return nodePos < 2;
+        case 'TSTypeOperator':
+            return nodePos < 3;
+        case 'TSArrayType':
+        case 'TSOptionalType':
+            return true;
+        case 'TSIndexedAccessType':
+            return parent.objectType === node;
+        // 条件类型的 check、extends 部分不能再直接是条件类型或函数类型
+        case 'TSConditionalType':
+            return nodePos === 0 && (parent.checkType === node || parent.extendsType === node);
+    }
+    return false;
+}
+
+function needsParens(node, parent) {
+    if (!parent) {
+        return false;
+    }
+
+    // new 的 callee 里有调用时，必须加括号，否则调用会被当成 new 的参数
+    if (parent.type === 'NewExpression' && parent.callee === node && hasCallInChain(node)) {
+        return true;
+    }
+
+    switch (node.type) {
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+            return binaryNeedsParens(node, parent);
+        case 'SequenceExpression':
+            switch (parent.type) {
+                case 'ExpressionStatement':
+                case 'SequenceExpression':
+                case 'ReturnStatement':
+                case 'ThrowStatement':
+                case 'ParenthesizedExpression':
+                case 'TemplateLiteral':
+                case 'ForStatement':
+                    return false;
+                case 'IfStatement':
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                    return parent.test !== node;
+                case 'SwitchStatement':
+                    return parent.discriminant !== node;
+            }
+            return true;
+        case 'YieldExpression':
+        case 'ConditionalExpression':
+        case 'AssignmentExpression':
+        case 'ArrowFunctionExpression':
+            return lowPrecedenceNeedsParens(node, parent);
+        case 'AwaitExpression':
+        case 'UnaryExpression':
+            if (parent.type === 'BinaryExpression' && parent.operator === '**' && parent.left === node) {
+                return true;
+            }
+            return hasPostfixPart(node, parent);
+        case 'TSTypeAssertion':
+            // <T>a = 1 会解析成 <T>(a = 1)
+            if ((parent.type === 'AssignmentExpression' && parent.left === node) ||
+                (parent.type === 'BinaryExpression' && parent.operator === '**' && parent.left === node)) {
+                return true;
+            }
+            return hasPostfixPart(node, parent);
+        case 'UpdateExpression':
+        case 'ChainExpression': // (a?.b).c 和 a?.b.c 含义不同
+        case 'TSInstantiationExpression': // (f<T>)() 和 f<T>() 含义不同
+            return hasPostfixPart(node, parent);
+        case 'TSAsExpression':
+        case 'TSSatisfiesExpression':
+            return tsCastNeedsParens(node, parent);
+        case 'TSConditionalType':
+        case 'TSFunctionType':
+        case 'TSConstructorType':
+        case 'TSUnionType':
+        case 'TSIntersectionType':
+        case 'TSTypeOperator':
+        case 'TSInferType':
+            return tsTypeNeedsParens(node, parent);
+    }
+    return false;
+}
+
+const leftmostKeys = {
+    'CallExpression': 'callee',
+    'MemberExpression': 'object',
+    'BinaryExpression': 'left',
+    'LogicalExpression': 'left',
+    'AssignmentExpression': 'left',
+    'ConditionalExpression': 'test',
+    'TaggedTemplateExpression': 'tag',
+    'ChainExpression': 'expression',
+    'TSAsExpression': 'expression',
+    'TSSatisfiesExpression': 'expression',
+    'TSNonNullExpression': 'expression',
+    'TSInstantiationExpression': 'expression'
+};
+
+// 判断表达式打印出来后最左边的节点是否是 types 中的某一类，中途遇到自带括号的节点就不用再管了
+function startsWithNode(node, types) {
+    while (node) {
+        if (types.includes(node.type)) {
+            return true;
+        }
+        let child;
+        if (node.type === 'SequenceExpression') {
+            child = node.expressions[0];
+        } else if (node.type === 'UpdateExpression' && !node.prefix) {
+            child = node.argument;
+        } else if (leftmostKeys[node.type]) {
+            child = node[leftmostKeys[node.type]];
+        }
+        if (!child || needsParens(child, node)) {
+            return false;
+        }
+        node = child;
+    }
+    return false;
+}
+
+module.exports = {
+    PRECEDENCE,
+    needsParens,
+    startsWithNode
+};
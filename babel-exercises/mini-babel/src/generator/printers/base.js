@@ -0,0 +1,157 @@
+// 原始文本和当前值对得上时优先保留原始写法（引号、进制、数字分隔符等）
+function rawIfUnchanged(node, parse) {
+    const raw = node.raw;
+    if (typeof raw !== 'string') {
+        return;
+    }
+    try {
+        return parse(raw) === node.value ? raw : undefined;
+    } catch (e) {
+        return;
+    }
+}
+
+function parseStringRaw(raw) {
+    const quote = raw[0];
+    if ((quote !== '"' && quote !== "'") || raw[raw.length - 1] !== quote) {
+        return;
+    }
+    const body = raw.slice(1, -1);
+    // 没有转义时原文就是值本身
+    return body.includes('\\') ? undefined : body;
+}
+
+function parseNumberRaw(raw) {
+    return Number(raw.replace(/_/g, ''));
+}
+
+function quoteString(value, quotes) {
+    const quote = quotes === 'single' ? "'" : '"';
+    const escaped = value.replace(/[\\\n\r\u2028\u2029\0-\x1f'"]/g, (char) => {
+        switch (char) {
+            case '\\': return '\\\\';
+            case '\n': return '\\n';
+            case '\r': return '\\r';
+            case '\t': return '\\t';
+            case "'":
+            case '"':
+                return char === quote ? '\\' + char : char;
+        }
+        return '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0');
+    });
+    return quote + escaped + quote;
+}
+
+// 取最短的写法：0.5 → .5，1000 → 1e3
+function minifyNumber(value) {
+    let str = String(value);
+    if (!Number.isInteger(value) || !isFinite(value)) {
+        return str.replace(/^0\./, '.');
+    }
+    const match = str.match(/^(\d+?)(0{3,})$/);
+    if (match) {
+        str = match[1] + 'e' + match[2].length;
+    }
+    return str;
+}
+
+module.exports = {
+    File(node) {
+        this.print(node.program, node);
+    },
+
+    Program(node) {
+        if (node.interpreter) {
+            this.append('#!' + node.interpreter.value);
+            this.forceNewline();
+        }
+        this.printStatementList(node.body, node);
+    },
+
+    Identifier(node, parent) {
+        this.word(node.name);
+        if (node.optional) {
+            this.token('?');
+        }
+        // let a!: T 的 `!` 记在 VariableDeclarator 上
+        if (parent && parent.type === 'VariableDeclarator' && parent.definite && parent.id === node) {
+            this.token('!');
+        }
+        this.print(node.typeAnnotation, node);
+    },
+
+    PrivateIdentifier(node) {
+        this.token('#');
+        this.append(node.name);
+    },
+
+    Literal(node) {
+        if (node.regex) {
+            return this.RegExpLiteral(node);
+        }
+        if (node.bigint !== undefined) {
+            return this.BigIntLiteral(node);
+        }
+        switch (typeof node.value) {
+            case 'string':
+                return this.StringLiteral(node);
+            case 'number':
+                return this.NumericLiteral(node);
+            case 'boolean':
+                return this.BooleanLiteral(node);
+        }
+        return this.NullLiteral(node);
+    },
+
+    // 指定了 quotes 时统一改写引号，否则尽量保留源码中的写法
+    StringLiteral(node) {
+        const quotes = this.format.quotes;
+        const raw = quotes === undefined && !this.format.minified && rawIfUnchanged(node, parseStringRaw);
+        this.token(raw || quoteString(node.value, quotes));
+    },
+
+    NumericLiteral(node) {
+        if (this.format.minified) {
+            return this.word(minifyNumber(node.value));
+        }
+        const raw = rawIfUnchanged(node, parseNumberRaw);
+        this.word(raw !== undefined ? raw : String(node.value));
+    },
+
+    BooleanLiteral(node) {
+        this.word(node.value ? 'true' : 'false');
+    },
+
+    NullLiteral() {
+        this.word('null');
+    },
+
+    RegExpLiteral(node) {
+        // acorn 的正则放在 regex 上，babel 的直接放在节点上
+        const { pattern, flags } = node.regex || node;
+        this.word(`/${pattern}/${flags}`);
+    },
+
+    BigIntLiteral(node) {
+        const value = node.bigint !== undefined ? node.bigint : String(node.value);
+        this.word(value + 'n');
+    },
+
+    // 模板字符串内部原样输出，不能插入任何空格
+    TemplateLiteral(node) {
+        this.token('`');
+        node.quasis.forEach((quasi, index) => {
+            this.print(quasi, node);
+            if (index < node.expressions.length) {
+                this.append('${');
+                this.print(node.expressions[index], node);
+                this.append('}');
+            }
+        });
+        this.append('`');
+    },
+
+    TemplateElement(node) {
+        this.append(node.value.raw);
+    }
+};
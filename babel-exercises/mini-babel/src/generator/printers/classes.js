@@ -0,0 +1,87 @@
+module.exports = {
+    printClass(node) {
+        this.printDeclare(node);
+        if (node.abstract) {
+            this.word('abstract');
+            this.space();
+        }
+        this.word('class');
+        if (node.id) {
+            this.space();
+            this.print(node.id, node);
+        }
+        this.print(node.typeParameters, node);
+        if (node.superClass) {
+            this.space();
+            this.word('extends');
+            this.space();
+            this.print(node.superClass, node);
+            this.print(node.superTypeParameters, node);
+        }
+        if (node.implements && node.implements.length) {
+            this.space();
+            this.word('implements');
+            this.space();
+            this.printList(node.implements, node);
+        }
+        this.space();
+        this.print(node.body, node);
+    },
+
+    ClassDeclaration(node) {
+        this.printClass(node);
+    },
+
+    ClassExpression(node) {
+        this.printClass(node);
+    },
+
+    ClassBody(node) {
+        this.printBlock(node.body, node);
+    },
+
+    // static 和 TypeScript 的修饰符
+    printClassMemberModifiers(node) {
+        ['declare', 'accessibility', 'static', 'override', 'abstract', 'readonly'].forEach(key => {
+            if (node[key]) {
+                this.word(key === 'accessibility' ? node.accessibility : key);
+                this.space();
+            }
+        });
+    },
+
+    MethodDefinition(node) {
+        this.printClassMemberModifiers(node);
+        this.printMethod(node);
+    },
+
+    PropertyDefinition(node) {
+        this.printClassMemberModifiers(node);
+        this.printClassProperty(node);
+    },
+
+    AccessorProperty(node) {
+        this.printClassMemberModifiers(node);
+        this.word('accessor');
+        this.space();
+        this.printClassProperty(node);
+    },
+
+    printClassProperty(node) {
+        this.printPropertyKey(node);
+        if (node.optional) {
+            this.token('?');
+        }
+        if (node.definite) {
+            this.token('!');
+        }
+        this.print(node.typeAnnotation, node);
+        if (node.value) {
+            this.space();
+            this.token('=');
+            this.space();
+            this.print(node.value, node);
+        }
+        this.semicolon();
+    }
+};
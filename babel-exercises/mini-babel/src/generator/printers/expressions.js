@@ -0,0 +1,351 @@
+const WORD_OPERATORS = ['typeof', 'void', 'delete', 'in', 'instanceof'];
+
+function isShorthand(node) {
+    if (!node.shorthand || node.computed || node.key.type !== 'Identifier') {
+        return false;
+    }
+    // 改名之后 key 和 value 不一致就不能再简写了
+    const value = node.value.type === 'AssignmentPattern' ? node.value.left : node.value;
+    return value.type === 'Identifier' && value.name === node.key.name;
+}
+
+module.exports = {
+    // 函数声明、函数表达式共用
+    printFunction(node) {
+        if (node.async) {
+            this.word('async');
+            this.space();
+        }
+        this.word('function');
+        if (node.generator) {
+            this.token('*');
+        }
+        this.space();
+        this.print(node.id, node);
+        this.print(node.typeParameters, node);
+        this.printParams(node.params, node);
+        this.print(node.returnType, node);
+        this.space();
+        this.print(node.body, node);
+    },
+
+    // 对象方法、类方法共用：value 是 FunctionExpression
+    printMethod(node) {
+        const value = node.value;
+        if (node.kind === 'get' || node.kind === 'set') {
+            this.word(node.kind);
+            this.space();
+        }
+        if (value.async) {
+            this.word('async');
+            this.space();
+        }
+        if (value.generator) {
+            this.token('*');
+        }
+        this.printPropertyKey(node);
+        if (node.optional) {
+            this.token('?');
+        }
+        this.print(value.typeParameters, value);
+        this.printParams(value.params, value);
+        this.print(value.returnType, value);
+        this.space();
+        this.print(value.body, value);
+    },
+
+    // [/* x */]、{/* x */} 里的注释输出在括号内
+    printEmptyInnerComments(node, items) {
+        if (!items.length && this.hasInnerComments(node)) {
+            this.space();
+            this.printInnerComments(node);
+            this.space();
+        }
+    },
+
+    printPropertyKey(node) {
+        if (node.computed) {
+            this.token('[');
+            this.print(node.key, node);
+            this.token(']');
+        } else {
+            this.print(node.key, node);
+        }
+    },
+
+    FunctionExpression(node) {
+        this.printFunction(node);
+    },
+
+    ArrowFunctionExpression(node) {
+        if (node.async) {
+            this.word('async');
+            this.space();
+        }
+        const params = node.params;
+        this.print(node.typeParameters, node);
+        // 带类型的参数、返回值类型都需要括号
+        if (params.length === 1 && params[0].type === 'Identifier' && !params[0].typeAnnotation &&
+            !params[0].optional && !node.typeParameters && !node.returnType) {
+            this.print(params[0], node);
+        } else {
+            this.printParams(params, node);
+        }
+        this.print(node.returnType, node);
+        this.space();
+        this.token('=>');
+        this.space();
+        this.printExpressionAtStart(node.body, node, ['ObjectExpression', 'ObjectPattern']);
+    },
+
+    ThisExpression() {
+        this.word('this');
+    },
+
+    Super() {
+        this.word('super');
+    },
+
+    ArrayExpression(node) {
+        const elements = node.elements;
+        this.token('[');
+        elements.forEach((element, index) => {
+            if (index > 0) {
+                this.token(',');
+                if (element) {
+                    this.space();
+                }
+            }
+            this.print(element, node);
+        });
+        // 末尾的空位需要多一个逗号，[a, ,] 的长度才是 2
+        if (elements.length && !elements[elements.length - 1]) {
+            this.token(',');
+        }
+        this.printEmptyInnerComments(node, elements);
+        this.token(']');
+    },
+
+    ArrayPattern(node) {
+        this.ArrayExpression(node);
+        this.print(node.typeAnnotation, node);
+    },
+
+    ObjectExpression(node) {
+        this.token('{');
+        if (node.properties.length) {
+            this.indent();
+            this.nextLine();
+            node.properties.forEach((property, index) => {
+                if (index > 0) {
+                    this.nextLine();
+                }
+                this.print(property, node, index < node.properties.length - 1 ? () => this.token(',') : undefined);
+            });
+            this.dedent();
+            this.nextLine();
+        }
+        this.printEmptyInnerComments(node, node.properties);
+        this.token('}');
+    },
+
+    ObjectPattern(node) {
+        this.token('{');
+        if (node.properties.length) {
+            this.space();
+            this.printList(node.properties, node);
+            this.space();
+        }
+        this.printEmptyInnerComments(node, node.properties);
+        this.token('}');
+        this.print(node.typeAnnotation, node);
+    },
+
+    Property(node) {
+        if (node.method || node.kind === 'get' || node.kind === 'set') {
+            return this.printMethod(node);
+        }
+        if (isShorthand(node)) {
+            return this.print(node.value, node);
+        }
+        this.printPropertyKey(node);
+        this.token(':');
+        this.space();
+        this.print(node.value, node);
+    },
+
+    UnaryExpression(node) {
+        if (WORD_OPERATORS.includes(node.operator)) {
+            this.word(node.operator);
+            this.space();
+        } else {
+            this.token(node.operator);
+        }
+        this.print(node.argument, node);
+    },
+
+    UpdateExpression(node) {
+        if (node.prefix) {
+            this.token(node.operator);
+            this.print(node.argument, node);
+        } else {
+            this.print(node.argument, node);
+            this.token(node.operator);
+        }
+    },
+
+    BinaryExpression(node) {
+        this.print(node.left, node);
+        this.space();
+        if (WORD_OPERATORS.includes(node.operator)) {
+            this.word(node.operator);
+        } else {
+            this.token(node.operator);
+        }
+        this.space();
+        this.print(node.right, node);
+    },
+
+    LogicalExpression(node) {
+        this.BinaryExpression(node);
+    },
+
+    AssignmentExpression(node) {
+        this.print(node.left, node);
+        this.space();
+        this.token(node.operator);
+        this.space();
+        this.print(node.right, node);
+    },
+
+    AssignmentPattern(node) {
+        this.print(node.left, node);
+        this.space();
+        this.token('=');
+        this.space();
+        this.print(node.right, node);
+    },
+
+    MemberExpression(node) {
+        const start = this.buf.length;
+        this.print(node.object, node);
+
+        // 1.toString() 里的点会被当成小数点，要写成 1..toString()
+        if (!node.computed && !node.optional && /^\d+$/.test(this.buf.slice(start))) {
+            this.token('.');
+        }
+
+        if (node.optional) {
+            this.token('?.');
+        }
+        if (node.computed) {
+            this.token('[');
+            this.print(node.property, node);
+            this.token(']');
+        } else {
+            if (!node.optional) {
+                this.token('.');
+            }
+            this.print(node.property, node);
+        }
+    },
+
+    ChainExpression(node) {
+        this.print(node.expression, node);
+    },
+
+    ConditionalExpression(node) {
+        this.print(node.test, node);
+        this.space();
+        this.token('?');
+        this.space();
+        this.print(node.consequent, node);
+        this.space();
+        this.token(':');
+        this.space();
+        this.print(node.alternate, node);
+    },
+
+    CallExpression(node) {
+        this.print(node.callee, node);
+        if (node.optional) {
+            this.token('?.');
+        }
+        this.print(node.typeParameters, node);
+        this.token('(');
+        this.printList(node.arguments, node);
+        this.token(')');
+    },
+
+    NewExpression(node) {
+        this.word('new');
+        this.space();
+        this.print(node.callee, node);
+        this.print(node.typeParameters, node);
+        this.token('(');
+        this.printList(node.arguments, node);
+        this.token(')');
+    },
+
+    SequenceExpression(node) {
+        this.printList(node.expressions, node);
+    },
+
+    ParenthesizedExpression(node) {
+        this.token('(');
+        this.print(node.expression, node);
+        this.token(')');
+    },
+
+    YieldExpression(node) {
+        this.word('yield');
+        if (node.delegate) {
+            this.token('*');
+        }
+        if (node.argument) {
+            this.space();
+            this.printTerminatorless(node.argument, node);
+        }
+    },
+
+    AwaitExpression(node) {
+        this.word('await');
+        this.space();
+        this.printTerminatorless(node.argument, node);
+    },
+
+    TaggedTemplateExpression(node) {
+        this.print(node.tag, node);
+        this.print(node.typeParameters, node);
+        this.print(node.quasi, node);
+    },
+
+    SpreadElement(node) {
+        this.token('...');
+        this.print(node.argument, node);
+    },
+
+    RestElement(node) {
+        this.token('...');
+        this.print(node.argument, node);
+        this.print(node.typeAnnotation, node);
+    },
+
+    MetaProperty(node) {
+        this.print(node.meta, node);
+        this.token('.');
+        this.print(node.property, node);
+    },
+
+    ImportExpression(node) {
+        this.word('import');
+        this.token('(');
+        this.print(node.source, node);
+        if (node.options) {
+            this.token(',');
+            this.space();
+            this.print(node.options, node);
+        }
+        this.token(')');
+    }
+};
@@ -0,0 +1,105 @@
+module.exports = {
+    JSXElement(node) {
+        const opening = node.openingElement;
+        this.print(opening, node);
+        if (opening.selfClosing) {
+            return;
+        }
+        // 子节点之间的空白都在 JSXText 里，原样输出
+        this.indent();
+        node.children.forEach(child => this.print(child, node));
+        this.dedent();
+        this.print(node.closingElement, node);
+    },
+
+    JSXOpeningElement(node) {
+        this.token('<');
+        this.print(node.name, node);
+        node.attributes.forEach(attribute => {
+            this.space();
+            this.print(attribute, node);
+        });
+        if (node.selfClosing) {
+            this.space();
+            this.append('/>');
+        } else {
+            this.append('>');
+        }
+    },
+
+    JSXClosingElement(node) {
+        this.append('</');
+        this.print(node.name, node);
+        this.append('>');
+    },
+
+    JSXFragment(node) {
+        this.print(node.openingFragment, node);
+        this.indent();
+        node.children.forEach(child => this.print(child, node));
+        this.dedent();
+        this.print(node.closingFragment, node);
+    },
+
+    JSXOpeningFragment() {
+        this.token('<');
+        this.append('>');
+    },
+
+    JSXClosingFragment() {
+        this.append('</>');
+    },
+
+    JSXAttribute(node) {
+        this.print(node.name, node);
+        if (node.value) {
+            this.append('=');
+            this.print(node.value, node);
+        }
+    },
+
+    JSXSpreadAttribute(node) {
+        this.token('{');
+        this.append('...');
+        this.print(node.argument, node);
+        this.token('}');
+    },
+
+    JSXExpressionContainer(node) {
+        this.token('{');
+        this.print(node.expression, node);
+        this.token('}');
+    },
+
+    JSXSpreadChild(node) {
+        this.token('{');
+        this.append('...');
+        this.print(node.expression, node);
+        this.token('}');
+    },
+
+    // 只可能有注释，由 print 输出
+    JSXEmptyExpression() {},
+
+    // 文本没被修改时保留原始写法（实体、换行）
+    JSXText(node) {
+        const extra = node.extra;
+        this.append(extra && extra.raw !== undefined && extra.rawValue === node.value ? extra.raw : node.value);
+    },
+
+    JSXIdentifier(node) {
+        this.word(node.name);
+    },
+
+    JSXMemberExpression(node) {
+        this.print(node.object, node);
+        this.token('.');
+        this.print(node.property, node);
+    },
+
+    JSXNamespacedName(node) {
+        this.print(node.namespace, node);
+        this.token(':');
+        this.print(node.name, node);
+    }
+};
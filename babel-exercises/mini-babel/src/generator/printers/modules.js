@@ -0,0 +1,159 @@
+function isSameName(a, b) {
+    const name = (node) => node.type === 'Identifier' ? node.name : node.value;
+    return a.type === b.type && name(a) === name(b);
+}
+
+module.exports = {
+    printModuleSource(node) {
+        this.space();
+        this.word('from');
+        this.space();
+        this.print(node.source, node);
+        this.printImportAttributes(node);
+    },
+
+    printImportAttributes(node) {
+        if (!node.attributes || !node.attributes.length) {
+            return;
+        }
+        this.space();
+        this.word('with');
+        this.space();
+        this.token('{');
+        this.space();
+        this.printList(node.attributes, node);
+        this.space();
+        this.token('}');
+    },
+
+    // import type { A }、export type { A }、{ type A } 里的 type
+    printTypeKind(kind) {
+        if (kind === 'type') {
+            this.word('type');
+            this.space();
+        }
+    },
+
+    ImportDeclaration(node) {
+        this.word('import');
+        this.space();
+        this.printTypeKind(node.importKind);
+
+        const specifiers = node.specifiers.slice();
+        if (!specifiers.length) {
+            this.print(node.source, node);
+            this.printImportAttributes(node);
+            this.semicolon();
+            return;
+        }
+
+        // 默认导入和命名空间导入写在花括号外面
+        while (specifiers.length && specifiers[0].type !== 'ImportSpecifier') {
+            this.print(specifiers.shift(), node);
+            if (specifiers.length) {
+                this.token(',');
+                this.space();
+            }
+        }
+        if (specifiers.length) {
+            this.token('{');
+            this.space();
+            this.printList(specifiers, node);
+            this.space();
+            this.token('}');
+        }
+        this.printModuleSource(node);
+        this.semicolon();
+    },
+
+    ImportSpecifier(node) {
+        this.printTypeKind(node.importKind);
+        this.print(node.imported, node);
+        if (!isSameName(node.imported, node.local)) {
+            this.space();
+            this.word('as');
+            this.space();
+            this.print(node.local, node);
+        }
+    },
+
+    ImportDefaultSpecifier(node) {
+        this.print(node.local, node);
+    },
+
+    ImportNamespaceSpecifier(node) {
+        this.token('*');
+        this.space();
+        this.word('as');
+        this.space();
+        this.print(node.local, node);
+    },
+
+    ImportAttribute(node) {
+        this.print(node.key, node);
+        this.token(':');
+        this.space();
+        this.print(node.value, node);
+    },
+
+    ExportNamedDeclaration(node) {
+        this.word('export');
+        this.space();
+        if (node.declaration) {
+            this.print(node.declaration, node);
+            return;
+        }
+        this.printTypeKind(node.exportKind);
+        this.token('{');
+        if (node.specifiers.length) {
+            this.space();
+            this.printList(node.specifiers, node);
+            this.space();
+        }
+        this.token('}');
+        if (node.source) {
+            this.printModuleSource(node);
+        }
+        this.semicolon();
+    },
+
+    ExportSpecifier(node) {
+        this.printTypeKind(node.exportKind);
+        this.print(node.local, node);
+        if (!isSameName(node.local, node.exported)) {
+            this.space();
+            this.word('as');
+            this.space();
+            this.print(node.exported, node);
+        }
+    },
+
+    ExportDefaultDeclaration(node) {
+        this.word('export');
+        this.space();
+        this.word('default');
+        this.space();
+        const declaration = node.declaration;
+        if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration' || declaration.type === 'TSDeclareFunction' ||
+            declaration.type === 'TSInterfaceDeclaration') {
+            this.print(declaration, node);
+            return;
+        }
+        this.printExpressionAtStart(declaration, node, ['FunctionExpression', 'ClassExpression']);
+        this.semicolon();
+    },
+
+    ExportAllDeclaration(node) {
+        this.word('export');
+        this.space();
+        this.token('*');
+        if (node.exported) {
+            this.space();
+            this.word('as');
+            this.space();
+            this.print(node.exported, node);
+        }
+        this.printModuleSource(node);
+        this.semicolon();
+    }
+};
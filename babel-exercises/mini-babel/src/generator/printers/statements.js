@@ -0,0 +1,299 @@
+// 找到语句末尾真正结束的那条语句，用于判断 if 的悬挂 else
+function getLastStatement(node) {
+    switch (node.type) {
+        case 'LabeledStatement':
+        case 'WhileStatement':
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'WithStatement':
+            return getLastStatement(node.body);
+        case 'IfStatement':
+            return node.alternate ? getLastStatement(node.alternate) : node;
+    }
+    return node;
+}
+
+function isForHead(node, parent) {
+    if (!parent) {
+        return false;
+    }
+    switch (parent.type) {
+        case 'ForStatement':
+            return parent.init === node;
+        case 'ForInStatement':
+        case 'ForOfStatement':
+            return parent.left === node;
+    }
+    return false;
+}
+
+module.exports = {
+    ExpressionStatement(node) {
+        this.printExpressionAtStart(node.expression, node, ['ObjectExpression', 'ObjectPattern', 'FunctionExpression', 'ClassExpression']);
+        this.semicolon();
+    },
+
+    BlockStatement(node) {
+        this.printBlock(node.body, node);
+    },
+
+    StaticBlock(node) {
+        this.word('static');
+        this.space();
+        this.printBlock(node.body, node);
+    },
+
+    EmptyStatement() {
+        this.semicolon(true);
+    },
+
+    DebuggerStatement() {
+        this.word('debugger');
+        this.semicolon();
+    },
+
+    WithStatement(node) {
+        this.word('with');
+        this.space();
+        this.token('(');
+        this.print(node.object, node);
+        this.token(')');
+        this.printBody(node.body, node);
+    },
+
+    ReturnStatement(node) {
+        this.word('return');
+        if (node.argument) {
+            this.space();
+            this.printTerminatorless(node.argument, node);
+        }
+        this.semicolon();
+    },
+
+    ThrowStatement(node) {
+        this.word('throw');
+        this.space();
+        this.printTerminatorless(node.argument, node);
+        this.semicolon();
+    },
+
+    LabeledStatement(node) {
+        this.print(node.label, node);
+        this.token(':');
+        this.printBody(node.body, node);
+    },
+
+    BreakStatement(node) {
+        this.word('break');
+        if (node.label) {
+            this.space();
+            this.print(node.label, node);
+        }
+        this.semicolon();
+    },
+
+    ContinueStatement(node) {
+        this.word('continue');
+        if (node.label) {
+            this.space();
+            this.print(node.label, node);
+        }
+        this.semicolon();
+    },
+
+    IfStatement(node) {
+        this.word('if');
+        this.space();
+        this.token('(');
+        this.print(node.test, node);
+        this.token(')');
+
+        // if (a) if (b) c; else d; 里的 else 会归属内层 if，需要补块
+        const needsBlock = node.alternate && getLastStatement(node.consequent).type === 'IfStatement';
+        if (needsBlock) {
+            this.space();
+            this.token('{');
+            this.indent();
+            this.nextLine();
+            this.print(node.consequent, node);
+            this.dedent();
+            this.nextLine();
+            this.token('}');
+        } else {
+            this.printBody(node.consequent, node);
+        }
+
+        if (node.alternate) {
+            this.space();
+            this.word('else');
+            this.printBody(node.alternate, node);
+        }
+    },
+
+    SwitchStatement(node) {
+        this.word('switch');
+        this.space();
+        this.token('(');
+        this.print(node.discriminant, node);
+        this.token(')');
+        this.space();
+        this.printBlock(node.cases, node);
+    },
+
+    SwitchCase(node) {
+        if (node.test) {
+            this.word('case');
+            this.space();
+            // case 1 // c\n: 里 test 的行注释放到冒号后面
+            this.print(node.test, node, () => this.token(':'));
+        } else {
+            this.word('default');
+            this.token(':');
+        }
+
+        const consequent = node.consequent;
+        if (consequent.length === 1 && consequent[0].type === 'BlockStatement') {
+            this.space();
+            this.print(consequent[0], node);
+        } else if (consequent.length) {
+            this.indent();
+            this.nextLine();
+            this.printStatementList(consequent, node);
+            this.dedent();
+        }
+    },
+
+    TryStatement(node) {
+        this.word('try');
+        this.space();
+        this.print(node.block, node);
+        if (node.handler) {
+            this.space();
+            this.print(node.handler, node);
+        }
+        if (node.finalizer) {
+            this.space();
+            this.word('finally');
+            this.space();
+            this.print(node.finalizer, node);
+        }
+    },
+
+    CatchClause(node) {
+        this.word('catch');
+        if (node.param) {
+            this.space();
+            this.token('(');
+            this.print(node.param, node);
+            this.token(')');
+        }
+        this.space();
+        this.print(node.body, node);
+    },
+
+    WhileStatement(node) {
+        this.word('while');
+        this.space();
+        this.token('(');
+        this.print(node.test, node);
+        this.token(')');
+        this.printBody(node.body, node);
+    },
+
+    DoWhileStatement(node) {
+        this.word('do');
+        this.space();
+        this.print(node.body, node);
+        this.space();
+        this.word('while');
+        this.space();
+        this.token('(');
+        this.print(node.test, node);
+        this.token(')');
+        this.semicolon();
+    },
+
+    ForStatement(node) {
+        this.word('for');
+        this.space();
+        this.token('(');
+
+        // for 的 init 里出现 in 运算符会和 for...in 混淆
+        this.inForInit = true;
+        this.print(node.init, node);
+        this.inForInit = false;
+        this.token(';');
+
+        if (node.test) {
+            this.space();
+            this.print(node.test, node);
+        }
+        this.token(';');
+        if (node.update) {
+            this.space();
+            this.print(node.update, node);
+        }
+        this.token(')');
+        this.printBody(node.body, node);
+    },
+
+    ForInStatement(node) {
+        this.word('for');
+        this.space();
+        this.token('(');
+        this.print(node.left, node);
+        this.space();
+        this.word('in');
+        this.space();
+        this.print(node.right, node);
+        this.token(')');
+        this.printBody(node.body, node);
+    },
+
+    ForOfStatement(node) {
+        this.word('for');
+        if (node.await) {
+            this.space();
+            this.word('await');
+        }
+        this.space();
+        this.token('(');
+        this.print(node.left, node);
+        this.space();
+        this.word('of');
+        this.space();
+        this.print(node.right, node);
+        this.token(')');
+        this.printBody(node.body, node);
+    },
+
+    VariableDeclaration(node, parent) {
+        this.printDeclare(node);
+        this.word(node.kind);
+        this.space();
+        this.printList(node.declarations, node);
+        if (!isForHead(node, parent)) {
+            this.semicolon();
+        }
+    },
+
+    VariableDeclarator(node) {
+        this.print(node.id, node);
+        if (node.init) {
+            this.space();
+            this.token('=');
+            this.space();
+            this.print(node.init, node);
+        }
+    },
+
+    FunctionDeclaration(node) {
+        this.printFunction(node);
+    },
+
+    GuangStatement() {
+        this.word('guang');
+        this.semicolon();
+    }
+};
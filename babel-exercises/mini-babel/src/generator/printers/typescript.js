@@ -0,0 +1,540 @@
+const keywordTypes = {
+    TSAnyKeyword: 'any',
+    TSUnknownKeyword: 'unknown',
+    TSNumberKeyword: 'number',
+    TSStringKeyword: 'string',
+    TSBooleanKeyword: 'boolean',
+    TSBigIntKeyword: 'bigint',
+    TSSymbolKeyword: 'symbol',
+    TSObjectKeyword: 'object',
+    TSNeverKeyword: 'never',
+    TSUndefinedKeyword: 'undefined',
+    TSIntrinsicKeyword: 'intrinsic',
+    TSVoidKeyword: 'void',
+    TSNullKeyword: 'null'
+};
+
+const printers = {
+    // declare const x: T; 等声明前面的 declare
+    printDeclare(node) {
+        if (node.declare) {
+            this.word('declare');
+            this.space();
+        }
+    },
+
+    TSTypeAnnotation(node) {
+        this.token(':');
+        this.space();
+        this.print(node.typeAnnotation, node);
+    },
+
+    TSTypeParameterDeclaration(node) {
+        this.token('<');
+        this.printList(node.params, node);
+        this.token('>');
+    },
+
+    TSTypeParameterInstantiation(node) {
+        this.TSTypeParameterDeclaration(node);
+    },
+
+    TSTypeParameter(node) {
+        this.word(node.name);
+        if (node.constraint) {
+            this.space();
+            this.word('extends');
+            this.space();
+            this.print(node.constraint, node);
+        }
+        if (node.default) {
+            this.space();
+            this.token('=');
+            this.space();
+            this.print(node.default, node);
+        }
+    },
+
+    TSParameterProperty(node) {
+        this.printClassMemberModifiers(node);
+        this.print(node.parameter, node);
+    },
+
+    TSDeclareFunction(node) {
+        this.printDeclare(node);
+        if (node.async) {
+            this.word('async');
+            this.space();
+        }
+        this.word('function');
+        if (node.generator) {
+            this.token('*');
+        }
+        this.space();
+        this.print(node.id, node);
+        this.print(node.typeParameters, node);
+        this.printParams(node.params, node);
+        this.print(node.returnType, node);
+        this.semicolon();
+    },
+
+    TSDeclareMethod(node) {
+        this.printClassMemberModifiers(node);
+        if (node.kind === 'get' || node.kind === 'set') {
+            this.word(node.kind);
+            this.space();
+        }
+        if (node.async) {
+            this.word('async');
+            this.space();
+        }
+        if (node.generator) {
+            this.token('*');
+        }
+        this.printPropertyKey(node);
+        if (node.optional) {
+            this.token('?');
+        }
+        this.print(node.typeParameters, node);
+        this.printParams(node.params, node);
+        this.print(node.returnType, node);
+        this.semicolon();
+    },
+
+    TSQualifiedName(node) {
+        this.print(node.left, node);
+        this.token('.');
+        this.print(node.right, node);
+    },
+
+    // 函数类型、调用签名、方法签名共用：<T>(a: A) => R 或 <T>(a: A): R
+    printSignature(node, arrow) {
+        this.print(node.typeParameters, node);
+        this.printParams(node.parameters, node);
+        const returnType = node.typeAnnotation;
+        if (!returnType) {
+            return;
+        }
+        if (arrow) {
+            this.space();
+            this.token('=>');
+            this.space();
+            this.print(returnType.typeAnnotation, returnType);
+        } else {
+            this.print(returnType, node);
+        }
+    },
+
+    TSCallSignatureDeclaration(node) {
+        this.printSignature(node);
+        this.semicolon();
+    },
+
+    TSConstructSignatureDeclaration(node) {
+        this.word('new');
+        this.space();
+        this.printSignature(node);
+        this.semicolon();
+    },
+
+    TSPropertySignature(node) {
+        if (node.readonly) {
+            this.word('readonly');
+            this.space();
+        }
+        this.printPropertyKey(node);
+        if (node.optional) {
+            this.token('?');
+        }
+        this.print(node.typeAnnotation, node);
+        this.semicolon();
+    },
+
+    TSMethodSignature(node) {
+        if (node.kind === 'get' || node.kind === 'set') {
+            this.word(node.kind);
+            this.space();
+        }
+        this.printPropertyKey(node);
+        if (node.optional) {
+            this.token('?');
+        }
+        this.printSignature(node);
+        this.semicolon();
+    },
+
+    TSIndexSignature(node) {
+        this.printClassMemberModifiers(node);
+        this.token('[');
+        this.printList(node.parameters, node);
+        this.token(']');
+        this.print(node.typeAnnotation, node);
+        this.semicolon();
+    },
+
+    TSThisType() {
+        this.word('this');
+    },
+
+    TSFunctionType(node) {
+        this.printSignature(node, true);
+    },
+
+    TSConstructorType(node) {
+        if (node.abstract) {
+            this.word('abstract');
+            this.space();
+        }
+        this.word('new');
+        this.space();
+        this.printSignature(node, true);
+    },
+
+    TSTypeReference(node) {
+        this.print(node.typeName, node);
+        this.print(node.typeParameters, node);
+    },
+
+    TSTypePredicate(node) {
+        if (node.asserts) {
+            this.word('asserts');
+            this.space();
+        }
+        this.print(node.parameterName, node);
+        if (node.typeAnnotation) {
+            this.space();
+            this.word('is');
+            this.space();
+            this.print(node.typeAnnotation.typeAnnotation, node.typeAnnotation);
+        }
+    },
+
+    TSTypeQuery(node) {
+        this.word('typeof');
+        this.space();
+        this.print(node.exprName, node);
+        this.print(node.typeParameters, node);
+    },
+
+    TSImportType(node) {
+        this.word('import');
+        this.token('(');
+        this.print(node.argument, node);
+        this.token(')');
+        if (node.qualifier) {
+            this.token('.');
+            this.print(node.qualifier, node);
+        }
+        this.print(node.typeParameters, node);
+    },
+
+    TSTypeLiteral(node) {
+        this.printBlock(node.members, node);
+    },
+
+    TSArrayType(node) {
+        this.print(node.elementType, node);
+        this.token('[]');
+    },
+
+    TSTupleType(node) {
+        this.token('[');
+        this.printList(node.elementTypes, node);
+        this.token(']');
+    },
+
+    TSOptionalType(node) {
+        this.print(node.typeAnnotation, node);
+        this.token('?');
+    },
+
+    TSRestType(node) {
+        this.token('...');
+        this.print(node.typeAnnotation, node);
+    },
+
+    TSNamedTupleMember(node) {
+        this.print(node.label, node);
+        if (node.optional) {
+            this.token('?');
+        }
+        this.token(':');
+        this.space();
+        this.print(node.elementType, node);
+    },
+
+    TSUnionType(node) {
+        this.printTypeList(node.types, node, '|');
+    },
+
+    TSIntersectionType(node) {
+        this.printTypeList(node.types, node, '&');
+    },
+
+    printTypeList(types, parent, separator) {
+        types.forEach((type, index) => {
+            if (index > 0) {
+                this.space();
+                this.token(separator);
+                this.space();
+            }
+            this.print(type, parent);
+        });
+    },
+
+    TSConditionalType(node) {
+        this.print(node.checkType, node);
+        this.space();
+        this.word('extends');
+        this.space();
+        this.print(node.extendsType, node);
+        this.space();
+        this.token('?');
+        this.space();
+        this.print(node.trueType, node);
+        this.space();
+        this.token(':');
+        this.space();
+        this.print(node.falseType, node);
+    },
+
+    TSInferType(node) {
+        this.word('infer');
+        this.space();
+        this.print(node.typeParameter, node);
+    },
+
+    TSTypeOperator(node) {
+        this.word(node.operator);
+        this.space();
+        this.print(node.typeAnnotation, node);
+    },
+
+    TSIndexedAccessType(node) {
+        this.print(node.objectType, node);
+        this.token('[');
+        this.print(node.indexType, node);
+        this.token(']');
+    },
+
+    // readonly、optional 可能是 true、'+'、'-'
+    TSMappedType(node) {
+        const { readonly, optional, typeParameter } = node;
+        this.token('{');
+        this.space();
+        if (readonly) {
+            if (readonly !== true) {
+                this.token(readonly);
+            }
+            this.word('readonly');
+            this.space();
+        }
+        this.token('[');
+        this.word(typeParameter.name);
+        this.space();
+        this.word('in');
+        this.space();
+        this.print(typeParameter.constraint, typeParameter);
+        if (node.nameType) {
+            this.space();
+            this.word('as');
+            this.space();
+            this.print(node.nameType, node);
+        }
+        this.token(']');
+        if (optional) {
+            if (optional !== true) {
+                this.token(optional);
+            }
+            this.token('?');
+        }
+        if (node.typeAnnotation) {
+            this.token(':');
+            this.space();
+            this.print(node.typeAnnotation, node);
+        }
+        this.space();
+        this.token('}');
+    },
+
+    TSLiteralType(node) {
+        this.print(node.literal, node);
+    },
+
+    TSExpressionWithTypeArguments(node) {
+        this.print(node.expression, node);
+        this.print(node.typeParameters, node);
+    },
+
+    TSInterfaceDeclaration(node) {
+        this.printDeclare(node);
+        this.word('interface');
+        this.space();
+        this.print(node.id, node);
+        this.print(node.typeParameters, node);
+        if (node.extends && node.extends.length) {
+            this.space();
+            this.word('extends');
+            this.space();
+            this.printList(node.extends, node);
+        }
+        this.space();
+        this.print(node.body, node);
+    },
+
+    TSInterfaceBody(node) {
+        this.printBlock(node.body, node);
+    },
+
+    TSTypeAliasDeclaration(node) {
+        this.printDeclare(node);
+        this.word('type');
+        this.space();
+        this.print(node.id, node);
+        this.print(node.typeParameters, node);
+        this.space();
+        this.token('=');
+        this.space();
+        this.print(node.typeAnnotation, node);
+        this.semicolon();
+    },
+
+    TSEnumDeclaration(node) {
+        this.printDeclare(node);
+        if (node.const) {
+            this.word('const');
+            this.space();
+        }
+        this.word('enum');
+        this.space();
+        this.print(node.id, node);
+        this.space();
+        this.token('{');
+        if (node.members.length) {
+            this.indent();
+            this.nextLine();
+            node.members.forEach((member, index) => {
+                if (index > 0) {
+                    this.nextLine();
+                }
+                this.print(member, node, index < node.members.length - 1 ? () => this.token(',') : undefined);
+            });
+            this.dedent();
+            this.nextLine();
+        }
+        this.token('}');
+    },
+
+    TSEnumMember(node) {
+        this.print(node.id, node);
+        if (node.initializer) {
+            this.space();
+            this.token('=');
+            this.space();
+            this.print(node.initializer, node);
+        }
+    },
+
+    // namespace A.B {} 的 B 是嵌套的 TSModuleDeclaration，declare module 'x'; 没有 body
+    TSModuleDeclaration(node) {
+        this.printDeclare(node);
+        if (node.kind !== 'global') {
+            this.word(node.kind || 'namespace');
+            this.space();
+        }
+        this.print(node.id, node);
+        let body = node.body;
+        while (body && body.type === 'TSModuleDeclaration') {
+            this.token('.');
+            this.print(body.id, body);
+            body = body.body;
+        }
+        if (!body) {
+            this.semicolon();
+            return;
+        }
+        this.space();
+        this.print(body, node);
+    },
+
+    TSModuleBlock(node) {
+        this.printBlock(node.body, node);
+    },
+
+    // import A = require('a')、export import A = N.A
+    TSImportEqualsDeclaration(node) {
+        if (node.isExport) {
+            this.word('export');
+            this.space();
+        }
+        this.word('import');
+        this.space();
+        if (node.importKind === 'type') {
+            this.word('type');
+            this.space();
+        }
+        this.print(node.id, node);
+        this.space();
+        this.token('=');
+        this.space();
+        this.print(node.moduleReference, node);
+        this.semicolon();
+    },
+
+    TSExternalModuleReference(node) {
+        this.word('require');
+        this.token('(');
+        this.print(node.expression, node);
+        this.token(')');
+    },
+
+    TSExportAssignment(node) {
+        this.word('export');
+        this.space();
+        this.token('=');
+        this.space();
+        this.print(node.expression, node);
+        this.semicolon();
+    },
+
+    TSTypeAssertion(node) {
+        this.token('<');
+        this.print(node.typeAnnotation, node);
+        this.token('>');
+        this.print(node.expression, node);
+    },
+
+    TSAsExpression(node) {
+        this.print(node.expression, node);
+        this.space();
+        this.word('as');
+        this.space();
+        this.print(node.typeAnnotation, node);
+    },
+
+    TSSatisfiesExpression(node) {
+        this.print(node.expression, node);
+        this.space();
+        this.word('satisfies');
+        this.space();
+        this.print(node.typeAnnotation, node);
+    },
+
+    TSNonNullExpression(node) {
+        this.print(node.expression, node);
+        this.token('!');
+    },
+
+    TSInstantiationExpression(node) {
+        this.print(node.expression, node);
+        this.print(node.typeParameters, node);
+    }
+};
+
+Object.keys(keywordTypes).forEach(type => {
+    printers[type] = function () {
+        this.word(keywordTypes[type]);
+    };
+});
+
+module.exports = printers;
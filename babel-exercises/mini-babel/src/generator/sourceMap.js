@@ -0,0 +1,162 @@
+const { SourceMapGenerator } = require('source-map');
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_MAP = {};
+BASE64_CHARS.split('').forEach((char, index) => BASE64_MAP[char] = index);
+
+function decodeVLQ(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+        const digit = BASE64_MAP[char];
+        if (digit === undefined) {
+            throw new Error(`Invalid base64 char '${char}' in source map mappings`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >> 1) : value >> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * 解析输入的 sourcemap，提供同步的原始位置查询。
+ * source-map 0.7 的 SourceMapConsumer 依赖 wasm 只能异步创建，generate 是同步的，所以这里自己解码
+ */
+class InputSourceMap {
+    constructor(rawMap) {
+        const map = typeof rawMap === 'string' ? JSON.parse(rawMap) : rawMap;
+        if (map.sections) {
+            throw new Error('Indexed source maps are not supported as inputSourceMap');
+        }
+        this.map = map;
+        this.lines = [];
+
+        let source = 0, originalLine = 0, originalColumn = 0, name = 0;
+        (map.mappings || '').split(';').forEach(lineMappings => {
+            const segments = [];
+            let generatedColumn = 0;
+            lineMappings.split(',').forEach(segment => {
+                if (!segment) {
+                    return;
+                }
+                const values = decodeVLQ(segment);
+                generatedColumn += values[0];
+                if (values.length < 4) {
+                    segments.push({ generatedColumn });
+                    return;
+                }
+                source += values[1];
+                originalLine += values[2];
+                originalColumn += values[3];
+                const mapping = { generatedColumn, source, line: originalLine + 1, column: originalColumn };
+                if (values.length > 4) {
+                    name += values[4];
+                    mapping.name = name;
+                }
+                segments.push(mapping);
+            });
+            this.lines.push(segments.sort((a, b) => a.generatedColumn - b.generatedColumn));
+        });
+    }
+
+    // 找到同一行中列号不大于 column 的最后一个映射
+    originalPositionFor({ line, column }) {
+        const segments = this.lines[line - 1];
+        if (!segments) {
+            return null;
+        }
+        let found = null;
+        for (const segment of segments) {
+            if (segment.generatedColumn > column) {
+                break;
+            }
+            found = segment;
+        }
+        if (!found || found.source === undefined) {
+            return null;
+        }
+        const sourceRoot = this.map.sourceRoot ? this.map.sourceRoot.replace(/\/?$/, '/') : '';
+        return {
+            source: sourceRoot + this.map.sources[found.source],
+            sourceContent: this.map.sourcesContent ? this.map.sourcesContent[found.source] : undefined,
+            line: found.line,
+            column: found.column,
+            name: found.name !== undefined ? this.map.names[found.name] : undefined
+        };
+    }
+}
+
+class SourceMap {
+    constructor({ fileName, source, inputSourceMap }) {
+        this.fileName = fileName;
+        this.source = source;
+        this.inputSourceMap = inputSourceMap ? new InputSourceMap(inputSourceMap) : null;
+        this.mappings = [];
+    }
+
+    // 同一个输出位置只保留最后一次的映射，也就是最内层的节点
+    mark(generated, original, name) {
+        const last = this.mappings[this.mappings.length - 1];
+        const mapping = { generated, original, name };
+        if (last && last.generated.line === generated.line && last.generated.column === generated.column) {
+            this.mappings[this.mappings.length - 1] = mapping;
+        } else {
+            this.mappings.push(mapping);
+        }
+    }
+
+    toJSON() {
+        const generator = new SourceMapGenerator({
+            file: this.fileName
+        });
+
+        if (!this.inputSourceMap) {
+            generator.setSourceContent(this.fileName, this.source);
+            this.mappings.forEach(({ generated, original, name }) => {
+                generator.addMapping({ generated, original, name, source: this.fileName });
+            });
+            return generator.toJSON();
+        }
+
+        // 有输入 sourcemap 时，把中间文件的位置再映射回最初的源码
+        this.mappings.forEach(({ generated, original, name }) => {
+            const position = this.inputSourceMap.originalPositionFor(original);
+            if (!position) {
+                return;
+            }
+            generator.addMapping({
+                generated,
+                original: { line: position.line, column: position.column },
+                source: position.source,
+                name: position.name || name
+            });
+            if (position.sourceContent != null) {
+                generator.setSourceContent(position.source, position.sourceContent);
+            }
+        });
+        return generator.toJSON();
+    }
+
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+// 生成 //# sourceMappingURL=data:... 形式的内联 sourcemap 注释
+function toInlineComment(map) {
+    const json = typeof map === 'string' ? map : JSON.stringify(map);
+    const base64 = Buffer.from(json, 'utf8').toString('base64');
+    return '//# sourceMappingURL=data:application/json;charset=utf-8;base64,' + base64;
+}
+
+module.exports = {
+    SourceMap,
+    toInlineComment
+};
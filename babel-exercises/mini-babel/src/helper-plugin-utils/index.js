@@ -0,0 +1,40 @@
+// 旧版本的 api 上可能没有的方法，declare 时补上
+const apiPolyfills = {
+    // 连 assertVersion 都没有，说明版本太旧，直接报错
+    assertVersion: api => range => {
+        throw Object.assign(new Error(`Requires Babel "${range}", but was loaded with "${api.version}".`), {
+            code: 'BABEL_VERSION_UNSUPPORTED',
+            version: api.version,
+            range
+        });
+    },
+    targets: () => () => ({}),
+    assumption: () => () => undefined,
+    addExternalDependency: () => () => {}
+};
+
+/**
+ * 同 @babel/helper-plugin-utils：包一层插件函数，api 上缺的方法补上（不改原来的 api），
+ * options 没传时是 {}。写法：module.exports = declare((api, options, dirname) => ({ visitor }))
+ */
+function declare(builder) {
+    return (api, options, dirname) => {
+        let clonedApi = null;
+        Object.keys(apiPolyfills).forEach(name => {
+            if (api[name]) {
+                return;
+            }
+            clonedApi = clonedApi || { ...api };
+            clonedApi[name] = apiPolyfills[name](clonedApi);
+        });
+        return builder(clonedApi || api, options || {}, dirname);
+    };
+}
+
+// preset 用的是同一套 api
+const declarePreset = declare;
+
+module.exports = {
+    declare,
+    declarePreset
+};
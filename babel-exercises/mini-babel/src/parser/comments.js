@@ -0,0 +1,81 @@
+const { visitorKeys } = require('../types');
+
+// acorn 的 Line/Block 转成 babel 的 CommentLine/CommentBlock
+function normalizeComment(comment) {
+    return {
+        type: comment.type === 'Line' ? 'CommentLine' : 'CommentBlock',
+        value: comment.value,
+        start: comment.start,
+        end: comment.end,
+        loc: comment.loc
+    };
+}
+
+function getChildren(node) {
+    const definition = visitorKeys.get(node.type);
+    const children = [];
+    if (!definition || !definition.visitor) {
+        return children;
+    }
+    definition.visitor.forEach(key => {
+        const prop = node[key];
+        if (Array.isArray(prop)) {
+            prop.forEach(child => child && children.push(child));
+        } else if (prop && typeof prop.type === 'string') {
+            children.push(prop);
+        }
+    });
+    return children.sort((a, b) => a.start - b.start);
+}
+
+function pushComment(node, key, comment) {
+    (node[key] || (node[key] = [])).push(comment);
+}
+
+/**
+ * 从外往里找到包含注释的最小节点，再根据前后兄弟节点决定挂载位置：
+ * 1. 和前一个节点在同一行，并且后一个节点另起一行或者中间只有空白（如参数后面紧跟的注释）
+ *    → 前一个节点的 trailingComments
+ * 2. 否则有后一个节点 → 后一个节点的 leadingComments
+ * 3. 只有前一个节点 → 前一个节点的 trailingComments
+ * 4. 前后都没有（空块、空对象等） → 当前节点的 innerComments
+ */
+function attachComment(node, comment, code) {
+    let preceding, following;
+    for (const child of getChildren(node)) {
+        if (child.end <= comment.start) {
+            preceding = child;
+        } else if (child.start >= comment.end) {
+            following = child;
+            break;
+        } else {
+            return attachComment(child, comment, code);
+        }
+    }
+
+    const sameLineAsPreceding = preceding && preceding.loc && comment.loc &&
+        preceding.loc.end.line === comment.loc.start.line;
+    const followingOnNextLine = following && following.loc && comment.loc &&
+        following.loc.start.line > comment.loc.end.line;
+
+    const adjacentToPreceding = preceding && !/\S/.test(code.slice(preceding.end, comment.start));
+
+    if (preceding && (!following || (sameLineAsPreceding && (followingOnNextLine || adjacentToPreceding)))) {
+        pushComment(preceding, 'trailingComments', comment);
+    } else if (following) {
+        pushComment(following, 'leadingComments', comment);
+    } else {
+        pushComment(node, 'innerComments', comment);
+    }
+}
+
+function attachComments(ast, comments, code) {
+    const normalized = comments.map(normalizeComment);
+    normalized.forEach(comment => attachComment(ast, comment, code));
+    ast.comments = normalized;
+    return ast;
+}
+
+module.exports = {
+    attachComments
+};
@@ -1,23 +1,212 @@
 const acorn = require("acorn");
+const path = require('path');
+const { attachComments } = require('./comments');
+const errorRecoveryExtend = require('./recovery');
 
+/**
+ * 语法插件的约定同 acorn：接收一个 Parser 类，返回继承它的新类，即 (Parser) => class extends Parser {...}。
+ * parserOpts.plugins 里可以写内置插件名、插件函数，或者以 . / 开头的模块路径（相对于 process.cwd()）。
+ *
+ * 新增关键字不要改 acorn 全局的 keywordTypes，用传入的 Parser 上的 registerKeyword(name, options) 注册到返回的类上，
+ * 每次 parse 都会重新组装 Parser 类，插件注册的关键字只在这次解析里生效
+ */
 const syntaxPlugins = {
     'literal': require('./plugins/literal'),
-    'guangKeyword': require('./plugins/guangKeyword')
+    'guangKeyword': require('./plugins/guangKeyword'),
+    'jsx': require('./plugins/jsx'),
+    'typescript': require('./plugins/typescript')
+}
+
+// 记录标识符的原始名字（同 babel 的 loc.identifierName），改名后 sourcemap 的 names 仍能对应到源码
+function identifierNameExtend(Parser) {
+    return class extends Parser {
+        parseIdent(...args) {
+            const node = super.parseIdent(...args);
+            if (node.loc) {
+                node.loc.identifierName = node.name;
+            }
+            return node;
+        }
+    }
+}
+
+// 每个 Parser 类有自己的关键字表，注册时复制一份，不影响父类和 acorn 本身
+function keywordsExtend(Parser) {
+    return class extends Parser {
+        static registerKeyword(name, options = {}) {
+            if (!Object.prototype.hasOwnProperty.call(this, 'extraKeywordTypes')) {
+                this.extraKeywordTypes = Object.assign({}, this.extraKeywordTypes);
+            }
+            const type = new acorn.TokenType(name, { keyword: name, ...options });
+            this.extraKeywordTypes[name] = type;
+            return type;
+        }
+
+        constructor(options, input, startPos) {
+            super(options, input, startPos);
+            const names = Object.keys(this.constructor.extraKeywordTypes || {});
+            if (names.length) {
+                this.keywords = new RegExp(`^(?:${names.join('|')})$|${this.keywords.source}`);
+            }
+        }
+
+        readWord() {
+            const extraKeywordTypes = this.constructor.extraKeywordTypes;
+            if (!extraKeywordTypes) {
+                return super.readWord();
+            }
+            const word = this.readWord1();
+            let type = acorn.tokTypes.name;
+            if (Object.prototype.hasOwnProperty.call(extraKeywordTypes, word)) {
+                type = extraKeywordTypes[word];
+            } else if (this.keywords.test(word)) {
+                type = acorn.keywordTypes[word];
+            }
+            return this.finishToken(type, word);
+        }
+    }
+}
+
+// 插件名、插件函数或模块路径 → 插件函数
+function resolveSyntaxPlugin(plugin) {
+    if (typeof plugin === 'function') {
+        return plugin;
+    }
+    if (typeof plugin !== 'string') {
+        throw new Error(`Parser plugin must be a name, a module path or a function, got ${typeof plugin}`);
+    }
+    if (Object.prototype.hasOwnProperty.call(syntaxPlugins, plugin)) {
+        return syntaxPlugins[plugin];
+    }
+    if (!/^\.{0,2}[\\/]/.test(plugin) && !path.isAbsolute(plugin)) {
+        throw new Error(`Unknown parser plugin: '${plugin}'. Available plugins: ${Object.keys(syntaxPlugins).join(', ')}; ` +
+            `pass a function or a module path ('./my-plugin') for custom syntax`);
+    }
+    const pluginPath = path.resolve(process.cwd(), plugin);
+    let loaded;
+    try {
+        loaded = require(pluginPath);
+    } catch (e) {
+        throw new Error(`Cannot load parser plugin '${plugin}' from ${pluginPath}: ${e.message}`);
+    }
+    loaded = loaded && loaded.__esModule ? loaded.default : loaded;
+    if (typeof loaded !== 'function') {
+        throw new Error(`Parser plugin '${plugin}' must export a function (Parser) => Parser`);
+    }
+    return loaded;
 }
 
 const defaultOptions = {
-    plugins: []
+    plugins: [],
+    sourceType: 'script',
+    ecmaVersion: 'latest',
+    allowReturnOutsideFunction: false,
+    allowHashBang: true,
+    ranges: false,
+    errorRecovery: false
+}
+
+// 直接透传给 acorn 的选项
+const acornOptionNames = [
+    'ecmaVersion',
+    'allowReturnOutsideFunction',
+    'allowImportExportEverywhere',
+    'allowAwaitOutsideFunction',
+    'allowHashBang',
+    'ranges'
+];
+
+function parseWithSourceType(Parser, code, options, sourceType) {
+    const comments = [];
+    const acornOptions = {
+        locations: true,
+        onComment: comments,
+        sourceType
+    };
+    acornOptionNames.forEach(name => {
+        if (options[name] !== undefined) {
+            acornOptions[name] = options[name];
+        }
+    });
+    const ast = Parser.parse(code, acornOptions);
+
+    // #! 开头的解释器指令不是注释，同 babel 放到 program.interpreter 上
+    if (comments.length && comments[0].start === 0 && code.startsWith('#!')) {
+        ast.interpreter = { type: 'InterpreterDirective', value: comments.shift().value };
+    }
+    return attachComments(ast, comments, code);
+}
+
+function hasModuleSyntax(ast) {
+    return ast.body.some(node => /^(Import|Export\w*)Declaration$/.test(node.type)) || containsImportMeta(ast);
+}
+
+function containsImportMeta(node) {
+    if (!node || typeof node !== 'object') {
+        return false;
+    }
+    if (node.type === 'MetaProperty' && node.meta.name === 'import') {
+        return true;
+    }
+    return Object.keys(node).some(key => !/^(loc|leadingComments|trailingComments|innerComments)$/.test(key) && containsImportMeta(node[key]));
+}
+
+/**
+ * 同 @babel/parser 的 unambiguous：有 import/export（或 import.meta）就是 module，否则按 script 解析。
+ * 先按 module 解析，失败或者没有模块语法时再按 script 解析
+ */
+function parseUnambiguous(Parser, code, options) {
+    let moduleAst;
+    try {
+        moduleAst = parseWithSourceType(Parser, code, options, 'module');
+    } catch (e) {
+        return parseWithSourceType(Parser, code, options, 'script');
+    }
+    // errorRecovery 时不会抛错，按 module 解析有错误同样再按 script 试一次，取错误少的
+    if (hasErrors(moduleAst)) {
+        const scriptAst = parseWithSourceType(Parser, code, options, 'script');
+        return scriptAst.errors.length < moduleAst.errors.length ? scriptAst : moduleAst;
+    }
+    if (hasModuleSyntax(moduleAst)) {
+        return moduleAst;
+    }
+    try {
+        const scriptAst = parseWithSourceType(Parser, code, options, 'script');
+        return hasErrors(scriptAst) ? moduleAst : scriptAst;
+    } catch (e) {
+        // 只在 module 下合法的代码（如顶层 await）仍当作 module
+        return moduleAst;
+    }
+}
+
+function hasErrors(ast) {
+    return !!ast.errors && ast.errors.length > 0;
 }
 
 function parse(code, options) {
-    const resolvedOptions  = Object.assign({}, defaultOptions, options);
-    const newParser = resolvedOptions.plugins.reduce((Parser, pluginName) => {
-        let plugin = syntaxPlugins[pluginName]
-        return plugin ? Parser.extend(plugin) : Parser; 
-    }, acorn.Parser);
-    return newParser.parse(code, {
-        locations: true
+    const resolvedOptions = Object.assign({}, defaultOptions);
+    // 值为 undefined 的选项（如 core 透传的 sourceType）不覆盖默认值
+    Object.keys(options || {}).forEach(key => {
+        if (options[key] !== undefined) {
+            resolvedOptions[key] = options[key];
+        }
     });
+    let newParser = resolvedOptions.plugins.reduce((Parser, plugin) => {
+        return Parser.extend(resolveSyntaxPlugin(plugin));
+    }, acorn.Parser.extend(identifierNameExtend, keywordsExtend));
+    // 放在最外层，语法插件里的错误也能恢复
+    if (resolvedOptions.errorRecovery) {
+        newParser = newParser.extend(errorRecoveryExtend);
+    }
+
+    const sourceType = resolvedOptions.sourceType;
+    if (sourceType === 'unambiguous') {
+        return parseUnambiguous(newParser, code, resolvedOptions);
+    }
+    if (sourceType !== 'module' && sourceType !== 'script') {
+        throw new Error(`Invalid sourceType: ${JSON.stringify(sourceType)}, expected 'module', 'script' or 'unambiguous'`);
+    }
+    return parseWithSourceType(newParser, code, resolvedOptions, sourceType);
 }
 
 module.exports = {
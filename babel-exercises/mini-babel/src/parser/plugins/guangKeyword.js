@@ -1,33 +1,21 @@
-const acorn = require("acorn");
-
-const Parser = acorn.Parser;
-const TokenType = acorn.TokenType;
-
-Parser.acorn.keywordTypes["guang"] = new TokenType("guang", { keyword: "guang" });
-
 module.exports = function (Parser) {
-    return class extends Parser {
-        parse(program) {
-            let newKeywords = "break case catch continue debugger default do else finally for function if return switch throw try var while with null true false instanceof typeof void delete new in this const class extends export import super";
-            newKeywords += " guang";
-            this.keywords = new RegExp("^(?:" + newKeywords.replace(/ /g, "|") + ")$")
-            return (super.parse(program));
-        }
-
+    class GuangParser extends Parser {
         parseStatement(context, topLevel, exports) {
-            var starttype = this.type;
-
-            if (starttype == Parser.acorn.keywordTypes["guang"]) {
-                var node = this.startNode();
+            if (this.type === guangType) {
+                const node = this.startNode();
                 return this.parseGuangStatement(node);
-            } else {
-                return (super.parseStatement(context, topLevel, exports));
             }
+            return super.parseStatement(context, topLevel, exports);
         }
 
-        parseGuangStatement() {
+        parseGuangStatement(node) {
             this.next();
-            return this.finishNode({ value: 'guang' }, 'GuangStatement');
+            node.value = 'guang';
+            return this.finishNode(node, 'GuangStatement');
         };
     }
-}
\ No newline at end of file
+
+    // 关键字只注册在这次组装出的 Parser 上，不影响其他解析
+    const guangType = GuangParser.registerKeyword('guang');
+    return GuangParser;
+}
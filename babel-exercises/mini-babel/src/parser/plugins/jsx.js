@@ -0,0 +1,414 @@
+const acorn = require("acorn");
+
+const { TokenType, TokContext, tokTypes: tt, tokContexts, isNewLine, isIdentifierStart, isIdentifierChar } = acorn;
+
+// JSX 的词法上下文：开始标签内、结束标签内、标签之间的文本
+const tcOpenTag = new TokContext('<tag', false);
+const tcCloseTag = new TokContext('</tag', false);
+const tcExpr = new TokContext('<tag>...</tag>', true, true);
+
+const jsxTokTypes = {
+    jsxName: new TokenType('jsxName'),
+    jsxText: new TokenType('jsxText', { beforeExpr: true }),
+    jsxTagStart: new TokenType('jsxTagStart', { startsExpr: true }),
+    jsxTagEnd: new TokenType('jsxTagEnd')
+};
+
+jsxTokTypes.jsxTagStart.updateContext = function () {
+    this.context.push(tcExpr);
+    this.context.push(tcOpenTag);
+    this.exprAllowed = false;
+};
+
+jsxTokTypes.jsxTagEnd.updateContext = function (prevType) {
+    const out = this.context.pop();
+    // 自闭合标签或结束标签结束后回到外层
+    if ((out === tcOpenTag && prevType === tt.slash) || out === tcCloseTag) {
+        this.context.pop();
+        this.exprAllowed = this.curContext() === tcExpr;
+    } else {
+        this.exprAllowed = true;
+    }
+};
+
+// 常用的 HTML 实体，其余的原样保留
+const entities = {
+    quot: '"', amp: '&', apos: "'", lt: '<', gt: '>', nbsp: '\u00a0',
+    copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±',
+    times: '×', divide: '÷', middot: '·', para: '¶', sect: '§',
+    cent: '¢', pound: '£', yen: '¥', euro: '€', bull: '•',
+    hellip: '…', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    larr: '←', uarr: '↑', rarr: '→', darr: '↓'
+};
+
+function getQualifiedName(node) {
+    switch (node.type) {
+        case 'JSXIdentifier':
+            return node.name;
+        case 'JSXNamespacedName':
+            return node.namespace.name + ':' + node.name.name;
+        case 'JSXMemberExpression':
+            return getQualifiedName(node.object) + '.' + getQualifiedName(node.property);
+    }
+}
+
+module.exports = function (Parser) {
+    return class extends Parser {
+        // 读取标签之间的文本，遇到 `<` 或 `{` 结束
+        jsxReadToken() {
+            let out = '';
+            let chunkStart = this.pos;
+            for (;;) {
+                if (this.pos >= this.input.length) {
+                    this.raise(this.start, 'Unterminated JSX contents');
+                }
+                const ch = this.input.charCodeAt(this.pos);
+                switch (ch) {
+                    case 60: // <
+                    case 123: // {
+                        if (this.pos === this.start) {
+                            if (ch === 60 && this.exprAllowed) {
+                                ++this.pos;
+                                return this.finishToken(jsxTokTypes.jsxTagStart);
+                            }
+                            return this.getTokenFromCode(ch);
+                        }
+                        out += this.input.slice(chunkStart, this.pos);
+                        return this.finishToken(jsxTokTypes.jsxText, out);
+                    case 38: // &
+                        out += this.input.slice(chunkStart, this.pos);
+                        out += this.jsxReadEntity();
+                        chunkStart = this.pos;
+                        break;
+                    case 62: // >
+                    case 125: // }
+                        this.raise(this.pos, `Unexpected token \`${this.input[this.pos]}\`. Did you mean \`${ch === 62 ? '&gt;' : '&rbrace;'}\` or \`{"${this.input[this.pos]}"}\`?`);
+                        break;
+                    default:
+                        if (isNewLine(ch)) {
+                            out += this.input.slice(chunkStart, this.pos);
+                            out += this.jsxReadNewLine(true);
+                            chunkStart = this.pos;
+                        } else {
+                            ++this.pos;
+                        }
+                }
+            }
+        }
+
+        jsxReadNewLine(normalizeCRLF) {
+            const ch = this.input.charCodeAt(this.pos);
+            let out;
+            ++this.pos;
+            if (ch === 13 && this.input.charCodeAt(this.pos) === 10) {
+                ++this.pos;
+                out = normalizeCRLF ? '\n' : '\r\n';
+            } else {
+                out = String.fromCharCode(ch);
+            }
+            if (this.options.locations) {
+                ++this.curLine;
+                this.lineStart = this.pos;
+            }
+            return out;
+        }
+
+        // 属性值的字符串：可以跨行，不处理反斜杠转义，只处理实体
+        jsxReadString(quote) {
+            let out = '';
+            let chunkStart = ++this.pos;
+            for (;;) {
+                if (this.pos >= this.input.length) {
+                    this.raise(this.start, 'Unterminated string constant');
+                }
+                const ch = this.input.charCodeAt(this.pos);
+                if (ch === quote) {
+                    break;
+                }
+                if (ch === 38) {
+                    out += this.input.slice(chunkStart, this.pos);
+                    out += this.jsxReadEntity();
+                    chunkStart = this.pos;
+                } else if (isNewLine(ch)) {
+                    out += this.input.slice(chunkStart, this.pos);
+                    out += this.jsxReadNewLine(false);
+                    chunkStart = this.pos;
+                } else {
+                    ++this.pos;
+                }
+            }
+            out += this.input.slice(chunkStart, this.pos++);
+            return this.finishToken(tt.string, out);
+        }
+
+        jsxReadEntity() {
+            const startPos = ++this.pos;
+            const semi = this.input.indexOf(';', startPos);
+            const str = semi !== -1 && semi - startPos <= 10 ? this.input.slice(startPos, semi) : '';
+            let entity;
+            if (/^#x[\da-fA-F]+$/.test(str)) {
+                entity = String.fromCodePoint(parseInt(str.slice(2), 16));
+            } else if (/^#\d+$/.test(str)) {
+                entity = String.fromCodePoint(parseInt(str.slice(1), 10));
+            } else if (Object.prototype.hasOwnProperty.call(entities, str)) {
+                entity = entities[str];
+            }
+            if (!entity) {
+                return '&';
+            }
+            this.pos = semi + 1;
+            return entity;
+        }
+
+        // 标签名、属性名里允许出现 `-`
+        jsxReadWord() {
+            const start = this.pos;
+            let ch;
+            do {
+                ch = this.input.charCodeAt(++this.pos);
+            } while (isIdentifierChar(ch) || ch === 45);
+            return this.finishToken(jsxTokTypes.jsxName, this.input.slice(start, this.pos));
+        }
+
+        jsxParseIdentifier() {
+            const node = this.startNode();
+            if (this.type === jsxTokTypes.jsxName) {
+                node.name = this.value;
+            } else if (this.type.keyword) {
+                node.name = this.type.keyword;
+            } else {
+                this.unexpected();
+            }
+            this.next();
+            return this.finishNode(node, 'JSXIdentifier');
+        }
+
+        jsxParseNamespacedName() {
+            const startPos = this.start;
+            const startLoc = this.startLoc;
+            const name = this.jsxParseIdentifier();
+            if (!this.eat(tt.colon)) {
+                return name;
+            }
+            const node = this.startNodeAt(startPos, startLoc);
+            node.namespace = name;
+            node.name = this.jsxParseIdentifier();
+            return this.finishNode(node, 'JSXNamespacedName');
+        }
+
+        // 标签名：div、a:b、A.B.C，片段 <> 没有名字
+        jsxParseElementName() {
+            if (this.type === jsxTokTypes.jsxTagEnd) {
+                return null;
+            }
+            const startPos = this.start;
+            const startLoc = this.startLoc;
+            let node = this.jsxParseNamespacedName();
+            if (this.type === tt.dot && node.type === 'JSXNamespacedName') {
+                this.unexpected();
+            }
+            while (this.eat(tt.dot)) {
+                const member = this.startNodeAt(startPos, startLoc);
+                member.object = node;
+                member.property = this.jsxParseIdentifier();
+                node = this.finishNode(member, 'JSXMemberExpression');
+            }
+            return node;
+        }
+
+        jsxParseAttributeValue() {
+            switch (this.type) {
+                case tt.braceL: {
+                    const node = this.jsxParseExpressionContainer();
+                    if (node.expression.type === 'JSXEmptyExpression') {
+                        this.raise(node.start, 'JSX attributes must only be assigned a non-empty expression');
+                    }
+                    return node;
+                }
+                case jsxTokTypes.jsxTagStart:
+                case tt.string:
+                    return this.parseExprAtom();
+                default:
+                    this.raise(this.start, 'JSX value should be either an expression or a quoted JSX text');
+            }
+        }
+
+        // {} 里什么都没有（或只有注释）时，范围是 `{` 之后到 `}` 之前
+        jsxParseEmptyExpression() {
+            const node = this.startNodeAt(this.lastTokEnd, this.lastTokEndLoc);
+            return this.finishNodeAt(node, 'JSXEmptyExpression', this.start, this.startLoc);
+        }
+
+        // inChildren 为 true 时允许 {...children}
+        jsxParseExpressionContainer(inChildren) {
+            const node = this.startNode();
+            this.next();
+            if (inChildren && this.eat(tt.ellipsis)) {
+                node.expression = this.parseExpression();
+                this.expect(tt.braceR);
+                return this.finishNode(node, 'JSXSpreadChild');
+            }
+            node.expression = this.type === tt.braceR ? this.jsxParseEmptyExpression() : this.parseExpression();
+            this.expect(tt.braceR);
+            return this.finishNode(node, 'JSXExpressionContainer');
+        }
+
+        jsxParseAttribute() {
+            const node = this.startNode();
+            if (this.eat(tt.braceL)) {
+                this.expect(tt.ellipsis);
+                node.argument = this.parseMaybeAssign();
+                this.expect(tt.braceR);
+                return this.finishNode(node, 'JSXSpreadAttribute');
+            }
+            node.name = this.jsxParseNamespacedName();
+            node.value = this.eat(tt.eq) ? this.jsxParseAttributeValue() : null;
+            return this.finishNode(node, 'JSXAttribute');
+        }
+
+        jsxParseOpeningElementAt(startPos, startLoc) {
+            const node = this.startNodeAt(startPos, startLoc);
+            const name = this.jsxParseElementName();
+            if (!name) {
+                this.expect(jsxTokTypes.jsxTagEnd);
+                return this.finishNode(node, 'JSXOpeningFragment');
+            }
+            node.name = name;
+            node.attributes = [];
+            while (this.type !== tt.slash && this.type !== jsxTokTypes.jsxTagEnd) {
+                node.attributes.push(this.jsxParseAttribute());
+            }
+            node.selfClosing = this.eat(tt.slash);
+            this.expect(jsxTokTypes.jsxTagEnd);
+            return this.finishNode(node, 'JSXOpeningElement');
+        }
+
+        jsxParseClosingElementAt(startPos, startLoc) {
+            const node = this.startNodeAt(startPos, startLoc);
+            const name = this.jsxParseElementName();
+            this.expect(jsxTokTypes.jsxTagEnd);
+            if (!name) {
+                return this.finishNode(node, 'JSXClosingFragment');
+            }
+            node.name = name;
+            return this.finishNode(node, 'JSXClosingElement');
+        }
+
+        // 从 `<` 之后开始解析整个元素：开始标签、子节点、结束标签
+        jsxParseElementAt(startPos, startLoc) {
+            const node = this.startNodeAt(startPos, startLoc);
+            const children = [];
+            const openingElement = this.jsxParseOpeningElementAt(startPos, startLoc);
+            let closingElement = null;
+
+            if (!openingElement.selfClosing) {
+                contents: for (;;) {
+                    switch (this.type) {
+                        case jsxTokTypes.jsxTagStart:
+                            startPos = this.start;
+                            startLoc = this.startLoc;
+                            this.next();
+                            if (this.eat(tt.slash)) {
+                                closingElement = this.jsxParseClosingElementAt(startPos, startLoc);
+                                break contents;
+                            }
+                            children.push(this.jsxParseElementAt(startPos, startLoc));
+                            break;
+                        case jsxTokTypes.jsxText:
+                            children.push(this.parseExprAtom());
+                            break;
+                        case tt.braceL:
+                            children.push(this.jsxParseExpressionContainer(true));
+                            break;
+                        default:
+                            this.unexpected();
+                    }
+                }
+                const openName = openingElement.name ? getQualifiedName(openingElement.name) : '';
+                const closeName = closingElement.name ? getQualifiedName(closingElement.name) : '';
+                if (openName !== closeName) {
+                    this.raise(closingElement.start, openName
+                        ? `Expected corresponding JSX closing tag for <${openName}>`
+                        : 'Expected corresponding closing tag for JSX fragment');
+                }
+            }
+            if (this.type === tt.relational && this.value === '<') {
+                this.raise(this.start, 'Adjacent JSX elements must be wrapped in an enclosing tag');
+            }
+
+            node.children = children;
+            if (openingElement.type === 'JSXOpeningFragment') {
+                node.openingFragment = openingElement;
+                node.closingFragment = closingElement;
+                return this.finishNode(node, 'JSXFragment');
+            }
+            node.openingElement = openingElement;
+            node.closingElement = closingElement;
+            return this.finishNode(node, 'JSXElement');
+        }
+
+        parseExprAtom(...args) {
+            if (this.type === jsxTokTypes.jsxText) {
+                const node = this.startNode();
+                node.value = this.value;
+                node.extra = { rawValue: this.value, raw: this.input.slice(this.start, this.end) };
+                this.next();
+                return this.finishNode(node, 'JSXText');
+            }
+            if (this.type === jsxTokTypes.jsxTagStart) {
+                const startPos = this.start;
+                const startLoc = this.startLoc;
+                this.next();
+                return this.jsxParseElementAt(startPos, startLoc);
+            }
+            return super.parseExprAtom(...args);
+        }
+
+        readToken(code) {
+            const context = this.curContext();
+            if (context === tcExpr) {
+                return this.jsxReadToken();
+            }
+            if (context === tcOpenTag || context === tcCloseTag) {
+                if (isIdentifierStart(code)) {
+                    return this.jsxReadWord();
+                }
+                if (code === 62) {
+                    ++this.pos;
+                    return this.finishToken(jsxTokTypes.jsxTagEnd);
+                }
+                if ((code === 34 || code === 39) && context === tcOpenTag) {
+                    return this.jsxReadString(code);
+                }
+            }
+            // `<` 出现在表达式位置就是 JSX 的开始（排除 <!-- 注释）
+            if (code === 60 && this.exprAllowed && this.input.charCodeAt(this.pos + 1) !== 33) {
+                ++this.pos;
+                return this.finishToken(jsxTokTypes.jsxTagStart);
+            }
+            return super.readToken(code);
+        }
+
+        updateContext(prevType) {
+            if (this.type === tt.braceL) {
+                const context = this.curContext();
+                if (context === tcOpenTag) {
+                    this.context.push(tokContexts.b_expr);
+                } else if (context === tcExpr) {
+                    this.context.push(tokContexts.b_tmpl);
+                } else {
+                    super.updateContext(prevType);
+                }
+                this.exprAllowed = true;
+            } else if (this.type === tt.slash && prevType === jsxTokTypes.jsxTagStart) {
+                // `</` 是结束标签，不再是开始标签
+                this.context.length -= 2;
+                this.context.push(tcCloseTag);
+                this.exprAllowed = false;
+            } else {
+                super.updateContext(prevType);
+            }
+        }
+    }
+}
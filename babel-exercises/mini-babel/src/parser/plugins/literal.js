@@ -9,8 +9,26 @@ module.exports = function(Parser) {
                 case 'string':
                     node.type = 'StringLiteral';
                     break;
+                case 'bigint':
+                    node.type = 'BigIntLiteral';
+                    break;
             }
             return  node;
         }
+
+        // true/false/null 和正则不经过 parseLiteral，在这里统一改名
+        parseExprAtom (...args) {
+            const node = super.parseExprAtom(...args);
+            if (node.type === 'Literal') {
+                if (node.regex) {
+                    node.type = 'RegExpLiteral';
+                } else if (typeof node.value === 'boolean') {
+                    node.type = 'BooleanLiteral';
+                } else if (node.value === null) {
+                    node.type = 'NullLiteral';
+                }
+            }
+            return node;
+        }
     }
-}
\ No newline at end of file
+}
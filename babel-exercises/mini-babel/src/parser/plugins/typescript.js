@@ -0,0 +1,1618 @@
+const acorn = require("acorn");
+
+const { tokTypes: tt } = acorn;
+
+// 类型关键字 → 节点类型
+const keywordTypes = {
+    any: 'TSAnyKeyword',
+    unknown: 'TSUnknownKeyword',
+    number: 'TSNumberKeyword',
+    string: 'TSStringKeyword',
+    boolean: 'TSBooleanKeyword',
+    bigint: 'TSBigIntKeyword',
+    symbol: 'TSSymbolKeyword',
+    object: 'TSObjectKeyword',
+    never: 'TSNeverKeyword',
+    undefined: 'TSUndefinedKeyword',
+    intrinsic: 'TSIntrinsicKeyword'
+};
+
+const accessibilityModifiers = ['public', 'private', 'protected'];
+const classMemberModifiers = [...accessibilityModifiers, 'readonly', 'abstract', 'override', 'declare'];
+const parameterModifiers = [...accessibilityModifiers, 'readonly', 'override'];
+
+// 回溯时需要保存、恢复的解析器状态
+const stateKeys = [
+    'pos', 'type', 'value', 'start', 'end', 'startLoc', 'endLoc',
+    'lastTokStart', 'lastTokEnd', 'lastTokStartLoc', 'lastTokEndLoc',
+    'exprAllowed', 'curLine', 'lineStart', 'containsEsc', 'strict',
+    'potentialArrowAt', 'potentialArrowInForAwait', 'yieldPos', 'awaitPos', 'awaitIdentPos'
+];
+
+// declare 后面可以跟的声明
+const declareKeywords = ['var', 'let', 'const', 'function', 'class', 'enum', 'namespace', 'module', 'global', 'type', 'interface', 'abstract'];
+
+// acorn 的 SCOPE_TOP，namespace 的作用域和顶层一样，var 不会再往外提升
+const SCOPE_TOP = 1;
+
+// acorn 的 BIND_LEXICAL，import x = ... 的名字和 import 导入的名字一样是词法声明
+const BIND_LEXICAL = 2;
+
+const skipWhiteSpace = /(?:\s|\/\/.*|\/\*[^]*?\*\/)*/y;
+
+// new Foo<T>() 的类型参数在解析 callee 时就读到了，先记下来
+const newTypeArguments = new WeakMap();
+
+module.exports = function (Parser) {
+    return class extends Parser {
+        // ---------- 回溯与前瞻 ----------
+
+        tsSaveState() {
+            const state = { context: this.context.slice(), onComment: this.options.onComment, comments: [] };
+            stateKeys.forEach(key => state[key] = this[key]);
+            // errorRecovery 模式下尝试解析期间记录的错误，回退时一起丢掉
+            state.errorCount = this.recoveredErrors && this.recoveredErrors.length;
+            // 尝试解析期间的注释先缓存，成功后再交给 onComment，失败则丢弃
+            if (state.onComment) {
+                this.options.onComment = (...args) => state.comments.push(args);
+            }
+            return state;
+        }
+
+        tsRestoreState(state) {
+            stateKeys.forEach(key => this[key] = state[key]);
+            this.context = state.context;
+            this.options.onComment = state.onComment;
+            if (this.recoveredErrors) {
+                this.recoveredErrors.length = state.errorCount;
+            }
+        }
+
+        tsCommitState(state) {
+            this.options.onComment = state.onComment;
+            state.comments.forEach(args => state.onComment(...args));
+        }
+
+        // 尝试按 fn 解析，出现语法错误时回到原来的位置并返回 null
+        tsTryParse(fn) {
+            const state = this.tsSaveState();
+            try {
+                const result = fn();
+                this.tsCommitState(state);
+                return result;
+            } catch (e) {
+                if (!(e instanceof SyntaxError)) {
+                    throw e;
+                }
+                this.tsRestoreState(state);
+                return null;
+            }
+        }
+
+        // 读下一个 token 后执行 fn，然后回到原来的位置
+        tsLookahead(fn) {
+            const state = this.tsSaveState();
+            try {
+                this.next();
+                return fn();
+            } catch (e) {
+                if (!(e instanceof SyntaxError)) {
+                    throw e;
+                }
+                return false;
+            } finally {
+                this.tsRestoreState(state);
+            }
+        }
+
+        // 当前 token 之后（跳过空白和注释）的源码是否匹配 re
+        tsNextMatches(re) {
+            skipWhiteSpace.lastIndex = this.end;
+            skipWhiteSpace.exec(this.input);
+            re.lastIndex = skipWhiteSpace.lastIndex;
+            return re.test(this.input);
+        }
+
+        tsIsLessThan() {
+            return this.type === tt.relational && this.value === '<';
+        }
+
+        tsIsGreaterThan() {
+            return (this.type === tt.relational || this.type === tt.bitShift || this.type === tt.assign) && this.value[0] === '>';
+        }
+
+        // `>>`、`>=` 之类的 token 在类型里要拆开，只消费第一个 `>`
+        tsExpectGreaterThan() {
+            if (!this.tsIsGreaterThan()) {
+                this.unexpected();
+            }
+            if (this.value !== '>') {
+                this.pos = this.start + 1;
+                this.end = this.pos;
+                this.endLoc = this.curPosition();
+                this.type = tt.relational;
+                this.value = '>';
+            }
+            this.next();
+        }
+
+        tsIsContextual(name) {
+            return this.type === tt.name && this.value === name && !this.containsEsc;
+        }
+
+        tsResetEnd(node) {
+            node.end = this.lastTokEnd;
+            if (node.loc) {
+                node.loc.end = this.lastTokEndLoc;
+            }
+            if (node.range) {
+                node.range[1] = this.lastTokEnd;
+            }
+        }
+
+        tsResetStart(node, pos, loc) {
+            node.start = pos;
+            if (node.loc) {
+                node.loc.start = loc;
+            }
+            if (node.range) {
+                node.range[0] = pos;
+            }
+        }
+
+        // ---------- 类型 ----------
+
+        // `: Type`
+        tsParseTypeAnnotation() {
+            const node = this.startNode();
+            this.expect(tt.colon);
+            node.typeAnnotation = this.tsParseType();
+            return this.finishNode(node, 'TSTypeAnnotation');
+        }
+
+        // 返回值类型，额外支持 `x is T`、`asserts x is T`
+        tsParseReturnTypeAnnotation(token = tt.colon) {
+            const node = this.startNode();
+            this.expect(token);
+            node.typeAnnotation = this.tsParseTypePredicateOrType();
+            return this.finishNode(node, 'TSTypeAnnotation');
+        }
+
+        tsParseTypePredicateOrType() {
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const asserts = this.tsIsContextual('asserts') &&
+                this.tsLookahead(() => (this.type === tt.name || this.type === tt._this) && !this.canInsertSemicolon());
+            if (asserts) {
+                this.next();
+            }
+            const isPredicate = (this.type === tt.name || this.type === tt._this) &&
+                this.tsLookahead(() => this.tsIsContextual('is') && !this.canInsertSemicolon());
+            if (!asserts && !isPredicate) {
+                return this.tsParseType();
+            }
+
+            const node = this.startNodeAt(start, startLoc);
+            node.asserts = asserts;
+            node.parameterName = this.type === tt._this ? this.tsParseThisType() : this.parseIdent();
+            node.typeAnnotation = null;
+            if (isPredicate) {
+                const annotation = this.startNode();
+                this.next();
+                annotation.typeAnnotation = this.tsParseType();
+                node.typeAnnotation = this.finishNode(annotation, 'TSTypeAnnotation');
+            }
+            return this.finishNode(node, 'TSTypePredicate');
+        }
+
+        tsParseType() {
+            return this.tsWithinConditionExtends(false, () => {
+                if (this.tsIsLessThan()) {
+                    return this.tsParseFunctionType('TSFunctionType');
+                }
+                if (this.type === tt.parenL) {
+                    const fn = this.tsTryParse(() => this.tsParseFunctionType('TSFunctionType'));
+                    if (fn) {
+                        return fn;
+                    }
+                }
+                if (this.tsIsStartOfConstructorType()) {
+                    return this.tsParseFunctionType('TSConstructorType');
+                }
+
+                const start = this.start;
+                const startLoc = this.startLoc;
+                const type = this.tsParseUnionType();
+                if (this.type !== tt._extends || this.canInsertSemicolon()) {
+                    return type;
+                }
+                // T extends U ? X : Y
+                const node = this.startNodeAt(start, startLoc);
+                node.checkType = type;
+                this.next();
+                node.extendsType = this.tsWithinConditionExtends(true, () => this.tsParseNonConditionalType());
+                this.expect(tt.question);
+                node.trueType = this.tsParseType();
+                this.expect(tt.colon);
+                node.falseType = this.tsParseType();
+                return this.finishNode(node, 'TSConditionalType');
+            });
+        }
+
+        /**
+         * 条件类型的 extends 子句里，infer U extends X 后面的 `?` 属于外层的条件类型；
+         * 括号、元组等嵌套的类型里重新开始，由 tsParseType 恢复成 false
+         */
+        tsWithinConditionExtends(value, fn) {
+            const inConditionExtends = this.tsInConditionExtends;
+            this.tsInConditionExtends = value;
+            try {
+                return fn();
+            } finally {
+                this.tsInConditionExtends = inConditionExtends;
+            }
+        }
+
+        tsParseNonConditionalType() {
+            if (this.tsIsLessThan() || this.type === tt.parenL || this.tsIsStartOfConstructorType()) {
+                const fn = this.tsTryParse(() => this.tsParseFunctionType(this.tsIsStartOfConstructorType() ? 'TSConstructorType' : 'TSFunctionType'));
+                if (fn) {
+                    return fn;
+                }
+            }
+            return this.tsParseUnionType();
+        }
+
+        // new () => X、abstract new () => X
+        tsIsStartOfConstructorType() {
+            return this.type === tt._new ||
+                (this.tsIsContextual('abstract') && this.tsLookahead(() => this.type === tt._new && !this.canInsertSemicolon()));
+        }
+
+        // (a: A) => R、new (a: A) => R
+        tsParseFunctionType(type) {
+            const node = this.startNode();
+            if (type === 'TSConstructorType') {
+                node.abstract = this.tsIsContextual('abstract');
+                node.abstract && this.next();
+                this.expect(tt._new);
+            }
+            this.tsParseSignature(node, tt.arrow);
+            return this.finishNode(node, type);
+        }
+
+        // 函数类型、调用签名、方法签名共用：<T>(a: A): R
+        tsParseSignature(node, returnToken) {
+            node.typeParameters = this.tsIsLessThan() ? this.tsParseTypeParameters() : null;
+            this.expect(tt.parenL);
+            node.parameters = this.parseBindingList(tt.parenR, false, true);
+            node.typeAnnotation = null;
+            if (returnToken === tt.arrow) {
+                node.typeAnnotation = this.tsParseReturnTypeAnnotation(tt.arrow);
+            } else if (this.type === tt.colon) {
+                node.typeAnnotation = this.tsParseReturnTypeAnnotation();
+            }
+        }
+
+        tsParseUnionType() {
+            return this.tsParseUnionOrIntersectionType('TSUnionType', () => this.tsParseIntersectionType(), tt.bitwiseOR);
+        }
+
+        tsParseIntersectionType() {
+            return this.tsParseUnionOrIntersectionType('TSIntersectionType', () => this.tsParseTypeOperatorOrHigher(), tt.bitwiseAND);
+        }
+
+        // 允许开头多一个 `|`/`&`，只有一个成员时直接返回该成员
+        tsParseUnionOrIntersectionType(type, parseConstituent, operator) {
+            const node = this.startNode();
+            const hasLeadingOperator = this.eat(operator);
+            const types = [];
+            do {
+                types.push(parseConstituent());
+            } while (this.eat(operator));
+            if (types.length === 1 && !hasLeadingOperator) {
+                return types[0];
+            }
+            node.types = types;
+            return this.finishNode(node, type);
+        }
+
+        tsParseTypeOperatorOrHigher() {
+            const isOperator = ['keyof', 'unique', 'readonly'].some(name => this.tsIsContextual(name)) &&
+                this.tsLookahead(() => this.tsIsStartOfType());
+            if (isOperator) {
+                const node = this.startNode();
+                node.operator = this.value;
+                this.next();
+                node.typeAnnotation = this.tsParseTypeOperatorOrHigher();
+                return this.finishNode(node, 'TSTypeOperator');
+            }
+            if (this.tsIsContextual('infer')) {
+                const node = this.startNode();
+                this.next();
+                const typeParameter = this.startNode();
+                typeParameter.name = this.parseIdent().name;
+                typeParameter.constraint = this.tsParseInferConstraint();
+                node.typeParameter = this.finishNode(typeParameter, 'TSTypeParameter');
+                return this.finishNode(node, 'TSInferType');
+            }
+            return this.tsParseArrayTypeOrHigher();
+        }
+
+        /**
+         * infer U extends X：不在条件类型的 extends 子句里时，后面跟着 `?` 说明 extends 是条件类型，
+         * 如 [infer U extends X ? A : B]，这时回退，约束留给条件类型
+         */
+        tsParseInferConstraint() {
+            if (this.type !== tt._extends) {
+                return undefined;
+            }
+            const constraint = this.tsTryParse(() => {
+                this.next();
+                const type = this.tsWithinConditionExtends(true, () => this.tsParseNonConditionalType());
+                if (!this.tsInConditionExtends && this.type === tt.question) {
+                    this.unexpected();
+                }
+                return type;
+            });
+            return constraint || undefined;
+        }
+
+        tsIsStartOfType() {
+            return this.type === tt.name || this.type === tt.string || this.type === tt.num ||
+                this.type === tt.braceL || this.type === tt.bracketL || this.type === tt.parenL ||
+                this.type === tt.backQuote || this.type === tt.plusMin ||
+                this.type === tt._void || this.type === tt._null || this.type === tt._this ||
+                this.type === tt._typeof || this.type === tt._true || this.type === tt._false ||
+                this.type === tt._new || this.type === tt._import || this.tsIsLessThan();
+        }
+
+        // T[]、T[K]，换行后的 `[` 不算
+        tsParseArrayTypeOrHigher() {
+            let type = this.tsParseNonArrayType();
+            while (this.type === tt.bracketL && !this.canInsertSemicolon()) {
+                const node = this.startNodeAt(type.start, type.loc && type.loc.start);
+                this.next();
+                if (this.eat(tt.bracketR)) {
+                    node.elementType = type;
+                    type = this.finishNode(node, 'TSArrayType');
+                } else {
+                    node.objectType = type;
+                    node.indexType = this.tsParseType();
+                    this.expect(tt.bracketR);
+                    type = this.finishNode(node, 'TSIndexedAccessType');
+                }
+            }
+            return type;
+        }
+
+        tsParseNonArrayType() {
+            switch (this.type) {
+                case tt.name:
+                    if (keywordTypes[this.value] && !this.containsEsc && !this.tsNextMatches(/\./y)) {
+                        const node = this.startNode();
+                        const type = keywordTypes[this.value];
+                        this.next();
+                        return this.finishNode(node, type);
+                    }
+                    return this.tsParseTypeReference();
+                case tt._void:
+                case tt._null: {
+                    const node = this.startNode();
+                    const type = this.type === tt._void ? 'TSVoidKeyword' : 'TSNullKeyword';
+                    this.next();
+                    return this.finishNode(node, type);
+                }
+                case tt._this:
+                    return this.tsParseThisType();
+                case tt._typeof:
+                    return this.tsParseTypeQuery();
+                case tt._import:
+                    return this.tsParseImportType();
+                case tt.string:
+                case tt.num:
+                case tt._true:
+                case tt._false:
+                    return this.tsParseLiteralType(this.type === tt.string || this.type === tt.num ? this.parseLiteral(this.value) : this.parseExprAtom());
+                case tt.plusMin:
+                    if (this.value === '-') {
+                        const literal = this.startNode();
+                        this.next();
+                        if (this.type !== tt.num) {
+                            this.unexpected();
+                        }
+                        literal.operator = '-';
+                        literal.prefix = true;
+                        literal.argument = this.parseLiteral(this.value);
+                        return this.tsParseLiteralType(this.finishNode(literal, 'UnaryExpression'));
+                    }
+                    break;
+                case tt.backQuote:
+                    return this.tsParseLiteralType(this.tsParseTemplateLiteralType());
+                case tt.braceL:
+                    return this.tsIsStartOfMappedType() ? this.tsParseMappedType() : this.tsParseTypeLiteral();
+                case tt.bracketL:
+                    return this.tsParseTupleType();
+                case tt.parenL: {
+                    this.next();
+                    const type = this.tsParseType();
+                    this.expect(tt.parenR);
+                    return type;
+                }
+            }
+            this.unexpected();
+        }
+
+        tsParseThisType() {
+            const node = this.startNode();
+            this.next();
+            return this.finishNode(node, 'TSThisType');
+        }
+
+        tsParseLiteralType(literal) {
+            const node = this.startNodeAt(literal.start, literal.loc && literal.loc.start);
+            node.literal = literal;
+            return this.finishNode(node, 'TSLiteralType');
+        }
+
+        // `prefix${T}` 里的插值是类型
+        tsParseTemplateLiteralType() {
+            const node = this.startNode();
+            this.next();
+            node.expressions = [];
+            let element = this.parseTemplateElement({ isTagged: false });
+            node.quasis = [element];
+            while (!element.tail) {
+                if (this.type === tt.eof) {
+                    this.raise(this.pos, 'Unterminated template literal');
+                }
+                this.expect(tt.dollarBraceL);
+                node.expressions.push(this.tsParseType());
+                this.expect(tt.braceR);
+                node.quasis.push(element = this.parseTemplateElement({ isTagged: false }));
+            }
+            this.next();
+            return this.finishNode(node, 'TemplateLiteral');
+        }
+
+        // a.b.c
+        tsParseEntityName() {
+            let entity = this.parseIdent(true);
+            while (this.eat(tt.dot)) {
+                const node = this.startNodeAt(entity.start, entity.loc && entity.loc.start);
+                node.left = entity;
+                node.right = this.parseIdent(true);
+                entity = this.finishNode(node, 'TSQualifiedName');
+            }
+            return entity;
+        }
+
+        tsParseTypeReference() {
+            const node = this.startNode();
+            node.typeName = this.tsParseEntityName();
+            if (this.tsIsLessThan() && !this.canInsertSemicolon()) {
+                node.typeParameters = this.tsParseTypeArguments();
+            }
+            return this.finishNode(node, 'TSTypeReference');
+        }
+
+        tsParseTypeQuery() {
+            const node = this.startNode();
+            this.next();
+            node.exprName = this.type === tt._import ? this.tsParseImportType() : this.tsParseEntityName();
+            if (this.tsIsLessThan() && !this.canInsertSemicolon()) {
+                node.typeParameters = this.tsParseTypeArguments();
+            }
+            return this.finishNode(node, 'TSTypeQuery');
+        }
+
+        // import('./a').A.B<T>，typeof import('./a') 也用它
+        tsParseImportType() {
+            const node = this.startNode();
+            this.expect(tt._import);
+            this.expect(tt.parenL);
+            if (this.type !== tt.string) {
+                this.raise(this.start, 'Argument in a type import must be a string literal');
+            }
+            node.argument = this.parseLiteral(this.value);
+            this.expect(tt.parenR);
+            node.qualifier = this.eat(tt.dot) ? this.tsParseEntityName() : null;
+            if (this.tsIsLessThan() && !this.canInsertSemicolon()) {
+                node.typeParameters = this.tsParseTypeArguments();
+            }
+            return this.finishNode(node, 'TSImportType');
+        }
+
+        tsParseTupleType() {
+            const node = this.startNode();
+            this.next();
+            node.elementTypes = [];
+            while (!this.eat(tt.bracketR)) {
+                node.elementTypes.push(this.tsParseTupleElementType());
+                if (this.type !== tt.bracketR) {
+                    this.expect(tt.comma);
+                }
+            }
+            return this.finishNode(node, 'TSTupleType');
+        }
+
+        // T、T?、...T、name: T、name?: T
+        tsParseTupleElementType() {
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const rest = this.eat(tt.ellipsis);
+            let type;
+            if (this.type === tt.name && this.tsNextMatches(/\??\s*:/y)) {
+                const member = this.startNode();
+                member.label = this.parseIdent();
+                member.optional = this.eat(tt.question);
+                this.expect(tt.colon);
+                member.elementType = this.tsParseType();
+                type = this.finishNode(member, 'TSNamedTupleMember');
+            } else {
+                type = this.tsParseType();
+                if (this.type === tt.question) {
+                    const optional = this.startNodeAt(type.start, type.loc && type.loc.start);
+                    this.next();
+                    optional.typeAnnotation = type;
+                    type = this.finishNode(optional, 'TSOptionalType');
+                }
+            }
+            if (!rest) {
+                return type;
+            }
+            const node = this.startNodeAt(start, startLoc);
+            node.typeAnnotation = type;
+            return this.finishNode(node, 'TSRestType');
+        }
+
+        // { [K in T]: X }、{ readonly [K in T]?: X }、{ -readonly [K in T]-?: X }
+        tsIsStartOfMappedType() {
+            return this.tsLookahead(() => {
+                if (this.type === tt.plusMin) {
+                    this.next();
+                    if (!this.tsIsContextual('readonly')) {
+                        return false;
+                    }
+                }
+                if (this.tsIsContextual('readonly')) {
+                    this.next();
+                }
+                if (this.type !== tt.bracketL) {
+                    return false;
+                }
+                this.next();
+                if (this.type !== tt.name) {
+                    return false;
+                }
+                this.next();
+                return this.type === tt._in;
+            });
+        }
+
+        tsParseMappedTypeModifier(name) {
+            if (this.type === tt.plusMin) {
+                const modifier = this.value;
+                this.next();
+                if (name === 'readonly') {
+                    this.expect(tt.name);
+                } else {
+                    this.expect(tt.question);
+                }
+                return modifier;
+            }
+            if (name === 'readonly' ? this.tsIsContextual('readonly') : this.type === tt.question) {
+                this.next();
+                return true;
+            }
+            return undefined;
+        }
+
+        tsParseMappedType() {
+            const node = this.startNode();
+            this.expect(tt.braceL);
+            node.readonly = this.tsParseMappedTypeModifier('readonly');
+            this.expect(tt.bracketL);
+            const typeParameter = this.startNode();
+            typeParameter.name = this.parseIdent().name;
+            this.expect(tt._in);
+            typeParameter.constraint = this.tsParseType();
+            node.typeParameter = this.finishNode(typeParameter, 'TSTypeParameter');
+            node.nameType = this.eatContextual('as') ? this.tsParseType() : null;
+            this.expect(tt.bracketR);
+            node.optional = this.tsParseMappedTypeModifier('optional');
+            node.typeAnnotation = this.type === tt.colon ? (this.next(), this.tsParseType()) : undefined;
+            this.eat(tt.semi) || this.eat(tt.comma);
+            this.expect(tt.braceR);
+            return this.finishNode(node, 'TSMappedType');
+        }
+
+        tsParseTypeLiteral() {
+            const node = this.startNode();
+            node.members = this.tsParseObjectTypeMembers();
+            return this.finishNode(node, 'TSTypeLiteral');
+        }
+
+        tsParseObjectTypeMembers() {
+            this.expect(tt.braceL);
+            const members = [];
+            while (!this.eat(tt.braceR)) {
+                members.push(this.tsParseTypeMember());
+            }
+            return members;
+        }
+
+        // 成员之间用 `,`、`;` 或换行分隔
+        tsParseTypeMemberSemicolon() {
+            if (!this.eat(tt.comma) && !this.eat(tt.semi) && !this.canInsertSemicolon()) {
+                this.unexpected();
+            }
+        }
+
+        tsIsStartOfIndexSignature() {
+            return this.type === tt.bracketL && this.tsLookahead(() => this.type === tt.name && this.tsNextMatches(/:/y));
+        }
+
+        tsParseIndexSignature(node) {
+            this.expect(tt.bracketL);
+            const parameter = this.parseIdent();
+            parameter.typeAnnotation = this.tsParseTypeAnnotation();
+            this.tsResetEnd(parameter);
+            this.expect(tt.bracketR);
+            node.parameters = [parameter];
+            if (this.type === tt.colon) {
+                node.typeAnnotation = this.tsParseTypeAnnotation();
+            }
+            this.tsParseTypeMemberSemicolon();
+            return this.finishNode(node, 'TSIndexSignature');
+        }
+
+        tsParseTypeMember() {
+            const node = this.startNode();
+            if (this.type === tt.parenL || this.tsIsLessThan()) {
+                this.tsParseSignature(node, tt.colon);
+                this.tsParseTypeMemberSemicolon();
+                return this.finishNode(node, 'TSCallSignatureDeclaration');
+            }
+            if (this.type === tt._new && this.tsLookahead(() => this.type === tt.parenL || this.tsIsLessThan())) {
+                this.next();
+                this.tsParseSignature(node, tt.colon);
+                this.tsParseTypeMemberSemicolon();
+                return this.finishNode(node, 'TSConstructSignatureDeclaration');
+            }
+            if (this.tsIsContextual('readonly') && this.tsLookahead(() => this.tsIsPropertyNameStart() && !this.canInsertSemicolon())) {
+                this.next();
+                node.readonly = true;
+            }
+            if (this.tsIsStartOfIndexSignature()) {
+                return this.tsParseIndexSignature(node);
+            }
+
+            // get x(): T、set x(v: T)
+            let kind = 'method';
+            if ((this.tsIsContextual('get') || this.tsIsContextual('set')) &&
+                this.tsLookahead(() => this.tsIsPropertyNameStart() && !this.canInsertSemicolon())) {
+                kind = this.value;
+                this.next();
+            }
+            this.parsePropertyName(node);
+            if (this.eat(tt.question)) {
+                node.optional = true;
+            }
+            if (kind !== 'method' || this.type === tt.parenL || this.tsIsLessThan()) {
+                node.kind = kind;
+                this.tsParseSignature(node, tt.colon);
+                this.tsParseTypeMemberSemicolon();
+                return this.finishNode(node, 'TSMethodSignature');
+            }
+            if (this.type === tt.colon) {
+                node.typeAnnotation = this.tsParseTypeAnnotation();
+            }
+            this.tsParseTypeMemberSemicolon();
+            return this.finishNode(node, 'TSPropertySignature');
+        }
+
+        tsIsPropertyNameStart() {
+            return this.type === tt.name || this.type === tt.string || this.type === tt.num ||
+                this.type === tt.bracketL || this.type === tt.privateId || !!this.type.keyword;
+        }
+
+        // <T extends U = D, ...>
+        tsParseTypeParameters() {
+            const node = this.startNode();
+            if (!this.tsIsLessThan()) {
+                this.unexpected();
+            }
+            this.next();
+            node.params = [];
+            while (!this.tsIsGreaterThan()) {
+                const param = this.startNode();
+                param.name = this.parseIdent().name;
+                param.constraint = this.eat(tt._extends) ? this.tsParseType() : undefined;
+                param.default = this.eat(tt.eq) ? this.tsParseType() : undefined;
+                node.params.push(this.finishNode(param, 'TSTypeParameter'));
+                if (!this.tsIsGreaterThan()) {
+                    this.expect(tt.comma);
+                }
+            }
+            if (!node.params.length) {
+                this.raise(node.start, 'Type parameter list cannot be empty');
+            }
+            this.tsExpectGreaterThan();
+            return this.finishNode(node, 'TSTypeParameterDeclaration');
+        }
+
+        // <A, B>
+        tsParseTypeArguments() {
+            const node = this.startNode();
+            if (!this.tsIsLessThan()) {
+                this.unexpected();
+            }
+            this.next();
+            node.params = [];
+            while (!this.tsIsGreaterThan()) {
+                node.params.push(this.tsParseType());
+                if (!this.tsIsGreaterThan()) {
+                    this.expect(tt.comma);
+                }
+            }
+            this.tsExpectGreaterThan();
+            return this.finishNode(node, 'TSTypeParameterInstantiation');
+        }
+
+        // extends A<T>, B.C
+        tsParseHeritageClause() {
+            const list = [];
+            do {
+                const node = this.startNode();
+                node.expression = this.tsParseEntityName();
+                if (this.tsIsLessThan()) {
+                    node.typeParameters = this.tsParseTypeArguments();
+                }
+                list.push(this.finishNode(node, 'TSExpressionWithTypeArguments'));
+            } while (this.eat(tt.comma));
+            return list;
+        }
+
+        // 修饰符后面必须紧跟成员名，否则修饰符本身就是名字（如 `readonly() {}`）
+        tsParseModifiers(allowed) {
+            const modifiers = {};
+            while (this.type === tt.name && !this.containsEsc && allowed.includes(this.value) &&
+                this.tsLookahead(() => !this.canInsertSemicolon() && (this.tsIsPropertyNameStart() ||
+                    this.type === tt.braceL || this.type === tt.star || this.type === tt.ellipsis))) {
+                const modifier = this.value;
+                if (accessibilityModifiers.includes(modifier)) {
+                    if (modifiers.accessibility) {
+                        this.raise(this.start, 'Accessibility modifier already seen');
+                    }
+                    modifiers.accessibility = modifier;
+                } else {
+                    if (modifiers[modifier]) {
+                        this.raise(this.start, `Duplicate modifier: '${modifier}'`);
+                    }
+                    modifiers[modifier] = true;
+                }
+                this.next();
+            }
+            return modifiers;
+        }
+
+        // ---------- 声明 ----------
+
+        tsParseTypeAliasDeclaration(node) {
+            this.next();
+            node.id = this.parseIdent();
+            this.tsDeclareTypeName(node.id.name);
+            node.typeParameters = this.tsIsLessThan() ? this.tsParseTypeParameters() : null;
+            this.expect(tt.eq);
+            node.typeAnnotation = this.tsParseType();
+            this.semicolon();
+            return this.finishNode(node, 'TSTypeAliasDeclaration');
+        }
+
+        tsParseInterfaceDeclaration(node) {
+            this.next();
+            node.id = this.parseIdent();
+            this.tsDeclareTypeName(node.id.name);
+            node.typeParameters = this.tsIsLessThan() ? this.tsParseTypeParameters() : null;
+            if (this.eat(tt._extends)) {
+                node.extends = this.tsParseHeritageClause();
+            }
+            const body = this.startNode();
+            body.body = this.tsParseObjectTypeMembers();
+            node.body = this.finishNode(body, 'TSInterfaceBody');
+            return this.finishNode(node, 'TSInterfaceDeclaration');
+        }
+
+        // 类型名不进入 acorn 的作用域（可以和同名变量共存），只用来通过 export { T } 的检查
+        tsDeclareTypeName(name) {
+            this.tsTypeNames = this.tsTypeNames || new Set();
+            this.tsTypeNames.add(name);
+            if (this.undefinedExports) {
+                delete this.undefinedExports[name];
+            }
+        }
+
+        tsIsDeclarationStart(keyword) {
+            return this.tsIsContextual(keyword) && this.tsLookahead(() => this.type === tt.name && !this.canInsertSemicolon());
+        }
+
+        // enum E { A, B = 1, C = 'c' }，const enum 的 `const` 已经读过了
+        tsParseEnumDeclaration(node, isConst) {
+            this.next();
+            node.id = this.parseIdent();
+            // 同名的 enum 可以合并，和 type 一样不进入 acorn 的作用域
+            this.tsDeclareTypeName(node.id.name);
+            if (isConst) {
+                node.const = true;
+            }
+            node.members = [];
+            this.expect(tt.braceL);
+            while (!this.eat(tt.braceR)) {
+                const member = this.startNode();
+                member.id = this.type === tt.string ? this.parseLiteral(this.value) : this.parseIdent(true);
+                if (this.eat(tt.eq)) {
+                    member.initializer = this.parseMaybeAssign();
+                }
+                node.members.push(this.finishNode(member, 'TSEnumMember'));
+                if (this.type !== tt.braceR) {
+                    this.expect(tt.comma);
+                }
+            }
+            return this.finishNode(node, 'TSEnumDeclaration');
+        }
+
+        tsIsModuleDeclarationStart() {
+            if (this.tsIsContextual('module')) {
+                return this.tsLookahead(() => (this.type === tt.name || this.type === tt.string) && !this.canInsertSemicolon());
+            }
+            return this.tsIsDeclarationStart('namespace') ||
+                (this.tsInDeclare && this.tsIsContextual('global') && this.tsLookahead(() => this.type === tt.braceL));
+        }
+
+        /**
+         * namespace A.B { ... }、module 'x' { ... }、declare global { ... }，
+         * A.B 拆成嵌套的两层 TSModuleDeclaration，只有最里层有 TSModuleBlock
+         */
+        tsParseModuleDeclaration(node, nested) {
+            if (!nested) {
+                node.kind = this.tsIsContextual('global') ? 'global' : this.value;
+                if (node.kind !== 'global') {
+                    this.next();
+                }
+            }
+            if (this.type === tt.string) {
+                node.id = this.parseLiteral(this.value);
+            } else {
+                node.id = this.parseIdent();
+                nested || this.tsDeclareTypeName(node.id.name);
+            }
+            if (node.id.type === 'Identifier' && this.eat(tt.dot)) {
+                node.body = this.tsParseModuleDeclaration(this.startNode(), true);
+            } else if (node.id.type === 'Literal' && this.type !== tt.braceL) {
+                // declare module 'x'; 只声明模块存在
+                this.semicolon();
+            } else {
+                node.body = this.tsParseModuleBlock();
+            }
+            return this.finishNode(node, 'TSModuleDeclaration');
+        }
+
+        // namespace 里是独立的作用域，export 只能导出声明
+        tsParseModuleBlock() {
+            const node = this.startNode();
+            node.body = [];
+            this.expect(tt.braceL);
+            this.enterScope(SCOPE_TOP);
+            while (!this.eat(tt.braceR)) {
+                if (this.type === tt._export) {
+                    const exportNode = this.startNode();
+                    this.next();
+                    exportNode.declaration = this.parseStatement(null);
+                    exportNode.specifiers = [];
+                    exportNode.source = null;
+                    node.body.push(this.finishNode(exportNode, 'ExportNamedDeclaration'));
+                } else {
+                    node.body.push(this.parseStatement(null));
+                }
+            }
+            this.exitScope();
+            return this.finishNode(node, 'TSModuleBlock');
+        }
+
+        tsIsDeclareStart() {
+            return this.tsIsContextual('declare') && this.tsLookahead(() => !this.canInsertSemicolon() &&
+                (declareKeywords.includes(this.type.keyword) || (this.type === tt.name && declareKeywords.includes(this.value))));
+        }
+
+        // declare const x: T; declare function f(): void; declare module 'x' {} 等，只有类型层面的声明
+        tsParseDeclare(context, topLevel, exports) {
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const inDeclare = this.tsInDeclare;
+            this.next();
+            this.tsInDeclare = true;
+            try {
+                const node = this.parseStatement(context, topLevel, exports);
+                node.declare = true;
+                this.tsResetStart(node, start, startLoc);
+                return node;
+            } finally {
+                this.tsInDeclare = inDeclare;
+            }
+        }
+
+        parseStatement(context, topLevel, exports) {
+            if (this.tsIsDeclarationStart('type')) {
+                return this.tsParseTypeAliasDeclaration(this.startNode());
+            }
+            if (this.tsIsDeclarationStart('interface')) {
+                return this.tsParseInterfaceDeclaration(this.startNode());
+            }
+            if (this.tsIsDeclarationStart('enum')) {
+                return this.tsParseEnumDeclaration(this.startNode());
+            }
+            if (this.type === tt._const && this.tsLookahead(() => this.tsIsContextual('enum'))) {
+                const node = this.startNode();
+                this.next();
+                return this.tsParseEnumDeclaration(node, true);
+            }
+            if (this.tsIsModuleDeclarationStart()) {
+                return this.tsParseModuleDeclaration(this.startNode());
+            }
+            if (this.tsIsDeclareStart()) {
+                return this.tsParseDeclare(context, topLevel, exports);
+            }
+            if (this.tsIsContextual('abstract') && this.tsLookahead(() => this.type === tt._class && !this.canInsertSemicolon())) {
+                const start = this.start;
+                const startLoc = this.startLoc;
+                this.next();
+                const node = super.parseStatement(context, topLevel, exports);
+                node.abstract = true;
+                this.tsResetStart(node, start, startLoc);
+                return node;
+            }
+            return super.parseStatement(context, topLevel, exports);
+        }
+
+        shouldParseExportStatement() {
+            return this.tsIsDeclarationStart('type') || this.tsIsDeclarationStart('interface') ||
+                this.tsIsDeclarationStart('enum') || this.tsIsModuleDeclarationStart() || this.tsIsDeclareStart() ||
+                this.tsIsContextual('abstract') || super.shouldParseExportStatement();
+        }
+
+        // export default interface A {}、export default abstract class {}
+        parseExportDefaultDeclaration() {
+            if (this.tsIsDeclarationStart('interface')) {
+                return this.tsParseInterfaceDeclaration(this.startNode());
+            }
+            if (this.tsIsContextual('abstract') && this.tsLookahead(() => this.type === tt._class && !this.canInsertSemicolon())) {
+                const node = this.startNode();
+                this.next();
+                const declaration = this.parseClass(node, 'nullableID');
+                declaration.abstract = true;
+                return declaration;
+            }
+            return super.parseExportDefaultDeclaration();
+        }
+
+        // export type { A } from './a'、export { type A }，只导出类型
+        parseExport(node, exports) {
+            // export import A = N.A、export = x
+            if (this.tsLookahead(() => this.type === tt._import)) {
+                this.next();
+                this.next();
+                const declaration = this.tsParseImportEqualsDeclaration(node, true);
+                this.checkExport(exports, declaration.id, declaration.id.start);
+                return declaration;
+            }
+            if (this.tsLookahead(() => this.type === tt.eq)) {
+                this.next();
+                this.next();
+                node.expression = this.parseExpression();
+                this.semicolon();
+                return this.finishNode(node, 'TSExportAssignment');
+            }
+            this.tsExportKind = 'value';
+            super.parseExport(node, exports);
+            if (node.type === 'ExportNamedDeclaration') {
+                const declaration = node.declaration;
+                node.exportKind = declaration && (declaration.declare || /^TS(TypeAlias|Interface)Declaration$/.test(declaration.type))
+                    ? 'type'
+                    : this.tsExportKind;
+            }
+            return node;
+        }
+
+        parseExportSpecifiers(exports) {
+            if (this.tsIsContextual('type') && this.tsLookahead(() => this.type === tt.braceL)) {
+                this.next();
+                this.tsExportKind = 'type';
+            }
+            return super.parseExportSpecifiers(exports);
+        }
+
+        parseExportSpecifier(exports) {
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const isType = this.tsIsSpecifierTypeModifier();
+            isType && this.next();
+            const node = super.parseExportSpecifier(exports);
+            node.exportKind = isType ? 'type' : 'value';
+            this.tsResetStart(node, start, startLoc);
+            return node;
+        }
+
+        /**
+         * { type A }、{ type A as B } 里的 type 是修饰符，{ type }、{ type as B } 里的 type 是名字，
+         * { type as as B } 是类型 as 改名为 B
+         */
+        tsIsSpecifierTypeModifier() {
+            return this.tsIsContextual('type') && this.tsNextMatches(/(?:as\s+as\s+[\p{ID_Start}$_\\]|(?!as\b)["'\p{ID_Start}$_\\])/uy);
+        }
+
+        // import type A from './a'、import type { A } from './a'、import type * as ns from './a'
+        parseImport(node) {
+            if (this.tsIsImportEqualsStart()) {
+                this.next();
+                return this.tsParseImportEqualsDeclaration(node, false);
+            }
+            this.tsImportKind = 'value';
+            super.parseImport(node);
+            node.importKind = this.tsImportKind;
+            return node;
+        }
+
+        // import A = ...、import type A = ...，import type = ... 里的 type 是名字
+        tsIsImportEqualsStart() {
+            return this.tsLookahead(() => {
+                if (this.tsIsContextual('type') && this.tsLookahead(() => this.type === tt.name)) {
+                    this.next();
+                }
+                return this.type === tt.name && this.tsLookahead(() => this.type === tt.eq);
+            });
+        }
+
+        // import A = require('a')、import A = N.A，export import 时 isExport 为 true
+        tsParseImportEqualsDeclaration(node, isExport) {
+            node.isExport = isExport;
+            node.importKind = 'value';
+            if (this.tsIsContextual('type') && this.tsLookahead(() => this.type === tt.name)) {
+                this.next();
+                node.importKind = 'type';
+            }
+            node.id = this.parseIdent();
+            this.checkLValSimple(node.id, BIND_LEXICAL);
+            this.expect(tt.eq);
+            if (this.tsIsContextual('require') && this.tsLookahead(() => this.type === tt.parenL)) {
+                const reference = this.startNode();
+                this.next();
+                this.expect(tt.parenL);
+                if (this.type !== tt.string) {
+                    this.unexpected();
+                }
+                reference.expression = this.parseLiteral(this.value);
+                this.expect(tt.parenR);
+                node.moduleReference = this.finishNode(reference, 'TSExternalModuleReference');
+            } else {
+                node.moduleReference = this.tsParseEntityName();
+            }
+            this.semicolon();
+            return this.finishNode(node, 'TSImportEqualsDeclaration');
+        }
+
+        parseImportSpecifiers() {
+            // import type from './a' 导入的是名为 type 的默认导出
+            if (this.tsIsContextual('type') && this.tsNextMatches(/(?:[{*]|from\s+from\b|(?!from\b)[\p{ID_Start}$_\\])/uy)) {
+                this.next();
+                this.tsImportKind = 'type';
+            }
+            return super.parseImportSpecifiers();
+        }
+
+        parseImportSpecifier() {
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const isType = this.tsIsSpecifierTypeModifier();
+            isType && this.next();
+            const node = super.parseImportSpecifier();
+            node.importKind = isType ? 'type' : 'value';
+            this.tsResetStart(node, start, startLoc);
+            return node;
+        }
+
+        checkLocalExport(id) {
+            if (this.tsTypeNames && this.tsTypeNames.has(id.name)) {
+                return;
+            }
+            super.checkLocalExport(id);
+        }
+
+        // 函数重载的声明和实现同名，不能算重复导出
+        checkExport(exports, name, pos) {
+            const declared = this.tsLastDeclareFunction;
+            this.tsLastDeclareFunction = null;
+            if (declared && declared.id === name) {
+                return;
+            }
+            super.checkExport(exports, name, pos);
+        }
+
+        parseVarId(decl, kind) {
+            super.parseVarId(decl, kind);
+            if (this.type === tt.prefix && this.value === '!') {
+                this.next();
+                decl.definite = true;
+            }
+            if (this.type === tt.colon) {
+                decl.id.typeAnnotation = this.tsParseTypeAnnotation();
+                this.tsResetEnd(decl.id);
+            }
+        }
+
+        // declare 里的变量可以没有初始值：declare const x: number;
+        parseVar(node, isFor, kind, allowMissingInitializer) {
+            return super.parseVar(node, isFor, kind, allowMissingInitializer || this.tsInDeclare);
+        }
+
+        // ---------- 函数 ----------
+
+        parseFunctionParams(node) {
+            if (this.tsIsLessThan()) {
+                node.typeParameters = this.tsParseTypeParameters();
+            }
+            super.parseFunctionParams(node);
+        }
+
+        parseFunctionBody(node, isArrowFunction, isMethod, forInit) {
+            if (!isArrowFunction && this.type === tt.colon) {
+                node.returnType = this.tsParseReturnTypeAnnotation();
+            }
+            // 没有函数体：重载签名、抽象方法
+            if (!isArrowFunction && this.type !== tt.braceL && (this.type === tt.semi || this.canInsertSemicolon())) {
+                node.body = null;
+                this.exitScope();
+                return;
+            }
+            super.parseFunctionBody(node, isArrowFunction, isMethod, forInit);
+        }
+
+        parseFunction(node, statement, allowExpressionBody, isAsync, forInit) {
+            super.parseFunction(node, statement, allowExpressionBody, isAsync, forInit);
+            if (node.body !== null) {
+                return node;
+            }
+            if (node.type !== 'FunctionDeclaration') {
+                this.raise(node.start, 'Function implementation is missing');
+            }
+            // 重载签名不是真正的声明，从 acorn 的作用域里去掉，后面的实现才不会报重复声明
+            const scope = this.currentScope();
+            ['var', 'lexical', 'functions'].forEach(kind => {
+                const index = scope[kind].lastIndexOf(node.id.name);
+                if (index !== -1) {
+                    scope[kind].splice(index, 1);
+                }
+            });
+            this.eat(tt.semi);
+            this.tsLastDeclareFunction = node;
+            node.type = 'TSDeclareFunction';
+            return node;
+        }
+
+        parseMethod(isGenerator, isAsync, allowDirectSuper) {
+            const typeParameters = this.tsPendingTypeParameters || (this.tsIsLessThan() ? this.tsParseTypeParameters() : null);
+            this.tsPendingTypeParameters = null;
+            const node = super.parseMethod(isGenerator, isAsync, allowDirectSuper);
+            if (typeParameters) {
+                node.typeParameters = typeParameters;
+            }
+            return node;
+        }
+
+        // 参数的 `?` 和类型注解：a?: T = 1
+        parseMaybeDefault(startPos, startLoc, left) {
+            if (!left) {
+                left = this.parseBindingAtom();
+                if (this.type === tt.question) {
+                    this.next();
+                    left.optional = true;
+                }
+                if (this.type === tt.colon) {
+                    left.typeAnnotation = this.tsParseTypeAnnotation();
+                }
+                this.tsResetEnd(left);
+            }
+            return super.parseMaybeDefault(startPos, startLoc, left);
+        }
+
+        parseRestBinding() {
+            const node = super.parseRestBinding();
+            if (this.type === tt.colon) {
+                node.typeAnnotation = this.tsParseTypeAnnotation();
+                this.tsResetEnd(node);
+            }
+            return node;
+        }
+
+        parseBindingAtom() {
+            const inCatchParam = this.tsInCatchParam;
+            this.tsInCatchParam = false;
+            const node = super.parseBindingAtom();
+            if (inCatchParam && this.type === tt.colon) {
+                node.typeAnnotation = this.tsParseTypeAnnotation();
+                this.tsResetEnd(node);
+            }
+            return node;
+        }
+
+        parseCatchClauseParam() {
+            this.tsInCatchParam = true;
+            return super.parseCatchClauseParam();
+        }
+
+        // function f(this: Window, a) 的 this 参数只能写在第一个，记作名为 this 的参数
+        parseBindingList(close, allowEmpty, allowTrailingComma, allowModifiers) {
+            if (close !== tt.parenR || this.type !== tt._this) {
+                return super.parseBindingList(close, allowEmpty, allowTrailingComma, allowModifiers);
+            }
+            const param = this.startNode();
+            this.next();
+            param.name = 'this';
+            if (this.type === tt.colon) {
+                param.typeAnnotation = this.tsParseTypeAnnotation();
+            }
+            this.finishNode(param, 'Identifier');
+            if (this.type !== tt.parenR) {
+                this.expect(tt.comma);
+            }
+            return [param, ...super.parseBindingList(close, allowEmpty, allowTrailingComma, allowModifiers)];
+        }
+
+        // constructor(private readonly x: T)
+        parseAssignableListItem(allowModifiers) {
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const modifiers = this.tsParseModifiers(parameterModifiers);
+            const param = super.parseAssignableListItem(allowModifiers);
+            if (!Object.keys(modifiers).length) {
+                return param;
+            }
+            if (param.type !== 'Identifier' && param.type !== 'AssignmentPattern') {
+                this.raise(param.start, 'A parameter property may not be declared using a binding pattern');
+            }
+            const node = this.startNodeAt(start, startLoc);
+            Object.assign(node, modifiers);
+            node.parameter = param;
+            return this.finishNode(node, 'TSParameterProperty');
+        }
+
+        checkLValSimple(expr, bindingType, checkClashes) {
+            switch (expr.type) {
+                case 'TSParameterProperty':
+                    return this.checkLValInnerPattern(expr.parameter, bindingType, checkClashes);
+                case 'TSAsExpression':
+                case 'TSSatisfiesExpression':
+                case 'TSTypeAssertion':
+                case 'TSNonNullExpression':
+                    // (a as any) = 1、a! = 1、(<any>a) = 1 可以赋值，但不能用来声明
+                    if (bindingType) {
+                        this.raise(expr.start, 'Binding invalid left-hand side');
+                    }
+                    return this.checkLValSimple(expr.expression, bindingType, checkClashes);
+            }
+            return super.checkLValSimple(expr, bindingType, checkClashes);
+        }
+
+        toAssignable(node, isBinding, refDestructuringErrors) {
+            if (node && !isBinding && /^TS(AsExpression|SatisfiesExpression|NonNullExpression|TypeAssertion)$/.test(node.type)) {
+                return node;
+            }
+            return super.toAssignable(node, isBinding, refDestructuringErrors);
+        }
+
+        // ---------- 箭头函数 ----------
+
+        // (a?: T) 里的 `?`：后面紧跟 `:`、`,`、`)`、`=` 时不可能是条件表达式
+        parseExprOps(forInit, refDestructuringErrors) {
+            const expr = super.parseExprOps(forInit, refDestructuringErrors);
+            if (this.type === tt.question && expr.type === 'Identifier' && this.tsNextMatches(/[:,)=]/y)) {
+                this.next();
+                expr.optional = true;
+                this.tsResetEnd(expr);
+            }
+            return expr;
+        }
+
+        // 括号里的 `a: T` 先挂在表达式上，转成箭头函数参数后就是参数的类型注解
+        parseParenItem(item) {
+            item = super.parseParenItem(item);
+            if (this.type === tt.colon) {
+                item.typeAnnotation = this.tsParseTypeAnnotation();
+                this.tsResetEnd(item);
+            }
+            return item;
+        }
+
+        parseParenAndDistinguishExpression(canBeArrow, forInit) {
+            const node = super.parseParenAndDistinguishExpression(canBeArrow, forInit);
+            if (node.type !== 'ArrowFunctionExpression') {
+                const items = node.type === 'SequenceExpression' ? node.expressions : [node];
+                items.forEach(item => {
+                    if ((item.typeAnnotation && item.typeAnnotation.type === 'TSTypeAnnotation') || (item.type === 'Identifier' && item.optional)) {
+                        this.raise(item.start, 'Did not expect a type annotation here');
+                    }
+                });
+            }
+            return node;
+        }
+
+        // (a): R => ...，返回值类型要确认后面跟着 `=>` 才算
+        shouldParseArrow(exprList) {
+            if (this.type === tt.colon) {
+                const returnType = this.tsTryParse(() => {
+                    const type = this.tsParseReturnTypeAnnotation();
+                    if (this.type !== tt.arrow || this.canInsertSemicolon()) {
+                        this.unexpected();
+                    }
+                    return type;
+                });
+                if (!returnType) {
+                    return false;
+                }
+                this.tsArrowReturnType = returnType;
+            }
+            return super.shouldParseArrow(exprList);
+        }
+
+        parseArrowExpression(node, params, isAsync, forInit) {
+            if (this.tsArrowReturnType) {
+                node.returnType = this.tsArrowReturnType;
+                this.tsArrowReturnType = null;
+            }
+            return super.parseArrowExpression(node, params, isAsync, forInit);
+        }
+
+        // <T>(a: T) => a
+        parseExprAtom(refDestructuringErrors, forInit, forNew) {
+            if (!this.tsIsLessThan()) {
+                return super.parseExprAtom(refDestructuringErrors, forInit, forNew);
+            }
+            const start = this.start;
+            const startLoc = this.startLoc;
+            const typeParameters = this.tsParseTypeParameters();
+            if (this.type !== tt.parenL) {
+                this.unexpected();
+            }
+            this.potentialArrowAt = this.start;
+            const node = super.parseExprAtom(refDestructuringErrors, forInit, forNew);
+            if (node.type !== 'ArrowFunctionExpression') {
+                this.raise(start, 'Type parameters are only allowed on arrow functions here');
+            }
+            node.typeParameters = typeParameters;
+            this.tsResetStart(node, start, startLoc);
+            return node;
+        }
+
+        // ---------- 表达式 ----------
+
+        // <T>x 类型断言，<T>(a) => a 先按泛型箭头函数试一下（.tsx 里 `<` 是 JSX 标签，不会走到这里）
+        parseMaybeUnary(refDestructuringErrors, sawUnary, incDec, forInit) {
+            if (!this.tsIsLessThan()) {
+                return super.parseMaybeUnary(refDestructuringErrors, sawUnary, incDec, forInit);
+            }
+            const arrow = this.tsTryParse(() => super.parseMaybeUnary(refDestructuringErrors, sawUnary, incDec, forInit));
+            if (arrow) {
+                return arrow;
+            }
+            const node = this.startNode();
+            this.next();
+            node.typeAnnotation = this.tsParseType();
+            this.tsExpectGreaterThan();
+            node.expression = this.parseMaybeUnary(null, true, false, forInit);
+            return this.finishNode(node, 'TSTypeAssertion');
+        }
+
+        // a as T、a satisfies T，优先级同关系运算符
+        parseExprOp(left, leftStartPos, leftStartLoc, minPrec, forInit) {
+            const isCast = (this.tsIsContextual('as') || this.tsIsContextual('satisfies')) && !this.canInsertSemicolon();
+            if (!isCast || tt.relational.binop <= minPrec) {
+                return super.parseExprOp(left, leftStartPos, leftStartLoc, minPrec, forInit);
+            }
+            const node = this.startNodeAt(leftStartPos, leftStartLoc);
+            const type = this.value === 'as' ? 'TSAsExpression' : 'TSSatisfiesExpression';
+            this.next();
+            node.expression = left;
+            if (type === 'TSAsExpression' && this.type === tt._const) {
+                // as const 记作对 `const` 的类型引用
+                const reference = this.startNode();
+                const id = this.startNode();
+                id.name = 'const';
+                this.next();
+                reference.typeName = this.finishNode(id, 'Identifier');
+                node.typeAnnotation = this.finishNode(reference, 'TSTypeReference');
+            } else {
+                node.typeAnnotation = this.tsParseType();
+            }
+            this.finishNode(node, type);
+            return this.parseExprOp(node, leftStartPos, leftStartLoc, minPrec, forInit);
+        }
+
+        parseSubscript(base, startPos, startLoc, noCalls, maybeAsyncArrow, optionalChained, forInit) {
+            // a!
+            if (this.type === tt.prefix && this.value === '!' && !this.canInsertSemicolon()) {
+                const node = this.startNodeAt(startPos, startLoc);
+                node.expression = base;
+                this.next();
+                return this.finishNode(node, 'TSNonNullExpression');
+            }
+
+            // async (a: T): R => ...、async <T>(a: T) => ...
+            if (maybeAsyncArrow && (this.type === tt.parenL || this.tsIsLessThan())) {
+                const head = this.tsTryParse(() => {
+                    const typeParameters = this.tsIsLessThan() ? this.tsParseTypeParameters() : null;
+                    this.expect(tt.parenL);
+                    const params = this.parseBindingList(tt.parenR, false, true);
+                    const returnType = this.type === tt.colon ? this.tsParseReturnTypeAnnotation() : null;
+                    if (this.type !== tt.arrow || this.canInsertSemicolon()) {
+                        this.unexpected();
+                    }
+                    return { typeParameters, params, returnType };
+                });
+                if (head) {
+                    this.next();
+                    this.tsArrowReturnType = head.returnType;
+                    const node = this.parseArrowExpression(this.startNodeAt(startPos, startLoc), head.params, true, forInit);
+                    if (head.typeParameters) {
+                        node.typeParameters = head.typeParameters;
+                    }
+                    return node;
+                }
+            }
+
+            /**
+             * f<T>(...)、tag<T>`...` 是带类型参数的调用；f<T> 后面不能接着表达式时是实例化表达式，
+             * 否则（如 a < b > c）回退当作比较运算
+             */
+            if (this.tsIsLessThan()) {
+                const typeArguments = this.tsTryParse(() => {
+                    const args = this.tsParseTypeArguments();
+                    if (this.type !== tt.parenL && this.type !== tt.backQuote &&
+                        (this.tsIsGreaterThan() || (this.type.startsExpr && !this.canInsertSemicolon()))) {
+                        this.unexpected();
+                    }
+                    return args;
+                });
+                if (typeArguments) {
+                    // new C<T>()、new C<T>
+                    if (noCalls) {
+                        newTypeArguments.set(base, typeArguments);
+                        return base;
+                    }
+                    if (this.type === tt.parenL || this.type === tt.backQuote) {
+                        const node = super.parseSubscript(base, startPos, startLoc, noCalls, maybeAsyncArrow, optionalChained, forInit);
+                        node.typeParameters = typeArguments;
+                        return node;
+                    }
+                    const node = this.startNodeAt(startPos, startLoc);
+                    node.expression = base;
+                    node.typeParameters = typeArguments;
+                    this.finishNode(node, 'TSInstantiationExpression');
+                    if (this.type === tt.dot || (this.type === tt.questionDot && !this.tsNextMatches(/\(/y))) {
+                        this.raise(this.start, 'Invalid property access after an instantiation expression');
+                    }
+                    return node;
+                }
+            }
+
+            return super.parseSubscript(base, startPos, startLoc, noCalls, maybeAsyncArrow, optionalChained, forInit);
+        }
+
+        parseNew() {
+            const node = super.parseNew();
+            if (node.callee && newTypeArguments.has(node.callee)) {
+                node.typeParameters = newTypeArguments.get(node.callee);
+                newTypeArguments.delete(node.callee);
+            }
+            return node;
+        }
+
+        // { foo<T>() {} }
+        parsePropertyValue(prop, isPattern, isGenerator, isAsync, startPos, startLoc, refDestructuringErrors, containsEsc) {
+            if (!isPattern && this.tsIsLessThan()) {
+                this.tsPendingTypeParameters = this.tsParseTypeParameters();
+                if (this.type !== tt.parenL) {
+                    this.unexpected();
+                }
+            }
+            super.parsePropertyValue(prop, isPattern, isGenerator, isAsync, startPos, startLoc, refDestructuringErrors, containsEsc);
+            if (prop.value && prop.value.body === null) {
+                this.raise(prop.value.start, 'Function implementation is missing');
+            }
+        }
+
+        // ---------- 类 ----------
+
+        parseClassId(node, isStatement) {
+            super.parseClassId(node, isStatement);
+            if (this.tsIsLessThan()) {
+                node.typeParameters = this.tsParseTypeParameters();
+            }
+        }
+
+        parseClassSuper(node) {
+            super.parseClassSuper(node);
+            if (node.superClass && this.tsIsLessThan()) {
+                node.superTypeParameters = this.tsParseTypeArguments();
+            }
+            if (this.eatContextual('implements')) {
+                node.implements = this.tsParseHeritageClause();
+            }
+        }
+
+        parseClassElement(constructorAllowsSuper) {
+            if (this.type === tt.semi) {
+                return super.parseClassElement(constructorAllowsSuper);
+            }
+            const start = this.start;
+            const startLoc = this.startLoc;
+            // static 前面的修饰符在这里读，static 后面的在 parseClassElementName 里读
+            const modifiers = this.tsParseModifiers(classMemberModifiers);
+            if (this.tsIsStartOfIndexSignature()) {
+                const node = this.startNodeAt(start, startLoc);
+                Object.assign(node, modifiers);
+                return this.tsParseIndexSignature(node);
+            }
+            this.tsPendingModifiers = modifiers;
+            const element = super.parseClassElement(constructorAllowsSuper);
+            this.tsPendingModifiers = null;
+            const { accessor, ...rest } = modifiers;
+            Object.assign(element, rest);
+            this.tsResetStart(element, start, startLoc);
+
+            // accessor x = 1 是自动生成 getter、setter 的字段
+            if (accessor) {
+                if (element.type !== 'PropertyDefinition') {
+                    this.raise(element.start, "'accessor' modifier is only allowed on fields");
+                }
+                element.type = 'AccessorProperty';
+            }
+
+            // 没有方法体的是抽象方法或重载签名
+            if (element.type === 'MethodDefinition' && element.value.body === null) {
+                const value = element.value;
+                element.type = 'TSDeclareMethod';
+                ['typeParameters', 'params', 'returnType', 'async', 'generator'].forEach(key => element[key] = value[key]);
+                delete element.value;
+            }
+            return element;
+        }
+
+        parseClassElementName(element) {
+            if (this.tsPendingModifiers) {
+                Object.assign(this.tsPendingModifiers, this.tsParseModifiers(classMemberModifiers));
+                if (this.tsIsContextual('accessor') &&
+                    this.tsLookahead(() => !this.canInsertSemicolon() && this.tsIsPropertyNameStart())) {
+                    this.next();
+                    this.tsPendingModifiers.accessor = true;
+                }
+            }
+            super.parseClassElementName(element);
+            if (this.eat(tt.question)) {
+                element.optional = true;
+            } else if (this.type === tt.prefix && this.value === '!') {
+                this.next();
+                element.definite = true;
+            }
+            if (this.tsIsLessThan()) {
+                this.tsPendingTypeParameters = this.tsParseTypeParameters();
+            }
+        }
+
+        parseClassField(field) {
+            if (this.type === tt.colon) {
+                field.typeAnnotation = this.tsParseTypeAnnotation();
+            }
+            return super.parseClassField(field);
+        }
+    }
+}
@@ -0,0 +1,181 @@
+const acorn = require("acorn");
+
+const { tokTypes: tt, lineBreak, isNewLine } = acorn;
+
+// 左括号 → 对应的右括号
+const closingTypes = new Map([
+    [tt.parenL, tt.parenR], [tt.bracketL, tt.bracketR], [tt.braceL, tt.braceR], [tt.dollarBraceL, tt.braceR]
+]);
+const closeTypes = [tt.parenR, tt.bracketR, tt.braceR];
+
+// 换行后出现这些关键字，基本可以确定是下一条语句了（不管前面的括号有没有闭合）
+const statementKeywords = [
+    tt._var, tt._const, tt._function, tt._class, tt._if, tt._for, tt._while, tt._do,
+    tt._return, tt._throw, tt._try, tt._switch, tt._import, tt._export
+];
+
+// 出错时回到语句开头重新扫描，需要恢复的状态
+const stateKeys = [
+    'pos', 'type', 'value', 'start', 'end', 'startLoc', 'endLoc',
+    'lastTokStart', 'lastTokEnd', 'lastTokStartLoc', 'lastTokEndLoc',
+    'exprAllowed', 'curLine', 'lineStart', 'containsEsc', 'strict',
+    'potentialArrowAt', 'potentialArrowInForAwait', 'yieldPos', 'awaitPos', 'awaitIdentPos'
+];
+
+/**
+ * errorRecovery 模式，同 @babel/parser：出错时不中断，错误收集到 program.errors，返回尽量完整的 AST。
+ * - acorn 用 raiseRecoverable 报的错（重复声明、严格模式限制、未定义的导出等）只记录，照常解析
+ * - 其余语法错误在所在的语句处恢复：跳过这条语句，用 EmptyStatement 占位，从下一条语句继续
+ * - 块没写完就到了文件末尾时，当作补上了缺少的 `}`
+ */
+module.exports = function errorRecoveryExtend(Parser) {
+    return class extends Parser {
+        constructor(options, input, startPos) {
+            super(options, input, startPos);
+            this.recoveredErrors = [];
+        }
+
+        parse() {
+            const program = super.parse();
+            program.errors = this.recoveredErrors.sort((a, b) => a.pos - b.pos);
+            return program;
+        }
+
+        // 同一个位置的同一个错误只记一次（重新扫描时可能再遇到）
+        recordError(error) {
+            const recorded = this.recoveredErrors.some(item => item.pos === error.pos && item.message === error.message);
+            if (!recorded) {
+                this.recoveredErrors.push(error);
+            }
+        }
+
+        raiseRecoverable(pos, message) {
+            try {
+                this.raise(pos, message);
+            } catch (e) {
+                this.recordError(e);
+            }
+        }
+
+        parseStatement(context, topLevel, exports) {
+            if (this.type === tt.eof) {
+                return this.recoverAtEof();
+            }
+            const state = this.saveRecoveryState();
+            try {
+                return super.parseStatement(context, topLevel, exports);
+            } catch (e) {
+                if (!(e instanceof SyntaxError) || e.pos === undefined) {
+                    throw e;
+                }
+                this.recordError(e);
+                this.restoreRecoveryState(state);
+                this.skipBrokenStatement(e.pos);
+                const node = this.startNodeAt(state.start, state.startLoc);
+                return this.finishNode(node, 'EmptyStatement');
+            }
+        }
+
+        recoverAtEof() {
+            try {
+                this.unexpected();
+            } catch (e) {
+                this.recordError(e);
+            }
+            const node = this.finishNodeAt(this.startNode(), 'EmptyStatement', this.start, this.startLoc);
+            this.type = tt.braceR;
+            return node;
+        }
+
+        saveRecoveryState() {
+            const state = {
+                context: this.context.slice(),
+                scopeStack: this.scopeStack.slice(),
+                labels: this.labels.slice()
+            };
+            stateKeys.forEach(key => state[key] = this[key]);
+            return state;
+        }
+
+        restoreRecoveryState(state) {
+            stateKeys.forEach(key => this[key] = state[key]);
+            this.context = state.context;
+            this.scopeStack = state.scopeStack;
+            this.labels = state.labels;
+        }
+
+        /**
+         * 从语句开头往后跳过 token，从出错的 token 所在行的开头起（不早于语句开头）遇到这些 token 时停下：
+         * - 不在括号里，或者在圆括号、方括号里的 `;`（吃掉，for 的头部除外）
+         * - 不在括号里时的换行和属于外层的 `}`
+         * - 换行后另一条语句的开头（括号没闭合时也停下）
+         * - 和最近的左括号对不上的右括号，如 `if (x) {\n foo(\n}` 里的 `}`
+         */
+        skipBrokenStatement(errorPos) {
+            const startPos = this.start;
+            const isFor = this.type === tt._for;
+            let resyncPos = errorPos;
+            while (resyncPos > startPos && !isNewLine(this.input.charCodeAt(resyncPos - 1))) {
+                resyncPos--;
+            }
+            const openStack = [];
+            while (this.type !== tt.eof) {
+                if (this.start >= resyncPos) {
+                    const afterNewline = this.start > startPos && lineBreak.test(this.input.slice(this.lastTokEnd, this.start));
+                    const open = openStack[openStack.length - 1];
+                    const semiEnds = !open || (open !== tt.braceL && !(isFor && openStack.length === 1));
+                    if (this.type === tt.semi && semiEnds) {
+                        this.next();
+                        break;
+                    }
+                    if (!open && (afterNewline || this.type === tt.braceR)) {
+                        break;
+                    }
+                    if (afterNewline && this.isStatementStart()) {
+                        break;
+                    }
+                    if (open && closeTypes.includes(this.type) && closingTypes.get(open) !== this.type) {
+                        break;
+                    }
+                }
+                if (closingTypes.has(this.type)) {
+                    openStack.push(this.type);
+                } else if (closeTypes.includes(this.type)) {
+                    openStack.pop();
+                }
+                this.next();
+            }
+            // 至少跳过一个 token，否则外层会在同一个位置反复出错
+            if (this.start === startPos && this.type !== tt.eof) {
+                this.next();
+            }
+        }
+
+        // acorn 没有 let 关键字，let 是值为 'let' 的 name，后面跟着变量名或解构时才是声明
+        isStatementStart() {
+            if (statementKeywords.includes(this.type)) {
+                return true;
+            }
+            if (this.type !== tt.name || this.value !== 'let') {
+                return false;
+            }
+            const next = this.input.slice(this.end).match(/^\s*([\s\S])/);
+            return !!next && /[\w$[{]/.test(next[1]);
+        }
+
+        // 词法错误（如未闭合的字符串）记下来，跳过出错的字符继续读，不算到前一条语句头上
+        nextToken() {
+            for (;;) {
+                try {
+                    return super.nextToken();
+                } catch (e) {
+                    if (!(e instanceof SyntaxError)) {
+                        throw e;
+                    }
+                    this.recordError(e);
+                    this.pos = Math.max(this.pos, e.pos + 1);
+                }
+            }
+        }
+    }
+}
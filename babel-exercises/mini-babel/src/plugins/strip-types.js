@@ -0,0 +1,425 @@
+/**
+ * 去掉 TypeScript 的类型语法，输出普通的 JS，会自动打开 parser 的 typescript 插件：
+ * 类型声明、重载签名、declare 的声明、import type / export type 整体删除；类型注解、泛型参数、修饰符直接去掉；
+ * as、satisfies、!、<T>x、f<T> 只保留表达式；构造函数的参数属性转成 this.x = x；
+ * 没有初始值的字段 x: T; 同 babel 7 当作只有类型删掉（私有字段除外），allowDeclareFields 为 true 时保留，declare 的字段总是删掉；
+ * enum 转成 var E = function (E) { E[E["A"] = 0] = "A"; return E; }(E || {});
+ * import A = N.A 转成 var A = N.A；
+ * 只有类型的 namespace 直接删除，包含运行时代码的 namespace、import A = require('a')、export = x 不支持；
+ * accessor 字段只去掉类型，原样输出
+ */
+
+// 节点上只在类型层面有意义的属性
+const TYPE_KEYS = ['typeAnnotation', 'typeParameters', 'returnType', 'superTypeParameters', 'implements'];
+const MODIFIER_KEYS = ['accessibility', 'readonly', 'override', 'abstract', 'optional', 'definite', 'declare'];
+
+// 属于 TypeScript 语法、但里面有运行时代码的节点
+const VALUE_CONTAINERS = [
+    'TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion', 'TSInstantiationExpression',
+    'TSParameterProperty', 'TSEnumDeclaration', 'TSEnumMember', 'TSModuleDeclaration', 'TSModuleBlock',
+    'TSImportEqualsDeclaration', 'TSExportAssignment'
+];
+
+// 只在类型里用到的位置：类型注解、interface 的 extends、typeof 等，A.B 要看它用在哪里
+function isInType(path) {
+    return !!path.findParent(parent => parent.isTypeScript() && !parent.isTSQualifiedName() &&
+        !VALUE_CONTAINERS.includes(parent.node.type));
+}
+
+// 只有类型的声明，运行时没有任何内容
+function isTypeOnlyDeclaration(node) {
+    if (!node) {
+        return false;
+    }
+    if (node.declare) {
+        return true;
+    }
+    switch (node.type) {
+        case 'TSTypeAliasDeclaration':
+        case 'TSInterfaceDeclaration':
+        case 'TSDeclareFunction':
+            return true;
+        case 'TSModuleDeclaration':
+            return !isInstantiated(node);
+        case 'ExportNamedDeclaration':
+            return isTypeOnlyDeclaration(node.declaration);
+    }
+    return false;
+}
+
+// namespace 里有变量、函数等运行时的内容
+function isInstantiated(node) {
+    let body = node.body;
+    while (body && body.type === 'TSModuleDeclaration') {
+        body = body.body;
+    }
+    return !!body && body.body.some(statement => !isTypeOnlyDeclaration(statement));
+}
+
+function removeKeys(node, keys) {
+    keys.forEach(key => delete node[key]);
+}
+
+// export type A = ... 连同 export 一起删
+function removeDeclaration(path) {
+    if (path.parentPath.isExportNamedDeclaration() || path.parentPath.isExportDefaultDeclaration()) {
+        path.parentPath.remove();
+    } else {
+        path.remove();
+    }
+}
+
+/**
+ * 顶层只在类型层面存在的名字：类型声明、declare 的声明、import type 导入的名字，
+ * 同名的值（interface A 和 const A）同时存在时不算
+ */
+function collectTypeOnlyNames(programPath, types) {
+    const typeNames = new Set();
+    const valueNames = new Set();
+    programPath.node.body.forEach(statement => {
+        if (statement.type === 'TSImportEqualsDeclaration') {
+            (statement.importKind === 'type' ? typeNames : valueNames).add(statement.id.name);
+            return;
+        }
+        if (statement.type === 'ImportDeclaration') {
+            statement.specifiers.forEach(specifier => {
+                const isType = statement.importKind === 'type' || specifier.importKind === 'type';
+                (isType ? typeNames : valueNames).add(specifier.local.name);
+            });
+            return;
+        }
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        if (!declaration) {
+            return;
+        }
+        const names = declaration.type === 'VariableDeclaration'
+            ? declaration.declarations.flatMap(declarator => Object.keys(types.getBindingIdentifiers(declarator.id)))
+            : declaration.id && declaration.id.type === 'Identifier' ? [declaration.id.name] : [];
+        names.forEach(name => (isTypeOnlyDeclaration(declaration) ? typeNames : valueNames).add(name));
+    });
+    valueNames.forEach(name => typeNames.delete(name));
+    return typeNames;
+}
+
+// 引用在类型里，或者所在的 import A = N.A 已经删掉了
+function isTypeOnlyReference(path) {
+    return isInType(path) || !!path.findParent(parent => parent.removed);
+}
+
+/**
+ * 只当类型用的导入删掉，全部删光时删除整个 import，只有副作用的 import './a' 保留。
+ * import A = ... 先从后往前处理（export import 除外），删掉后它引用的名字可能也不再需要
+ */
+function elideTypeOnlyImports(programPath) {
+    const isUnused = name => {
+        const binding = programPath.scope.getBinding(name);
+        return !!binding && binding.referencePaths.every(isTypeOnlyReference);
+    };
+    programPath.get('body').filter(statement => statement.isTSImportEqualsDeclaration()).reverse().forEach(statement => {
+        if (statement.node.importKind === 'type' || (!statement.node.isExport && isUnused(statement.node.id.name))) {
+            statement.remove();
+        }
+    });
+    programPath.get('body').forEach(statement => {
+        if (!statement.isImportDeclaration() || !statement.node.specifiers.length) {
+            return;
+        }
+        if (statement.node.importKind === 'type') {
+            statement.remove();
+            return;
+        }
+        statement.get('specifiers').forEach(specifier => {
+            if (specifier.node.importKind === 'type' || isUnused(specifier.node.local.name)) {
+                specifier.remove();
+            }
+        });
+        if (!statement.node.specifiers.length) {
+            statement.remove();
+        }
+    });
+}
+
+// export type { T }、export { type T }，以及 export { T } 里只有类型的名字也要删掉
+function elideTypeOnlyExports(programPath, typeNames) {
+    programPath.get('body').forEach(statement => {
+        if (!statement.isExportNamedDeclaration() || statement.node.declaration) {
+            return;
+        }
+        if (statement.node.exportKind === 'type') {
+            statement.remove();
+            return;
+        }
+        const isLocal = !statement.node.source;
+        statement.get('specifiers').forEach(specifier => {
+            if (specifier.node.exportKind === 'type' || (isLocal && typeNames.has(specifier.node.local.name))) {
+                specifier.remove();
+            }
+        });
+        if (!statement.node.specifiers.length) {
+            statement.remove();
+        }
+    });
+}
+
+// enum 成员的常量值：字面量、已有成员、以及它们的运算，算不出来时是 undefined
+function evaluateEnumValue(node, enumName, values) {
+    switch (node.type) {
+        case 'Literal':
+            return typeof node.value === 'number' || typeof node.value === 'string' ? node.value : undefined;
+        case 'TemplateLiteral':
+            return node.expressions.length ? undefined : node.quasis[0].value.cooked;
+        case 'Identifier':
+            return values.get(node.name);
+        case 'MemberExpression': {
+            // E.A、E['A']
+            const key = node.computed ? node.property.value : node.property.name;
+            return node.object.type === 'Identifier' && node.object.name === enumName ? values.get(key) : undefined;
+        }
+        case 'UnaryExpression': {
+            const argument = evaluateEnumValue(node.argument, enumName, values);
+            if (typeof argument !== 'number') {
+                return undefined;
+            }
+            return node.operator === '-' ? -argument : node.operator === '+' ? argument : node.operator === '~' ? ~argument : undefined;
+        }
+        case 'BinaryExpression': {
+            const left = evaluateEnumValue(node.left, enumName, values);
+            const right = evaluateEnumValue(node.right, enumName, values);
+            if (left === undefined || right === undefined) {
+                return undefined;
+            }
+            if (node.operator === '+') {
+                return left + right;
+            }
+            if (typeof left !== 'number' || typeof right !== 'number' || !ENUM_OPERATORS[node.operator]) {
+                return undefined;
+            }
+            return ENUM_OPERATORS[node.operator](left, right);
+        }
+    }
+    return undefined;
+}
+
+const ENUM_OPERATORS = {
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '**': (a, b) => a ** b,
+    '|': (a, b) => a | b,
+    '&': (a, b) => a & b,
+    '^': (a, b) => a ^ b,
+    '<<': (a, b) => a << b,
+    '>>': (a, b) => a >> b,
+    '>>>': (a, b) => a >>> b
+};
+
+// constructor(private x) → constructor(x) { this.x = x; }，写在 super() 之后
+function transformParameterProperties(path, template) {
+    const fn = path.get('value');
+    const assignments = [];
+    fn.get('params').forEach(param => {
+        if (!param.isTSParameterProperty()) {
+            return;
+        }
+        const parameter = param.node.parameter;
+        const name = (parameter.type === 'AssignmentPattern' ? parameter.left : parameter).name;
+        param.replaceWith(parameter);
+        assignments.push(template.statement.ast(`this.${name} = ${name};`));
+    });
+    if (!assignments.length) {
+        return;
+    }
+    const superCall = fn.get('body.body').find(statement => statement.isExpressionStatement() &&
+        statement.node.expression.type === 'CallExpression' &&
+        statement.node.expression.callee.type === 'Super');
+    if (superCall) {
+        superCall.insertAfter(assignments);
+    } else {
+        fn.get('body').unshiftContainer('body', assignments);
+    }
+}
+
+// N.A.B → N.A.B 的成员表达式
+function entityNameToExpression(node, types) {
+    return types.isTSQualifiedName(node)
+        ? types.memberExpression(entityNameToExpression(node.left, types), node.right)
+        : node;
+}
+
+module.exports = function stripTypes(api, options) {
+    const { template, types } = api;
+    const { allowDeclareFields = false } = options;
+
+    function enumValueNode(value) {
+        if (typeof value === 'string') {
+            return types.stringLiteral(value);
+        }
+        return value < 0 ? types.unaryExpression('-', types.numericLiteral(-value), true) : types.numericLiteral(value);
+    }
+
+    /**
+     * enum E { A, B = A | 2, C = 'c' } →
+     * var E = function (E) { E[E["A"] = 0] = "A"; E[E["B"] = 2] = "B"; E["C"] = "c"; return E; }(E || {});
+     * 值能算出来时直接写常量，算不出来时保留表达式，其中对前面成员的引用改成 E.A；字符串成员没有反向映射
+     */
+    function transformEnum(path) {
+        const name = path.node.id.name;
+        const enumRef = () => types.identifier(name);
+        const values = new Map();
+        let previous = -1;
+        const statements = path.get('members').map(memberPath => {
+            const member = memberPath.node;
+            const key = member.id.type === 'Identifier' ? member.id.name : member.id.value;
+            let value;
+            let valueNode;
+            if (!member.initializer) {
+                if (typeof previous !== 'number') {
+                    throw memberPath.buildCodeFrameError('Enum member must have initializer');
+                }
+                value = previous + 1;
+                valueNode = enumValueNode(value);
+            } else {
+                value = evaluateEnumValue(member.initializer, name, values);
+                valueNode = value === undefined ? qualifyEnumReferences(memberPath.get('initializer'), name, values) : enumValueNode(value);
+            }
+            values.set(key, value);
+            previous = value;
+
+            const assignment = types.assignmentExpression('=',
+                types.memberExpression(enumRef(), types.stringLiteral(key), true), valueNode);
+            return types.expressionStatement(typeof value === 'string'
+                ? assignment
+                : types.assignmentExpression('=', types.memberExpression(enumRef(), assignment, true), types.stringLiteral(key)));
+        });
+
+        const fn = types.functionExpression(null, [enumRef()], types.blockStatement([...statements, types.returnStatement(enumRef())]));
+        const init = types.callExpression(fn, [types.logicalExpression('||', enumRef(), types.objectExpression([]))]);
+        const [declaration] = path.replaceWith(types.variableDeclaration('var', [types.variableDeclarator(enumRef(), init)]));
+        declaration.scope.registerBinding('var', declaration.get('declarations.0'));
+    }
+
+    // 初始值里直接写的成员名 A 改成 E.A
+    function qualifyEnumReferences(initializerPath, enumName, values) {
+        const qualify = path => {
+            if (values.has(path.node.name) && path.isReferenced() && !path.scope.hasBinding(path.node.name)) {
+                path.replaceWith(types.memberExpression(types.identifier(enumName), types.identifier(path.node.name)));
+            }
+        };
+        if (initializerPath.isIdentifier()) {
+            qualify(initializerPath);
+        } else {
+            initializerPath.traverse({ Identifier: qualify });
+        }
+        return initializerPath.node;
+    }
+
+    return {
+        name: 'strip-types',
+        // 自动打开 typescript 语法，.tsx 文件同时打开 jsx，已经配置过的不重复添加
+        manipulateOptions(opts, parserOpts) {
+            const required = /\.tsx$/.test(opts.filename || '') ? ['typescript', 'jsx'] : ['typescript'];
+            required.forEach(name => {
+                if (!parserOpts.plugins.includes(name)) {
+                    parserOpts.plugins.push(name);
+                }
+            });
+        },
+        visitor: {
+            Program(path) {
+                const typeNames = collectTypeOnlyNames(path, types);
+                elideTypeOnlyImports(path);
+                elideTypeOnlyExports(path, typeNames);
+            },
+
+            'TSTypeAliasDeclaration|TSInterfaceDeclaration|TSDeclareFunction'(path) {
+                removeDeclaration(path);
+            },
+
+            // declare const x: T; declare class A {}、只有类型的 namespace
+            'VariableDeclaration|ClassDeclaration|TSModuleDeclaration'(path) {
+                if (isTypeOnlyDeclaration(path.node)) {
+                    removeDeclaration(path);
+                } else if (path.isTSModuleDeclaration()) {
+                    throw path.buildCodeFrameError('Namespaces with runtime values are not supported, use ES modules instead');
+                }
+            },
+
+            TSEnumDeclaration(path) {
+                if (path.node.declare) {
+                    removeDeclaration(path);
+                } else {
+                    transformEnum(path);
+                }
+            },
+
+            // 抽象方法、重载签名、索引签名，以及 declare、abstract 的字段都没有运行时的内容
+            'TSDeclareMethod|TSIndexSignature'(path) {
+                path.remove();
+            },
+
+            // 没有初始值的普通字段只是声明类型，accessor 字段没有初始值也会生成 getter、setter
+            'PropertyDefinition|AccessorProperty'(path) {
+                const node = path.node;
+                if (node.value && (node.declare || node.definite)) {
+                    throw path.buildCodeFrameError(node.declare
+                        ? "Fields with the 'declare' modifier cannot be initialized here, but only in the constructor"
+                        : 'Definitely assigned fields cannot be initialized here, but only in the constructor');
+                }
+                const typeOnly = path.isPropertyDefinition() && !node.value && !allowDeclareFields &&
+                    !types.isPrivateIdentifier(node.key);
+                if (node.declare || node.abstract || typeOnly) {
+                    path.remove();
+                    return;
+                }
+                removeKeys(node, [...TYPE_KEYS, ...MODIFIER_KEYS]);
+            },
+
+            MethodDefinition(path) {
+                removeKeys(path.node, MODIFIER_KEYS);
+                if (path.node.kind === 'constructor') {
+                    transformParameterProperties(path, template);
+                }
+            },
+
+            'TSAsExpression|TSSatisfiesExpression|TSNonNullExpression|TSTypeAssertion|TSInstantiationExpression'(path) {
+                path.replaceWith(path.node.expression);
+            },
+
+            // 只当类型用的已经在 Program 里删掉了
+            TSImportEqualsDeclaration(path) {
+                const { id, moduleReference, isExport } = path.node;
+                if (types.isTSExternalModuleReference(moduleReference)) {
+                    throw path.buildCodeFrameError(`\`import ${id.name} = require(...)\` is not supported, use \`import ${id.name} from '...'\` instead`);
+                }
+                const declaration = types.variableDeclaration('var', [
+                    types.variableDeclarator(id, entityNameToExpression(moduleReference, types))
+                ]);
+                path.scope.removeBinding(id.name);
+                const [newPath] = path.replaceWith(isExport ? types.exportNamedDeclaration(declaration, []) : declaration);
+                newPath.scope.registerBinding('var', newPath.get(isExport ? 'declaration.declarations.0' : 'declarations.0'));
+            },
+
+            TSExportAssignment(path) {
+                throw path.buildCodeFrameError('`export =` is not supported, use `export default` instead');
+            },
+
+            'Identifier|ObjectPattern|ArrayPattern|RestElement'(path) {
+                removeKeys(path.node, ['typeAnnotation', 'optional']);
+            },
+
+            'Function|Class|CallExpression|NewExpression|TaggedTemplateExpression'(path) {
+                removeKeys(path.node, TYPE_KEYS);
+                delete path.node.abstract;
+                // function f(this: T) 的 this 参数
+                if (path.isFunction() && types.isIdentifier(path.node.params[0], { name: 'this' })) {
+                    path.get('params')[0].remove();
+                }
+            },
+
+            VariableDeclarator(path) {
+                delete path.node.definite;
+            }
+        }
+    };
+};
@@ -0,0 +1,14 @@
+/**
+ * 箭头函数转成普通函数，this、arguments、new.target、super.x 存到外层函数的变量里，见 NodePath.arrowFunctionToExpression
+ */
+
+module.exports = function transformArrowFunctions() {
+    return {
+        name: 'transform-arrow-functions',
+        visitor: {
+            ArrowFunctionExpression(path) {
+                path.arrowFunctionToExpression();
+            }
+        }
+    };
+};
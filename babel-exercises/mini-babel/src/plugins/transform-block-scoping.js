@@ -0,0 +1,396 @@
+/**
+ * let、const 转成 var，同 babel：
+ * - 提升到函数作用域后会和外层的同名变量冲突时改名：{ let a = 1; } a → { var _a = 1; } a
+ * - 循环里没有初始值的 let 每次迭代都是 undefined，转成 var 时补上 = void 0
+ * - 循环里的块级变量被闭包引用时，每次迭代要有自己的一份，循环体移到函数里：
+ *   for (let i = 0; i < 3; i++) fns.push(() => i) → var _loop = function (i) { fns.push(...) }; for (var i = 0; ...) _loop(i);
+ *   循环体里的 break、continue、return 转成 _loop 的返回值，循环体里改了循环变量时再赋值回外面的变量；
+ *   循环体里有 yield、await 时 _loop 是生成器、async 函数，调用处 yield*、await
+ * - 对 const 变量的赋值、自增自减改成抛出 TypeError：c = 1 → 1, _readOnlyError("c")
+ * 暂时性死区不做检查，同 babel 的默认行为
+ */
+
+module.exports = function transformBlockScoping(api) {
+    const { types } = api;
+    // 由 let/const 转成的 var 声明，以及生成的 _loop、_ret 声明
+    const blockScoped = new WeakSet();
+    const generated = new WeakSet();
+    // const 声明的变量（binding.identifier），转成 var 之后按这个判断是否只读
+    const readOnly = new WeakSet();
+
+    function isBlockScoped(node) {
+        return types.isVariableDeclaration(node) && (node.kind === 'let' || node.kind === 'const');
+    }
+
+    // 提升后的作用域：所在的函数，或者顶层
+    function getHoistScope(scope) {
+        return scope.getFunctionParent() || scope.getProgramParent();
+    }
+
+    // 外层作用域（一直到顶层）有同名的变量，或者用到了同名的全局变量，提升之后就会冲突
+    function hasConflict(scope, name) {
+        let current = scope.parent;
+        while (current) {
+            if (current.hasOwnBinding(name)) {
+                return true;
+            }
+            current = current.parent;
+        }
+        return scope.hasGlobal(name);
+    }
+
+    // 在循环体里（不是循环头上），每次迭代都会重新执行声明
+    function isInLoopBody(path) {
+        const loop = path.findParent(parent => parent.isFunction() || parent.isProgram() || parent.isLoop());
+        return loop.isLoop() && path.parentPath !== loop;
+    }
+
+    function convertDeclaration(path) {
+        const node = path.node;
+        const scope = path.scope;
+        const hoistScope = getHoistScope(scope);
+        if (scope !== hoistScope) {
+            let crawled = false;
+            Object.keys(types.getBindingIdentifiers(node)).forEach(name => {
+                if (!scope.hasOwnBinding(name)) {
+                    return;
+                }
+                if (hasConflict(scope, name)) {
+                    // 改名依赖引用信息，先重新收集一次，前面的插件可能已经改动过这个块
+                    if (!crawled) {
+                        scope.crawl();
+                        crawled = true;
+                    }
+                    const newName = scope.generateUid(name);
+                    scope.rename(name, newName);
+                    name = newName;
+                }
+                scope.moveBindingTo(name, hoistScope);
+                hoistScope.getOwnBinding(name).kind = 'var';
+            });
+        }
+        if (node.kind === 'let' && isInLoopBody(path) && !(path.parentPath.isForXStatement() && path.key === 'left')) {
+            node.declarations.forEach(declarator => {
+                if (!declarator.init && types.isIdentifier(declarator.id)) {
+                    declarator.init = types.unaryExpression('void', types.numericLiteral(0), true);
+                }
+            });
+        }
+        if (node.kind === 'const') {
+            Object.values(types.getBindingIdentifiers(node)).forEach(id => readOnly.add(id));
+        }
+        node.kind = 'var';
+        blockScoped.add(node);
+    }
+
+    function isReadOnly(scope, name) {
+        const binding = scope.getBinding(name);
+        return !!binding && (binding.kind === 'const' || readOnly.has(binding.identifier));
+    }
+
+    /**
+     * 赋值给 const 变量时，右边照常求值后抛出 TypeError，同 babel。
+     * 解构赋值等没法拆开的写法直接报编译错误
+     */
+    function convertReadOnlyAssignment(path, state) {
+        const node = path.node;
+        const target = path.isUpdateExpression() ? node.argument : node.left;
+        if (!types.isIdentifier(target)) {
+            const name = Object.keys(types.getBindingIdentifiers(target)).find(name => isReadOnly(path.scope, name));
+            if (name) {
+                throw path.buildCodeFrameError(`"${name}" is read-only`);
+            }
+            return;
+        }
+        const name = target.name;
+        if (!isReadOnly(path.scope, name)) {
+            return;
+        }
+        const error = types.callExpression(state.addHelper('readOnlyError'), [types.stringLiteral(name)]);
+        if (path.isUpdateExpression()) {
+            // a++ 先把 a 转成数字
+            path.replaceWith(types.sequenceExpression([types.unaryExpression('+', target, true), error]));
+        } else if (node.operator === '=') {
+            path.replaceWith(types.sequenceExpression([node.right, error]));
+        } else if (['&&=', '||=', '??='].includes(node.operator)) {
+            // 短路时不赋值，也就不报错
+            const operator = node.operator.slice(0, -1);
+            path.replaceWith(types.logicalExpression(operator, target, types.sequenceExpression([node.right, error])));
+        } else {
+            const operator = node.operator.slice(0, -1);
+            path.replaceWith(types.sequenceExpression([types.binaryExpression(operator, target, node.right), error]));
+        }
+    }
+
+    /**
+     * 收集循环里（不进入嵌套函数）原来的块级声明、var 声明、跳转语句，
+     * 以及循环体里有没有 yield、await
+     */
+    function collectLoopInfo(loopPath) {
+        const info = { declarations: [], vars: [], jumps: [], hasYield: false, hasAwait: false };
+        loopPath.traverse({
+            VariableDeclaration(path) {
+                if (blockScoped.has(path.node)) {
+                    info.declarations.push(path);
+                } else if (!generated.has(path.node)) {
+                    info.vars.push(path);
+                }
+            },
+            'BreakStatement|ContinueStatement|ReturnStatement'(path) {
+                info.jumps.push(path);
+            },
+            'YieldExpression|AwaitExpression'(path) {
+                if (path.findParent(parent => parent.node === loopPath.node.body)) {
+                    info[path.isYieldExpression() ? 'hasYield' : 'hasAwait'] = true;
+                }
+            },
+            Function(path) {
+                path.skip();
+            }
+        });
+        return info;
+    }
+
+    // 块级变量的引用、修改出现在循环里的函数中
+    function isCapturedInClosure(declarationPath, loopPath) {
+        return Object.keys(types.getBindingIdentifiers(declarationPath.node)).some(name => {
+            const binding = declarationPath.scope.getBinding(name);
+            if (!binding) {
+                return false;
+            }
+            return [...binding.referencePaths, ...binding.constantViolations].some(path => {
+                const fn = path.findParent(parent => parent.isFunction());
+                return !!fn && !!fn.findParent(parent => parent === loopPath);
+            });
+        });
+    }
+
+    // 直接包着循环的标签，continue L、break L 指向的就是这个循环
+    function getLoopLabels(loopPath) {
+        const labels = [];
+        let path = loopPath.parentPath;
+        while (path.isLabeledStatement()) {
+            labels.push(path.node.label.name);
+            path = path.parentPath;
+        }
+        return labels;
+    }
+
+    /**
+     * 跳转语句转成 _loop 的返回值，返回 null 表示跳转发生在循环体内部，不用处理。
+     * continue 本循环：return; break 本循环："break"；跳到外层的标签："break|L"、"continue|L"；return x：{ v: x }
+     */
+    function convertJump(path, loopPath, labels) {
+        if (path.isReturnStatement()) {
+            const value = path.node.argument || types.unaryExpression('void', types.numericLiteral(0), true);
+            return { statement: types.returnStatement(types.objectExpression([
+                types.property(types.identifier('v'), value)
+            ])), kind: 'return' };
+        }
+        const isBreak = path.isBreakStatement();
+        const label = path.node.label && path.node.label.name;
+        let target;
+        if (label) {
+            // 标签在循环体里面时跳转也在里面
+            const labeled = path.findParent(parent => parent === loopPath ||
+                (parent.isLabeledStatement() && parent.node.label.name === label));
+            if (labeled !== loopPath) {
+                return null;
+            }
+            target = labels.includes(label) ? loopPath : null;
+        } else {
+            target = path.findParent(parent => parent.isLoop() || (isBreak && parent.isSwitchStatement()));
+            if (target !== loopPath) {
+                return null;
+            }
+        }
+        if (target === loopPath) {
+            return isBreak
+                ? { statement: types.returnStatement(types.stringLiteral('break')), kind: 'break' }
+                : { statement: types.returnStatement(), kind: 'continue' };
+        }
+        const code = `${isBreak ? 'break' : 'continue'}|${label}`;
+        return { statement: types.returnStatement(types.stringLiteral(code)), kind: code, label, isBreak };
+    }
+
+    // 循环体里的 var 提到循环外面声明，原来的位置改成赋值
+    function hoistVars(vars) {
+        const ids = [];
+        vars.forEach(path => {
+            const declarators = path.node.declarations;
+            declarators.forEach(declarator => {
+                Object.keys(types.getBindingIdentifiers(declarator.id)).forEach(name => ids.push(name));
+            });
+            if (path.parentPath.isForXStatement() && path.key === 'left') {
+                path.replaceWith(declarators[0].id);
+                return;
+            }
+            const assignments = declarators.filter(declarator => declarator.init)
+                .map(declarator => types.assignmentExpression('=', declarator.id, declarator.init));
+            if (path.parentPath.isForStatement() && path.key === 'init') {
+                if (assignments.length) {
+                    path.replaceWith(assignments.length === 1 ? assignments[0] : types.sequenceExpression(assignments));
+                } else {
+                    path.remove();
+                }
+            } else if (assignments.length) {
+                path.replaceWith(types.expressionStatement(assignments.length === 1 ? assignments[0] : types.sequenceExpression(assignments)));
+            } else {
+                path.remove();
+            }
+        });
+        return [...new Set(ids)];
+    }
+
+    /**
+     * for 循环头里的变量在循环体里被修改过时，外面的变量改名，_loop 里在每次迭代结束前赋值回去：
+     * for (let i = 0; ...) { i++; } → var _loop = function (i) { i++; _i = i; }; for (var _i = 0; ...) _loop(_i);
+     * 返回 参数名 → 外面的变量名
+     */
+    function getOuterNames(loopPath, params) {
+        const outerNames = new Map();
+        if (!loopPath.isForStatement()) {
+            return outerNames;
+        }
+        params.forEach(param => {
+            const binding = loopPath.scope.getBinding(param.name);
+            const modified = binding && binding.constantViolations.some(path =>
+                path.findParent(parent => parent.node === loopPath.node.body));
+            if (modified) {
+                outerNames.set(param.name, loopPath.scope.generateUid(param.name));
+            }
+        });
+        return outerNames;
+    }
+
+    function buildWriteBack(outerNames) {
+        return [...outerNames].map(([name, outerName]) => types.expressionStatement(
+            types.assignmentExpression('=', types.identifier(outerName), types.identifier(name))));
+    }
+
+    function wrapLoopBody(loopPath, info) {
+        const scope = loopPath.scope;
+        const labels = getLoopLabels(loopPath);
+        // 循环头里的块级变量作为 _loop 的参数传进去
+        const head = loopPath.isForStatement() ? loopPath.node.init : loopPath.isForXStatement() ? loopPath.node.left : null;
+        const params = blockScoped.has(head)
+            ? Object.keys(types.getBindingIdentifiers(head)).map(name => types.identifier(name))
+            : [];
+        const outerNames = getOuterNames(loopPath, params);
+
+        const jumps = [];
+        info.jumps.forEach(path => {
+            const jump = convertJump(path, loopPath, labels);
+            if (jump) {
+                // 进入下一次迭代前把循环变量赋值回去
+                if (jump.kind === 'continue' && outerNames.size) {
+                    path.replaceWithMultiple([...buildWriteBack(outerNames), jump.statement]);
+                } else {
+                    path.replaceWith(jump.statement);
+                }
+                jumps.push(jump);
+            }
+        });
+        const hoisted = hoistVars(info.vars);
+
+        const body = loopPath.ensureBlock();
+        body.pushContainer('body', buildWriteBack(outerNames));
+        const loopId = scope.generateUidIdentifier('loop');
+        let call = types.callExpression(types.identifier(loopId.name), params.map(param => types.identifier(param.name)));
+        if (info.hasYield) {
+            call = types.yieldExpression(call, true);
+        } else if (info.hasAwait) {
+            call = types.awaitExpression(call);
+        }
+        const statements = [];
+        const results = jumps.filter(jump => jump.kind !== 'continue');
+        if (results.length) {
+            const ret = scope.generateUidIdentifier('ret');
+            const declaration = types.variableDeclaration('var', [types.variableDeclarator(ret, call)]);
+            generated.add(declaration);
+            statements.push(declaration);
+            const added = new Set();
+            results.forEach(jump => {
+                if (added.has(jump.kind)) {
+                    return;
+                }
+                added.add(jump.kind);
+                let test;
+                let consequent;
+                if (jump.kind === 'return') {
+                    test = types.binaryExpression('===', types.unaryExpression('typeof', types.identifier(ret.name), true), types.stringLiteral('object'));
+                    consequent = types.returnStatement(types.memberExpression(types.identifier(ret.name), types.identifier('v')));
+                } else {
+                    test = types.binaryExpression('===', types.identifier(ret.name), types.stringLiteral(jump.kind));
+                    const label = jump.label ? types.identifier(jump.label) : null;
+                    consequent = jump.kind === 'break' || jump.isBreak ? types.breakStatement(label) : types.continueStatement(label);
+                }
+                statements.push(types.ifStatement(test, consequent));
+            });
+        } else {
+            statements.push(types.expressionStatement(call));
+        }
+
+        // 循环体整个复制一份放进函数里，原来的路径上缓存着旧的作用域
+        const fn = types.arrowFunctionExpression(params, types.cloneNode(body.node), info.hasAwait);
+        body.replaceWith(types.blockStatement(statements));
+
+        // _loop 声明在循环（连同它的标签）前面，用箭头函数包起来再转换，循环体里的 this、arguments 不受影响
+        let insertPath = loopPath;
+        while (insertPath.parentPath.isLabeledStatement()) {
+            insertPath = insertPath.parentPath;
+        }
+        const declarations = [types.variableDeclaration('var', [types.variableDeclarator(loopId, fn)])];
+        generated.add(declarations[0]);
+        if (hoisted.length) {
+            declarations.unshift(types.variableDeclaration('var', hoisted.map(name => types.variableDeclarator(types.identifier(name)))));
+        }
+        const inserted = insertPath.insertBefore(declarations);
+        const [fnPath] = inserted[inserted.length - 1].get('declarations.0.init').arrowFunctionToExpression();
+        fnPath.node.generator = info.hasYield;
+        const hoistScope = getHoistScope(scope);
+        hoistScope.crawl();
+        // _loop 的参数挡住了里面的同名变量，只有循环头和调用处的会改名
+        outerNames.forEach((outerName, name) => hoistScope.rename(name, outerName));
+    }
+
+    return {
+        name: 'transform-block-scoping',
+        visitor: {
+            VariableDeclaration(path) {
+                if (isBlockScoped(path.node)) {
+                    convertDeclaration(path);
+                }
+            },
+
+            'AssignmentExpression|UpdateExpression'(path, state) {
+                convertReadOnlyAssignment(path, state);
+            },
+
+            ForXStatement(path) {
+                const left = path.node.left;
+                if (!types.isVariableDeclaration(left)) {
+                    const name = Object.keys(types.getBindingIdentifiers(left)).find(name => isReadOnly(path.scope, name));
+                    if (name) {
+                        throw path.get('left').buildCodeFrameError(`"${name}" is read-only`);
+                    }
+                }
+            },
+
+            // 退出时处理，里层的循环已经处理过，它生成的 "continue|L" 这类返回值在外层再转换一次
+            Loop: {
+                exit(path) {
+                    const info = collectLoopInfo(path);
+                    if (!info.declarations.length) {
+                        return;
+                    }
+                    // 前面的插件可能改动过循环，重新收集引用
+                    getHoistScope(path.scope).crawl();
+                    if (info.declarations.some(declaration => isCapturedInClosure(declaration, path))) {
+                        wrapLoopBody(path, info);
+                    }
+                }
+            }
+        }
+    };
+};
@@ -0,0 +1,192 @@
+/**
+ * 类字段、静态块转成构造函数里和类后面的语句，同 babel：
+ * class A extends B { x = 1; [k] = 2; static s = this.name; static { init(this); } }
+ * → var _k; _k = k; class A extends B { constructor(...args) { super(...args); _defineProperty(this, "x", 1); _defineProperty(this, _k, 2); } }
+ *   _defineProperty(A, "s", A.name); (function () { init(this); }).call(A);
+ * - 实例字段在构造函数开头（派生类在每个 super() 之后）初始化，计算属性的 key 在定义类时求值
+ * - 类表达式先赋给临时变量：(_class = class {}, _defineProperty(_class, "s", 1), _class)
+ * 私有字段、私有方法（#x）和 accessor 字段不支持，编译时报错
+ */
+
+module.exports = function transformClassProperties(api) {
+    const { types } = api;
+
+    // 字段的 key 在 _defineProperty 里的值：x → "x"，[k] → k
+    function keyOf(property) {
+        if (property.computed) {
+            return property.key;
+        }
+        return types.isIdentifier(property.key) ? types.stringLiteral(property.key.name) : property.key;
+    }
+
+    function defineProperty(state, object, key, value) {
+        return types.expressionStatement(types.callExpression(state.addHelper('defineProperty'),
+            [object, key, value || types.unaryExpression('void', types.numericLiteral(0), true)]));
+    }
+
+    // 静态字段里的 this 是类本身，箭头函数里的也是
+    function replaceThis(path, classRef) {
+        if (path.isThisExpression()) {
+            path.replaceWith(types.identifier(classRef));
+            return;
+        }
+        path.traverse({
+            ThisExpression(thisPath) {
+                thisPath.replaceWith(types.identifier(classRef));
+            },
+            'FunctionDeclaration|FunctionExpression|Class'(fnPath) {
+                fnPath.skip();
+            }
+        });
+    }
+
+    // 字段初始值里的 new.target 是 undefined，移到构造函数里之后要换掉
+    function replaceNewTarget(path) {
+        const replace = metaPath => {
+            if (metaPath.node.meta.name === 'new') {
+                metaPath.replaceWith(types.unaryExpression('void', types.numericLiteral(0), true));
+            }
+        };
+        if (path.isMetaProperty()) {
+            replace(path);
+            return;
+        }
+        path.traverse({
+            MetaProperty: replace,
+            'FunctionDeclaration|FunctionExpression|Class'(fnPath) {
+                fnPath.skip();
+            }
+        });
+    }
+
+    // 构造函数里单独成一条语句的 super(...)，不包括嵌套的普通函数里的
+    function findSuperCalls(bodyPath) {
+        const calls = [];
+        bodyPath.traverse({
+            CallExpression(path) {
+                if (path.get('callee').isSuper() && path.parentPath.isExpressionStatement()) {
+                    calls.push(path.parentPath);
+                }
+            },
+            'FunctionDeclaration|FunctionExpression|Class'(path) {
+                path.skip();
+            }
+        });
+        return calls;
+    }
+
+    // 没有构造函数时补一个，派生类的把参数都传给父类
+    function ensureConstructor(path) {
+        const bodyPath = path.get('body');
+        const existing = bodyPath.get('body').find(member => member.isMethodDefinition() && member.node.kind === 'constructor');
+        if (existing) {
+            return existing.get('value.body');
+        }
+        const isDerived = !!path.node.superClass;
+        const args = path.scope.generateUidIdentifier('args');
+        const fn = types.functionExpression(null,
+            isDerived ? [types.restElement(args)] : [],
+            types.blockStatement(isDerived
+                ? [types.expressionStatement(types.callExpression(types.super(), [types.spreadElement(types.identifier(args.name))]))]
+                : []));
+        const [constructor] = bodyPath.unshiftContainer('body', [
+            types.methodDefinition('constructor', types.identifier('constructor'), fn)
+        ]);
+        return constructor.get('value.body');
+    }
+
+    // 私有方法是 ES2022 的语法，accessor 字段更新，不转换就会原样输出，一起报错
+    function checkUnsupportedMembers(path) {
+        path.get('body.body').forEach(member => {
+            if (member.isAccessorProperty()) {
+                throw member.buildCodeFrameError('Accessor fields are not supported');
+            }
+            if (types.isPrivateIdentifier(member.node.key)) {
+                throw member.get('key').buildCodeFrameError(member.isPropertyDefinition()
+                    ? 'Private class fields are not supported'
+                    : 'Private methods are not supported');
+            }
+        });
+    }
+
+    function transformClass(path, state) {
+        checkUnsupportedMembers(path);
+        const members = path.get('body.body').filter(member => member.isPropertyDefinition() || member.isStaticBlock());
+        if (!members.length) {
+            return;
+        }
+        const isDeclaration = path.isClassDeclaration();
+        if (isDeclaration && !path.node.id) {
+            path.node.id = path.scope.generateUidIdentifier('class');
+        }
+        // 类表达式没有可以在外面引用的名字，先存到临时变量里
+        const classRef = isDeclaration ? path.node.id.name : path.scope.generateUid('class');
+
+        const keyAssignments = [];
+        const instanceInits = [];
+        const staticInits = [];
+        members.forEach(member => {
+            const node = member.node;
+            if (member.isStaticBlock()) {
+                const fn = types.functionExpression(null, [], types.blockStatement(node.body));
+                staticInits.push(types.expressionStatement(types.callExpression(
+                    types.memberExpression(fn, types.identifier('call')), [types.identifier(classRef)])));
+                member.remove();
+                return;
+            }
+            let key = keyOf(node);
+            // 计算属性的 key 在定义类时按顺序求值一次
+            if (node.computed && !types.isLiteral(key) && !types.isStringLiteral(key) && !types.isNumericLiteral(key)) {
+                const temp = path.scope.generateUidIdentifier('key');
+                path.scope.push({ id: temp });
+                keyAssignments.push(types.assignmentExpression('=', types.identifier(temp.name), key));
+                key = types.identifier(temp.name);
+            }
+            node.value && replaceNewTarget(member.get('value'));
+            if (node.static) {
+                node.value && replaceThis(member.get('value'), classRef);
+                staticInits.push(defineProperty(state, types.identifier(classRef), key, member.node.value));
+            } else {
+                instanceInits.push(defineProperty(state, types.thisExpression(), key, node.value));
+            }
+            member.remove();
+        });
+
+        if (instanceInits.length) {
+            const bodyPath = ensureConstructor(path);
+            if (path.node.superClass) {
+                findSuperCalls(bodyPath).forEach(superCall => superCall.insertAfter(instanceInits.map(init => types.cloneNode(init))));
+            } else {
+                bodyPath.unshiftContainer('body', instanceInits);
+            }
+        }
+
+        if (isDeclaration) {
+            keyAssignments.length && path.insertBefore(keyAssignments.map(assignment => types.expressionStatement(assignment)));
+            staticInits.length && path.insertAfter(staticInits);
+            return;
+        }
+        // 类放到新的逗号表达式里时复制一份，原来的节点已经遍历过，不会再交给后面的插件
+        const classNode = types.cloneNode(path.node);
+        if (!staticInits.length) {
+            keyAssignments.length && path.replaceWith(types.sequenceExpression([...keyAssignments, classNode]));
+            return;
+        }
+        path.scope.push({ id: types.identifier(classRef) });
+        path.replaceWith(types.sequenceExpression([
+            ...keyAssignments,
+            types.assignmentExpression('=', types.identifier(classRef), classNode),
+            ...staticInits.map(init => init.expression),
+            types.identifier(classRef)
+        ]));
+    }
+
+    return {
+        name: 'transform-class-properties',
+        visitor: {
+            Class(path, state) {
+                transformClass(path, state);
+            }
+        }
+    };
+};
@@ -0,0 +1,298 @@
+/**
+ * class 转成构造函数，同 babel：
+ * class A extends B { constructor(x) { super(x); this.x = x; } m() { return super.m(); } static s() {} }
+ * → let A = function (_B) {
+ *       _inherits(A, _B);
+ *       function A(x) { var _this; _classCallCheck(this, A); _this = _possibleConstructorReturn(this, _getPrototypeOf(A).call(this, x)); _this.x = x; return _this; }
+ *       _createClass(A, [{ key: "m", value: function m() { return _get(_getPrototypeOf(A.prototype), "m", this).call(this); } }], [{ key: "s", value: function s() {} }]);
+ *       return A;
+ *   }(B);
+ * - 派生类构造函数里的 this 换成 _this，super() 之前访问 this 时用 _assertThisInitialized(_this) 检查
+ * - super(...args) 里的展开先留成数组 apply(this, [...args])，由 transform-spread 转换
+ * - 父类是 Error、Array 等内置类时用 _wrapNativeSuper 包一层，实例的原型才是子类的
+ * 类字段、静态块要先用 transform-class-properties 转换，私有成员、给 super.x 赋值不支持
+ */
+
+// 父类是这些内置类时要用 _wrapNativeSuper 包一层，同 babel
+const NATIVE_CLASSES = [
+    'Array', 'Boolean', 'Date', 'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError',
+    'URIError', 'AggregateError', 'Function', 'Map', 'Number', 'Promise', 'RegExp', 'Set', 'String', 'WeakMap',
+    'WeakSet', 'HTMLElement'
+];
+
+module.exports = function transformClasses(api) {
+    const { types } = api;
+
+    // 普通函数有自己的 this 和 super，箭头函数没有
+    const skipFunctions = {
+        'FunctionDeclaration|FunctionExpression|Class'(path) {
+            path.skip();
+        }
+    };
+
+    // 方法的 key 在描述对象里的值：m → "m"，[k] → k
+    function keyOf(method) {
+        if (method.computed) {
+            return method.key;
+        }
+        return types.isIdentifier(method.key) ? types.stringLiteral(method.key.name) : method.key;
+    }
+
+    // 函数体里没有引用同名的外层变量时，方法函数才能用方法名命名：m() {} → function m() {}
+    function canNameFunction(fnPath, name) {
+        if (fnPath.scope.hasOwnBinding(name)) {
+            return false;
+        }
+        let referenced = false;
+        fnPath.traverse({
+            Identifier(path) {
+                if (path.node.name === name && path.isReferenced()) {
+                    referenced = true;
+                    path.stop();
+                }
+            }
+        });
+        return !referenced;
+    }
+
+    // 类表达式没有名字时，用它赋给的变量名：const A = class {}
+    function getClassName(path) {
+        if (path.node.id) {
+            return path.node.id.name;
+        }
+        if (path.parentPath.isVariableDeclarator() && types.isIdentifier(path.parent.id)) {
+            return path.parent.id.name;
+        }
+        return path.scope.generateUid('class');
+    }
+
+    /**
+     * super.m → _get(_getPrototypeOf(A.prototype), "m", this)，super.m() → _get(...).call(this)，
+     * 静态方法里从 A 本身开始找
+     */
+    function transformSuperMembers(fnPath, className, isStatic, state) {
+        fnPath.get('body').traverse({
+            ...skipFunctions,
+            MemberExpression(path) {
+                if (!path.get('object').isSuper()) {
+                    return;
+                }
+                const parentPath = path.parentPath;
+                if ((parentPath.isAssignmentExpression() && parentPath.node.left === path.node) ||
+                    (parentPath.isUpdateExpression())) {
+                    throw path.buildCodeFrameError('Assigning to super properties is not supported');
+                }
+                const home = isStatic
+                    ? types.identifier(className)
+                    : types.memberExpression(types.identifier(className), types.identifier('prototype'));
+                const property = path.node.computed ? path.node.property : types.stringLiteral(path.node.property.name);
+                const get = types.callExpression(state.addHelper('get'), [
+                    types.callExpression(state.addHelper('getPrototypeOf'), [home]),
+                    property,
+                    types.thisExpression()
+                ]);
+                if (parentPath.isCallExpression() && parentPath.node.callee === path.node) {
+                    parentPath.replaceWith(types.callExpression(
+                        types.memberExpression(get, types.identifier('call')),
+                        [types.thisExpression(), ...parentPath.node.arguments]
+                    ));
+                } else {
+                    path.replaceWith(get);
+                }
+            }
+        });
+    }
+
+    /**
+     * 派生类的构造函数：super(...) 换成对 _this 的赋值，this 换成 _this，
+     * return 返回 _this（返回了对象时用那个对象），函数结尾补上 return _this
+     */
+    function transformDerivedConstructor(fnPath, className, state) {
+        const bodyPath = fnPath.get('body');
+        const thisId = fnPath.scope.generateUidIdentifier('this');
+        const thisRef = () => types.identifier(thisId.name);
+        // 生成的 possibleConstructorReturn(this, ...) 里用的是真正的 this
+        const realThis = new WeakSet();
+        const buildThis = () => {
+            const node = types.thisExpression();
+            realThis.add(node);
+            return node;
+        };
+        // 第一条 super() 语句之后的 this 一定已经初始化了
+        const firstSuperIndex = bodyPath.node.body.findIndex(statement => types.isExpressionStatement(statement) &&
+            types.isCallExpression(statement.expression) && types.isSuper(statement.expression.callee));
+
+        bodyPath.traverse({
+            ...skipFunctions,
+            CallExpression(path) {
+                if (!path.get('callee').isSuper()) {
+                    return;
+                }
+                const args = path.node.arguments;
+                const superConstructor = types.callExpression(state.addHelper('getPrototypeOf'), [types.identifier(className)]);
+                const call = args.some(arg => types.isSpreadElement(arg))
+                    ? types.callExpression(types.memberExpression(superConstructor, types.identifier('apply')),
+                        [buildThis(), types.arrayExpression(args)])
+                    : types.callExpression(types.memberExpression(superConstructor, types.identifier('call')),
+                        [buildThis(), ...args]);
+                path.replaceWith(types.assignmentExpression('=', thisRef(),
+                    types.callExpression(state.addHelper('possibleConstructorReturn'), [buildThis(), call])));
+            },
+            ThisExpression(path) {
+                if (realThis.has(path.node)) {
+                    return;
+                }
+                const statement = path.find(parent => parent.parentPath === bodyPath);
+                const initialized = firstSuperIndex !== -1 && statement.listKey > firstSuperIndex;
+                path.replaceWith(initialized
+                    ? thisRef()
+                    : types.callExpression(state.addHelper('assertThisInitialized'), [thisRef()]));
+            },
+            ReturnStatement(path) {
+                // 直接改节点，返回值里的 this 接着在子节点里替换
+                const argument = path.node.argument;
+                path.node.argument = argument
+                    ? types.callExpression(state.addHelper('possibleConstructorReturn'), [thisRef(), argument])
+                    : thisRef();
+            }
+        });
+
+        const body = bodyPath.node.body;
+        if (!body.length || !types.isReturnStatement(body[body.length - 1])) {
+            bodyPath.pushContainer('body', [types.returnStatement(thisRef())]);
+        }
+        bodyPath.unshiftContainer('body', [types.variableDeclaration('var', [types.variableDeclarator(thisId)])]);
+    }
+
+    // 没有写构造函数时：派生类把参数都传给父类
+    function buildDefaultConstructor(className, isDerived, state) {
+        const body = [];
+        if (isDerived) {
+            const superConstructor = types.callExpression(state.addHelper('getPrototypeOf'), [types.identifier(className)]);
+            body.push(types.returnStatement(types.callExpression(state.addHelper('possibleConstructorReturn'), [
+                types.thisExpression(),
+                types.callExpression(types.memberExpression(superConstructor, types.identifier('apply')),
+                    [types.thisExpression(), types.identifier('arguments')])
+            ])));
+        }
+        return types.functionExpression(null, [], types.blockStatement(body));
+    }
+
+    // 方法按 key 合并成描述对象，同名的 getter 和 setter 放在同一个描述对象里
+    function buildDescriptors(methods) {
+        const descriptors = [];
+        const accessors = new Map();
+        methods.forEach(({ node, fn }) => {
+            const key = keyOf(node);
+            const accessorKey = !node.computed && (node.kind === 'get' || node.kind === 'set')
+                ? String(types.isIdentifier(node.key) ? node.key.name : node.key.value)
+                : null;
+            let descriptor = accessorKey !== null ? accessors.get(accessorKey) : null;
+            if (!descriptor) {
+                descriptor = types.objectExpression([types.property(types.identifier('key'), key)]);
+                descriptors.push(descriptor);
+                accessorKey !== null && accessors.set(accessorKey, descriptor);
+            }
+            const kind = node.kind === 'method' ? 'value' : node.kind;
+            descriptor.properties.push(types.property(types.identifier(kind), fn));
+        });
+        return types.arrayExpression(descriptors);
+    }
+
+    // 父类是没有被同名变量挡住的内置类
+    function isNativeSuper(path) {
+        const superClass = path.node.superClass;
+        return types.isIdentifier(superClass) && NATIVE_CLASSES.includes(superClass.name) &&
+            !path.scope.hasBinding(superClass.name);
+    }
+
+    function transformClass(path, state) {
+        const node = path.node;
+        const className = getClassName(path);
+        const isDerived = !!node.superClass;
+        const methodPaths = path.get('body.body');
+
+        let constructor = null;
+        const protoMethods = [];
+        const staticMethods = [];
+        methodPaths.forEach(methodPath => {
+            const method = methodPath.node;
+            if (!methodPath.isMethodDefinition()) {
+                throw new Error(`${method.type} must be transformed by transform-class-properties before transform-classes`);
+            }
+            if (types.isPrivateIdentifier(method.key)) {
+                throw methodPath.get('key').buildCodeFrameError('Private methods are not supported');
+            }
+            const fnPath = methodPath.get('value');
+            transformSuperMembers(fnPath, className, method.static, state);
+            if (method.kind === 'constructor') {
+                isDerived && transformDerivedConstructor(fnPath, className, state);
+                constructor = fnPath.node;
+                return;
+            }
+            const fn = fnPath.node;
+            if (method.kind === 'method' && !method.computed && types.isIdentifier(method.key) &&
+                canNameFunction(fnPath, method.key.name)) {
+                fn.id = types.identifier(method.key.name);
+            }
+            (method.static ? staticMethods : protoMethods).push({ node: method, fn });
+        });
+
+        // 函数节点复制一份再放到新的位置上，原来的路径上缓存着类里的作用域
+        constructor = constructor ? types.cloneNode(constructor) : buildDefaultConstructor(className, isDerived, state);
+        constructor.body.body.unshift(types.expressionStatement(types.callExpression(state.addHelper('classCallCheck'),
+            [types.thisExpression(), types.identifier(className)])));
+        if (isDerived && types.isVariableDeclaration(constructor.body.body[1])) {
+            // var _this 放在最前面
+            constructor.body.body.unshift(constructor.body.body.splice(1, 1)[0]);
+        }
+        const cloneMethods = methods => methods.map(({ node, fn }) => ({ node, fn: types.cloneNode(fn) }));
+
+        // 没有父类、没有方法时不需要外面的函数
+        if (!isDerived && !protoMethods.length && !staticMethods.length) {
+            return types.functionExpression(types.identifier(className), constructor.params, constructor.body);
+        }
+        const body = [];
+        const superId = isDerived
+            ? path.scope.generateUidIdentifier(types.isIdentifier(node.superClass) ? node.superClass.name : 'super')
+            : null;
+        if (isDerived) {
+            body.push(types.expressionStatement(types.callExpression(state.addHelper('inherits'),
+                [types.identifier(className), types.identifier(superId.name)])));
+        }
+        body.push(types.functionDeclaration(types.identifier(className), constructor.params, constructor.body));
+        if (protoMethods.length || staticMethods.length) {
+            const args = [types.identifier(className), buildDescriptors(cloneMethods(protoMethods))];
+            if (staticMethods.length) {
+                args.push(buildDescriptors(cloneMethods(staticMethods)));
+            }
+            body.push(types.expressionStatement(types.callExpression(state.addHelper('createClass'), args)));
+        }
+        body.push(types.returnStatement(types.identifier(className)));
+        const superClass = isDerived && isNativeSuper(path)
+            ? types.callExpression(state.addHelper('wrapNativeSuper'), [node.superClass])
+            : node.superClass;
+        return types.callExpression(
+            types.functionExpression(null, superId ? [superId] : [], types.blockStatement(body)),
+            isDerived ? [superClass] : []
+        );
+    }
+
+    return {
+        name: 'transform-classes',
+        visitor: {
+            ClassDeclaration(path, state) {
+                const id = path.node.id;
+                const value = transformClass(path, state);
+                // 沿用原来的 id 节点，作用域里这个类的声明仍然对得上；export default class {} 没有名字，直接导出表达式
+                path.replaceWith(id
+                    ? types.variableDeclaration('let', [types.variableDeclarator(id, value)])
+                    : value);
+            },
+
+            ClassExpression(path, state) {
+                path.replaceWith(transformClass(path, state));
+            }
+        }
+    };
+};
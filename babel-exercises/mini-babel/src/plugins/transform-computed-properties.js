@@ -0,0 +1,77 @@
+/**
+ * 对象字面量里的计算属性名转成 _defineProperty，同 babel：
+ * { a: 1, [k]: 2, b: 3 } → (_obj = { a: 1 }, _defineProperty(_obj, k, 2), _defineProperty(_obj, "b", 3), _obj)
+ * - 第一个计算属性之前的属性留在字面量里，只剩最后一个属性时不用临时变量：{ [k]: 1 } → _defineProperty({}, k, 1)
+ * - getter、setter 用 Object.defineProperty 定义，__proto__: p 仍然是设置原型
+ */
+
+module.exports = function transformComputedProperties(api) {
+    const { types } = api;
+
+    // 属性的 key 在 _defineProperty 里的值：a → "a"，[k] → k
+    function keyOf(property) {
+        if (property.computed) {
+            return property.key;
+        }
+        return types.isIdentifier(property.key) ? types.stringLiteral(property.key.name) : property.key;
+    }
+
+    function isProtoSetter(property) {
+        if (property.computed || property.kind !== 'init' || property.method || property.shorthand) {
+            return false;
+        }
+        const key = property.key;
+        return types.isIdentifier(key) ? key.name === '__proto__' : key.value === '__proto__';
+    }
+
+    // 把一个属性定义到 object 上的表达式，结果都是 object 本身（__proto__ 除外）
+    function defineOn(object, property, state) {
+        if (types.isSpreadElement(property)) {
+            return types.callExpression(state.addHelper('extends'), [object, property.argument]);
+        }
+        if (isProtoSetter(property)) {
+            return types.assignmentExpression('=', types.memberExpression(object, types.identifier('__proto__')), property.value);
+        }
+        if (property.kind === 'get' || property.kind === 'set') {
+            const descriptor = types.objectExpression([
+                types.property(types.identifier(property.kind), property.value),
+                types.property(types.identifier('enumerable'), types.booleanLiteral(true)),
+                types.property(types.identifier('configurable'), types.booleanLiteral(true))
+            ]);
+            return types.callExpression(
+                types.memberExpression(types.identifier('Object'), types.identifier('defineProperty')),
+                [object, keyOf(property), descriptor]
+            );
+        }
+        return types.callExpression(state.addHelper('defineProperty'), [object, keyOf(property), property.value]);
+    }
+
+    return {
+        name: 'transform-computed-properties',
+        visitor: {
+            ObjectExpression: {
+                // 退出时处理，属性值里的对象字面量已经转换过
+                exit(path, state) {
+                    const properties = path.node.properties;
+                    const first = properties.findIndex(property => property.computed);
+                    if (first === -1) {
+                        return;
+                    }
+                    const initial = types.objectExpression(properties.slice(0, first));
+                    const rest = properties.slice(first);
+                    if (rest.length === 1 && !isProtoSetter(rest[0]) && !types.isSpreadElement(rest[0])) {
+                        path.replaceWith(defineOn(initial, rest[0], state));
+                        return;
+                    }
+                    const id = path.scope.generateUidIdentifier('obj');
+                    path.scope.push({ id });
+                    path.replaceWith(types.sequenceExpression([
+                        types.assignmentExpression('=', types.identifier(id.name), initial),
+                        ...rest.map(property => defineOn(types.identifier(id.name), property, state)),
+                        types.identifier(id.name)
+                    ]));
+                }
+            }
+        }
+    };
+};
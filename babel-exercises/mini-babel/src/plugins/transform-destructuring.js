@@ -0,0 +1,272 @@
+/**
+ * 解构转成逐个取值，同 babel：
+ * - var { a, b: [c = 1, ...d], ...e } = o → var a = o.a, _o$b = _toArray(o.b), _o$b$ = _o$b[0], c = _o$b$ === void 0 ? 1 : _o$b$,
+ *   d = _o$b.slice(1), e = _objectWithoutProperties(o, ["a", "b"])
+ * - 赋值表达式 [a, b] = [b, a] 展开成多个赋值，临时变量用 var 声明在作用域开头，表达式的值仍是右边的值
+ * - for (const [k, v] of m)、catch ({ message })、函数参数里的解构先换成临时变量，再在块的开头解构
+ * 数组解构先用 _toArray 转成数组，所以可迭代对象会被完整地迭代一遍。
+ * onlyObjectRest 为 true 时只转换包含对象剩余属性的解构，transform-object-rest-spread 用它处理 { a, ...rest }
+ */
+
+module.exports = function transformDestructuring(api, { onlyObjectRest = false } = {}) {
+    const { types } = api;
+
+    // pattern 里（包括嵌套的）有没有 { ...rest }
+    function hasObjectRest(node) {
+        if (!node) {
+            return false;
+        }
+        switch (node.type) {
+            case 'ObjectPattern':
+                return node.properties.some(property => types.isRestElement(property) || hasObjectRest(property.value));
+            case 'ArrayPattern':
+                return node.elements.some(hasObjectRest);
+            case 'AssignmentPattern':
+                return hasObjectRest(node.left);
+            case 'RestElement':
+                return hasObjectRest(node.argument);
+            default:
+                return false;
+        }
+    }
+
+    function isPattern(node) {
+        return (types.isObjectPattern(node) || types.isArrayPattern(node)) && (!onlyObjectRest || hasObjectRest(node));
+    }
+
+    function voidZero() {
+        return types.unaryExpression('void', types.numericLiteral(0), true);
+    }
+
+    // 临时变量的名字尽量带上来源：o → _o，o.b → _o$b，o[0] → _o$
+    function tempName(value) {
+        if (types.isIdentifier(value)) {
+            return value.name;
+        }
+        if (types.isMemberExpression(value)) {
+            return `${tempName(value.object)}$${value.computed ? '' : value.property.name}`;
+        }
+        return 'ref';
+    }
+
+    // { a: x } 取 obj.a，{ 'a-b': x }、{ 1: x } 取 obj['a-b']，{ [k]: x } 取 obj[k]
+    function memberFor(object, key, computed) {
+        if (computed) {
+            return types.memberExpression(types.cloneNode(object), key, true);
+        }
+        if (types.isIdentifier(key)) {
+            return types.memberExpression(types.cloneNode(object), types.identifier(key.name));
+        }
+        return types.memberExpression(types.cloneNode(object), types.stringLiteral(String(key.value)), true);
+    }
+
+    /**
+     * 把 pattern = value 展开成一组简单的赋值。
+     * ctx.emit(target, value) 生成一条声明或赋值，ctx.memo(value, force, name) 在需要时把值存到临时变量里
+     */
+    function destructure(pattern, value, ctx) {
+        switch (pattern.type) {
+            case 'AssignmentPattern': {
+                const ref = ctx.memo(value);
+                const withDefault = types.conditionalExpression(
+                    types.binaryExpression('===', types.cloneNode(ref), voidZero()),
+                    pattern.right,
+                    types.cloneNode(ref)
+                );
+                destructure(pattern.left, withDefault, ctx);
+                break;
+            }
+            case 'ArrayPattern': {
+                const elements = pattern.elements;
+                const array = types.callExpression(ctx.state.addHelper('toArray'), [value]);
+                // 只取一个元素时不用临时变量
+                const ref = elements.filter(Boolean).length > 1 ? ctx.memo(array, false, tempName(value)) : array;
+                elements.forEach((element, index) => {
+                    if (!element) {
+                        return;
+                    }
+                    if (types.isRestElement(element)) {
+                        const rest = types.callExpression(
+                            types.memberExpression(types.cloneNode(ref), types.identifier('slice')),
+                            [types.numericLiteral(index)]
+                        );
+                        destructure(element.argument, rest, ctx);
+                    } else {
+                        destructure(element, types.memberExpression(types.cloneNode(ref), types.numericLiteral(index), true), ctx);
+                    }
+                });
+                break;
+            }
+            case 'ObjectPattern': {
+                const properties = pattern.properties;
+                const hasRest = properties.some(property => types.isRestElement(property));
+                const ref = properties.length > 1 || hasRest || !properties.length ? ctx.memo(value) : value;
+                // 剩余属性要排除前面取过的 key，计算属性的 key 先存起来，避免求值两次
+                const excludedKeys = [];
+                properties.forEach(property => {
+                    if (types.isRestElement(property)) {
+                        const rest = types.callExpression(ctx.state.addHelper('objectWithoutProperties'),
+                            [types.cloneNode(ref), types.arrayExpression(excludedKeys)]);
+                        destructure(property.argument, rest, ctx);
+                        return;
+                    }
+                    let key = property.key;
+                    if (property.computed) {
+                        key = hasRest ? ctx.memo(key, true) : key;
+                        excludedKeys.push(types.cloneNode(key));
+                    } else {
+                        excludedKeys.push(types.stringLiteral(types.isIdentifier(key) ? key.name : String(key.value)));
+                    }
+                    destructure(property.value, memberFor(ref, property.computed ? types.cloneNode(key) : key, property.computed), ctx);
+                });
+                break;
+            }
+            default:
+                ctx.emit(pattern, value);
+        }
+    }
+
+    // 声明里的解构：临时变量也放在这条声明里。右边的标识符可以直接用，除非它也在这次声明的名字里
+    function destructureDeclarator(declarator, scope, state) {
+        const declarators = [];
+        const declaredNames = types.getBindingIdentifiers(declarator.id);
+        const ctx = {
+            state,
+            emit(id, init) {
+                declarators.push(types.variableDeclarator(id, init));
+            },
+            memo(value, force, name = tempName(value)) {
+                if (types.isIdentifier(value) && !force && !declaredNames[value.name]) {
+                    return value;
+                }
+                const temp = scope.generateUidIdentifier(name);
+                declarators.push(types.variableDeclarator(temp, value));
+                return temp;
+            }
+        };
+        destructure(declarator.id, declarator.init, ctx);
+        return declarators;
+    }
+
+    // 赋值表达式里的解构：临时变量声明在作用域开头，右边的值先存起来作为整个表达式的值
+    function destructureAssignment(path, state) {
+        const { left, right } = path.node;
+        const scope = path.scope;
+        const expressions = [];
+        // 标识符在解构过程中可能被赋值，只有自己生成的临时变量可以直接用
+        const temps = new Set();
+        const ctx = {
+            state,
+            emit(target, value) {
+                expressions.push(types.assignmentExpression('=', target, value));
+            },
+            memo(value, force, name = tempName(value)) {
+                if (types.isIdentifier(value) && !force && temps.has(value.name)) {
+                    return value;
+                }
+                const temp = scope.generateUidIdentifier(name);
+                temps.add(temp.name);
+                scope.push({ id: types.identifier(temp.name) });
+                expressions.push(types.assignmentExpression('=', types.identifier(temp.name), value));
+                return temp;
+            }
+        };
+        // 右边是标识符并且不会在解构过程中被改掉时可以直接用
+        const valueUnused = path.parentPath.isExpressionStatement();
+        const assignedNames = types.getBindingIdentifiers(left);
+        const canReuse = valueUnused && types.isIdentifier(right) && !assignedNames[right.name];
+        const ref = canReuse ? right : ctx.memo(right, true);
+        destructure(left, ref, ctx);
+
+        if (valueUnused) {
+            path.parentPath.replaceWithMultiple(expressions.map(expression => types.expressionStatement(expression)));
+            // 替换的是父节点，当前节点上后面的插件（如 object-rest-spread 里的同一个 visitor）不用再处理
+            path.skip();
+        } else {
+            expressions.push(types.cloneNode(ref));
+            path.replaceWith(types.sequenceExpression(expressions));
+        }
+    }
+
+    // 把 pattern 换成临时变量，返回在块开头要加的声明：pattern = _ref
+    function replacePatternWithTemp(path, key, kind) {
+        const pattern = path.node[key];
+        const temp = path.scope.generateUidIdentifier('ref');
+        path.node[key] = temp;
+        return types.variableDeclaration(kind, [types.variableDeclarator(pattern, types.identifier(temp.name))]);
+    }
+
+    return {
+        name: 'transform-destructuring',
+        visitor: {
+            VariableDeclaration(path, state) {
+                const declarations = path.node.declarations;
+                if (!declarations.some(declarator => isPattern(declarator.id))) {
+                    return;
+                }
+                // for (const [k, v] of m) 的左边由 ForXStatement 处理
+                if (path.parentPath.isForXStatement() && path.key === 'left') {
+                    return;
+                }
+                path.node.declarations = declarations.reduce((result, declarator) => {
+                    return result.concat(isPattern(declarator.id)
+                        ? destructureDeclarator(declarator, path.scope, state)
+                        : [declarator]);
+                }, []);
+            },
+
+            AssignmentExpression(path, state) {
+                if (path.node.operator === '=' && isPattern(path.node.left)) {
+                    destructureAssignment(path, state);
+                }
+            },
+
+            ForXStatement(path) {
+                const left = path.node.left;
+                let declaration;
+                if (types.isVariableDeclaration(left) && isPattern(left.declarations[0].id)) {
+                    declaration = replacePatternWithTemp(path.get('left.declarations.0'), 'id', left.kind);
+                } else if (isPattern(left)) {
+                    // for ([a, b] of m) → for (var _ref of m) { [a, b] = _ref; }
+                    const temp = path.scope.generateUidIdentifier('ref');
+                    path.node.left = types.variableDeclaration('var', [types.variableDeclarator(temp)]);
+                    declaration = types.expressionStatement(types.assignmentExpression('=', left, types.identifier(temp.name)));
+                }
+                if (declaration) {
+                    path.ensureBlock().unshiftContainer('body', [declaration]);
+                }
+            },
+
+            CatchClause(path) {
+                if (isPattern(path.node.param)) {
+                    path.get('body').unshiftContainer('body', [replacePatternWithTemp(path, 'param', 'let')]);
+                }
+            },
+
+            // 单独用这个插件时函数参数里的解构也要处理，默认值保留在参数上
+            Function(path) {
+                const declarations = [];
+                path.node.params.forEach((param, index) => {
+                    let holder = path.node.params;
+                    let key = index;
+                    if (types.isAssignmentPattern(param)) {
+                        holder = param;
+                        key = 'left';
+                    } else if (types.isRestElement(param)) {
+                        holder = param;
+                        key = 'argument';
+                    }
+                    if (!isPattern(holder[key])) {
+                        return;
+                    }
+                    const temp = path.scope.generateUidIdentifier('ref');
+                    declarations.push(types.variableDeclaration('var', [types.variableDeclarator(holder[key], types.identifier(temp.name))]));
+                    holder[key] = temp;
+                });
+                if (declarations.length) {
+                    path.ensureBlock().unshiftContainer('body', declarations);
+                }
+            }
+        }
+    };
+};
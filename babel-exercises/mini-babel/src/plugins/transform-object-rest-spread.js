@@ -0,0 +1,47 @@
+/**
+ * 对象的展开和剩余属性（ES2018），同 babel 的 loose 模式：
+ * - { a, ...b, c } → _extends({ a }, b, { c })
+ * - const { a, ...rest } = o → const a = o.a, rest = _objectWithoutProperties(o, ["a"])，
+ *   含有剩余属性的解构交给 transform-destructuring 的 onlyObjectRest 模式
+ * 展开用的是 Object.assign 的语义，会触发目标对象上的 setter
+ */
+
+const transformDestructuring = require('./transform-destructuring');
+
+module.exports = function transformObjectRestSpread(api) {
+    const { types } = api;
+    const destructuring = transformDestructuring(api, { onlyObjectRest: true });
+
+    return {
+        name: 'transform-object-rest-spread',
+        visitor: {
+            ...destructuring.visitor,
+
+            ObjectExpression(path, state) {
+                const properties = path.node.properties;
+                if (!properties.some(property => types.isSpreadElement(property))) {
+                    return;
+                }
+                // 连续的普通属性放到一个对象字面量里，第一段不是对象字面量时从 {} 开始
+                const args = [];
+                let current = null;
+                properties.forEach(property => {
+                    if (types.isSpreadElement(property)) {
+                        current = null;
+                        args.push(property.argument);
+                    } else {
+                        if (!current) {
+                            current = types.objectExpression([]);
+                            args.push(current);
+                        }
+                        current.properties.push(property);
+                    }
+                });
+                if (!types.isObjectExpression(args[0])) {
+                    args.unshift(types.objectExpression([]));
+                }
+                path.replaceWith(types.callExpression(state.addHelper('extends'), args));
+            }
+        }
+    };
+};
@@ -0,0 +1,73 @@
+/**
+ * 对象字面量方法里的 super.x 转成从对象的原型上取值，同 babel：
+ * var _obj; const o = _obj = { f() { return _get(_getPrototypeOf(_obj), "f", this).call(this); } }
+ * 原来是 const o = { f() { return super.f(); } }，给 super.x 赋值不支持
+ */
+
+module.exports = function transformObjectSuper(api) {
+    const { types } = api;
+
+    // 普通函数有自己的 super，箭头函数没有
+    const skipFunctions = {
+        'FunctionDeclaration|FunctionExpression|Class'(path) {
+            path.skip();
+        }
+    };
+
+    function isMethod(property) {
+        return types.isProperty(property) && (property.method || property.kind === 'get' || property.kind === 'set');
+    }
+
+    // 把方法里的 super.x 换掉，getObjectRef 在第一次用到时生成 _obj
+    function replaceSuperMembers(fnPath, getObjectRef, state) {
+        fnPath.get('body').traverse({
+            ...skipFunctions,
+            MemberExpression(path) {
+                if (!path.get('object').isSuper()) {
+                    return;
+                }
+                const parentPath = path.parentPath;
+                if ((parentPath.isAssignmentExpression() && parentPath.node.left === path.node) ||
+                    (parentPath.isUpdateExpression())) {
+                    throw path.buildCodeFrameError('Assigning to super properties is not supported');
+                }
+                const property = path.node.computed ? path.node.property : types.stringLiteral(path.node.property.name);
+                const get = types.callExpression(state.addHelper('get'), [
+                    types.callExpression(state.addHelper('getPrototypeOf'), [types.identifier(getObjectRef().name)]),
+                    property,
+                    types.thisExpression()
+                ]);
+                if (parentPath.isCallExpression() && parentPath.node.callee === path.node) {
+                    parentPath.replaceWith(types.callExpression(
+                        types.memberExpression(get, types.identifier('call')),
+                        [types.thisExpression(), ...parentPath.node.arguments]
+                    ));
+                } else {
+                    path.replaceWith(get);
+                }
+            }
+        });
+    }
+
+    return {
+        name: 'transform-object-super',
+        visitor: {
+            ObjectExpression(path, state) {
+                let objectRef = null;
+                const getObjectRef = () => objectRef || (objectRef = path.scope.generateUidIdentifier('obj'));
+                path.get('properties').forEach(propertyPath => {
+                    if (isMethod(propertyPath.node)) {
+                        replaceSuperMembers(propertyPath.get('value'), getObjectRef, state);
+                    }
+                });
+                if (!objectRef) {
+                    return;
+                }
+                path.scope.push({ id: objectRef });
+                // 换成新的对象节点，属性还没有遍历过，其他插件还要处理
+                path.replaceWith(types.assignmentExpression('=', types.identifier(objectRef.name),
+                    types.objectExpression(path.node.properties)));
+            }
+        }
+    };
+};
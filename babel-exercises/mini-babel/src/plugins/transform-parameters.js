@@ -0,0 +1,152 @@
+/**
+ * 默认参数、剩余参数、解构参数转成函数体开头的变量声明，同 babel：
+ * - function f(a, b = 1, ...c) → function f(a) { var b = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 1;
+ *   var c = Array.prototype.slice.call(arguments, 2); }，第一个默认参数之前的参数保留，函数的 length 不变
+ * - function f({ a }) → function f(_ref) { var { a } = _ref; }，解构再交给 destructuring
+ * - 函数体里的 var、函数声明和参数同名时，函数体是单独的作用域，移到里面的函数中，同名参数的值传进去：
+ *   function f(x, y = () => x) { var x = 2; } → function f(x) { var y = ...; return function (x) { var x = 2; }(x); }
+ *   默认值里用到函数体里声明的名字时也一样，默认值取的是外层的值
+ * 用到 arguments 的箭头函数先转成普通函数
+ */
+
+module.exports = function transformParameters(api) {
+    const { types } = api;
+
+    function isSimple(param) {
+        return types.isIdentifier(param);
+    }
+
+    function argumentAt(index) {
+        return types.memberExpression(types.identifier('arguments'), types.numericLiteral(index), true);
+    }
+
+    // arguments.length > i && arguments[i] !== undefined ? arguments[i] : right，没有默认值时是 arguments.length > i ? arguments[i] : undefined
+    function buildArgument(index, defaultValue) {
+        const hasArgument = types.binaryExpression('>',
+            types.memberExpression(types.identifier('arguments'), types.identifier('length')),
+            types.numericLiteral(index));
+        if (!defaultValue) {
+            return types.conditionalExpression(hasArgument, argumentAt(index), types.identifier('undefined'));
+        }
+        return types.conditionalExpression(
+            types.logicalExpression('&&', hasArgument,
+                types.binaryExpression('!==', argumentAt(index), types.identifier('undefined'))),
+            argumentAt(index),
+            defaultValue
+        );
+    }
+
+    // 函数体里（不进入嵌套函数）用 var、函数声明重新声明的参数名
+    function getShadowedParams(path, params) {
+        const names = new Set();
+        params.forEach(param => Object.keys(types.getBindingIdentifiers(param)).forEach(name => names.add(name)));
+        const shadowed = new Set();
+        const collect = node => Object.keys(types.getBindingIdentifiers(node))
+            .forEach(name => names.has(name) && shadowed.add(name));
+        path.get('body').traverse({
+            VariableDeclaration(declarationPath) {
+                declarationPath.node.kind === 'var' && collect(declarationPath.node);
+            },
+            FunctionDeclaration(fnPath) {
+                collect(fnPath.node.id);
+                fnPath.skip();
+            },
+            'FunctionExpression|ArrowFunctionExpression'(fnPath) {
+                fnPath.skip();
+            }
+        });
+        return [...shadowed];
+    }
+
+    // 参数里用到了函数体里声明的名字（或者 eval）时，默认值应该取外层的值，函数体也要包起来，同 babel 的 iifeVisitor
+    function referencesBody(path) {
+        const scope = path.scope;
+        let found = false;
+        path.get('params').forEach(param => param.traverse({
+            Identifier(idPath) {
+                const name = idPath.node.name;
+                if (!idPath.isReferenced()) {
+                    return;
+                }
+                const binding = scope.getOwnBinding(name);
+                const inBody = binding && binding.kind !== 'param' && binding.kind !== 'local' && idPath.scope.getBinding(name) === binding;
+                if (name === 'eval' || inBody) {
+                    found = true;
+                    idPath.stop();
+                }
+            }
+        }));
+        return found;
+    }
+
+    /**
+     * 原来的函数体包成一个函数再调用，同 babel：先用箭头函数包起来再转换，this、arguments 不变，
+     * 生成器、async 函数的标记移到里面的函数上
+     */
+    function wrapBody(path, declarations, shadowed) {
+        const node = path.node;
+        const inner = types.arrowFunctionExpression(shadowed.map(name => types.identifier(name)), node.body);
+        const call = types.callExpression(inner, shadowed.map(name => types.identifier(name)));
+        node.body = types.blockStatement([...declarations, types.returnStatement(call)]);
+        const bodyPath = path.get('body.body');
+        const [innerPath] = bodyPath[bodyPath.length - 1].get('argument.callee').arrowFunctionToExpression();
+        innerPath.node.generator = node.generator;
+        innerPath.node.async = node.async;
+        node.generator = false;
+        node.async = false;
+    }
+
+    return {
+        name: 'transform-parameters',
+        visitor: {
+            Function(path) {
+                const params = path.node.params;
+                if (params.every(isSimple)) {
+                    return;
+                }
+                if (path.isArrowFunctionExpression()) {
+                    // 转换后的函数表达式会重新遍历，到时再处理参数
+                    path.arrowFunctionToExpression();
+                    return;
+                }
+
+                const firstOptional = params.findIndex(param => types.isAssignmentPattern(param) || types.isRestElement(param));
+                const keptParams = [];
+                const declarations = [];
+                const declare = (id, init) => declarations.push(types.variableDeclaration('var', [types.variableDeclarator(id, init)]));
+                params.forEach((param, index) => {
+                    if (firstOptional === -1 || index < firstOptional) {
+                        if (isSimple(param)) {
+                            keptParams.push(param);
+                        } else {
+                            const ref = path.scope.generateUidIdentifier('ref');
+                            keptParams.push(ref);
+                            declare(param, types.identifier(ref.name));
+                        }
+                    } else if (types.isRestElement(param)) {
+                        declare(param.argument, types.callExpression(
+                            types.memberExpression(
+                                types.memberExpression(types.memberExpression(types.identifier('Array'), types.identifier('prototype')), types.identifier('slice')),
+                                types.identifier('call')),
+                            [types.identifier('arguments'), types.numericLiteral(index)]
+                        ));
+                    } else if (types.isAssignmentPattern(param)) {
+                        declare(param.left, buildArgument(index, param.right));
+                    } else {
+                        declare(param, buildArgument(index));
+                    }
+                });
+
+                const shadowed = getShadowedParams(path, params);
+                const needsWrap = shadowed.length > 0 || referencesBody(path);
+                path.node.params = keptParams;
+                if (needsWrap) {
+                    wrapBody(path, declarations, shadowed);
+                } else {
+                    path.ensureBlock().unshiftContainer('body', declarations);
+                }
+                path.scope.crawl();
+            }
+        }
+    };
+};
@@ -0,0 +1,23 @@
+/**
+ * 对象字面量的简写转成完整写法：{ a } → { a: a }，{ b() {} } → { b: function () {} }。
+ * getter、setter 在 ES5 里就有，不用转
+ */
+
+module.exports = function transformShorthandProperties() {
+    return {
+        name: 'transform-shorthand-properties',
+        visitor: {
+            Property(path) {
+                // 解构的 { a } 不是对象字面量，由 destructuring 处理
+                if (!path.parentPath.isObjectExpression()) {
+                    return;
+                }
+                // ESTree 里方法的 value 本来就是函数表达式，简写的 value 也是单独的节点，改掉标记就行
+                if (path.node.kind === 'init') {
+                    path.node.method = false;
+                    path.node.shorthand = false;
+                }
+            }
+        }
+    };
+};
@@ -0,0 +1,97 @@
+/**
+ * 数组、函数调用、new 里的展开转成 concat 和 apply，同 babel：
+ * - [a, ...b] → [a].concat(_toConsumableArray(b))
+ * - f(...a) → f.apply(void 0, _toConsumableArray(a))，obj.f(...a) → obj.f.apply(obj, ...)，obj 有副作用时先存到临时变量
+ * - new F(...a) → new (Function.prototype.bind.apply(F, [null].concat(_toConsumableArray(a))))()
+ * 对象里的展开是 ES2018 的语法，见 transform-object-rest-spread
+ */
+
+module.exports = function transformSpread(api) {
+    const { types } = api;
+
+    function hasSpread(elements) {
+        return elements.some(element => types.isSpreadElement(element));
+    }
+
+    // 连续的普通元素放到一个数组字面量里，展开的元素转成数组，最后用 concat 拼起来
+    function buildArray(elements, state) {
+        const segments = [];
+        let current = null;
+        elements.forEach(element => {
+            if (types.isSpreadElement(element)) {
+                current = null;
+                segments.push(types.callExpression(state.addHelper('toConsumableArray'), [element.argument]));
+            } else {
+                if (!current) {
+                    current = types.arrayExpression([]);
+                    segments.push(current);
+                }
+                current.elements.push(element);
+            }
+        });
+        if (segments.length === 1) {
+            return segments[0];
+        }
+        const first = types.isArrayExpression(segments[0]) ? segments.shift() : types.arrayExpression([]);
+        return types.callExpression(types.memberExpression(first, types.identifier('concat')), segments);
+    }
+
+    function isStatic(node, scope) {
+        return types.isThisExpression(node) || types.isSuper(node) ||
+            (types.isIdentifier(node) && scope.hasBinding(node.name) && scope.getBinding(node.name).constant);
+    }
+
+    return {
+        name: 'transform-spread',
+        visitor: {
+            ArrayExpression(path, state) {
+                if (hasSpread(path.node.elements)) {
+                    path.replaceWith(buildArray(path.node.elements, state));
+                }
+            },
+
+            CallExpression(path, state) {
+                const { callee, arguments: args } = path.node;
+                // super(...args) 由 transform-classes 处理
+                if (!hasSpread(args) || types.isSuper(callee)) {
+                    return;
+                }
+                let thisArg = types.unaryExpression('void', types.numericLiteral(0), true);
+                let fn = callee;
+                if (types.isMemberExpression(callee)) {
+                    if (isStatic(callee.object, path.scope)) {
+                        thisArg = types.isSuper(callee.object) ? types.thisExpression() : types.cloneNode(callee.object);
+                    } else {
+                        const temp = path.scope.generateUidIdentifier(types.isIdentifier(callee.object) ? callee.object.name : 'obj');
+                        path.scope.push({ id: temp });
+                        fn = types.memberExpression(
+                            types.assignmentExpression('=', types.identifier(temp.name), callee.object),
+                            callee.property,
+                            callee.computed
+                        );
+                        thisArg = types.identifier(temp.name);
+                    }
+                }
+                path.replaceWith(types.callExpression(
+                    types.memberExpression(fn, types.identifier('apply')),
+                    [thisArg, buildArray(args, state)]
+                ));
+            },
+
+            NewExpression(path, state) {
+                const { callee, arguments: args } = path.node;
+                if (!hasSpread(args)) {
+                    return;
+                }
+                const bind = types.memberExpression(
+                    types.memberExpression(types.memberExpression(types.identifier('Function'), types.identifier('prototype')), types.identifier('bind')),
+                    types.identifier('apply')
+                );
+                path.replaceWith(types.newExpression(
+                    types.callExpression(bind, [callee, buildArray([types.nullLiteral(), ...args], state)]),
+                    []
+                ));
+            }
+        }
+    };
+};
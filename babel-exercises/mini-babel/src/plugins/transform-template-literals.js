@@ -0,0 +1,66 @@
+/**
+ * 模板字符串转成字符串拼接，同 babel：
+ * `a${b}c` → "a".concat(b, "c")，用 concat 而不是 + 是为了和模板字符串一样调用 toString 而不是 valueOf；
+ * 带标签的模板转成函数调用，字符串数组只创建一次：tag(_templateObject || (_templateObject = _taggedTemplateLiteral([...], [...])), b)
+ */
+
+module.exports = function transformTemplateLiterals(api) {
+    const { types } = api;
+
+    function stringArray(quasis, key) {
+        return types.arrayExpression(quasis.map(quasi => quasi.value[key] == null
+            ? types.identifier('undefined')
+            : types.stringLiteral(quasi.value[key])));
+    }
+
+    return {
+        name: 'transform-template-literals',
+        visitor: {
+            TaggedTemplateExpression(path, state) {
+                const { tag, quasi } = path.node;
+                const cooked = stringArray(quasi.quasis, 'cooked');
+                const raw = stringArray(quasi.quasis, 'raw');
+                const args = [cooked];
+                // raw 和 cooked 不一样时（有转义）才需要单独传 raw
+                if (quasi.quasis.some(element => element.value.raw !== element.value.cooked)) {
+                    args.push(raw);
+                }
+                const programScope = path.scope.getProgramParent();
+                const id = programScope.generateUidIdentifier('templateObject');
+                programScope.push({ id });
+                const strings = types.logicalExpression('||', types.identifier(id.name),
+                    types.assignmentExpression('=', types.identifier(id.name),
+                        types.callExpression(state.addHelper('taggedTemplateLiteral'), args)));
+                path.replaceWith(types.callExpression(tag, [strings, ...quasi.expressions]));
+            },
+
+            TemplateLiteral(path) {
+                if (path.parentPath.isTaggedTemplateExpression()) {
+                    return;
+                }
+                const { quasis, expressions } = path.node;
+                // 字符串和表达式按顺序排好，空字符串不要
+                const parts = [];
+                quasis.forEach((quasi, index) => {
+                    if (quasi.value.cooked) {
+                        parts.push(types.stringLiteral(quasi.value.cooked));
+                    }
+                    if (index < expressions.length) {
+                        parts.push(expressions[index]);
+                    }
+                });
+                if (!parts.length || !types.isStringLiteral(parts[0])) {
+                    parts.unshift(types.stringLiteral(''));
+                }
+                if (parts.length === 1) {
+                    path.replaceWith(parts[0]);
+                    return;
+                }
+                path.replaceWith(types.callExpression(
+                    types.memberExpression(parts[0], types.identifier('concat')),
+                    parts.slice(1)
+                ));
+            }
+        }
+    };
+};
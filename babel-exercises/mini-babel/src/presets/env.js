@@ -0,0 +1,72 @@
+/**
+ * 简化版的 @babel/preset-env：按目标的 ES 版本选出要用的转换插件。
+ * 选项：
+ * - targets：目标版本，'es5'（默认）、'es2015'/'es6' ... 'es2022'、'esnext'，也可以直接写年份 2017 或版本号 5、6。
+ *   比目标新的语法都会被转换
+ * - include / exclude：在此基础上强制加上、去掉的插件名，如 exclude: ['transform-block-scoping']
+ * 只包含下面列出的转换，for...of、生成器、async 函数等语法原样输出。
+ * 不支持、编译时报错的语法：私有字段和私有方法（#x，目标低于 es2022 时），目标是 es5 时在类和对象字面量的方法里给 super.x 赋值
+ */
+
+const { declarePreset } = require('../helper-plugin-utils');
+
+// 插件名 → 引入它所处理的语法的 ES 版本（年份），顺序就是插件执行的顺序，同 babel
+const features = [
+    ['transform-class-properties', 2022],
+    ['transform-object-rest-spread', 2018],
+    ['transform-template-literals', 2015],
+    ['transform-arrow-functions', 2015],
+    ['transform-classes', 2015],
+    ['transform-object-super', 2015],
+    ['transform-shorthand-properties', 2015],
+    ['transform-computed-properties', 2015],
+    ['transform-spread', 2015],
+    ['transform-parameters', 2015],
+    ['transform-destructuring', 2015],
+    ['transform-block-scoping', 2015]
+];
+
+// 'es5' → 2009，'es6'/'es2015'/2015/6 → 2015，'esnext' → 不转换任何语法
+function parseTarget(targets) {
+    const match = /^es(\d+|next)$/i.exec(typeof targets === 'number' ? `es${targets}` : String(targets));
+    if (match) {
+        if (match[1].toLowerCase() === 'next') {
+            return Infinity;
+        }
+        const version = Number(match[1]);
+        if (version === 5) {
+            return 2009;
+        }
+        if (version >= 6 && version < 2015) {
+            return version + 2009;
+        }
+        if (version >= 2015) {
+            return version;
+        }
+    }
+    throw new Error(`Invalid targets "${targets}" passed to preset env, expected "es5", "es2015" ... "esnext" or a year`);
+}
+
+function checkPluginNames(names, option) {
+    if (!Array.isArray(names)) {
+        throw new Error(`The "${option}" option of preset env must be an array of plugin names`);
+    }
+    names.forEach(name => {
+        if (!features.some(([feature]) => feature === name)) {
+            throw new Error(`Invalid plugin "${name}" passed to the "${option}" option of preset env`);
+        }
+    });
+}
+
+module.exports = declarePreset((api, options) => {
+    api.assertVersion(7);
+    const { targets = 'es5', include = [], exclude = [] } = options;
+    const target = parseTarget(targets);
+    checkPluginNames(include, 'include');
+    checkPluginNames(exclude, 'exclude');
+
+    const plugins = features
+        .filter(([name, version]) => (version > target || include.includes(name)) && !exclude.includes(name))
+        .map(([name]) => name);
+    return { plugins };
+});
@@ -1,15 +1,217 @@
 const parser = require('../parser');
+const { codeFrameColumns } = require('../code-frame');
+const {
+    hasSyntacticPlaceholders,
+    encodeSyntacticPlaceholders,
+    createPlaceholderMatcher,
+    findPlaceholders,
+    populatePlaceholders,
+    removeProperties
+} = require('./placeholders');
 
-function template(code) {
-    return parser.parse(code, {
-        plugins: ['literal']
+// 模板自己的选项，其余的都透传给 parser
+const TEMPLATE_OPTION_NAMES = ['placeholderPattern', 'placeholderWhitelist', 'syntacticPlaceholders', 'preserveComments', 'internalNames'];
+
+// 模板代码片段可能出现在函数体、模块里，解析时放宽限制
+const parserDefaults = {
+    sourceType: 'module',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true
+};
+
+/**
+ * 不同的模板构建函数只在两处不同：解析前怎么包装代码，解析后从 Program 里取出什么
+ */
+const formatters = {
+    smart: {
+        unwrap: ast => ast.body.length > 1 ? ast.body : ast.body[0]
+    },
+    statements: {
+        unwrap: ast => ast.body
+    },
+    statement: {
+        unwrap(ast) {
+            if (ast.body.length > 1) {
+                throw new Error('Found multiple statements but wanted one');
+            }
+            if (!ast.body.length) {
+                throw new Error('Found nothing to return.');
+            }
+            return ast.body[0];
+        }
+    },
+    expression: {
+        // 加上括号，对象字面量、逗号表达式才会被当作一个表达式
+        code: code => `(\n${code}\n)`,
+        unwrap(ast) {
+            const statement = formatters.statement.unwrap(ast);
+            if (statement.type !== 'ExpressionStatement') {
+                throw new Error(`Expected an expression but found ${statement.type}`);
+            }
+            return statement.expression;
+        }
+    },
+    program: {
+        unwrap: ast => ast
+    }
+};
+
+function validateOptions(opts = {}) {
+    if (typeof opts !== 'object' || opts === null) {
+        throw new Error('Unknown template options.');
+    }
+    const { placeholderPattern, placeholderWhitelist, syntacticPlaceholders, preserveComments } = opts;
+    if (placeholderPattern !== undefined && placeholderPattern !== false && !(placeholderPattern instanceof RegExp)) {
+        throw new Error("'.placeholderPattern' must be a RegExp, false, or undefined");
+    }
+    if (placeholderWhitelist !== undefined && !(placeholderWhitelist instanceof Set)) {
+        throw new Error("'.placeholderWhitelist' must be a Set, or undefined");
+    }
+    if (syntacticPlaceholders !== undefined && typeof syntacticPlaceholders !== 'boolean') {
+        throw new Error("'.syntacticPlaceholders' must be a boolean, or undefined");
+    }
+    if (syntacticPlaceholders === true && (placeholderPattern !== undefined || placeholderWhitelist !== undefined)) {
+        throw new Error("'.placeholderWhitelist' and '.placeholderPattern' aren't compatible with '.syntacticPlaceholders: true'");
+    }
+    if (preserveComments !== undefined && typeof preserveComments !== 'boolean') {
+        throw new Error("'.preserveComments' must be a boolean, or undefined");
+    }
+    return opts;
+}
+
+function mergeOptions(base, extra) {
+    const merged = Object.assign({}, base, validateOptions(extra));
+    if (base.plugins && extra && extra.plugins) {
+        merged.plugins = [...base.plugins, ...extra.plugins];
+    }
+    return merged;
+}
+
+function parseTemplate(formatter, code, opts) {
+    const syntactic = hasSyntacticPlaceholders(code);
+    if (syntactic && opts.syntacticPlaceholders === false) {
+        throw new Error("%%name%% placeholders can't be used when '.syntacticPlaceholders' is false.");
+    }
+    const source = encodeSyntacticPlaceholders(formatter.code ? formatter.code(code) : code);
+
+    const parserOptions = Object.assign({}, parserDefaults);
+    Object.keys(opts).forEach(key => {
+        if (!TEMPLATE_OPTION_NAMES.includes(key)) {
+            parserOptions[key] = opts[key];
+        }
     });
+    parserOptions.plugins = ['literal', ...(opts.plugins || [])];
+
+    let ast;
+    try {
+        ast = parser.parse(source, parserOptions);
+    } catch (e) {
+        if (e.loc) {
+            e.message += '\n---\n' + codeFrameColumns(source, { start: { line: e.loc.line, column: e.loc.column + 1 } });
+        }
+        throw e;
+    }
+    removeProperties(ast, opts.preserveComments);
+
+    const matchName = createPlaceholderMatcher(opts, syntactic || opts.syntacticPlaceholders === true);
+    const { names } = findPlaceholders(ast, matchName);
+    return { ast, names, matchName };
 }
 
-template.expression = function(code) {
-    const node =  template(code).body[0].expression;
-    node.loc = null;
-    return node;
+// 模板在第一次使用时才解析，之后每次调用复制一份 AST 再替换占位符
+function buildFromString(formatter, code, opts) {
+    let metadata;
+    return function (replacements) {
+        if (!metadata) {
+            metadata = parseTemplate(formatter, code, opts);
+        }
+        return formatter.unwrap(populatePlaceholders(metadata, replacements));
+    };
 }
 
-module.exports = template;
\ No newline at end of file
+/**
+ * 标签模板的用法：template.statement`var ${id} = require(${source});`，
+ * ${} 的位置换成内部的占位符名字，值在生成时和调用传入的 replacements 合并
+ */
+function buildFromLiteral(formatter, strings, values, opts) {
+    const raw = strings.raw.join('');
+    let prefix = '$$mb_tpl';
+    while (raw.includes(prefix)) {
+        prefix = '$' + prefix;
+    }
+    const names = values.map((_, index) => `${prefix}${index}`);
+    const code = strings.raw.reduce((result, str, index) => result + names[index - 1] + str);
+    const build = buildFromString(formatter, code, Object.assign({}, opts, { internalNames: new Set(names) }));
+
+    return function (replacements) {
+        const merged = {};
+        names.forEach((name, index) => merged[name] = values[index]);
+        if (replacements) {
+            Object.keys(replacements).forEach(key => {
+                if (Object.prototype.hasOwnProperty.call(merged, key)) {
+                    throw new Error('Unexpected replacement overlap.');
+                }
+                merged[key] = replacements[key];
+            });
+        }
+        return build(merged);
+    };
+}
+
+function isTemplateStrings(tpl) {
+    return Array.isArray(tpl) && Array.isArray(tpl.raw);
+}
+
+/**
+ * 创建某一种模板构建函数，支持这几种调用方式：
+ * - builder(code, opts?)：返回 (replacements?) => AST
+ * - builder`code ${node}`：标签模板，同样返回 (replacements?) => AST
+ * - builder(opts)：返回带上这些默认选项的新构建函数
+ * - builder.ast(code) / builder.ast`code`：不处理占位符，直接返回 AST
+ */
+function createTemplateBuilder(formatter, defaultOpts) {
+    function builder(tpl, ...args) {
+        if (typeof tpl === 'string') {
+            if (args.length > 1) {
+                throw new Error('Unexpected extra params.');
+            }
+            return buildFromString(formatter, tpl, mergeOptions(defaultOpts, args[0]));
+        }
+        if (isTemplateStrings(tpl)) {
+            return buildFromLiteral(formatter, tpl, args, defaultOpts);
+        }
+        if (typeof tpl === 'object' && tpl !== null) {
+            if (args.length) {
+                throw new Error('Unexpected extra params.');
+            }
+            return createTemplateBuilder(formatter, mergeOptions(defaultOpts, tpl));
+        }
+        throw new Error(`Unexpected template param ${typeof tpl}`);
+    }
+
+    builder.ast = function (tpl, ...args) {
+        const opts = Object.assign({}, defaultOpts, { placeholderPattern: false });
+        if (typeof tpl === 'string') {
+            if (args.length > 1) {
+                throw new Error('Unexpected extra params.');
+            }
+            return buildFromString(formatter, tpl, mergeOptions(opts, args[0]))();
+        }
+        if (isTemplateStrings(tpl)) {
+            return buildFromLiteral(formatter, tpl, args, opts)();
+        }
+        throw new Error(`Unexpected template param ${typeof tpl}`);
+    };
+
+    return builder;
+}
+
+const template = createTemplateBuilder(formatters.smart, {});
+
+template.smart = template;
+template.statement = createTemplateBuilder(formatters.statement, {});
+template.statements = createTemplateBuilder(formatters.statements, {});
+template.expression = createTemplateBuilder(formatters.expression, {});
+template.program = createTemplateBuilder(formatters.program, {});
+
+module.exports = template;
@@ -0,0 +1,244 @@
+const types = require('../types');
+
+// %%name%% 先替换成这种标识符再解析，解析后再还原出名字
+const SYNTACTIC_PLACEHOLDER = /%%([A-Za-z_$][\w$]*)%%/g;
+const SYNTACTIC_PREFIX = '$$mb_placeholder_';
+const SYNTACTIC_IDENTIFIER = /^\$\$mb_placeholder_([\w$]+?)\$\$$/;
+
+const DEFAULT_PLACEHOLDER_PATTERN = /^[_$A-Z0-9]+$/;
+
+// 模板 AST 里不需要的位置信息，注释按 preserveComments 决定是否保留
+const LOCATION_KEYS = ['start', 'end', 'loc', 'range'];
+const COMMENT_KEYS = ['leadingComments', 'trailingComments', 'innerComments'];
+
+function hasSyntacticPlaceholders(code) {
+    return new RegExp(SYNTACTIC_PLACEHOLDER.source).test(code);
+}
+
+function encodeSyntacticPlaceholders(code) {
+    return code.replace(SYNTACTIC_PLACEHOLDER, (_, name) => `${SYNTACTIC_PREFIX}${name}$$`);
+}
+
+function isNode(value) {
+    return !!value && typeof value === 'object' && typeof value.type === 'string';
+}
+
+function removeProperties(node, preserveComments) {
+    if (Array.isArray(node)) {
+        node.forEach(child => removeProperties(child, preserveComments));
+        return;
+    }
+    if (!isNode(node)) {
+        return;
+    }
+    LOCATION_KEYS.forEach(key => delete node[key]);
+    if (!preserveComments) {
+        COMMENT_KEYS.forEach(key => delete node[key]);
+    }
+    Object.keys(node).forEach(key => removeProperties(node[key], preserveComments));
+}
+
+/**
+ * 判断一个名字是不是占位符，返回占位符的名字（%%name%% 还原成 name），不是时返回 null。
+ * 用了 %%name%% 之后，大写名字不再当作占位符
+ */
+function createPlaceholderMatcher(opts, syntactic) {
+    const pattern = opts.placeholderPattern === undefined ? DEFAULT_PLACEHOLDER_PATTERN : opts.placeholderPattern;
+    return function (name) {
+        const match = SYNTACTIC_IDENTIFIER.exec(name);
+        if (match) {
+            return match[1];
+        }
+        if (opts.internalNames && opts.internalNames.has(name)) {
+            return name;
+        }
+        if (syntactic) {
+            return null;
+        }
+        if (opts.placeholderWhitelist && opts.placeholderWhitelist.has(name)) {
+            return name;
+        }
+        return pattern && pattern.test(name) ? name : null;
+    };
+}
+
+/**
+ * 找出 AST 中所有的占位符，按出现顺序返回 { name, type, parent, key, index, isDuplicate }。
+ * type 决定替换时怎么转换传入的值：
+ * - string: 字符串字面量 'NAME'
+ * - param: 函数参数、调用参数，可以替换成多个
+ * - statement: 单独成一条语句的 NAME;，替换的是整条语句
+ * - other: 其余的表达式位置
+ */
+function findPlaceholders(root, matchName) {
+    const placeholders = [];
+    const names = new Set();
+
+    function visit(node, ancestors) {
+        let name = null;
+        if (node.type === 'Identifier' || node.type === 'JSXIdentifier') {
+            name = matchName(node.name);
+        } else if ((node.type === 'StringLiteral' || node.type === 'Literal') && typeof node.value === 'string') {
+            name = matchName(node.value);
+        }
+        if (name !== null) {
+            const { parent, key, index } = ancestors[ancestors.length - 1];
+            let type = 'other';
+            let target = ancestors[ancestors.length - 1];
+            if (node.type !== 'Identifier' && node.type !== 'JSXIdentifier') {
+                type = 'string';
+            } else if (((parent.type === 'CallExpression' || parent.type === 'NewExpression') && key === 'arguments') ||
+                (types.isFunction(parent) && key === 'params')) {
+                type = 'param';
+            } else if (parent.type === 'ExpressionStatement') {
+                type = 'statement';
+                target = ancestors[ancestors.length - 2];
+            }
+            placeholders.push({ name, type, ...target, isDuplicate: names.has(name) });
+            names.add(name);
+            // 占位符里面不会再有占位符
+            return;
+        }
+
+        Object.keys(node).forEach(childKey => {
+            const value = node[childKey];
+            if (Array.isArray(value)) {
+                value.forEach((child, childIndex) => {
+                    if (isNode(child)) {
+                        visit(child, [...ancestors, { parent: node, key: childKey, index: childIndex }]);
+                    }
+                });
+            } else if (isNode(value) && childKey !== 'loc') {
+                visit(value, [...ancestors, { parent: node, key: childKey }]);
+            }
+        });
+    }
+
+    visit(root, [{ parent: { root }, key: 'root' }]);
+    return { placeholders, names };
+}
+
+function toStatement(replacement) {
+    if (typeof replacement === 'string') {
+        replacement = types.identifier(replacement);
+    }
+    return types.isStatement(replacement) ? replacement : types.expressionStatement(replacement);
+}
+
+// 同 @babel/template：字符串按占位符的类型转成字符串字面量或标识符，语句位置的表达式包成语句
+function normalizeReplacement(placeholder, replacement) {
+    const { name, type, index } = placeholder;
+    if (placeholder.isDuplicate) {
+        replacement = Array.isArray(replacement) ? replacement.map(node => types.cloneNode(node)) : types.cloneNode(replacement);
+    }
+    switch (type) {
+        case 'string':
+            if (typeof replacement === 'string') {
+                replacement = types.stringLiteral(replacement);
+            }
+            if (!replacement || (replacement.type !== 'StringLiteral' && !(replacement.type === 'Literal' && typeof replacement.value === 'string'))) {
+                throw new Error(`Expected string substitution for "${name}"`);
+            }
+            return replacement;
+        case 'statement':
+            if (index === undefined) {
+                if (!replacement) {
+                    return types.emptyStatement();
+                }
+                if (Array.isArray(replacement)) {
+                    return types.blockStatement(replacement.map(toStatement));
+                }
+                return toStatement(replacement);
+            }
+            if (Array.isArray(replacement)) {
+                return replacement.map(toStatement);
+            }
+            return replacement ? toStatement(replacement) : replacement;
+        case 'param':
+            if (typeof replacement === 'string') {
+                replacement = types.identifier(replacement);
+            }
+            if (index === undefined && Array.isArray(replacement)) {
+                throw new Error('Cannot replace single expression with an array.');
+            }
+            return replacement;
+        default:
+            if (typeof replacement === 'string') {
+                replacement = types.identifier(replacement);
+            }
+            if (Array.isArray(replacement)) {
+                throw new Error('Cannot replace single expression with an array.');
+            }
+            return replacement;
+    }
+}
+
+function applyReplacement(placeholder, replacement) {
+    replacement = normalizeReplacement(placeholder, replacement);
+    const { parent, key, index, type } = placeholder;
+    if (index === undefined) {
+        parent[key] = replacement;
+        return;
+    }
+    const items = parent[key];
+    if (type === 'statement' || type === 'param') {
+        // 语句、参数列表里可以替换成多个，也可以传 null 删掉
+        if (replacement == null) {
+            items.splice(index, 1);
+        } else if (Array.isArray(replacement)) {
+            items.splice(index, 1, ...replacement);
+        } else {
+            items[index] = replacement;
+        }
+    } else {
+        items[index] = replacement;
+    }
+}
+
+/**
+ * 复制一份模板 AST 并填入 replacements，返回新的 AST。
+ * 没传 replacements 时占位符原样保留；传了就必须和占位符一一对应
+ */
+function populatePlaceholders(metadata, replacements) {
+    // 模板每次使用都要复制一份，避免多次生成的节点共用子节点
+    const ast = types.cloneNode(metadata.ast);
+    if (replacements == null) {
+        return ast;
+    }
+    if (typeof replacements !== 'object' || Array.isArray(replacements)) {
+        throw new Error('Template replacements must be an object');
+    }
+    metadata.names.forEach(name => {
+        if (!Object.prototype.hasOwnProperty.call(replacements, name)) {
+            throw new Error(`Error: No substitution given for "${name}". If this is not meant to be a placeholder ` +
+                `you may want to consider passing one of the following options to template:\n` +
+                `- { placeholderPattern: false, placeholderWhitelist: new Set(['${name}'])}\n` +
+                `- { placeholderPattern: /^${name}$/ }`);
+        }
+    });
+    Object.keys(replacements).forEach(name => {
+        if (!metadata.names.has(name)) {
+            throw new Error(`Unknown substitution "${name}" given`);
+        }
+    });
+
+    const container = { root: ast };
+    const { placeholders } = findPlaceholders(ast, metadata.matchName);
+    placeholders.forEach(placeholder => {
+        if (placeholder.parent.root === ast) {
+            placeholder.parent = container;
+        }
+    });
+    // 倒序替换，同一个列表里前面的下标不会因为后面的替换而变化
+    placeholders.reverse().forEach(placeholder => applyReplacement(placeholder, replacements[placeholder.name]));
+    return container.root;
+}
+
+module.exports = {
+    hasSyntacticPlaceholders,
+    encodeSyntacticPlaceholders,
+    createPlaceholderMatcher,
+    findPlaceholders,
+    populatePlaceholders,
+    removeProperties
+};
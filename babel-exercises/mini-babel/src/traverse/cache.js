@@ -0,0 +1,28 @@
+// 父节点 → (子节点 → NodePath)，保证同一个节点总是拿到同一个 NodePath 实例
+let pathCache = new WeakMap();
+// 根节点没有父节点，统一挂在这个对象下
+const nullParent = {};
+
+function getCachedPaths(parent) {
+    return pathCache.get(parent || nullParent);
+}
+
+function getOrCreateCachedPaths(parent) {
+    parent = parent || nullParent;
+    let paths = pathCache.get(parent);
+    if (!paths) {
+        paths = new Map();
+        pathCache.set(parent, paths);
+    }
+    return paths;
+}
+
+function clear() {
+    pathCache = new WeakMap();
+}
+
+module.exports = {
+    getCachedPaths,
+    getOrCreateCachedPaths,
+    clear
+};
@@ -0,0 +1,106 @@
+const { visitorKeys } = require('../types');
+
+// 正在遍历中的容器（节点数组）→ 对应的 context，往容器里插入节点时用来找到要加入的队列
+const activeContexts = new WeakMap();
+
+/**
+ * 一个 TraversalContext 负责遍历某个节点的一个属性（单个子节点或子节点数组）。
+ * 遍历时维护一个 path 队列，插入的新节点会追加到队列中，替换后的节点会放到优先队列里重新遍历
+ */
+class TraversalContext {
+    constructor(visitors, state, visited) {
+        this.visitors = visitors;
+        this.state = state;
+        // 同一次遍历共享，避免同一个节点被自然遍历和重新入队各访问一次
+        this.visited = visited;
+        this.queue = null;
+        this.priorityQueue = [];
+    }
+
+    visit(node, key, parentPath) {
+        const NodePath = require('./path/NodePath');
+        const container = node[key];
+        if (Array.isArray(container)) {
+            const paths = container.map((child, index) => NodePath.get(child, node, parentPath, key, index));
+            return this.visitQueue(paths, container);
+        }
+        if (container) {
+            return this.visitQueue([NodePath.get(container, node, parentPath, key)]);
+        }
+        return false;
+    }
+
+    // 第二个参数为 true 时加入普通队列尾部（插入的新节点），否则加入优先队列（替换的节点）
+    maybeQueue(path, notPriority) {
+        if (!this.queue) {
+            return;
+        }
+        if (notPriority) {
+            this.queue.push(path);
+        } else {
+            this.priorityQueue.push(path);
+        }
+    }
+
+    visitQueue(queue, container) {
+        this.queue = queue;
+        this.priorityQueue = [];
+        container && activeContexts.set(container, this);
+
+        let stop = false;
+        // 遍历过程中队列可能变长，不能用 forEach
+        for (let i = 0; i < queue.length; i++) {
+            const path = queue[i];
+            if (path.removed || !path.node || this.visited.has(path.node)) {
+                continue;
+            }
+            this.visited.add(path.node);
+            // 同 babel，重新入队的路径已经在这个 context 里时保留 skip/stop 标记
+            if (path.context !== this) {
+                path.setContext(this);
+            }
+
+            if (path.visit()) {
+                stop = true;
+                break;
+            }
+            if (this.priorityQueue.length) {
+                const priorityQueue = this.priorityQueue;
+                stop = this.visitQueue(priorityQueue);
+                this.queue = queue;
+                this.priorityQueue = [];
+                if (stop) {
+                    break;
+                }
+            }
+        }
+
+        container && activeContexts.delete(container);
+        this.queue = null;
+        return stop;
+    }
+}
+
+// 遍历 node 的所有子节点，返回 true 表示调用了 path.stop()
+function traverseNode(node, visitors, parentPath, state, visited = new WeakSet()) {
+    const definition = visitorKeys.get(node.type);
+    if (!definition) {
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
+    if (!definition.visitor) {
+        return false;
+    }
+    for (const key of definition.visitor) {
+        const context = new TraversalContext(visitors, state, visited);
+        if (context.visit(node, key, parentPath)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    TraversalContext,
+    traverseNode,
+    activeContexts
+};
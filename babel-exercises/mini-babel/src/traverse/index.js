@@ -1,35 +1,23 @@
 const { visitorKeys } = require('../types');
 const NodePath = require('./path/NodePath');
+const { explode, wrapWithState, merge } = require('./visitors');
+const { TraversalContext, traverseNode } = require('./context');
 
-module.exports = function traverse(node, visitors, parent, parentPath, key, listKey) {
-
-    const definition = visitorKeys.get(node.type);
-    let visitorFuncs = visitors[node.type] || {};
-
-    if(typeof visitorFuncs === 'function') {
-        visitorFuncs = {
-            enter: visitorFuncs
-        }
-    }
-    const path = new NodePath(node, parent, parentPath, key, listKey);
-    visitorFuncs.enter && visitorFuncs.enter(path);
-
-    if(node.__shouldSkip) {
-        delete node.__shouldSkip;
+function traverse(node, visitors, parent, parentPath, key, listKey, state) {
+    if (!node) { // 可选的子节点（如 init、alternate）和数组空位
         return;
     }
 
-    if (definition.visitor) {
-        definition.visitor.forEach(key => {
-            const prop = node[key];
-            if (Array.isArray(prop)) { // 如果该属性是数组
-                prop.forEach((childNode, index) => {
-                    traverse(childNode, visitors, node, path, key, index);
-                })
-            } else {
-                traverse(prop, visitors, node, path, key);
-            }
-        })
+    if (!visitorKeys.get(node.type)) {
+        throw new Error(`Unknown node type: ${node.type}`);
     }
-    visitorFuncs.exit && visitorFuncs.exit(path);
-}
\ No newline at end of file
+    const context = new TraversalContext(explode(visitors), state, new WeakSet());
+    context.visitQueue([NodePath.get(node, parent, parentPath, key, listKey)]);
+}
+
+traverse.node = traverseNode;
+traverse.explode = explode;
+traverse.wrapWithState = wrapWithState;
+traverse.merge = merge;
+
+module.exports = traverse;
@@ -1,7 +1,207 @@
 const types = require('../../types');
 const Scope = require('./Scope');
 const generate = require('../../generator');
-module.exports = class NodePath {
+const cache = require('../cache');
+const { getTypeAnnotation } = require('./inference');
+const { isMethodNode, METHOD_FUNCTION_KEYS } = require('../visitors');
+
+function toNodeList(nodes) {
+    return [].concat(nodes).map(node => node instanceof NodePath ? node.node : node);
+}
+
+// 语句列表里放不了表达式，需要包一层 ExpressionStatement
+function toStatements(nodes) {
+    return nodes.map(node => types.isExpression(node) ? types.expressionStatement(node) : node);
+}
+
+// 外层函数（或 program）的作用域 → 保存 this、arguments 等的变量名，同一个函数里的箭头函数共用
+const environmentBindings = new WeakMap();
+// 为 super.x 生成的箭头函数，只能留在方法里，不再转换
+const superPropHelpers = new WeakSet();
+
+/**
+ * dependsOnThis 为 true 时，派生类的构造函数里要在 super() 之后才能取值
+ */
+function getEnvironmentBinding(envPath, name, init, dependsOnThis = true) {
+    let bindings = environmentBindings.get(envPath.node);
+    if (!bindings) {
+        bindings = {};
+        environmentBindings.set(envPath.node, bindings);
+    }
+    if (!bindings[name]) {
+        const id = envPath.scope.generateUidIdentifier(name);
+        bindings[name] = id.name;
+        if (dependsOnThis && isDerivedConstructor(envPath)) {
+            // 派生类的构造函数里 super() 之前不能访问 this，在每个 super() 之后再赋值
+            envPath.scope.push({ id });
+            findSuperCalls(envPath).forEach(superCall => {
+                superCall.parentPath.insertAfter(types.expressionStatement(
+                    types.assignmentExpression('=', types.identifier(id.name), init())));
+            });
+        } else {
+            envPath.scope.push({ id, init: init() });
+        }
+    }
+    return types.identifier(bindings[name]);
+}
+
+function isDerivedConstructor(path) {
+    return path.isFunctionExpression() && path.parentPath.isMethodDefinition() && path.parent.kind === 'constructor' &&
+        !!path.parentPath.parentPath.parent.superClass;
+}
+
+// 单独成一条语句的 super(...)，不包括嵌套的普通函数里的
+function findSuperCalls(fnPath) {
+    const calls = [];
+    fnPath.get('body').traverse({
+        CallExpression(path) {
+            if (path.node.callee.type === 'Super' && path.parentPath.isExpressionStatement()) {
+                calls.push(path);
+            }
+        },
+        'FunctionDeclaration|FunctionExpression|Class'(path) {
+            path.skip();
+        }
+    });
+    return calls;
+}
+
+function isSuperProperty(path) {
+    return path.isMemberExpression() && path.get('object').isSuper();
+}
+
+/**
+ * super.x 换成外层方法里的箭头函数，同 babel：
+ * var _superprop_getX = () => super.x, _superprop_setX = _value => super.x = _value;
+ * super.x() → _superprop_getX().call(_this)，super.x += 1 → _superprop_setX(_superprop_getX() + 1)，
+ * super[k] 的两个函数多一个 _prop 参数
+ */
+function replaceSuperProperty(path, envPath, fnPath) {
+    const { computed, property } = path.node;
+    const suffix = computed ? '' : property.name[0].toUpperCase() + property.name.slice(1);
+    const superMember = key => types.memberExpression(types.super(), key || types.identifier(property.name), computed);
+    const helper = (kind, init) => getEnvironmentBinding(envPath, `superprop_${kind}${suffix}`, () => {
+        const arrow = init();
+        superPropHelpers.add(arrow);
+        return arrow;
+    }, false);
+    const get = key => types.callExpression(helper('get', () => {
+        const prop = computed ? envPath.scope.generateUidIdentifier('prop') : null;
+        return types.arrowFunctionExpression(prop ? [prop] : [], superMember(prop && types.identifier(prop.name)));
+    }), computed ? [key] : []);
+    const set = (key, value) => types.callExpression(helper('set', () => {
+        const prop = computed ? envPath.scope.generateUidIdentifier('prop') : null;
+        const valueId = envPath.scope.generateUidIdentifier('value');
+        const assignment = types.assignmentExpression('=',
+            superMember(prop && types.identifier(prop.name)), types.identifier(valueId.name));
+        return types.arrowFunctionExpression(prop ? [prop, valueId] : [valueId], assignment);
+    }), computed ? [key, value] : [value]);
+    // 计算属性名要用两次时先存到临时变量里
+    const temp = name => {
+        const id = fnPath.scope.generateUidIdentifier(name);
+        fnPath.scope.push({ id });
+        return types.identifier(id.name);
+    };
+
+    const parentPath = path.parentPath;
+    const parent = parentPath.node;
+    if (parentPath.isCallExpression() && parent.callee === path.node) {
+        const thisBinding = getEnvironmentBinding(envPath, 'this', () => types.thisExpression());
+        parentPath.replaceWith(types.callExpression(types.memberExpression(get(property), types.identifier('call')),
+            [thisBinding, ...parent.arguments]));
+    } else if (parentPath.isAssignmentExpression() && parent.left === path.node) {
+        if (parent.operator === '=') {
+            parentPath.replaceWith(set(property, parent.right));
+            return;
+        }
+        const key = computed ? temp('prop') : null;
+        const setKey = computed ? types.assignmentExpression('=', key, property) : null;
+        const operator = parent.operator.slice(0, -1);
+        if (['&&', '||', '??'].includes(operator)) {
+            // 短路时不赋值
+            parentPath.replaceWith(types.logicalExpression(operator, get(setKey),
+                set(computed ? types.identifier(key.name) : null, parent.right)));
+        } else {
+            const value = types.binaryExpression(operator, get(computed ? types.identifier(key.name) : null), parent.right);
+            parentPath.replaceWith(set(setKey, value));
+        }
+    } else if (parentPath.isUpdateExpression()) {
+        // super.x++ → (_tmp = _superprop_getX(), _old = _tmp++, _superprop_setX(_tmp), _old)
+        const key = computed ? temp('prop') : null;
+        const keyOf = first => computed ? (first ? types.assignmentExpression('=', key, property) : types.identifier(key.name)) : null;
+        const value = temp('tmp');
+        const expressions = [types.assignmentExpression('=', value, get(keyOf(true)))];
+        const update = types.updateExpression(parent.operator, types.identifier(value.name), parent.prefix);
+        if (parent.prefix) {
+            expressions.push(set(keyOf(false), update));
+        } else {
+            const old = temp('old');
+            expressions.push(types.assignmentExpression('=', old, update),
+                set(keyOf(false), types.identifier(value.name)), types.identifier(old.name));
+        }
+        parentPath.replaceWith(types.sequenceExpression(expressions));
+    } else {
+        path.replaceWith(get(property));
+    }
+}
+
+/**
+ * 把箭头函数里的 this、arguments、new.target、super.x 换成外层普通函数（或 program）里保存它们的变量。
+ * 外层是类字段、静态块时没有地方声明变量，返回 true，由调用方 bind(this)
+ */
+function hoistFunctionEnvironment(fnPath) {
+    const envPath = fnPath.findParent(path => (path.isFunction() && !path.isArrowFunctionExpression()) ||
+        path.isProgram() || path.isPropertyDefinition() || path.isStaticBlock());
+    const thisPaths = [];
+    const argumentsPaths = [];
+    const newTargetPaths = [];
+    const superPaths = [];
+    fnPath.traverse({
+        ThisExpression(path) {
+            thisPaths.push(path);
+        },
+        Identifier(path) {
+            if (path.node.name === 'arguments' && path.isReferenced()) {
+                argumentsPaths.push(path);
+            }
+        },
+        MetaProperty(path) {
+            if (path.node.meta.name === 'new') {
+                newTargetPaths.push(path);
+            }
+        },
+        MemberExpression(path) {
+            if (isSuperProperty(path)) {
+                superPaths.push(path);
+            }
+        },
+        // 普通函数、类字段有自己的 this 和 arguments
+        'FunctionDeclaration|FunctionExpression|PropertyDefinition|StaticBlock'(path) {
+            path.skip();
+        }
+    });
+
+    if (!envPath.isFunction() && !envPath.isProgram()) {
+        if (superPaths.length) {
+            throw superPaths[0].buildCodeFrameError('Unable to transform super inside an arrow function in a class field or static block');
+        }
+        // 类字段、静态块里的 new.target 总是 undefined
+        newTargetPaths.forEach(path => path.replaceWith(types.unaryExpression('void', types.numericLiteral(0), true)));
+        return thisPaths.length > 0;
+    }
+    // super.x() 换成 .call(_this) 时会用到 this，先处理
+    superPaths.forEach(path => replaceSuperProperty(path, envPath, fnPath));
+    newTargetPaths.forEach(path => path.replaceWith(getEnvironmentBinding(envPath, 'newtarget',
+        () => types.metaProperty(types.identifier('new'), types.identifier('target')), false)));
+    thisPaths.forEach(path => path.replaceWith(getEnvironmentBinding(envPath, 'this', () => types.thisExpression())));
+    // program 里的 arguments 不是函数的参数，不处理
+    if (envPath.isFunction() && !envPath.scope.hasOwnBinding('arguments')) {
+        argumentsPaths.forEach(path => path.replaceWith(getEnvironmentBinding(envPath, 'arguments', () => types.identifier('arguments'))));
+    }
+    return false;
+}
+
+class NodePath {
     constructor(node, parent, parentPath, key, listKey) {
         this.node = node;
         this.parent = parent;
@@ -9,78 +209,579 @@ module.exports = class NodePath {
         this.key = key;
         this.listKey = listKey;
 
-        Object.keys(types).forEach(key => {
-            if (key.startsWith('is')) {
-                this[key] = types[key].bind(this, node);
-            }
-        })
+        this.context = null;
+        this.shouldSkip = false;
+        this.shouldStop = false;
+        this.removed = false;
+    }
+
+    /**
+     * 取某个节点的 NodePath，同一个节点总是返回同一个实例（节点被移动时更新它的位置信息）。
+     * 字符串等原始值（如 get('source.value')）不缓存
+     */
+    static get(node, parent, parentPath, key, listKey) {
+        const cacheable = !!node && typeof node === 'object';
+        const paths = cacheable ? cache.getOrCreateCachedPaths(parent) : null;
+        let path = paths && paths.get(node);
+        if (!path) {
+            path = new NodePath(node, parent, parentPath, key, listKey);
+            paths && paths.set(node, path);
+        } else {
+            path.parent = parent;
+            path.parentPath = parentPath;
+            path.key = key;
+            path.listKey = listKey;
+        }
+        return path;
     }
 
+    // 所属文件的 hub（同 babel），记在根节点的路径上，没有经过 core 遍历时是 undefined
+    get hub() {
+        return this.parentPath ? this.parentPath.hub : this._hub;
+    }
+
+    set hub(hub) {
+        this._hub = hub;
+    }
+
+    // 列表中的节点是所在的数组，否则是父节点
+    get container() {
+        return this.inList ? this.parent[this.key] : this.parent;
+    }
+
+    get inList() {
+        return this.listKey != undefined;
+    }
+
+    // 只有作用域节点缓存自己的 Scope，其余节点按当前的父路径取，节点被移动（如 ensureBlock 包进新的块）后也是对的
     get scope() {
         if (this.__scope) {
             return this.__scope;
         }
-        const isBlock = this.isBlock();
         const parentScope = this.parentPath && this.parentPath.scope;
-        return this.__scope = isBlock ? new Scope(parentScope, this) : parentScope;
+        // 取父作用域时可能触发外层 crawl，顺带创建了当前节点的作用域
+        if (this.__scope) {
+            return this.__scope;
+        }
+        if (!this.isScope()) {
+            return parentScope;
+        }
+        const scope = this.__scope = new Scope(this);
+        scope.init();
+        return scope;
+    }
+
+    // 函数体和 catch 的块与函数/catch 共用一个作用域
+    isScope() {
+        if (this.isBlockStatement() && (types.isFunction(this.parent) || types.isCatchClause(this.parent))) {
+            return false;
+        }
+        return this.isScopable();
+    }
+
+    isReferenced() {
+        return !!this.parent && types.isReferenced(this.node, this.parent, this.parentPath && this.parentPath.parent);
+    }
+
+    // <Foo /> 中的 Foo 也是引用，<div /> 这样的原生标签不是
+    isReferencedIdentifier() {
+        if (this.isJSXIdentifier() && types.isCompatTag(this.node.name)) {
+            return false;
+        }
+        return (this.isIdentifier() || this.isJSXIdentifier()) && this.isReferenced();
+    }
+
+    // 依次执行顶层和当前类型的 enter/exit，节点被替换、删除或者调用了 skip/stop 时不再继续
+    call(phase) {
+        const { visitors, state } = this.context;
+        const fns = [...visitors[phase]];
+        const typeVisitor = visitors[this.node.type];
+        typeVisitor && fns.push(...typeVisitor[phase]);
+
+        const node = this.node;
+        for (const fn of fns) {
+            fn(this, state);
+            if (this.node !== node || this.shouldSkip || this.shouldStop || this.removed) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    setContext(context) {
+        this.context = context;
+        this.shouldSkip = false;
+        this.shouldStop = false;
+        return this;
+    }
+
+    // 访问当前节点及其子节点，返回 true 表示需要停止整个遍历
+    visit() {
+        const { traverseNode } = require('../context');
+        const context = this.context;
+        // skip/stop 标记保留到下次 setContext，replaceWith 之后调用 skip() 时重新入队的节点也不再访问
+        const skipped = this.shouldSkip || this.call('enter');
+        // 插件里的 scope.crawl()、path.traverse() 会给经过的路径设置它们自己的 context，这里换回来
+        this.context = context;
+        if (skipped) {
+            return this.shouldStop;
+        }
+        const { visitors, state, visited } = context;
+        this.shouldStop = traverseNode(this.node, visitors, this, state, visited);
+        this.context = context;
+        this.call('exit');
+        return this.shouldStop;
     }
 
     skip() {
-        this.node.__shouldSkip = true;
+        this.shouldSkip = true;
+    }
+
+    stop() {
+        this.shouldStop = true;
+        this.shouldSkip = true;
     }
 
     isBlock() {
-        return types.visitorKeys.get(this.node.type).isBlock;
+        return !!types.visitorKeys.get(this.node.type).isBlock;
+    }
+
+    // 把路径放回遍历队列，节点被替换后新节点也会被访问到
+    requeue(path = this) {
+        const context = this.getQueueContext();
+        if (context) {
+            context.visited.delete(path.node);
+            context.maybeQueue(path);
+        }
+    }
+
+    // 优先用正在遍历该容器的 context，否则往上找一个还在遍历中的
+    getQueueContext(container) {
+        const { activeContexts } = require('../context');
+        if (container && activeContexts.has(container)) {
+            return activeContexts.get(container);
+        }
+        let path = this;
+        while (path) {
+            if (path.context && path.context.queue) {
+                return path.context;
+            }
+            path = path.parentPath;
+        }
+        return null;
+    }
+
+    // 容器里 from 及之后的兄弟节点下标整体偏移 incrementBy
+    updateSiblingKeys(from, incrementBy) {
+        const paths = cache.getCachedPaths(this.parent);
+        if (!paths) {
+            return;
+        }
+        paths.forEach(path => {
+            if (path.key === this.key && path.inList && !path.removed && path.listKey >= from) {
+                path.listKey += incrementBy;
+            }
+        });
+    }
+
+    _containerInsert(from, nodes) {
+        const container = this.parent[this.key];
+        this.updateSiblingKeys(from, nodes.length);
+        container.splice(from, 0, ...nodes);
+
+        const context = this.getQueueContext(container);
+        return nodes.map((node, index) => {
+            const path = NodePath.get(node, this.parent, this.parentPath, this.key, from + index);
+            context && context.maybeQueue(path, true);
+            return path;
+        });
+    }
+
+    canHaveVariableDeclarationOrExpression() {
+        return (this.key === 'init' && this.parentPath.isForStatement()) ||
+            (this.key === 'left' && this.parentPath.isForXStatement());
+    }
+
+    isStatementList() {
+        return this.listKey != undefined &&
+            (this.key === 'body' || this.key === 'consequent') &&
+            (types.isBlockParent(this.parent) || types.isSwitchCase(this.parent));
+    }
+
+    // 语句所在的位置（不在列表中），如 if 的 consequent、循环的 body
+    isStatementOrBlock() {
+        return this.listKey == undefined && this.isStatement() &&
+            ['consequent', 'alternate', 'body'].includes(this.key);
+    }
+
+    insertBefore(nodes) {
+        nodes = toNodeList(nodes);
+        const parentPath = this.parentPath;
+
+        if (parentPath && (parentPath.isExpressionStatement() || parentPath.isLabeledStatement() ||
+            parentPath.isExportNamedDeclaration() || (parentPath.isExportDefaultDeclaration() && this.isDeclaration()))) {
+            return parentPath.insertBefore(nodes);
+        }
+        if (this.listKey != undefined) {
+            return this._containerInsert(this.listKey, this.isStatementList() ? toStatements(nodes) : nodes);
+        }
+        if ((this.isExpression() && !this.isStatementOrBlock()) || (parentPath.isForStatement() && this.key === 'init')) {
+            return this.replaceWith({ type: 'SequenceExpression', expressions: [...nodes, this.node] });
+        }
+        if (this.isStatementOrBlock()) {
+            return this.replaceWith({ type: 'BlockStatement', body: [...toStatements(nodes), this.node] });
+        }
+        throw new Error(`Can't insert nodes before a ${this.node.type} at ${this.parent.type}.${this.key}`);
+    }
+
+    insertAfter(nodes) {
+        nodes = toNodeList(nodes);
+        const parentPath = this.parentPath;
+
+        if (parentPath && (parentPath.isExpressionStatement() || parentPath.isLabeledStatement() ||
+            parentPath.isExportNamedDeclaration() || (parentPath.isExportDefaultDeclaration() && this.isDeclaration()))) {
+            return parentPath.insertAfter(nodes);
+        }
+        if (this.listKey != undefined) {
+            return this._containerInsert(this.listKey + 1, this.isStatementList() ? toStatements(nodes) : nodes);
+        }
+        // 表达式的值没有被使用时才能直接拼成逗号表达式，否则会改变表达式的值
+        const valueUnused = parentPath.isForStatement() && (this.key === 'init' || this.key === 'update');
+        if (this.isExpression() && valueUnused) {
+            return this.replaceWith({ type: 'SequenceExpression', expressions: [this.node, ...nodes] });
+        }
+        if (this.isStatementOrBlock()) {
+            return this.replaceWith({ type: 'BlockStatement', body: [this.node, ...toStatements(nodes)] });
+        }
+        throw new Error(`Can't insert nodes after a ${this.node.type} at ${this.parent.type}.${this.key}`);
     }
 
     replaceWith(node) {
+        if (node instanceof NodePath) {
+            node = node.node;
+        }
+        if (!node) {
+            throw new Error('You passed `path.replaceWith()` a falsy node, use `path.remove()` instead');
+        }
+        if (this.node === node) {
+            return [this];
+        }
+        // 语句的位置上换成表达式时包成表达式语句（for 的 init/left 和 export default 本身就能放表达式）
+        if (this.isStatement() && types.isExpression(node) && !this.canHaveVariableDeclarationOrExpression() &&
+            !this.parentPath.isExportDefaultDeclaration()) {
+            node = { type: 'ExpressionStatement', expression: node };
+        }
+
         if (this.listKey != undefined) {
             this.parent[this.key].splice(this.listKey, 1, node);
         } else {
             this.parent[this.key] = node
         }
+        const paths = cache.getOrCreateCachedPaths(this.parent);
+        paths.delete(this.node);
+        paths.set(node, this);
+        this.node = node;
+        this.__scope = null;
+        this.requeue();
+        return [this];
+    }
+
+    replaceWithMultiple(nodes) {
+        nodes = toNodeList(nodes);
+        if (this.listKey == undefined) {
+            if (nodes.length === 1) {
+                return this.replaceWith(nodes[0]);
+            }
+            if (this.isStatementOrBlock()) {
+                return this.replaceWith({ type: 'BlockStatement', body: toStatements(nodes) });
+            }
+            throw new Error(`Can't replace a ${this.node.type} at ${this.parent.type}.${this.key} with multiple nodes`);
+        }
+        const index = this.listKey;
+        this._remove();
+        return this._containerInsert(index, this.isStatementList() ? toStatements(nodes) : nodes);
     }
-    remove () {
+
+    replaceWithSourceString(code) {
+        const template = require('../../template');
+        let node;
+        try {
+            node = template.expression.ast(code);
+        } catch (e) {
+            throw new Error(`replaceWithSourceString: ${e.message}\n  source: ${code}`);
+        }
+        return this.replaceWith(node);
+    }
+
+    // 往当前节点的 key 数组末尾/开头插入子节点
+    pushContainer(key, nodes) {
+        return this._insertIntoContainer(key, this.node[key].length, nodes);
+    }
+
+    // 指令（'use strict' 等）在 ESTree 里也是 body 中的语句，插到 body 开头时放在指令之后，效果同 babel
+    unshiftContainer(key, nodes) {
+        let index = 0;
+        if (key === 'body' && Array.isArray(this.node.body)) {
+            while (index < this.node.body.length && this.node.body[index].directive !== undefined) {
+                index++;
+            }
+        }
+        return this._insertIntoContainer(key, index, nodes);
+    }
+
+    _insertIntoContainer(key, index, nodes) {
+        const container = this.node[key];
+        if (!Array.isArray(container)) {
+            throw new Error(`${this.node.type}.${key} is not a list`);
+        }
+        const path = new NodePath(container[index], this.node, this, key, index);
+        path.context = this.context;
+        nodes = toNodeList(nodes);
+        return path._containerInsert(index, path.isStatementList() ? toStatements(nodes) : nodes);
+    }
+
+    /**
+     * 循环体、if 分支、箭头函数的函数体不是块时包成块，箭头函数的表达式体变成 return 语句。
+     * 返回函数体的路径
+     */
+    ensureBlock() {
+        const body = this.get('body');
+        if (body.isBlockStatement()) {
+            return body;
+        }
+        if (this.isArrowFunctionExpression()) {
+            body.replaceWith(types.blockStatement([types.returnStatement(body.node)]));
+            this.node.expression = false;
+        } else {
+            body.replaceWith(types.blockStatement([body.node]));
+        }
+        return this.get('body');
+    }
+
+    /**
+     * 箭头函数转成普通的函数表达式，函数里的 this、arguments 先存到外层普通函数里的变量上，
+     * 同 babel：var _this = this; ... function () { return _this.x; }
+     */
+    arrowFunctionToExpression() {
+        if (!this.isArrowFunctionExpression()) {
+            throw new Error('Cannot convert non-arrow function to a function expression.');
+        }
+        if (superPropHelpers.has(this.node)) {
+            return [this];
+        }
+        const bindThis = hoistFunctionEnvironment(this);
+        this.ensureBlock();
+        const { params, body, async } = this.node;
+        const fn = types.functionExpression(null, params, body, false, async);
+        // 类字段的初始值里没有地方声明变量，直接 bind 当前的 this
+        return this.replaceWith(bindThis
+            ? types.callExpression(types.memberExpression(fn, types.identifier('bind')), [types.thisExpression()])
+            : fn);
+    }
+
+    /**
+     * 删除节点，同 babel 的 removal hooks，删完不会留下不合法的结构：
+     * - 最后一个 declarator、表达式语句的表达式、export/标签后面的声明、while 的条件被删时连同父节点一起删
+     * - 逗号表达式只剩一项、二元表达式的一边被删时，父节点换成剩下的部分
+     * - if 的 consequent、循环和函数的 body 换成空块，其他必须有语句的位置（如 with 的 body）换成空语句
+     */
+    remove() {
+        if (this.removed) {
+            throw new Error('NodePath has been removed so is read-only.');
+        }
+        this._removeFromScope();
+        if (!this._callRemovalHooks()) {
+            this._remove();
+        }
+    }
+
+    // 节点里声明的名字从作用域上去掉，之后按 scope.bindings 遍历时不会再拿到这个已经删掉的声明
+    _removeFromScope() {
+        const scope = this.scope;
+        if (!scope) {
+            return;
+        }
+        const ids = types.getBindingIdentifiers(this.node, true);
+        Object.keys(ids).forEach(name => {
+            const binding = scope.getBinding(name);
+            if (binding && binding.identifier === ids[name]) {
+                binding.scope.removeBinding(name);
+            }
+        });
+    }
+
+    _callRemovalHooks() {
+        const parentPath = this.parentPath;
+        if (!parentPath) {
+            return false;
+        }
+        const key = this.key;
+        const inList = this.listKey != undefined;
+        const removeParent = (key === 'test' && (parentPath.isWhileStatement() || parentPath.isDoWhileStatement() || parentPath.isSwitchCase())) ||
+            (key === 'declaration' && (parentPath.isExportNamedDeclaration() || parentPath.isExportDefaultDeclaration())) ||
+            (key === 'body' && parentPath.isLabeledStatement()) ||
+            (key === 'declarations' && inList && parentPath.isVariableDeclaration() && parentPath.node.declarations.length === 1) ||
+            (key === 'expression' && parentPath.isExpressionStatement());
+        if (removeParent) {
+            parentPath.remove();
+            return true;
+        }
+        if (key === 'expressions' && inList && parentPath.isSequenceExpression() && parentPath.node.expressions.length <= 2) {
+            const rest = parentPath.node.expressions.filter(node => node !== this.node);
+            this._remove();
+            rest.length ? parentPath.replaceWith(rest[0]) : parentPath.remove();
+            return true;
+        }
+        if ((key === 'left' || key === 'right') && (parentPath.isBinaryExpression() || parentPath.isLogicalExpression())) {
+            this._remove();
+            parentPath.replaceWith(key === 'left' ? parentPath.node.right : parentPath.node.left);
+            return true;
+        }
+        if ((key === 'consequent' && parentPath.isIfStatement()) ||
+            (key === 'body' && (parentPath.isLoop() || parentPath.isFunction()))) {
+            this.replaceWith(types.blockStatement([]));
+            return true;
+        }
+        if (!inList && key !== 'alternate' && this.isStatementOrBlock()) {
+            this.replaceWith(types.emptyStatement());
+            return true;
+        }
+        return false;
+    }
+
+    _remove() {
+        const paths = cache.getCachedPaths(this.parent);
+        paths && paths.delete(this.node);
         if (this.listKey != undefined) {
             this.parent[this.key].splice(this.listKey, 1);
+            this.removed = true;
+            this.updateSiblingKeys(this.listKey, -1);
         } else {
             this.parent[this.key] = null;
+            this.removed = true;
+        }
+        this.shouldSkip = true;
+    }
+
+    /**
+     * 取子节点的路径，支持 'source.value'、'specifiers.0' 这样的点分路径。
+     * 数组属性返回路径数组；同 babel，不存在的子节点返回 node 为 undefined 的路径，不报错
+     */
+    get(key) {
+        const parts = String(key).split('.');
+        let result = this;
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            if (part === '..') {
+                result = result.parentPath;
+                continue;
+            }
+            // 同 babel 的 ClassMethod、ObjectMethod，方法的 params、body 等从 value 上取
+            if (isMethodNode(result.node) && METHOD_FUNCTION_KEYS.includes(part)) {
+                result = result._getKey('value');
+            }
+            const node = result.node;
+            const value = node ? node[part] : undefined;
+            if (Array.isArray(value) && i + 1 < parts.length && parts[i + 1] !== '..') {
+                // 'body.0'：直接按下标取列表里的节点，下标超出范围时也有对应的位置
+                const index = Number(parts[++i]);
+                result = NodePath.get(value[index], node, result, part, index);
+            } else {
+                result = result._getKey(part);
+            }
+        }
+        return result;
+    }
+
+    _getKey(key) {
+        const node = this.node;
+        const value = node ? node[key] : undefined;
+        if (Array.isArray(value)) {
+            return value.map((child, index) => NodePath.get(child, node, this, key, index));
         }
+        return NodePath.get(value, node, this, key);
     }
+
+    // 列表中按下标取兄弟节点，否则按属性名取父节点的另一个子节点
+    getSibling(key) {
+        if (this.inList) {
+            return NodePath.get(this.container[key], this.parent, this.parentPath, this.key, key);
+        }
+        return NodePath.get(this.parent[key], this.parent, this.parentPath, key);
+    }
+
+    getPrevSibling() {
+        return this.getSibling(this.listKey - 1);
+    }
+
+    getNextSibling() {
+        return this.getSibling(this.listKey + 1);
+    }
+
+    // 从近到远的所有前面的兄弟节点
+    getAllPrevSiblings() {
+        const siblings = [];
+        for (let index = this.listKey - 1; this.inList && index >= 0; index--) {
+            siblings.push(this.getSibling(index));
+        }
+        return siblings;
+    }
+
+    getAllNextSiblings() {
+        const siblings = [];
+        for (let index = this.listKey + 1; this.inList && index < this.container.length; index++) {
+            siblings.push(this.getSibling(index));
+        }
+        return siblings;
+    }
+
     findParent(callback) {
         let curPath = this.parentPath;
         while (curPath && !callback(curPath)) {
-            curPath = curPath.parentPath; 
+            curPath = curPath.parentPath;
         }
         return curPath;
     }
     find(callback) {
         let curPath = this;
         while (curPath && !callback(curPath)) {
-            curPath = curPath.parentPath; 
+            curPath = curPath.parentPath;
         }
         return curPath;
     }
 
-    traverse(visitors) {
-        const traverse = require('../index');
-        const definition = types.visitorKeys.get(this.node.type);
-
-        if (definition.visitor) {
-            definition.visitor.forEach(key => {
-                const prop = this.node[key];
-                if (Array.isArray(prop)) { // 如果该属性是数组
-                    prop.forEach((childNode, index) => {
-                        traverse(childNode, visitors, this.node, this);
-
-                    })
-                } else {
-                    traverse(prop, visitors, this.node, this);
-                }
-            })
-        }
+    // 遍历当前节点的子节点（不包括自身）
+    traverse(visitors, state) {
+        const { explode } = require('../visitors');
+        const { traverseNode } = require('../context');
+        traverseNode(this.node, explode(visitors), this, state);
     }
     toString() {
         return generate(this.node).code;
     }
-}
\ No newline at end of file
+
+    /**
+     * 同 babel：带上当前节点位置代码片段的错误，ErrorClass 默认是 SyntaxError。
+     * 用来报告插件检查出的问题：throw path.buildCodeFrameError('...')
+     */
+    buildCodeFrameError(msg, ErrorClass = SyntaxError) {
+        const hub = this.hub;
+        return hub ? hub.buildError(this.node, msg, ErrorClass) : new ErrorClass(msg);
+    }
+
+    getTypeAnnotation() {
+        return getTypeAnnotation(this);
+    }
+}
+
+// isIdentifier、assertFunction 等校验挂在原型上，替换节点后 this.node 会变，每次取当前的 node
+[...types.visitorKeys.keys(), ...types.aliasKeys.keys()].forEach(name => {
+    ['is', 'assert'].forEach(prefix => {
+        const key = prefix + name;
+        NodePath.prototype[key] = function (opts) {
+            return types[key](this.node, opts);
+        };
+    });
+});
+
+module.exports = NodePath;
@@ -1,61 +1,597 @@
+const types = require('../../types');
+
+// let/const/class 声明之前访问会抛 ReferenceError（暂时性死区）
+const TDZ_KINDS = ['let', 'const'];
 
 class Binding {
-    constructor(id, path, scope, kind) {
+    constructor(id, path, scope, kind, identifier) {
         this.id = id;
+        this.identifier = identifier;
         this.path = path;
+        this.scope = scope;
+        this.kind = kind;
         this.referenced = false;
+        this.references = 0;
         this.referencePaths = [];
+        // 在暂时性死区内的引用
+        this.tdzReferencePaths = [];
+        // 声明之后的赋值、自增自减、重复声明等
+        this.constant = true;
+        this.constantViolations = [];
+    }
+
+    get referenceCount() {
+        return this.references;
+    }
+
+    reference(path) {
+        if (this.referencePaths.includes(path)) {
+            return;
+        }
+        this.referenced = true;
+        this.references++;
+        this.referencePaths.push(path);
+        if (this.isInTDZ(path)) {
+            this.tdzReferencePaths.push(path);
+        }
+    }
+
+    reassign(path) {
+        this.constant = false;
+        if (!this.constantViolations.includes(path)) {
+            this.constantViolations.push(path);
+        }
+    }
+
+    /**
+     * 引用出现在声明结束之前，并且和声明处于同一个函数里（没有被函数推迟执行），就处在暂时性死区。
+     * 只根据源码位置判断，插件新建的没有位置信息的节点不做判断
+     */
+    isInTDZ(path) {
+        if (!TDZ_KINDS.includes(this.kind)) {
+            return false;
+        }
+        const declarationEnd = this.path.node.end;
+        const start = path.node.start;
+        if (declarationEnd === undefined || start === undefined || start >= declarationEnd) {
+            return false;
+        }
+        return path.scope.getFunctionParent() === this.scope.getFunctionParent();
+    }
+}
+
+// 正在 crawl 的作用域数量，crawl 过程中新建的子作用域由外层统一收集，不再自己 crawl
+let crawling = 0;
+
+// 收集声明和引用，声明按照种类注册到对应的作用域上
+const collectorVisitor = {
+    Scopable(path, state) {
+        // 外层重新 crawl 时，已经存在的子作用域要清空后重新收集
+        const scope = path.scope;
+        if (scope.path === path && scope !== state.scope) {
+            scope.resetBindings();
+        }
+    },
+
+    VariableDeclaration(path) {
+        const kind = path.node.kind;
+        // var 提升到函数作用域，let/const 属于所在的块
+        const scope = kind === 'var' ? path.scope.getFunctionParent() || path.scope.getProgramParent() : path.scope;
+        path.get('declarations').forEach(declarator => scope.registerBinding(kind, declarator));
+    },
+
+    FunctionDeclaration(path) {
+        if (path.node.id) {
+            path.parentPath.scope.registerBinding('hoisted', path.get('id'), path);
+        }
+    },
+
+    ClassDeclaration(path) {
+        if (path.node.id) {
+            path.parentPath.scope.registerBinding('let', path.get('id'), path);
+        }
+    },
+
+    ImportDeclaration(path) {
+        const programScope = path.scope.getProgramParent();
+        path.get('specifiers').forEach(specifier => programScope.registerBinding('module', specifier));
+    },
+
+    // import A = require('a')、import A = N.A，namespace 里也可以写
+    TSImportEqualsDeclaration(path) {
+        path.scope.registerBinding('let', path.get('id'), path);
+    },
+
+    Function(path) {
+        // 函数表达式的名字只在函数内部可见，先注册，同名的参数会覆盖它
+        if (path.isFunctionExpression() && path.node.id) {
+            path.scope.registerBinding('local', path.get('id'), path);
+        }
+        path.get('params').forEach(param => path.scope.registerBinding('param', param));
+    },
+
+    ClassExpression(path) {
+        if (path.node.id) {
+            path.scope.registerBinding('local', path.get('id'), path);
+        }
+    },
+
+    CatchClause(path) {
+        if (path.node.param) {
+            path.scope.registerBinding('let', path.get('param'));
+        }
+    },
+
+    // 对已有变量的修改：a = 1、[a, b] = arr、a++、for (a of list)
+    AssignmentExpression(path, state) {
+        state.constantViolations.push({ path, ids: types.getBindingIdentifiers(path.node.left) });
+    },
+
+    UpdateExpression(path, state) {
+        state.constantViolations.push({ path, ids: types.getBindingIdentifiers(path.node.argument) });
+    },
+
+    ForXStatement(path, state) {
+        if (!path.get('left').isVariableDeclaration()) {
+            state.constantViolations.push({ path, ids: types.getBindingIdentifiers(path.node.left) });
+        }
+    },
+
+    // eval 和 with 会动态访问变量，所在作用域及所有外层作用域都不能安全地改名
+    CallExpression(path, state) {
+        const callee = path.node.callee;
+        if (callee.type === 'Identifier' && callee.name === 'eval') {
+            state.evalPaths.push(path);
+        }
+    },
+
+    WithStatement(path) {
+        path.scope.markDynamic('hasWith');
+    },
+
+    'Identifier|JSXIdentifier'(path, state) {
+        if (path.isReferencedIdentifier()) {
+            state.references.push(path);
+        }
     }
+};
+
+// 转成合法的标识符：'foo-bar' → 'fooBar'，'1a' → '_1a'
+function toIdentifier(name) {
+    name = String(name)
+        .replace(/[^a-zA-Z0-9$_]+(.)?/g, (_, char) => char ? char.toUpperCase() : '')
+        .replace(/^[-0-9]+/, '');
+    return name || '_';
+}
+
+/**
+ * export const a = 1 → const a = 1; export { a }，export default function a() {} → function a() {} export { a as default }，
+ * 之后声明可以改名，对外的名字不变，同 babel 的 splitExportDeclaration
+ */
+function splitExportDeclaration(exportPath) {
+    const declaration = exportPath.node.declaration;
+    const specifiers = exportPath.isExportDefaultDeclaration()
+        ? [types.exportSpecifier(types.identifier(declaration.id.name), types.identifier('default'))]
+        : Object.keys(types.getBindingIdentifiers(declaration, true))
+            .map(name => types.exportSpecifier(types.identifier(name), types.identifier(name)));
+    exportPath.insertAfter(types.exportNamedDeclaration(null, specifiers));
+    exportPath.replaceWith(declaration);
 }
+
 class Scope {
-    constructor(parentScope, path) {
-        this.parent = parentScope;
-        this.bindings = {};
+    constructor(path) {
         this.path = path;
-           
-        path.traverse({
-            VariableDeclarator: (childPath) => {
-                this.registerBinding(childPath.node.id.name, childPath);
-            },
-            FunctionDeclaration: (childPath) => {
-                childPath.skip();
-                this.registerBinding(childPath.node.id.name, childPath);
+        this.block = path.node;
+        this.bindings = Object.create(null);
+        this.inited = false;
+        // 只在 program 作用域上使用：出现过的所有名字、生成过的 uid、没有声明的全局变量 → 使用它们的路径
+        this.references = Object.create(null);
+        this.uids = Object.create(null);
+        this.globals = Object.create(null);
+        this.hasEval = false;
+        this.hasWith = false;
+        // push 时创建的声明，后面 push 的同类变量加到这条声明里
+        this.pushedDeclarations = Object.create(null);
+        this.data = Object.create(null);
+    }
+
+    // 外层作用域按路径现在的位置取，同 babel
+    get parent() {
+        const parentPath = this.path.parentPath;
+        return parentPath ? parentPath.scope : null;
+    }
+
+    // 第一次使用时收集，外层作用域正在 crawl 时由外层负责
+    init() {
+        if (!this.inited && !crawling) {
+            this.crawl();
+        }
+        this.inited = true;
+    }
+
+    resetBindings() {
+        this.bindings = Object.create(null);
+        this.hasEval = false;
+        this.hasWith = false;
+        this.inited = true;
+    }
+
+    // 重新收集当前作用域（包括所有子作用域）的声明和引用
+    crawl() {
+        const path = this.path;
+        const state = { scope: this, references: [], constantViolations: [], evalPaths: [] };
+        this.resetBindings();
+        if (!this.parent) {
+            this.references = Object.create(null);
+            this.globals = Object.create(null);
+        }
+
+        crawling++;
+        try {
+            // path.traverse 只遍历子节点，当前节点自身的声明（参数、函数名等）单独处理
+            const { explode } = require('../visitors');
+            const exploded = explode(collectorVisitor);
+            const rootVisitor = exploded[path.node.type];
+            rootVisitor && rootVisitor.enter.forEach(fn => fn(path, state));
+            path.traverse(exploded, state);
+        } finally {
+            crawling--;
+        }
+
+        // 声明都收集完了再解析引用，这样提升的声明在使用之后声明也能找到
+        const programScope = this.getProgramParent();
+        state.references.forEach(referencePath => {
+            const name = referencePath.node.name;
+            programScope.references[name] = true;
+            const binding = referencePath.scope.getBinding(name);
+            if (binding) {
+                binding.reference(referencePath);
+            } else {
+                programScope.addGlobal(name, referencePath);
+            }
+        });
+        // 给没有声明的变量赋值会隐式创建全局变量，同样记到 globals 里
+        state.constantViolations.forEach(({ path: violationPath, ids }) => {
+            Object.keys(ids).forEach(name => {
+                const binding = violationPath.scope.getBinding(name);
+                if (binding) {
+                    binding.reassign(violationPath);
+                } else {
+                    programScope.addGlobal(name, violationPath);
+                }
+            });
+        });
+        // 只有没被重新声明的 eval 才是直接 eval
+        state.evalPaths.forEach(evalPath => {
+            if (!evalPath.scope.hasBinding('eval')) {
+                evalPath.scope.markDynamic('hasEval');
             }
         });
+    }
+
+    addGlobal(name, path) {
+        const paths = this.globals[name] || (this.globals[name] = []);
+        if (!paths.includes(path)) {
+            paths.push(path);
+        }
+    }
+
+    hasGlobal(name) {
+        return !!this.getProgramParent().globals[name];
+    }
+
+    // flag 为 hasEval 或 hasWith，设置到当前和所有外层作用域上
+    markDynamic(flag) {
+        let scope = this;
+        while (scope) {
+            scope[flag] = true;
+            scope = scope.parent;
+        }
+    }
+
+    getProgramParent() {
+        let scope = this;
+        while (scope.parent) {
+            scope = scope.parent;
+        }
+        return scope;
+    }
+
+    // 最近的函数作用域，没有则为 null（顶层）
+    getFunctionParent() {
+        let scope = this;
+        while (scope) {
+            if (scope.path.isFunctionParent()) {
+                return scope;
+            }
+            scope = scope.parent;
+        }
+        return null;
+    }
+
+    getBlockParent() {
+        let scope = this;
+        while (scope) {
+            if (scope.path.isBlockParent()) {
+                return scope;
+            }
+            scope = scope.parent;
+        }
+        return null;
+    }
 
-        path.traverse({
-            Identifier: childPath =>  {
-                if (!childPath.findParent(p => p.isVariableDeclarator() || p.isFunctionDeclaration())) {
-                    const id = childPath.node.name;
-                    const binding = this.getBinding(id);
-                    if (binding) {
-                        binding.referenced = true;
-                        binding.referencePaths.push(childPath);
-                    }
+    /**
+     * 注册 path 中声明的所有名字（解构会声明多个）。
+     * bindingPath 是 binding.path，默认就是 path，函数/类声明时传入整个声明
+     */
+    registerBinding(kind, path, bindingPath = path) {
+        const ids = types.getBindingIdentifiers(path.node, true);
+        Object.keys(ids).forEach(name => {
+            const local = this.getOwnBinding(name);
+            if (local) {
+                // 重新 crawl 时同一个声明会再注册一次
+                if (local.identifier === ids[name]) {
+                    return;
                 }
+                this.checkBlockScopedCollisions(local, kind, name);
+            }
+            this.getProgramParent().references[name] = true;
+            // var a; var a; 这样的重复声明算作对第一个声明的修改
+            if (local && local.kind !== 'local') {
+                local.reassign(bindingPath);
+            } else {
+                this.bindings[name] = new Binding(name, bindingPath, this, kind, ids[name]);
             }
         });
     }
 
-    registerBinding(id, path) {
-        this.bindings[id] = new Binding(id, path);
+    checkBlockScopedCollisions(local, kind, name) {
+        // 参数可以被 var 和函数声明重新声明，函数表达式的名字可以被覆盖
+        if (kind === 'param' || local.kind === 'local') {
+            return;
+        }
+        const duplicate = kind === 'let' || kind === 'const' || kind === 'module' ||
+            local.kind === 'let' || local.kind === 'const' || local.kind === 'module' ||
+            (local.kind === 'param' && kind === 'const');
+        if (duplicate) {
+            throw new Error(`Duplicate declaration "${name}"`);
+        }
+    }
+
+    // 把声明移到另一个作用域上，如 let 改成 var 之后属于所在的函数
+    moveBindingTo(name, scope) {
+        const binding = this.getOwnBinding(name);
+        if (binding) {
+            delete this.bindings[name];
+            scope.bindings[name] = binding;
+            binding.scope = scope;
+        }
+    }
+
+    // 删除作用域链上离得最近的同名声明，声明节点被删除时调用
+    removeBinding(name) {
+        const binding = this.getBinding(name);
+        if (binding) {
+            delete binding.scope.bindings[name];
+        }
+    }
+
+    getOwnBinding(name) {
+        return this.bindings[name];
+    }
+
+    // 沿作用域链一直往上找
+    getBinding(name) {
+        let scope = this;
+        while (scope) {
+            const binding = scope.getOwnBinding(name);
+            if (binding) {
+                return binding;
+            }
+            scope = scope.parent;
+        }
+    }
+
+    getBindingIdentifier(name) {
+        const binding = this.getBinding(name);
+        return binding && binding.identifier;
+    }
+
+    hasOwnBinding(name) {
+        return !!this.getOwnBinding(name);
+    }
+
+    hasBinding(name) {
+        return !!this.getBinding(name);
+    }
+
+    parentHasBinding(name) {
+        return !!this.parent && this.parent.hasBinding(name);
     }
 
-    getOwnBinding(id) {
-        return this.bindings[id];
+    // 程序中任何位置出现过这个名字（声明或引用）
+    hasReference(name) {
+        return !!this.getProgramParent().references[name];
     }
 
-    getBinding(id) {
-        let res = this.getOwnBinding(id);
-        if (res === undefined && this.parent) {
-            res = this.parent.getOwnBinding(id);
+    hasUid(name) {
+        return !!this.getProgramParent().uids[name];
+    }
+
+    /**
+     * 生成一个不会冲突的名字：_name、_name2、_name3...
+     * 避开作用域链上的声明、程序里出现过的所有名字以及之前生成过的名字
+     */
+    generateUid(name = 'temp') {
+        name = toIdentifier(name).replace(/^_+/, '').replace(/\d+$/, '');
+        let uid;
+        let i = 1;
+        do {
+            uid = '_' + name + (i > 1 ? i : '');
+            i++;
+        } while (this.hasBinding(uid) || this.hasGlobal(uid) || this.hasReference(uid) || this.hasUid(uid));
+
+        const programScope = this.getProgramParent();
+        programScope.references[uid] = true;
+        programScope.uids[uid] = true;
+        return uid;
+    }
+
+    // 插件在作用域上存放的数据，取的时候沿着作用域链往上找，同 babel
+    setData(key, value) {
+        return this.data[key] = value;
+    }
+
+    getData(key) {
+        let scope = this;
+        while (scope) {
+            if (key in scope.data) {
+                return scope.data[key];
+            }
+            scope = scope.parent;
         }
-        return res;
     }
 
-    hasBinding(id) {
-        return !!this.getBinding(id);
+    generateUidIdentifier(name) {
+        return { type: 'Identifier', name: this.generateUid(name) };
+    }
+
+    /**
+     * 同 babel 的 scope.push：在作用域开头声明一个变量，插件用来存放临时变量。
+     * 同一个作用域里 push 的同类声明合并成一条，unique 为 true 时单独一条；
+     * 循环、switch 这类没有语句列表的作用域声明到外层
+     */
+    push({ id, init, kind = 'var', unique = false }) {
+        const path = this.path;
+        if (!path.isProgram() && !path.isFunction() && !path.isBlockStatement()) {
+            return this.parent.push({ id, init, kind, unique });
+        }
+        const declarator = types.variableDeclarator(id, init || null);
+        const pushed = this.pushedDeclarations[kind];
+        if (!unique && pushed && !pushed.removed && pushed.node.kind === kind) {
+            const [declaratorPath] = pushed.pushContainer('declarations', [declarator]);
+            this.registerBinding(kind, declaratorPath);
+            return;
+        }
+        const body = path.isFunction() ? path.ensureBlock() : path;
+        const [declarationPath] = body.unshiftContainer('body', [types.variableDeclaration(kind, [declarator])]);
+        if (!unique) {
+            this.pushedDeclarations[kind] = declarationPath;
+        }
+        this.registerBinding(kind, declarationPath.get('declarations.0'));
+    }
+
+    /**
+     * 把当前作用域链上能找到的 oldName 的声明连同所有引用和修改处一起改名。
+     * 依赖 crawl 收集的信息，AST 改动过之后应先 crawl
+     */
+    rename(oldName, newName) {
+        let binding = this.getBinding(oldName);
+        if (!binding) {
+            return;
+        }
+        newName = newName || this.generateUid(oldName);
+
+        const declarationPath = binding.path.isVariableDeclarator() ? binding.path.parentPath : binding.path;
+        const exportPath = declarationPath.parentPath;
+        if (declarationPath.key === 'declaration' && declarationPath.node.id !== null &&
+            (exportPath.isExportNamedDeclaration() || exportPath.isExportDefaultDeclaration())) {
+            splitExportDeclaration(exportPath);
+            // 新的 export { a } 也是引用，重新收集
+            this.getProgramParent().crawl();
+            binding = this.getBinding(oldName);
+        }
+
+        // import { a } 和 export { a } 中 imported/exported 与 local 是同一个节点，先拆开，对外的名字不能变
+        const splitSpecifier = (specifier, outerKey) => {
+            if (specifier && specifier[outerKey] === specifier.local) {
+                specifier[outerKey] = { ...specifier.local };
+            }
+        };
+        if (binding.path.isImportSpecifier()) {
+            splitSpecifier(binding.path.node, 'imported');
+        }
+
+        const renameNode = node => {
+            if (node && (node.type === 'Identifier' || node.type === 'JSXIdentifier') && node.name === oldName) {
+                node.name = newName;
+            }
+        };
+        renameNode(binding.identifier);
+        binding.referencePaths.forEach(path => {
+            if (path.parentPath && path.parentPath.isExportSpecifier()) {
+                splitSpecifier(path.parent, 'exported');
+            }
+            renameNode(path.node);
+        });
+        binding.constantViolations.forEach(path => {
+            const left = path.isUpdateExpression() ? path.node.argument : path.node.left;
+            renameNode(types.getBindingIdentifiers(left)[oldName]);
+        });
+
+        const scope = binding.scope;
+        delete scope.bindings[oldName];
+        scope.bindings[newName] = binding;
+        binding.id = newName;
+        this.getProgramParent().references[newName] = true;
+    }
+
+    // 表达式没有副作用，删掉也不影响程序行为；constantsOnly 时引用的变量还必须没有被修改过
+    isPure(node, constantsOnly) {
+        if (!node) {
+            return true;
+        }
+        switch (node.type) {
+            case 'Identifier': {
+                const binding = this.getBinding(node.name);
+                if (!binding) {
+                    return false;
+                }
+                return constantsOnly ? binding.constant : true;
+            }
+            case 'Literal':
+            case 'StringLiteral':
+            case 'NumericLiteral':
+            case 'BooleanLiteral':
+            case 'NullLiteral':
+            case 'RegExpLiteral':
+            case 'BigIntLiteral':
+            case 'ThisExpression':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+            case 'FunctionDeclaration':
+                return true;
+            case 'TemplateLiteral':
+                return node.expressions.every(expression => this.isPure(expression, constantsOnly));
+            case 'ArrayExpression':
+                return node.elements.every(element => this.isPure(element, constantsOnly));
+            case 'ObjectExpression':
+                return node.properties.every(property => this.isPure(property, constantsOnly));
+            case 'Property':
+                if (node.computed && !this.isPure(node.key, constantsOnly)) {
+                    return false;
+                }
+                return this.isPure(node.value, constantsOnly);
+            case 'UnaryExpression':
+                return node.operator !== 'delete' && this.isPure(node.argument, constantsOnly);
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                return this.isPure(node.left, constantsOnly) && this.isPure(node.right, constantsOnly);
+            case 'ConditionalExpression':
+                return this.isPure(node.test, constantsOnly) &&
+                    this.isPure(node.consequent, constantsOnly) &&
+                    this.isPure(node.alternate, constantsOnly);
+            case 'SequenceExpression':
+                return node.expressions.every(expression => this.isPure(expression, constantsOnly));
+            case 'ClassExpression':
+            case 'ClassDeclaration':
+                return this.isPure(node.superClass, constantsOnly) &&
+                    node.body.body.every(member => !member.computed && !member.static && member.type !== 'StaticBlock');
+        }
+        return false;
     }
 }
 
-module.exports = Scope;
\ No newline at end of file
+Scope.Binding = Binding;
+
+module.exports = Scope;
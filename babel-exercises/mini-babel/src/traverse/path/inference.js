@@ -0,0 +1,166 @@
+const types = require('../../types');
+
+/**
+ * 同 babel 的 path.getTypeAnnotation：有类型注解时取注解（去掉外面的 TSTypeAnnotation），
+ * 没有时按节点推断，推断不出来是 any。
+ * 只做简单的推断：字面量、运算结果、变量的声明类型、函数调用的返回值类型等，类型用 TS 的类型节点表示
+ */
+function getTypeAnnotation(path) {
+    const type = inferType(path) || types.tsAnyKeyword();
+    return types.isTSTypeAnnotation(type) ? type.typeAnnotation : type;
+}
+
+const COMPARISON_OPERATORS = ['==', '!=', '===', '!==', '<', '>', '<=', '>=', 'in', 'instanceof'];
+const NUMBER_OPERATORS = ['-', '*', '/', '%', '**', '&', '|', '^', '<<', '>>', '>>>'];
+
+function genericType(name) {
+    return types.tsTypeReference(types.identifier(name));
+}
+
+function inferType(path) {
+    const node = path.node;
+    if (!node) {
+        // let a; 的初始值是 undefined
+        return path.key === 'init' && path.parentPath && path.parentPath.isVariableDeclarator()
+            ? types.tsUndefinedKeyword()
+            : null;
+    }
+    if (node.typeAnnotation) {
+        return node.typeAnnotation;
+    }
+    switch (node.type) {
+        case 'VariableDeclarator':
+            return getTypeAnnotation(path.get('id'));
+        case 'Identifier':
+            return inferIdentifier(path);
+        case 'Literal':
+            return inferLiteral(node);
+        case 'TemplateLiteral':
+            return types.tsStringKeyword();
+        case 'ArrayExpression':
+            return types.tsArrayType(types.tsAnyKeyword());
+        case 'ObjectExpression':
+            return types.tsObjectKeyword();
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+        case 'FunctionDeclaration':
+        case 'ClassExpression':
+        case 'ClassDeclaration':
+            return genericType('Function');
+        case 'NewExpression':
+            return types.isIdentifier(node.callee) ? genericType(node.callee.name) : null;
+        case 'CallExpression':
+            return inferCall(path);
+        case 'UpdateExpression':
+            return types.tsNumberKeyword();
+        case 'UnaryExpression':
+            return inferUnary(node);
+        case 'BinaryExpression':
+            return inferBinary(path);
+        case 'AssignmentExpression':
+            return node.operator === '=' ? inferType(path.get('right')) : null;
+        case 'SequenceExpression':
+            return inferType(path.get('expressions')[node.expressions.length - 1]);
+        default:
+            return null;
+    }
+}
+
+function inferLiteral(node) {
+    if (node.regex) {
+        return genericType('RegExp');
+    }
+    if (node.bigint !== undefined) {
+        return types.tsBigIntKeyword();
+    }
+    switch (typeof node.value) {
+        case 'string':
+            return types.tsStringKeyword();
+        case 'number':
+            return types.tsNumberKeyword();
+        case 'boolean':
+            return types.tsBooleanKeyword();
+        default:
+            return node.value === null ? types.tsNullKeyword() : null;
+    }
+}
+
+// 变量的类型：声明时写的类型，没有写时只在变量没被重新赋值的情况下按初始值推断
+function inferIdentifier(path) {
+    if (!path.isReferenced()) {
+        return null;
+    }
+    if (path.node.name === 'undefined' && !path.scope.hasBinding('undefined')) {
+        return types.tsUndefinedKeyword();
+    }
+    const binding = path.scope.getBinding(path.node.name);
+    if (!binding) {
+        return null;
+    }
+    if (binding.identifier && binding.identifier.typeAnnotation) {
+        return binding.identifier.typeAnnotation;
+    }
+    if (!binding.constant) {
+        return null;
+    }
+    if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+        return inferType(binding.path.get('init'));
+    }
+    if (binding.path.isFunction() || binding.path.isClass()) {
+        return genericType('Function');
+    }
+    return null;
+}
+
+// 调用声明过的函数时，是它的返回值类型
+function inferCall(path) {
+    const callee = path.get('callee');
+    let fn = null;
+    if (callee.isIdentifier()) {
+        const binding = path.scope.getBinding(callee.node.name);
+        fn = binding && binding.path.isFunction() ? binding.path.node : null;
+    } else if (callee.isFunctionExpression() || callee.isArrowFunctionExpression()) {
+        fn = callee.node;
+    }
+    return fn && fn.returnType ? fn.returnType : null;
+}
+
+function inferUnary(node) {
+    switch (node.operator) {
+        case 'typeof':
+            return types.tsStringKeyword();
+        case 'void':
+            return types.tsUndefinedKeyword();
+        case '!':
+        case 'delete':
+            return types.tsBooleanKeyword();
+        default:
+            return types.tsNumberKeyword();
+    }
+}
+
+// + 有一边是字符串时结果是字符串，两边都是数字时是数字
+function inferBinary(path) {
+    const operator = path.node.operator;
+    if (COMPARISON_OPERATORS.includes(operator)) {
+        return types.tsBooleanKeyword();
+    }
+    if (NUMBER_OPERATORS.includes(operator)) {
+        return types.tsNumberKeyword();
+    }
+    if (operator === '+') {
+        const left = getTypeAnnotation(path.get('left'));
+        const right = getTypeAnnotation(path.get('right'));
+        if (types.isTSStringKeyword(left) || types.isTSStringKeyword(right)) {
+            return types.tsStringKeyword();
+        }
+        if (types.isTSNumberKeyword(left) && types.isTSNumberKeyword(right)) {
+            return types.tsNumberKeyword();
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    getTypeAnnotation
+};
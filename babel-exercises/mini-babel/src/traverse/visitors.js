@@ -0,0 +1,206 @@
+const { visitorKeys, aliasKeys } = require('../types');
+
+// babel 特有、在 ESTree 中没有单独节点的类型，对应到 ESTree 的节点上再按 check 过滤：
+// 类方法在 ESTree 里是 MethodDefinition（参数、函数体在 value 上，path.get('params') 等会转到 value 上），对象的属性、方法都是 Property，
+// a?.b 是 ChainExpression 里 optional 的 MemberExpression
+const isPrivate = path => path.node.key.type === 'PrivateIdentifier';
+const isObjectMethod = path => path.node.method || path.node.kind === 'get' || path.node.kind === 'set';
+
+// a?.b.c 里的两个 MemberExpression 都是 babel 的 OptionalMemberExpression：沿着 object/callee 往上能走到 ChainExpression
+function isInOptionalChain(path) {
+    let current = path;
+    while (current.parentPath) {
+        const parentPath = current.parentPath;
+        if (parentPath.isChainExpression()) {
+            return true;
+        }
+        if (!((parentPath.isMemberExpression() && current.key === 'object') ||
+            (parentPath.isCallExpression() && current.key === 'callee'))) {
+            return false;
+        }
+        current = parentPath;
+    }
+    return false;
+}
+
+const BABEL_ONLY_TYPES = {
+    ClassMethod: { types: ['MethodDefinition'], check: path => !isPrivate(path) },
+    ClassPrivateMethod: { types: ['MethodDefinition'], check: isPrivate },
+    ClassProperty: { types: ['PropertyDefinition'], check: path => !isPrivate(path) },
+    ClassPrivateProperty: { types: ['PropertyDefinition'], check: isPrivate },
+    ObjectMethod: { types: ['Property'], check: isObjectMethod },
+    ObjectProperty: { types: ['Property'], check: path => !isObjectMethod(path) },
+    OptionalMemberExpression: { types: ['MemberExpression'], check: isInOptionalChain },
+    OptionalCallExpression: { types: ['CallExpression'], check: isInOptionalChain }
+};
+const METHOD_TYPES = new Set(['ClassMethod', 'ClassPrivateMethod', 'ObjectMethod']);
+
+// babel 的 ClassMethod、ObjectMethod 上的这些属性，在 ESTree 里属于方法的 value（函数表达式）
+const METHOD_FUNCTION_KEYS = ['params', 'body', 'returnType', 'typeParameters', 'async', 'generator'];
+
+function isMethodNode(node) {
+    return !!node && (node.type === 'MethodDefinition' ||
+        (node.type === 'Property' && (node.method || node.kind === 'get' || node.kind === 'set')));
+}
+
+// 方法节点上加上不可枚举的 params、async 等属性，读写的是 value 上的，babel 类型的 visitor 里可以直接用 path.node.params
+function defineMethodAccessors(node) {
+    METHOD_FUNCTION_KEYS.forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(node, key)) {
+            Object.defineProperty(node, key, {
+                get() {
+                    return this.value[key];
+                },
+                set(value) {
+                    this.value[key] = value;
+                },
+                configurable: true
+            });
+        }
+    });
+}
+
+// 这些 key 不是节点类型
+const IGNORED_KEYS = new Set(['enter', 'exit', 'shouldSkip', 'denylist', 'noScope']);
+
+// 函数或 { enter, exit } 统一成 { enter: [], exit: [] }
+function normalizeFns(value, key) {
+    if (typeof value === 'function') {
+        value = { enter: value };
+    }
+    if (!value || typeof value !== 'object') {
+        throw new Error(`Visitor for '${key}' must be a function or an object with enter/exit`);
+    }
+    const fns = { enter: [], exit: [] };
+    ['enter', 'exit'].forEach(phase => {
+        [].concat(value[phase] || []).forEach(fn => {
+            if (typeof fn !== 'function') {
+                throw new Error(`Visitor '${key}.${phase}' must be a function, got ${typeof fn}`);
+            }
+            fns[phase].push(fn);
+        });
+    });
+    return fns;
+}
+
+// Literal 既是节点类型又是别名，两者都算
+function resolveTypes(name) {
+    if (visitorKeys.has(name) || aliasKeys.has(name)) {
+        return [...(visitorKeys.has(name) ? [name] : []), ...(aliasKeys.get(name) || [])];
+    }
+    if (Object.prototype.hasOwnProperty.call(BABEL_ONLY_TYPES, name)) {
+        return BABEL_ONLY_TYPES[name].types;
+    }
+    throw new Error(`You gave us a visitor for the node type '${name}' but it's not a valid type`);
+}
+
+// babel 特有的类型只在 check 通过时调用
+function withCheck(fns, name) {
+    if (!Object.prototype.hasOwnProperty.call(BABEL_ONLY_TYPES, name)) {
+        return fns;
+    }
+    const babelType = BABEL_ONLY_TYPES[name];
+    const wrap = phaseFns => phaseFns.map(fn => function (path, ...args) {
+        if (babelType.check(path)) {
+            METHOD_TYPES.has(name) && defineMethodAccessors(path.node);
+            return fn.call(this, path, ...args);
+        }
+    });
+    return { enter: wrap(fns.enter), exit: wrap(fns.exit) };
+}
+
+function addFns(target, fns) {
+    target.enter.push(...fns.enter);
+    target.exit.push(...fns.exit);
+}
+
+const explodedCache = new WeakMap();
+
+/**
+ * 把用户写的 visitor 规范化：
+ * 1. 'A|B' 拆成多个类型
+ * 2. Function、Statement 等别名展开成具体的节点类型
+ * 3. 同一类型的多个函数按出现顺序合并成数组
+ * 4. 顶层的 enter/exit 对所有节点生效，放在 visitor.enter/visitor.exit 上
+ * 结果形如 { enter: [], exit: [], Identifier: { enter: [], exit: [] } }
+ */
+function explode(visitor) {
+    if (visitor._exploded) {
+        return visitor;
+    }
+    if (explodedCache.has(visitor)) {
+        return explodedCache.get(visitor);
+    }
+
+    const exploded = normalizeFns({ enter: visitor.enter, exit: visitor.exit }, 'enter/exit');
+    Object.keys(visitor).forEach(key => {
+        if (IGNORED_KEYS.has(key) || key.startsWith('_')) {
+            return;
+        }
+        const fns = normalizeFns(visitor[key], key);
+        const names = key.split('|').map(name => name.trim());
+        // 'ClassMethod|FunctionExpression' 这样的写法里，方法的函数已经由 FunctionExpression 处理，不再处理 MethodDefinition 本身
+        const hasFunctionExpression = names.some(name => resolveTypes(name).includes('FunctionExpression'));
+        names.forEach(name => {
+            if (hasFunctionExpression && METHOD_TYPES.has(name)) {
+                return;
+            }
+            const typeFns = withCheck(fns, name);
+            resolveTypes(name).forEach(type => {
+                addFns(exploded[type] || (exploded[type] = { enter: [], exit: [] }), typeFns);
+            });
+        });
+    });
+    Object.defineProperty(exploded, '_exploded', { value: true });
+
+    explodedCache.set(visitor, exploded);
+    return exploded;
+}
+
+/**
+ * 把 visitor 的每个函数绑定到插件自己的 state 上：this 和第二个参数都是它。
+ * 多个插件共用一次遍历时，各自拿到的仍是自己的 state
+ */
+function wrapWithState(visitor, state) {
+    const exploded = explode(visitor);
+    const wrap = fns => fns.map(fn => function (path) {
+        return fn.call(state, path, state);
+    });
+
+    const wrapped = { enter: wrap(exploded.enter), exit: wrap(exploded.exit) };
+    Object.keys(exploded).forEach(type => {
+        if (type !== 'enter' && type !== 'exit') {
+            wrapped[type] = { enter: wrap(exploded[type].enter), exit: wrap(exploded[type].exit) };
+        }
+    });
+    Object.defineProperty(wrapped, '_exploded', { value: true });
+    return wrapped;
+}
+
+/**
+ * 合并多个 visitor，同一节点类型的函数按 visitor 的先后顺序依次执行，不会互相覆盖。
+ * 传了 states 时第 i 个 visitor 绑定第 i 个 state
+ */
+function merge(visitors, states = []) {
+    const merged = { enter: [], exit: [] };
+    visitors.forEach((visitor, index) => {
+        const exploded = states[index] ? wrapWithState(visitor, states[index]) : explode(visitor);
+        Object.keys(exploded).forEach(type => {
+            if (type === 'enter' || type === 'exit') {
+                merged[type].push(...exploded[type]);
+            } else {
+                addFns(merged[type] || (merged[type] = { enter: [], exit: [] }), exploded[type]);
+            }
+        });
+    });
+    Object.defineProperty(merged, '_exploded', { value: true });
+    return merged;
+}
+
+module.exports = {
+    isMethodNode,
+    METHOD_FUNCTION_KEYS,
+    explode,
+    wrapWithState,
+    merge
+};
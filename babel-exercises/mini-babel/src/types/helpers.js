@@ -0,0 +1,217 @@
+// 小写开头（或带 `-`）的 JSX 标签名是原生标签，不是变量
+function isCompatTag(tagName) {
+    return !!tagName && /^[a-z]|-/.test(tagName);
+}
+
+/**
+ * 判断 node 在 parent 中是不是对变量的引用（读取），
+ * 声明的名字、属性名、标签、被赋值的目标等都不算
+ */
+function isReferenced(node, parent, grandparent) {
+    switch (parent.type) {
+        case 'MemberExpression':
+            return parent.property === node ? !!parent.computed : true;
+        case 'MetaProperty':
+            return false;
+        case 'Property':
+            if (parent.key === node) {
+                return !!parent.computed;
+            }
+            // 解构模式里的值是声明或赋值的目标
+            return !grandparent || grandparent.type !== 'ObjectPattern';
+        case 'MethodDefinition':
+        case 'PropertyDefinition':
+        case 'AccessorProperty':
+            return parent.key === node ? !!parent.computed : true;
+        case 'VariableDeclarator':
+            return parent.init === node;
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            return parent.body === node;
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+            return parent.superClass === node;
+        case 'CatchClause':
+            return false;
+        case 'LabeledStatement':
+        case 'BreakStatement':
+        case 'ContinueStatement':
+            return false;
+        case 'AssignmentExpression':
+        case 'AssignmentPattern':
+            return parent.right === node;
+        case 'ForInStatement':
+        case 'ForOfStatement':
+            return parent.left !== node;
+        case 'ArrayPattern':
+        case 'ObjectPattern':
+        case 'RestElement':
+            return false;
+        case 'ImportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+        case 'ImportAttribute':
+            return false;
+        // export { a as b } 的 a 是引用，export { a } from 'x' 则不是
+        case 'ExportSpecifier':
+            return grandparent && !grandparent.source ? parent.local === node : false;
+        case 'ExportAllDeclaration':
+            return false;
+        // <div a="" /> 的属性名、<a.b /> 的 b、<a:b /> 都不是引用
+        case 'JSXAttribute':
+        case 'JSXNamespacedName':
+            return false;
+        case 'JSXMemberExpression':
+            return parent.object === node;
+        // 类型声明的名字、签名里的参数名、A.B 的 B
+        case 'TSTypeAliasDeclaration':
+        case 'TSInterfaceDeclaration':
+        case 'TSDeclareFunction':
+        case 'TSIndexSignature':
+        case 'TSFunctionType':
+        case 'TSConstructorType':
+        case 'TSCallSignatureDeclaration':
+        case 'TSConstructSignatureDeclaration':
+        case 'TSNamedTupleMember':
+        case 'TSTypePredicate':
+        case 'TSParameterProperty':
+            return false;
+        case 'TSPropertySignature':
+        case 'TSMethodSignature':
+        case 'TSDeclareMethod':
+            return parent.key === node && !!parent.computed;
+        case 'TSQualifiedName':
+            return parent.left === node;
+        // import A = N.A 的 A，import('./a').B 的 B
+        case 'TSImportEqualsDeclaration':
+            return parent.id !== node;
+        case 'TSImportType':
+            return false;
+    }
+    return true;
+}
+
+// 各类声明中声明名字所在的属性
+const bindingIdentifierKeys = {
+    VariableDeclaration: ['declarations'],
+    VariableDeclarator: ['id'],
+    FunctionDeclaration: ['id', 'params'],
+    FunctionExpression: ['id', 'params'],
+    ArrowFunctionExpression: ['params'],
+    ClassDeclaration: ['id'],
+    ClassExpression: ['id'],
+    CatchClause: ['param'],
+    ImportDeclaration: ['specifiers'],
+    ImportSpecifier: ['local'],
+    ImportDefaultSpecifier: ['local'],
+    ImportNamespaceSpecifier: ['local'],
+    ExportNamedDeclaration: ['declaration'],
+    ExportDefaultDeclaration: ['declaration'],
+    ObjectPattern: ['properties'],
+    Property: ['value'],
+    ArrayPattern: ['elements'],
+    AssignmentPattern: ['left'],
+    RestElement: ['argument'],
+    TSParameterProperty: ['parameter'],
+    TSImportEqualsDeclaration: ['id'],
+    AssignmentExpression: ['left'],
+    UpdateExpression: ['argument'],
+    UnaryExpression: ['argument']
+};
+
+/**
+ * 取出节点声明（或赋值）的所有名字，返回 { 名字: Identifier 节点 }。
+ * outerOnly 为 true 时函数只取函数名，不取参数
+ */
+function getBindingIdentifiers(node, outerOnly = false) {
+    const ids = {};
+    const search = [node];
+    while (search.length) {
+        const id = search.shift();
+        if (!id) {
+            continue;
+        }
+        if (id.type === 'Identifier') {
+            ids[id.name] = id;
+            continue;
+        }
+        const keys = bindingIdentifierKeys[id.type];
+        if (!keys) {
+            continue;
+        }
+        if (outerOnly && /Function|Class/.test(id.type)) {
+            search.push(id.id);
+            continue;
+        }
+        keys.forEach(key => search.push(...[].concat(id[key])));
+    }
+    return ids;
+}
+
+const LOCATION_KEYS = ['loc', 'start', 'end', 'range'];
+const COMMENT_KEYS = ['leadingComments', 'trailingComments', 'innerComments'];
+
+function cloneComments(comments, withoutLoc) {
+    return comments.map(comment => {
+        const cloned = { ...comment };
+        if (withoutLoc) {
+            LOCATION_KEYS.forEach(key => delete cloned[key]);
+        }
+        return cloned;
+    });
+}
+
+function cloneValue(value, deep, withoutLoc) {
+    if (Array.isArray(value)) {
+        return value.map(item => cloneValue(item, deep, withoutLoc));
+    }
+    if (value && typeof value === 'object' && !(value instanceof RegExp)) {
+        if (typeof value.type === 'string') {
+            return cloneNode(value, deep, withoutLoc);
+        }
+        // extra、regex 等附带的普通对象
+        const cloned = {};
+        Object.keys(value).forEach(key => cloned[key] = cloneValue(value[key], deep, withoutLoc));
+        return cloned;
+    }
+    return value;
+}
+
+/**
+ * 复制节点。deep 为 false 时子节点仍是原来的对象；
+ * withoutLoc 为 true 时去掉位置信息，生成的代码不会再映射回原来的位置
+ */
+function cloneNode(node, deep = true, withoutLoc = false) {
+    if (!node) {
+        return node;
+    }
+    const cloned = {};
+    Object.keys(node).forEach(key => {
+        const value = node[key];
+        if (LOCATION_KEYS.includes(key)) {
+            if (!withoutLoc) {
+                cloned[key] = value;
+            }
+        } else if (COMMENT_KEYS.includes(key)) {
+            cloned[key] = value && cloneComments(value, withoutLoc);
+        } else if (deep) {
+            cloned[key] = cloneValue(value, deep, withoutLoc);
+        } else {
+            cloned[key] = Array.isArray(value) ? value.slice() : value;
+        }
+    });
+    return cloned;
+}
+
+function cloneDeep(node) {
+    return cloneNode(node);
+}
+
+module.exports = {
+    isCompatTag,
+    isReferenced,
+    getBindingIdentifiers,
+    cloneNode,
+    cloneDeep
+};
@@ -1,47 +1,1266 @@
+/**
+ * 字段的取值约束，生成的 builder 用它校验参数，t.validate 也可以单独调用：
+ * - nodeOf / optionalNodeOf：某些类型（或别名）的节点，optional 的可以是 null
+ * - listOf / sparseListOf：节点数组，sparse 的允许有空位（数组空洞）
+ * - typeOf：typeof 的结果，第二个参数是默认值
+ * - oneOf：几个固定值之一
+ */
+function assertNodeType(...types) {
+    return function (node, key, val) {
+        if (!types.some(type => is(type, val))) {
+            throw new Error(`Property ${key} of ${node.type} expected node to be of a type ${JSON.stringify(types)} ` +
+                `but instead got ${JSON.stringify(val && val.type)}`);
+        }
+    };
+}
+
+function assertEach(validate, allowHoles) {
+    return function (node, key, val) {
+        if (!Array.isArray(val)) {
+            throw new Error(`Property ${key} of ${node.type} expected an array but got ${JSON.stringify(val)}`);
+        }
+        val.forEach((item, index) => {
+            if (!(allowHoles && item === null)) {
+                validate(node, `${key}[${index}]`, item);
+            }
+        });
+    };
+}
+
+function assertValueType(types) {
+    types = [].concat(types);
+    return function (node, key, val) {
+        if (!types.includes(typeof val)) {
+            throw new Error(`Property ${key} of ${node.type} expected type of ${types.join(' | ')} but got ${typeof val}`);
+        }
+    };
+}
+
+function assertOneOf(values) {
+    return function (node, key, val) {
+        if (!values.includes(val)) {
+            throw new Error(`Property ${key} of ${node.type} expected value to be one of ${JSON.stringify(values)} ` +
+                `but got ${JSON.stringify(val)}`);
+        }
+    };
+}
+
+// 没有写 fields 的子节点（主要是 TypeScript 的节点）只要求是节点或节点数组
+function assertNodeOrList(node, key, val) {
+    const items = Array.isArray(val) ? val : [val];
+    if (!items.every(item => !!item && typeof item.type === 'string')) {
+        throw new Error(`Property ${key} of ${node.type} expected a node or an array of nodes`);
+    }
+}
+
+const nodeOf = (...types) => ({ validate: assertNodeType(...types) });
+const optionalNodeOf = (...types) => ({ validate: assertNodeType(...types), optional: true, default: null });
+const listOf = (...types) => ({ validate: assertEach(assertNodeType(...types)), default: [] });
+const sparseListOf = (...types) => ({ validate: assertEach(assertNodeType(...types), true), default: [] });
+const optionalListOf = (...types) => ({ validate: assertEach(assertNodeType(...types)), optional: true });
+const typeOf = (types, defaultValue) => ({ validate: assertValueType(types), default: defaultValue });
+const optionalTypeOf = types => ({ validate: assertValueType(types), optional: true });
+const oneOf = (values, defaultValue) => ({ validate: assertOneOf(values), default: defaultValue });
+
+const BINARY_OPERATORS = [
+    '==', '!=', '===', '!==', '<', '<=', '>', '>=', '<<', '>>', '>>>',
+    '+', '-', '*', '/', '%', '**', '|', '^', '&', 'in', 'instanceof'
+];
+const ASSIGNMENT_OPERATORS = ['=', ...['+', '-', '*', '/', '%', '**', '<<', '>>', '>>>', '|', '^', '&', '||', '&&', '??'].map(op => op + '=')];
+const JSX_NAMES = ['JSXIdentifier', 'JSXMemberExpression', 'JSXNamespacedName'];
+const JSX_CHILDREN = ['JSXText', 'JSXExpressionContainer', 'JSXSpreadChild', 'JSXElement', 'JSXFragment'];
+
+/**
+ * 节点定义：
+ * - visitor：遍历的子节点
+ * - builder：t.xxx() 的参数顺序，没写时按 visitor 的顺序
+ * - fields：字段的约束，visitor 中没写约束的字段只校验是不是节点
+ * - aliases：所属的别名，isExpression、isFunction 等按别名判断
+ */
 const astDefinitionsMap = new Map(Object.entries({
+    // 程序，File 是 transform 的 ast 选项返回的根节点，同 babel
+    'File': {
+        builder: ['program', 'comments'],
+        fields: {
+            program: nodeOf('Program'),
+            comments: typeOf('object', [])
+        },
+        visitor: ['program']
+    },
     'Program': {
+        builder: ['body', 'sourceType'],
+        fields: {
+            body: listOf('Statement'),
+            sourceType: oneOf(['script', 'module'], 'script')
+        },
+        visitor: ['body'],
+        isBlock: true,
+        aliases: ['Scopable', 'BlockParent']
+    },
+
+    // 标识符与字面量
+    'Identifier': {
+        builder: ['name'],
+        fields: {
+            name: typeOf('string'),
+            optional: optionalTypeOf('boolean')
+        },
+        visitor: ['typeAnnotation'],
+        aliases: ['Expression', 'PatternLike', 'LVal', 'TSEntityName']
+    },
+    'PrivateIdentifier': {
+        builder: ['name'],
+        fields: {
+            name: typeOf('string')
+        }
+    },
+    // ESTree 的字面量。babel 的各种字面量（StringLiteral、TemplateLiteral 等）属于 Literal 别名，同 babel
+    'Literal': {
+        builder: ['value'],
+        fields: {
+            value: typeOf(['string', 'number', 'boolean', 'object', 'bigint'])
+        },
+        aliases: ['Expression', 'Pureish']
+    },
+    'NumericLiteral': {
+        builder: ['value'],
+        fields: {
+            value: typeOf('number')
+        },
+        aliases: ['Expression', 'Pureish', 'Literal', 'Immutable']
+    },
+    'StringLiteral': {
+        builder: ['value'],
+        fields: {
+            value: typeOf('string')
+        },
+        aliases: ['Expression', 'Pureish', 'Literal', 'Immutable']
+    },
+    'BooleanLiteral': {
+        builder: ['value'],
+        fields: {
+            value: typeOf('boolean')
+        },
+        aliases: ['Expression', 'Pureish', 'Literal', 'Immutable']
+    },
+    'NullLiteral': {
+        aliases: ['Expression', 'Pureish', 'Literal', 'Immutable']
+    },
+    'RegExpLiteral': {
+        builder: ['pattern', 'flags'],
+        fields: {
+            pattern: typeOf('string'),
+            flags: typeOf('string', '')
+        },
+        aliases: ['Expression', 'Pureish', 'Literal']
+    },
+    'BigIntLiteral': {
+        builder: ['value'],
+        fields: {
+            value: typeOf('string')
+        },
+        aliases: ['Expression', 'Pureish', 'Literal', 'Immutable']
+    },
+    'TemplateLiteral': {
+        builder: ['quasis', 'expressions'],
+        fields: {
+            quasis: listOf('TemplateElement'),
+            expressions: listOf('Expression', 'TSType')
+        },
+        visitor: ['quasis', 'expressions'],
+        aliases: ['Expression', 'Literal']
+    },
+    'TemplateElement': {
+        builder: ['value', 'tail'],
+        fields: {
+            value: typeOf('object'),
+            tail: typeOf('boolean', false)
+        }
+    },
+
+    // 语句
+    'ExpressionStatement': {
+        builder: ['expression'],
+        fields: {
+            expression: nodeOf('Expression'),
+            directive: optionalTypeOf('string')
+        },
+        visitor: ['expression'],
+        aliases: ['Statement', 'ExpressionWrapper']
+    },
+    'BlockStatement': {
+        builder: ['body'],
+        fields: {
+            body: listOf('Statement')
+        },
         visitor: ['body'],
-        isBlock: true
+        aliases: ['Scopable', 'BlockParent', 'Statement']
+    },
+    'StaticBlock': {
+        builder: ['body'],
+        fields: {
+            body: listOf('Statement')
+        },
+        visitor: ['body'],
+        aliases: ['Scopable', 'BlockParent', 'FunctionParent']
+    },
+    'EmptyStatement': {
+        aliases: ['Statement']
+    },
+    'DebuggerStatement': {
+        aliases: ['Statement']
+    },
+    'WithStatement': {
+        builder: ['object', 'body'],
+        fields: {
+            object: nodeOf('Expression'),
+            body: nodeOf('Statement')
+        },
+        visitor: ['object', 'body'],
+        aliases: ['Statement']
+    },
+    'ReturnStatement': {
+        builder: ['argument'],
+        fields: {
+            argument: optionalNodeOf('Expression')
+        },
+        visitor: ['argument'],
+        aliases: ['Statement', 'Terminatorless', 'CompletionStatement']
+    },
+    'LabeledStatement': {
+        builder: ['label', 'body'],
+        fields: {
+            label: nodeOf('Identifier'),
+            body: nodeOf('Statement')
+        },
+        visitor: ['label', 'body'],
+        aliases: ['Statement']
+    },
+    'BreakStatement': {
+        builder: ['label'],
+        fields: {
+            label: optionalNodeOf('Identifier')
+        },
+        visitor: ['label'],
+        aliases: ['Statement', 'Terminatorless', 'CompletionStatement']
+    },
+    'ContinueStatement': {
+        builder: ['label'],
+        fields: {
+            label: optionalNodeOf('Identifier')
+        },
+        visitor: ['label'],
+        aliases: ['Statement', 'Terminatorless', 'CompletionStatement']
+    },
+    'IfStatement': {
+        builder: ['test', 'consequent', 'alternate'],
+        fields: {
+            test: nodeOf('Expression'),
+            consequent: nodeOf('Statement'),
+            alternate: optionalNodeOf('Statement')
+        },
+        visitor: ['test', 'consequent', 'alternate'],
+        aliases: ['Statement', 'Conditional']
+    },
+    'SwitchStatement': {
+        builder: ['discriminant', 'cases'],
+        fields: {
+            discriminant: nodeOf('Expression'),
+            cases: listOf('SwitchCase')
+        },
+        visitor: ['discriminant', 'cases'],
+        aliases: ['Statement', 'BlockParent', 'Scopable']
+    },
+    'SwitchCase': {
+        builder: ['test', 'consequent'],
+        fields: {
+            test: optionalNodeOf('Expression'),
+            consequent: listOf('Statement')
+        },
+        visitor: ['test', 'consequent']
+    },
+    'ThrowStatement': {
+        builder: ['argument'],
+        fields: {
+            argument: nodeOf('Expression')
+        },
+        visitor: ['argument'],
+        aliases: ['Statement', 'Terminatorless', 'CompletionStatement']
+    },
+    'TryStatement': {
+        builder: ['block', 'handler', 'finalizer'],
+        fields: {
+            block: nodeOf('BlockStatement'),
+            handler: optionalNodeOf('CatchClause'),
+            finalizer: optionalNodeOf('BlockStatement')
+        },
+        visitor: ['block', 'handler', 'finalizer'],
+        aliases: ['Statement']
+    },
+    'CatchClause': {
+        builder: ['param', 'body'],
+        fields: {
+            param: optionalNodeOf('Identifier', 'ObjectPattern', 'ArrayPattern'),
+            body: nodeOf('BlockStatement')
+        },
+        visitor: ['param', 'body'],
+        aliases: ['Scopable', 'BlockParent']
+    },
+    'WhileStatement': {
+        builder: ['test', 'body'],
+        fields: {
+            test: nodeOf('Expression'),
+            body: nodeOf('Statement')
+        },
+        visitor: ['test', 'body'],
+        aliases: ['Statement', 'BlockParent', 'Loop', 'While', 'Scopable']
+    },
+    'DoWhileStatement': {
+        builder: ['test', 'body'],
+        fields: {
+            test: nodeOf('Expression'),
+            body: nodeOf('Statement')
+        },
+        visitor: ['body', 'test'],
+        aliases: ['Statement', 'BlockParent', 'Loop', 'While', 'Scopable']
+    },
+    'ForStatement': {
+        builder: ['init', 'test', 'update', 'body'],
+        fields: {
+            init: optionalNodeOf('VariableDeclaration', 'Expression'),
+            test: optionalNodeOf('Expression'),
+            update: optionalNodeOf('Expression'),
+            body: nodeOf('Statement')
+        },
+        visitor: ['init', 'test', 'update', 'body'],
+        aliases: ['Scopable', 'Statement', 'For', 'BlockParent', 'Loop']
+    },
+    'ForInStatement': {
+        builder: ['left', 'right', 'body'],
+        fields: {
+            left: nodeOf('VariableDeclaration', 'LVal'),
+            right: nodeOf('Expression'),
+            body: nodeOf('Statement')
+        },
+        visitor: ['left', 'right', 'body'],
+        aliases: ['Scopable', 'Statement', 'For', 'BlockParent', 'Loop', 'ForXStatement']
+    },
+    'ForOfStatement': {
+        builder: ['left', 'right', 'body', 'await'],
+        fields: {
+            left: nodeOf('VariableDeclaration', 'LVal'),
+            right: nodeOf('Expression'),
+            body: nodeOf('Statement'),
+            await: typeOf('boolean', false)
+        },
+        visitor: ['left', 'right', 'body'],
+        aliases: ['Scopable', 'Statement', 'For', 'BlockParent', 'Loop', 'ForXStatement']
+    },
+
+    // 声明
+    'FunctionDeclaration': {
+        builder: ['id', 'params', 'body', 'generator', 'async'],
+        fields: {
+            id: optionalNodeOf('Identifier'),
+            params: listOf('PatternLike', 'TSParameterProperty'),
+            body: nodeOf('BlockStatement'),
+            generator: typeOf('boolean', false),
+            async: typeOf('boolean', false)
+        },
+        visitor: ['id', 'typeParameters', 'params', 'returnType', 'body'],
+        isBlock: true,
+        aliases: ['Scopable', 'Function', 'BlockParent', 'FunctionParent', 'Statement', 'Pureish', 'Declaration']
     },
     'VariableDeclaration': {
-        visitor: ['declarations']
+        builder: ['kind', 'declarations'],
+        fields: {
+            kind: oneOf(['var', 'let', 'const', 'using', 'await using']),
+            declarations: listOf('VariableDeclarator')
+        },
+        visitor: ['declarations'],
+        aliases: ['Statement', 'Declaration']
     },
     'VariableDeclarator': {
+        builder: ['id', 'init'],
+        fields: {
+            id: nodeOf('LVal'),
+            init: optionalNodeOf('Expression')
+        },
         visitor: ['id', 'init']
     },
-    'Identifier': {},
-    'NumericLiteral': {},
-    'FunctionDeclaration': {
-        visitor: ['id', 'params', 'body'],
-        isBlock: true
+
+    // 表达式
+    'ThisExpression': {
+        aliases: ['Expression']
     },
-    'BlockStatement': {
-        visitor: ['body']
+    'Super': {},
+    'ArrayExpression': {
+        builder: ['elements'],
+        fields: {
+            elements: sparseListOf('Expression', 'SpreadElement')
+        },
+        visitor: ['elements'],
+        aliases: ['Expression']
     },
-    'ReturnStatement': {
-        visitor: ['argument']
+    'ObjectExpression': {
+        builder: ['properties'],
+        fields: {
+            properties: listOf('Property', 'SpreadElement')
+        },
+        visitor: ['properties'],
+        aliases: ['Expression']
+    },
+    'Property': {
+        builder: ['key', 'value', 'computed', 'shorthand', 'kind', 'method'],
+        fields: {
+            key: nodeOf('Expression', 'PrivateIdentifier'),
+            value: nodeOf('Expression', 'PatternLike'),
+            computed: typeOf('boolean', false),
+            shorthand: typeOf('boolean', false),
+            kind: oneOf(['init', 'get', 'set'], 'init'),
+            method: typeOf('boolean', false)
+        },
+        visitor: ['key', 'value'],
+        aliases: ['ObjectMember']
+    },
+    'FunctionExpression': {
+        builder: ['id', 'params', 'body', 'generator', 'async'],
+        fields: {
+            id: optionalNodeOf('Identifier'),
+            params: listOf('PatternLike', 'TSParameterProperty'),
+            body: nodeOf('BlockStatement'),
+            generator: typeOf('boolean', false),
+            async: typeOf('boolean', false)
+        },
+        visitor: ['id', 'typeParameters', 'params', 'returnType', 'body'],
+        isBlock: true,
+        aliases: ['Scopable', 'Function', 'BlockParent', 'FunctionParent', 'Expression', 'Pureish']
+    },
+    'ArrowFunctionExpression': {
+        builder: ['params', 'body', 'async'],
+        fields: {
+            params: listOf('PatternLike'),
+            body: nodeOf('BlockStatement', 'Expression'),
+            async: typeOf('boolean', false)
+        },
+        visitor: ['typeParameters', 'params', 'returnType', 'body'],
+        isBlock: true,
+        aliases: ['Scopable', 'Function', 'BlockParent', 'FunctionParent', 'Expression', 'Pureish']
+    },
+    'UnaryExpression': {
+        builder: ['operator', 'argument', 'prefix'],
+        fields: {
+            operator: oneOf(['void', 'delete', '!', '+', '-', '~', 'typeof']),
+            argument: nodeOf('Expression'),
+            prefix: typeOf('boolean', true)
+        },
+        visitor: ['argument'],
+        aliases: ['UnaryLike', 'Expression']
+    },
+    'UpdateExpression': {
+        builder: ['operator', 'argument', 'prefix'],
+        fields: {
+            operator: oneOf(['++', '--']),
+            argument: nodeOf('Expression'),
+            prefix: typeOf('boolean', false)
+        },
+        visitor: ['argument'],
+        aliases: ['Expression']
     },
     'BinaryExpression': {
-        visitor: ['left', 'right']
+        builder: ['operator', 'left', 'right'],
+        fields: {
+            operator: oneOf(BINARY_OPERATORS),
+            left: nodeOf('Expression', 'PrivateIdentifier'),
+            right: nodeOf('Expression')
+        },
+        visitor: ['left', 'right'],
+        aliases: ['Binary', 'Expression']
     },
-    'ExpressionStatement': {
-        visitor: ['expression']
+    'LogicalExpression': {
+        builder: ['operator', 'left', 'right'],
+        fields: {
+            operator: oneOf(['||', '&&', '??']),
+            left: nodeOf('Expression'),
+            right: nodeOf('Expression')
+        },
+        visitor: ['left', 'right'],
+        aliases: ['Binary', 'Expression']
+    },
+    'AssignmentExpression': {
+        builder: ['operator', 'left', 'right'],
+        fields: {
+            operator: oneOf(ASSIGNMENT_OPERATORS),
+            left: nodeOf('LVal'),
+            right: nodeOf('Expression')
+        },
+        visitor: ['left', 'right'],
+        aliases: ['Expression']
+    },
+    'MemberExpression': {
+        builder: ['object', 'property', 'computed', 'optional'],
+        fields: {
+            object: nodeOf('Expression', 'Super'),
+            property: nodeOf('Expression', 'PrivateIdentifier'),
+            computed: typeOf('boolean', false),
+            optional: typeOf('boolean', false)
+        },
+        visitor: ['object', 'property'],
+        aliases: ['Expression', 'LVal']
+    },
+    'ChainExpression': {
+        builder: ['expression'],
+        fields: {
+            expression: nodeOf('Expression')
+        },
+        visitor: ['expression'],
+        aliases: ['Expression']
+    },
+    'ConditionalExpression': {
+        builder: ['test', 'consequent', 'alternate'],
+        fields: {
+            test: nodeOf('Expression'),
+            consequent: nodeOf('Expression'),
+            alternate: nodeOf('Expression')
+        },
+        visitor: ['test', 'consequent', 'alternate'],
+        aliases: ['Expression', 'Conditional']
     },
     'CallExpression': {
-        visitor: ['callee', 'arguments']
+        builder: ['callee', 'arguments', 'optional'],
+        fields: {
+            callee: nodeOf('Expression', 'Super'),
+            arguments: listOf('Expression', 'SpreadElement'),
+            optional: typeOf('boolean', false)
+        },
+        visitor: ['callee', 'typeParameters', 'arguments'],
+        aliases: ['Expression']
+    },
+    'NewExpression': {
+        builder: ['callee', 'arguments'],
+        fields: {
+            callee: nodeOf('Expression'),
+            arguments: listOf('Expression', 'SpreadElement')
+        },
+        visitor: ['callee', 'typeParameters', 'arguments'],
+        aliases: ['Expression']
+    },
+    'SequenceExpression': {
+        builder: ['expressions'],
+        fields: {
+            expressions: listOf('Expression')
+        },
+        visitor: ['expressions'],
+        aliases: ['Expression']
+    },
+    'ParenthesizedExpression': {
+        builder: ['expression'],
+        fields: {
+            expression: nodeOf('Expression')
+        },
+        visitor: ['expression'],
+        aliases: ['Expression', 'ExpressionWrapper']
+    },
+    'YieldExpression': {
+        builder: ['argument', 'delegate'],
+        fields: {
+            argument: optionalNodeOf('Expression'),
+            delegate: typeOf('boolean', false)
+        },
+        visitor: ['argument'],
+        aliases: ['Expression', 'Terminatorless']
+    },
+    'AwaitExpression': {
+        builder: ['argument'],
+        fields: {
+            argument: nodeOf('Expression')
+        },
+        visitor: ['argument'],
+        aliases: ['Expression', 'Terminatorless']
+    },
+    'TaggedTemplateExpression': {
+        builder: ['tag', 'quasi'],
+        fields: {
+            tag: nodeOf('Expression'),
+            quasi: nodeOf('TemplateLiteral')
+        },
+        visitor: ['tag', 'typeParameters', 'quasi'],
+        aliases: ['Expression']
+    },
+    'SpreadElement': {
+        builder: ['argument'],
+        fields: {
+            argument: nodeOf('Expression')
+        },
+        visitor: ['argument'],
+        aliases: ['UnaryLike']
+    },
+    'MetaProperty': {
+        builder: ['meta', 'property'],
+        fields: {
+            meta: nodeOf('Identifier'),
+            property: nodeOf('Identifier')
+        },
+        visitor: ['meta', 'property'],
+        aliases: ['Expression']
+    },
+    'ImportExpression': {
+        builder: ['source', 'options'],
+        fields: {
+            source: nodeOf('Expression'),
+            options: optionalNodeOf('Expression')
+        },
+        visitor: ['source', 'options'],
+        aliases: ['Expression']
+    },
+
+    // 解构模式
+    'ObjectPattern': {
+        builder: ['properties'],
+        fields: {
+            properties: listOf('Property', 'RestElement')
+        },
+        visitor: ['properties', 'typeAnnotation'],
+        aliases: ['Pattern', 'PatternLike', 'LVal']
+    },
+    'ArrayPattern': {
+        builder: ['elements'],
+        fields: {
+            elements: sparseListOf('PatternLike', 'LVal')
+        },
+        visitor: ['elements', 'typeAnnotation'],
+        aliases: ['Pattern', 'PatternLike', 'LVal']
+    },
+    'RestElement': {
+        builder: ['argument'],
+        fields: {
+            argument: nodeOf('LVal')
+        },
+        visitor: ['argument', 'typeAnnotation'],
+        aliases: ['PatternLike', 'LVal']
+    },
+    'AssignmentPattern': {
+        builder: ['left', 'right'],
+        fields: {
+            left: nodeOf('LVal'),
+            right: nodeOf('Expression')
+        },
+        visitor: ['left', 'right'],
+        aliases: ['Pattern', 'PatternLike', 'LVal']
+    },
+
+    // 类
+    'ClassDeclaration': {
+        builder: ['id', 'superClass', 'body'],
+        fields: {
+            id: optionalNodeOf('Identifier'),
+            superClass: optionalNodeOf('Expression'),
+            body: nodeOf('ClassBody')
+        },
+        visitor: ['id', 'typeParameters', 'superClass', 'superTypeParameters', 'implements', 'body'],
+        aliases: ['Scopable', 'Class', 'Statement', 'Declaration']
+    },
+    'ClassExpression': {
+        builder: ['id', 'superClass', 'body'],
+        fields: {
+            id: optionalNodeOf('Identifier'),
+            superClass: optionalNodeOf('Expression'),
+            body: nodeOf('ClassBody')
+        },
+        visitor: ['id', 'typeParameters', 'superClass', 'superTypeParameters', 'implements', 'body'],
+        aliases: ['Scopable', 'Class', 'Expression']
+    },
+    'ClassBody': {
+        builder: ['body'],
+        fields: {
+            body: listOf('MethodDefinition', 'PropertyDefinition', 'AccessorProperty', 'StaticBlock', 'TSDeclareMethod', 'TSIndexSignature')
+        },
+        visitor: ['body']
+    },
+    'MethodDefinition': {
+        builder: ['kind', 'key', 'value', 'computed', 'static'],
+        fields: {
+            kind: oneOf(['constructor', 'method', 'get', 'set'], 'method'),
+            key: nodeOf('Expression', 'PrivateIdentifier'),
+            value: nodeOf('FunctionExpression'),
+            computed: typeOf('boolean', false),
+            static: typeOf('boolean', false)
+        },
+        visitor: ['key', 'value'],
+        aliases: ['Method']
+    },
+    'PropertyDefinition': {
+        builder: ['key', 'value', 'computed', 'static'],
+        fields: {
+            key: nodeOf('Expression', 'PrivateIdentifier'),
+            value: optionalNodeOf('Expression'),
+            computed: typeOf('boolean', false),
+            static: typeOf('boolean', false)
+        },
+        visitor: ['key', 'typeAnnotation', 'value']
+    },
+    // accessor x = 1
+    'AccessorProperty': {
+        builder: ['key', 'value', 'computed', 'static'],
+        fields: {
+            key: nodeOf('Expression', 'PrivateIdentifier'),
+            value: optionalNodeOf('Expression'),
+            computed: typeOf('boolean', false),
+            static: typeOf('boolean', false)
+        },
+        visitor: ['key', 'typeAnnotation', 'value']
+    },
+
+    // 模块
+    'ImportDeclaration': {
+        builder: ['specifiers', 'source'],
+        fields: {
+            specifiers: listOf('ModuleSpecifier'),
+            source: nodeOf('StringLiteral', 'Literal'),
+            attributes: optionalListOf('ImportAttribute')
+        },
+        visitor: ['specifiers', 'source', 'attributes'],
+        aliases: ['Statement', 'Declaration', 'ImportOrExportDeclaration']
+    },
+    'ImportSpecifier': {
+        builder: ['local', 'imported'],
+        fields: {
+            local: nodeOf('Identifier'),
+            imported: nodeOf('Identifier', 'StringLiteral', 'Literal')
+        },
+        visitor: ['imported', 'local'],
+        aliases: ['ModuleSpecifier']
+    },
+    'ImportDefaultSpecifier': {
+        builder: ['local'],
+        fields: {
+            local: nodeOf('Identifier')
+        },
+        visitor: ['local'],
+        aliases: ['ModuleSpecifier']
+    },
+    'ImportNamespaceSpecifier': {
+        builder: ['local'],
+        fields: {
+            local: nodeOf('Identifier')
+        },
+        visitor: ['local'],
+        aliases: ['ModuleSpecifier']
+    },
+    'ImportAttribute': {
+        builder: ['key', 'value'],
+        fields: {
+            key: nodeOf('Identifier', 'StringLiteral', 'Literal'),
+            value: nodeOf('StringLiteral', 'Literal')
+        },
+        visitor: ['key', 'value']
+    },
+    'ExportNamedDeclaration': {
+        builder: ['declaration', 'specifiers', 'source'],
+        fields: {
+            declaration: optionalNodeOf('Declaration'),
+            specifiers: listOf('ExportSpecifier'),
+            source: optionalNodeOf('StringLiteral', 'Literal'),
+            attributes: optionalListOf('ImportAttribute')
+        },
+        visitor: ['declaration', 'specifiers', 'source', 'attributes'],
+        aliases: ['Statement', 'Declaration', 'ImportOrExportDeclaration', 'ExportDeclaration']
+    },
+    'ExportSpecifier': {
+        builder: ['local', 'exported'],
+        fields: {
+            local: nodeOf('Identifier', 'StringLiteral', 'Literal'),
+            exported: nodeOf('Identifier', 'StringLiteral', 'Literal')
+        },
+        visitor: ['local', 'exported'],
+        aliases: ['ModuleSpecifier']
+    },
+    'ExportDefaultDeclaration': {
+        builder: ['declaration'],
+        fields: {
+            declaration: nodeOf('Declaration', 'Expression')
+        },
+        visitor: ['declaration'],
+        aliases: ['Statement', 'Declaration', 'ImportOrExportDeclaration', 'ExportDeclaration']
+    },
+    'ExportAllDeclaration': {
+        builder: ['source', 'exported'],
+        fields: {
+            source: nodeOf('StringLiteral', 'Literal'),
+            exported: optionalNodeOf('Identifier', 'StringLiteral', 'Literal'),
+            attributes: optionalListOf('ImportAttribute')
+        },
+        visitor: ['exported', 'source', 'attributes'],
+        aliases: ['Statement', 'Declaration', 'ImportOrExportDeclaration', 'ExportDeclaration']
+    },
+
+    // JSX
+    'JSXElement': {
+        builder: ['openingElement', 'closingElement', 'children'],
+        fields: {
+            openingElement: nodeOf('JSXOpeningElement'),
+            closingElement: optionalNodeOf('JSXClosingElement'),
+            children: listOf(...JSX_CHILDREN)
+        },
+        visitor: ['openingElement', 'children', 'closingElement'],
+        aliases: ['JSX', 'Immutable', 'Expression']
+    },
+    'JSXOpeningElement': {
+        builder: ['name', 'attributes', 'selfClosing'],
+        fields: {
+            name: nodeOf(...JSX_NAMES),
+            attributes: listOf('JSXAttribute', 'JSXSpreadAttribute'),
+            selfClosing: typeOf('boolean', false)
+        },
+        visitor: ['name', 'attributes'],
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXClosingElement': {
+        builder: ['name'],
+        fields: {
+            name: nodeOf(...JSX_NAMES)
+        },
+        visitor: ['name'],
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXFragment': {
+        builder: ['openingFragment', 'closingFragment', 'children'],
+        fields: {
+            openingFragment: nodeOf('JSXOpeningFragment'),
+            closingFragment: nodeOf('JSXClosingFragment'),
+            children: listOf(...JSX_CHILDREN)
+        },
+        visitor: ['openingFragment', 'children', 'closingFragment'],
+        aliases: ['JSX', 'Immutable', 'Expression']
+    },
+    'JSXOpeningFragment': {
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXClosingFragment': {
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXAttribute': {
+        builder: ['name', 'value'],
+        fields: {
+            name: nodeOf('JSXIdentifier', 'JSXNamespacedName'),
+            value: optionalNodeOf('JSXElement', 'JSXFragment', 'StringLiteral', 'Literal', 'JSXExpressionContainer')
+        },
+        visitor: ['name', 'value'],
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXSpreadAttribute': {
+        builder: ['argument'],
+        fields: {
+            argument: nodeOf('Expression')
+        },
+        visitor: ['argument'],
+        aliases: ['JSX']
+    },
+    'JSXExpressionContainer': {
+        builder: ['expression'],
+        fields: {
+            expression: nodeOf('Expression', 'JSXEmptyExpression')
+        },
+        visitor: ['expression'],
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXEmptyExpression': {
+        aliases: ['JSX']
+    },
+    'JSXSpreadChild': {
+        builder: ['expression'],
+        fields: {
+            expression: nodeOf('Expression')
+        },
+        visitor: ['expression'],
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXText': {
+        builder: ['value'],
+        fields: {
+            value: typeOf('string')
+        },
+        aliases: ['JSX', 'Immutable']
+    },
+    'JSXIdentifier': {
+        builder: ['name'],
+        fields: {
+            name: typeOf('string')
+        },
+        aliases: ['JSX']
+    },
+    'JSXMemberExpression': {
+        builder: ['object', 'property'],
+        fields: {
+            object: nodeOf('JSXMemberExpression', 'JSXIdentifier'),
+            property: nodeOf('JSXIdentifier')
+        },
+        visitor: ['object', 'property'],
+        aliases: ['JSX']
+    },
+    'JSXNamespacedName': {
+        builder: ['namespace', 'name'],
+        fields: {
+            namespace: nodeOf('JSXIdentifier'),
+            name: nodeOf('JSXIdentifier')
+        },
+        visitor: ['namespace', 'name'],
+        aliases: ['JSX']
+    },
+
+    // TypeScript
+    'TSTypeAnnotation': {
+        visitor: ['typeAnnotation'],
+        aliases: ['TypeScript']
+    },
+    'TSTypeParameterDeclaration': {
+        visitor: ['params'],
+        aliases: ['TypeScript']
+    },
+    'TSTypeParameterInstantiation': {
+        visitor: ['params'],
+        aliases: ['TypeScript']
+    },
+    'TSTypeParameter': {
+        visitor: ['constraint', 'default'],
+        aliases: ['TypeScript']
+    },
+    'TSParameterProperty': {
+        visitor: ['parameter'],
+        aliases: ['TypeScript', 'LVal']
+    },
+    'TSDeclareFunction': {
+        visitor: ['id', 'typeParameters', 'params', 'returnType'],
+        aliases: ['TypeScript', 'Statement', 'Declaration']
+    },
+    'TSDeclareMethod': {
+        visitor: ['key', 'typeParameters', 'params', 'returnType'],
+        aliases: ['TypeScript']
+    },
+    'TSQualifiedName': {
+        visitor: ['left', 'right'],
+        aliases: ['TypeScript', 'TSEntityName']
+    },
+    'TSCallSignatureDeclaration': {
+        visitor: ['typeParameters', 'parameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSTypeElement']
+    },
+    'TSConstructSignatureDeclaration': {
+        visitor: ['typeParameters', 'parameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSTypeElement']
+    },
+    'TSPropertySignature': {
+        visitor: ['key', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSTypeElement']
+    },
+    'TSMethodSignature': {
+        visitor: ['key', 'typeParameters', 'parameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSTypeElement']
+    },
+    'TSIndexSignature': {
+        visitor: ['parameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSTypeElement']
+    },
+    'TSAnyKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSUnknownKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSNumberKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSStringKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSBooleanKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSBigIntKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSSymbolKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSObjectKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSNeverKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSUndefinedKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSIntrinsicKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSVoidKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSNullKeyword': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSThisType': {
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSFunctionType': {
+        visitor: ['typeParameters', 'parameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSConstructorType': {
+        visitor: ['typeParameters', 'parameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSTypeReference': {
+        visitor: ['typeName', 'typeParameters'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSTypePredicate': {
+        visitor: ['parameterName', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSTypeQuery': {
+        visitor: ['exprName', 'typeParameters'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSImportType': {
+        visitor: ['argument', 'qualifier', 'typeParameters'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSTypeLiteral': {
+        visitor: ['members'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSArrayType': {
+        visitor: ['elementType'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSTupleType': {
+        visitor: ['elementTypes'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSOptionalType': {
+        visitor: ['typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSRestType': {
+        visitor: ['typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSNamedTupleMember': {
+        visitor: ['label', 'elementType'],
+        aliases: ['TypeScript']
+    },
+    'TSUnionType': {
+        visitor: ['types'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSIntersectionType': {
+        visitor: ['types'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSConditionalType': {
+        visitor: ['checkType', 'extendsType', 'trueType', 'falseType'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSInferType': {
+        visitor: ['typeParameter'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSTypeOperator': {
+        builder: ['typeAnnotation', 'operator'],
+        fields: {
+            operator: oneOf(['keyof', 'unique', 'readonly'])
+        },
+        visitor: ['typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSIndexedAccessType': {
+        visitor: ['objectType', 'indexType'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSMappedType': {
+        visitor: ['typeParameter', 'nameType', 'typeAnnotation'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSLiteralType': {
+        visitor: ['literal'],
+        aliases: ['TypeScript', 'TSType', 'TSBaseType']
+    },
+    'TSExpressionWithTypeArguments': {
+        visitor: ['expression', 'typeParameters'],
+        aliases: ['TypeScript', 'TSType']
+    },
+    'TSInterfaceDeclaration': {
+        visitor: ['id', 'typeParameters', 'extends', 'body'],
+        aliases: ['TypeScript', 'Statement', 'Declaration']
+    },
+    'TSInterfaceBody': {
+        visitor: ['body'],
+        aliases: ['TypeScript']
+    },
+    'TSTypeAliasDeclaration': {
+        visitor: ['id', 'typeParameters', 'typeAnnotation'],
+        aliases: ['TypeScript', 'Statement', 'Declaration']
+    },
+    'TSEnumDeclaration': {
+        visitor: ['id', 'members'],
+        aliases: ['TypeScript', 'Statement', 'Declaration']
+    },
+    'TSEnumMember': {
+        visitor: ['id', 'initializer'],
+        aliases: ['TypeScript']
+    },
+    'TSModuleDeclaration': {
+        visitor: ['id', 'body'],
+        aliases: ['TypeScript', 'Statement', 'Declaration']
+    },
+    'TSModuleBlock': {
+        visitor: ['body'],
+        aliases: ['TypeScript', 'Scopable', 'BlockParent', 'FunctionParent']
+    },
+    'TSImportEqualsDeclaration': {
+        visitor: ['id', 'moduleReference'],
+        aliases: ['TypeScript', 'Statement', 'Declaration']
+    },
+    'TSExternalModuleReference': {
+        visitor: ['expression'],
+        aliases: ['TypeScript']
+    },
+    'TSExportAssignment': {
+        visitor: ['expression'],
+        aliases: ['TypeScript', 'Statement']
+    },
+    'TSAsExpression': {
+        visitor: ['expression', 'typeAnnotation'],
+        aliases: ['TypeScript', 'Expression', 'LVal', 'PatternLike']
+    },
+    'TSSatisfiesExpression': {
+        visitor: ['expression', 'typeAnnotation'],
+        aliases: ['TypeScript', 'Expression', 'LVal', 'PatternLike']
+    },
+    'TSNonNullExpression': {
+        visitor: ['expression'],
+        aliases: ['TypeScript', 'Expression', 'LVal', 'PatternLike']
+    },
+    'TSTypeAssertion': {
+        visitor: ['typeAnnotation', 'expression'],
+        aliases: ['TypeScript', 'Expression', 'LVal', 'PatternLike']
+    },
+    'TSInstantiationExpression': {
+        visitor: ['expression', 'typeParameters'],
+        aliases: ['TypeScript', 'Expression']
+    },
+
+    // 自定义语法插件
+    'GuangStatement': {
+        builder: [],
+        fields: {
+            value: typeOf('string', 'guang')
+        },
+        aliases: ['Statement']
     }
 }));
 
 
-const validations = {};
+// 别名 → 属于该别名的节点类型，如 Function → [FunctionDeclaration, FunctionExpression, ...]
+const aliasKeys = new Map();
+
+for (let [name, definition] of astDefinitionsMap) {
+    (definition.aliases || []).forEach(alias => {
+        if (!aliasKeys.has(alias)) {
+            aliasKeys.set(alias, []);
+        }
+        aliasKeys.get(alias).push(name);
+    });
+}
+
+// 没写约束的 visitor 字段只要求是节点，builder 没写时按 visitor 的顺序
+for (let definition of astDefinitionsMap.values()) {
+    definition.fields = definition.fields || {};
+    (definition.visitor || []).forEach(key => {
+        if (!definition.fields[key]) {
+            definition.fields[key] = { validate: assertNodeOrList, optional: true, default: null };
+        }
+    });
+    definition.builder = definition.builder || definition.visitor || [];
+}
+
+// opts 是浅比较的条件，如 isVariableDeclaration(node, { kind: 'var' })
+function shallowEqual(node, opts) {
+    return Object.keys(opts).every(key => node[key] === opts[key]);
+}
 
-for (let name of astDefinitionsMap.keys()) {
-    validations['is' + name] = function (node) {
-        return node.type === name;
+// type 可以是节点类型，也可以是别名
+function is(type, node, opts) {
+    if (!node) {
+        return false;
     }
+    const matched = node.type === type || (aliasKeys.has(type) && aliasKeys.get(type).includes(node.type));
+    return matched && (opts === undefined || shallowEqual(node, opts));
+}
+
+// 按节点定义校验 node[key] 赋值为 val 是否合法，不合法时抛错
+function validate(node, key, val) {
+    const definition = node && astDefinitionsMap.get(node.type);
+    const field = definition && definition.fields[key];
+    if (!field || (field.optional && val == null)) {
+        return;
+    }
+    field.validate(node, key, val);
+}
+
+const validations = {};
+
+for (let type of [...astDefinitionsMap.keys(), ...aliasKeys.keys()]) {
+    validations['is' + type] = function (node, opts) {
+        return is(type, node, opts);
+    };
+    validations['assert' + type] = function (node, opts) {
+        if (!is(type, node, opts)) {
+            throw new Error(`Expected type "${type}" with option ${JSON.stringify(opts)}, but instead got "${node && node.type}".`);
+        }
+    };
+}
+
+// Identifier → identifier，TSAnyKeyword → tsAnyKeyword，JSXElement → jsxElement
+function toBuilderName(type) {
+    const match = /^(TS|JSX)(.*)$/.exec(type);
+    return match ? match[1].toLowerCase() + match[2] : type[0].toLowerCase() + type.slice(1);
+}
+
+// 同 babel，每个 builder 还有一个和节点类型同名的别名：t.StringLiteral、t.JSXExpressionContainer
+const builders = {};
+
+for (let [type, definition] of astDefinitionsMap) {
+    const name = toBuilderName(type);
+    builders[name] = builders[type] = function (...args) {
+        const keys = definition.builder;
+        if (args.length > keys.length) {
+            throw new Error(`${name}: Too many arguments passed. Received ${args.length} but can receive no more than ${keys.length}`);
+        }
+        const node = { type };
+        keys.forEach((key, index) => {
+            let val = args[index];
+            if (val === undefined) {
+                const defaultValue = definition.fields[key] && definition.fields[key].default;
+                // 数组默认值每次复制一份，避免多个节点共用
+                val = Array.isArray(defaultValue) ? defaultValue.slice() : defaultValue;
+            }
+            node[key] = val;
+        });
+        keys.forEach(key => validate(node, key, node[key]));
+        return node;
+    };
 }
 
 module.exports = {
     visitorKeys: astDefinitionsMap,
-    ...validations
-};
\ No newline at end of file
+    aliasKeys,
+    is,
+    validate,
+    shallowEqual,
+    ...validations,
+    ...builders,
+    ...require('./helpers')
+};
@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { transformSync, transformFromAstSync, parseSync, loadOptions } = require('../src/core');
+const generate = require('../src/generator');
+const { declare } = require('../src/helper-plugin-utils');
+const { assertVersion } = require('../src/core/config/api');
+
+test('ast: true 时返回包着 Program 的 File 节点，同 babel', () => {
+    const { ast } = transformSync('// c\nlet a = 1;', { ast: true });
+    assert.strictEqual(ast.type, 'File');
+    assert.strictEqual(ast.program.type, 'Program');
+    assert.deepStrictEqual(ast.comments.map(comment => comment.value), [' c']);
+    assert.strictEqual(generate(ast).code, '// c\nlet a = 1;');
+    assert.strictEqual(transformFromAstSync(ast, '', {}).code, '// c\nlet a = 1;');
+});
+
+test('没有 ast 选项时不返回 AST', () => {
+    assert.strictEqual(transformSync('a;').ast, null);
+});
+
+test('sourceType 默认是 module，可以用 script 覆盖', () => {
+    assert.strictEqual(transformSync("import a from 'a';", { configFile: false }).code, "import a from 'a';");
+    assert.strictEqual(parseSync('export default 1;', { configFile: false }).program.body[0].type, 'ExportDefaultDeclaration');
+    assert.throws(() => transformSync("import a from 'a';", { sourceType: 'script', configFile: false }),
+        /'import' and 'export' may appear only with 'sourceType: module'/);
+    assert.strictEqual(transformSync('with (a) b;', { parserOpts: { sourceType: 'script' }, configFile: false }).code, 'with (a) b;');
+});
+
+test('parseSync 返回包着 Program 的 File 节点，可以直接交给 transformFromAstSync', () => {
+    const ast = parseSync('// c\nconst a = 1;', { configFile: false });
+    assert.strictEqual(ast.type, 'File');
+    assert.strictEqual(ast.program.type, 'Program');
+    assert.deepStrictEqual(ast.comments.map(comment => comment.value), [' c']);
+    assert.strictEqual(transformFromAstSync(ast, '', { configFile: false }).code, '// c\nconst a = 1;');
+});
+
+test('只传了 filename 时 sourcemap 的文件名取它的 basename', () => {
+    const mapOf = options => JSON.parse(transformSync('let a = 1;', { configFile: false, babelrc: false, ...options }).map);
+    const map = mapOf({ filename: '/src/dir/input.js' });
+    assert.deepStrictEqual(map.sources, ['input.js']);
+    assert.strictEqual(map.file, 'input.js');
+    assert.strictEqual(mapOf({ filename: '/src/dir/input.js', fileName: 'other.js' }).file, 'other.js');
+    assert.strictEqual(transformSync('let a = 1;', { configFile: false }).map, null);
+});
+
+// 记录调用顺序的插件，visitor 的 this 和第二个参数都是本插件的状态
+function recordingPlugin(name, calls) {
+    return () => ({
+        pre() {
+            calls.push(`${name}.pre`);
+        },
+        visitor: {
+            Identifier(path, state) {
+                assert.strictEqual(this, state);
+                calls.push(`${name}:${path.node.name}:${state.opts.tag}`);
+            }
+        },
+        post() {
+            calls.push(`${name}.post`);
+        }
+    });
+}
+
+test('插件合并成一趟遍历：先 plugins 按顺序，再 presets 倒序，每个插件拿到自己的选项', () => {
+    const calls = [];
+    transformSync('a; b;', {
+        plugins: [[recordingPlugin('A', calls), { tag: 1 }], recordingPlugin('B', calls)],
+        presets: [() => ({ plugins: [recordingPlugin('C', calls)] }), () => [[recordingPlugin('D', calls), { tag: 4 }]]],
+        configFile: false
+    });
+    assert.deepStrictEqual(calls, [
+        'A.pre', 'B.pre', 'D.pre', 'C.pre',
+        'A:a:1', 'B:a:undefined', 'D:a:4', 'C:a:undefined',
+        'A:b:1', 'B:b:undefined', 'D:b:4', 'C:b:undefined',
+        'A.post', 'B.post', 'D.post', 'C.post'
+    ]);
+});
+
+test('passPerPreset 时 plugins 和每个 preset 各遍历一趟', () => {
+    const calls = [];
+    transformSync('a; b;', {
+        plugins: [recordingPlugin('A', calls)],
+        presets: [() => [recordingPlugin('C', calls)], () => [recordingPlugin('D', calls)]],
+        passPerPreset: true,
+        configFile: false
+    });
+    assert.deepStrictEqual(calls.filter(call => !/\.(pre|post)$/.test(call)).map(call => call.slice(0, 3)), [
+        'A:a', 'A:b', 'D:a', 'D:b', 'C:a', 'C:b'
+    ]);
+});
+
+const CONFIG_FIXTURE = path.join(__dirname, 'fixtures/config');
+
+// 在 fixtures/config 下加载 relativeFilename 对应的配置
+function loadFixtureOptions(relativeFilename, options) {
+    return loadOptions({ cwd: CONFIG_FIXTURE, filename: relativeFilename, envName: 'development', ...options });
+}
+
+test('项目级配置、.myBabelrc、extends 和调用时的选项按优先级合并', () => {
+    const rename = require(path.join(CONFIG_FIXTURE, 'plugins/rename.js'));
+    const options = loadFixtureOptions('src/input.js', { sourceType: 'script' });
+    // 同一个插件后面的选项替换前面的
+    assert.deepStrictEqual(options.plugins, [[rename, { to: 'src' }]]);
+    assert.deepStrictEqual(options.parserOpts, { plugins: ['jsx'], ranges: true });
+    assert.strictEqual(options.retainLines, true);
+    assert.strictEqual(options.sourceType, 'script');
+    assert.strictEqual(options.compact, undefined);
+
+    // 不在 src 下的文件只用项目级配置
+    assert.deepStrictEqual(loadFixtureOptions('input.js').plugins, [[rename, { to: 'root' }]]);
+    assert.deepStrictEqual(loadFixtureOptions('src/input.js', { babelrc: false }).plugins, [[rename, { to: 'root' }]]);
+    assert.deepStrictEqual(loadFixtureOptions('src/input.js', { configFile: false }).plugins, [[rename, { to: 'src' }]]);
+
+    // transformSync 和 loadOptions 用的是同一套配置
+    assert.strictEqual(transformSync('x;', { cwd: CONFIG_FIXTURE, filename: 'src/input.js' }).code, 'src;');
+});
+
+test('env 按 envName 选取，overrides 按 test/include/exclude 匹配文件', () => {
+    assert.strictEqual(loadFixtureOptions('input.js', { envName: 'production' }).compact, true);
+    assert.strictEqual(loadFixtureOptions('src/lib/a.js').comments, false);
+    assert.strictEqual(loadFixtureOptions('src/library.js').comments, undefined);
+
+    const load = (filename, options) => loadOptions({ configFile: false, filename, ...options });
+    const overrides = [
+        { include: '/p/**/*.ts', compact: true },
+        { test: /\.test\.js$/, exclude: '/p/skip', comments: false },
+        { test: filename => filename.endsWith('.mjs'), sourceType: 'module', env: { test: { retainLines: true } } }
+    ];
+    assert.strictEqual(load('/p/a/b.ts', { overrides }).compact, true);
+    assert.strictEqual(load('/p/a/b.js', { overrides }).compact, undefined);
+    assert.strictEqual(load('/p/a.test.js', { overrides }).comments, false);
+    assert.strictEqual(load('/p/skip/a.test.js', { overrides }).comments, undefined);
+    assert.strictEqual(load('/p/a.mjs', { overrides, envName: 'test' }).retainLines, true);
+    assert.strictEqual(load('/p/a.mjs', { overrides, envName: 'production' }).retainLines, undefined);
+
+    assert.throws(() => loadOptions({ configFile: false, overrides: [{ test: 'src' }] }),
+        /Configuration contains string\/RegExp pattern, but no filename was passed to mini-babel/);
+    assert.throws(() => loadOptions({ configFile: false, env: { development: { env: {} } } }),
+        /\.env blocks can't contain \.env, \.overrides or \.extends/);
+    assert.throws(() => load('/p/a.js', { overrides: [{ filename: 'x' }] }), /\.filename is only allowed in root programmatic options/);
+    assert.throws(() => loadOptions({ configFile: path.join(CONFIG_FIXTURE, 'missing.json') }), /Cannot find config file/);
+});
+
+test('插件、preset 可以写名字或路径，名字按 mini-babel-plugin- 前缀规范化', () => {
+    const { standardizeName } = require('../src/core/config/plugins');
+    assert.strictEqual(standardizeName('plugin', 'foo'), 'mini-babel-plugin-foo');
+    assert.strictEqual(standardizeName('plugin', 'mini-babel-plugin-foo'), 'mini-babel-plugin-foo');
+    assert.strictEqual(standardizeName('preset', '@scope/foo'), '@scope/mini-babel-preset-foo');
+    assert.strictEqual(standardizeName('plugin', '@scope'), '@scope/mini-babel-plugin');
+    assert.strictEqual(standardizeName('plugin', 'module:foo'), 'foo');
+    assert.strictEqual(standardizeName('plugin', './foo'), './foo');
+
+    const options = loadOptions({
+        cwd: CONFIG_FIXTURE,
+        configFile: false,
+        plugins: ['transform-arrow-functions', ['./plugins/rename.js', { to: 'y' }]],
+        presets: ['env']
+    });
+    assert.deepStrictEqual(options.plugins, [
+        [require('../src/plugins/transform-arrow-functions'), {}],
+        [require(path.join(CONFIG_FIXTURE, 'plugins/rename.js')), { to: 'y' }]
+    ]);
+    assert.deepStrictEqual(options.presets, [[require('../src/presets/env'), {}]]);
+});
+
+test('找不到插件时给出提示，同一个插件写了两次报错，起了不同名字的可以共存', () => {
+    const load = plugins => loadOptions({ configFile: false, plugins });
+    assert.throws(() => load(['no-such']), error => error.code === 'MODULE_NOT_FOUND' &&
+        /Cannot find plugin "no-such" \(resolved as "mini-babel-plugin-no-such"\)/.test(error.message));
+    assert.throws(() => load(['acorn']), /Did you mean "module:acorn"\?/);
+    assert.throws(() => load([1]), /plugin must be a name, a module path, a function or an object, got number/);
+
+    const plugin = () => ({ visitor: {} });
+    assert.throws(() => load([plugin, [plugin, {}]]), /programmatic options: Duplicate plugin detected\./);
+    assert.strictEqual(load([plugin, [plugin, {}, 'second']]).plugins.length, 2);
+    // 选项为 false 时关掉前面配置的同一个插件
+    assert.deepStrictEqual(loadOptions({
+        configFile: false,
+        plugins: [plugin],
+        overrides: [{ plugins: [[plugin, false]] }]
+    }).plugins, []);
+});
+
+test('插件 API：types、template、traverse、version、env()，插件按路径加载时拿到所在目录', () => {
+    let received;
+    transformSync('a;', {
+        plugins: [[(api, options, dirname) => {
+            received = { api, options, dirname };
+            return { visitor: {} };
+        }, { k: 1 }]],
+        configFile: false,
+        envName: 'test'
+    });
+    const { api, options, dirname } = received;
+    assert.strictEqual(api.types, require('../src/types'));
+    assert.strictEqual(api.template, require('../src/template'));
+    assert.strictEqual(api.traverse, require('../src/traverse'));
+    assert.strictEqual(api.version, '7.0.0');
+    assert.strictEqual(api.env(), 'test');
+    assert.ok(api.env(['test', 'production']) && !api.env('development'));
+    assert.ok(api.env(name => name === 'test'));
+    assert.deepStrictEqual(options, { k: 1 });
+    assert.strictEqual(dirname, process.cwd());
+
+    // 按路径加载的插件，dirname 是插件文件所在的目录
+    const output = transformSync('x;', { cwd: CONFIG_FIXTURE, configFile: false, plugins: [['./plugins/rename.js', { to: 'z' }]] });
+    assert.strictEqual(output.code, 'z;');
+});
+
+test('assertVersion 检查 babel 的版本范围，不兼容时报 BABEL_VERSION_UNSUPPORTED', () => {
+    ['7', '^7.0.0', '~7.0', '>=6 <8', '7.x', '6 || 7'].forEach(range => assert.doesNotThrow(() => assertVersion(range), range));
+    assertVersion(7);
+    assert.throws(() => assertVersion(8), error => error.code === 'BABEL_VERSION_UNSUPPORTED' && error.range === '^8.0.0-0' &&
+        /Requires Babel "\^8\.0\.0-0", but was loaded with "7\.0\.0"/.test(error.message));
+    assert.throws(() => assertVersion('>7.1'), /Requires Babel/);
+    assert.throws(() => assertVersion(7.5), /Expected string or integer value/);
+});
+
+test('api.cache 配置了缓存时插件函数的结果可以复用，cache.never() 或者 using 的值变了就重新调用', () => {
+    const calls = { forever: 0, never: 0, env: 0 };
+    const forever = api => { calls.forever++; api.cache.forever(); return { visitor: {} }; };
+    const never = api => { calls.never++; api.cache.never(); return { visitor: {} }; };
+    const byEnv = api => { calls.env++; api.cache.using(() => api.env()); return { visitor: {} }; };
+    const options = {};
+    const run = envName => transformSync('a;', {
+        plugins: [[forever, options], [never, options], [byEnv, options]],
+        configFile: false,
+        envName
+    });
+    run('development');
+    run('development');
+    run('production');
+    assert.deepStrictEqual(calls, { forever: 1, never: 3, env: 2 });
+    assert.throws(() => transformSync('a;', { plugins: [api => api.cache('x')], configFile: false }),
+        /Caching must be passed a boolean or a function/);
+});
+
+test('declare 给旧版本的 api 补上缺的方法，options 默认是 {}', () => {
+    let received;
+    const plugin = declare((api, options) => {
+        received = { api, options };
+        return { visitor: {} };
+    });
+    const oldApi = { version: '6.0.0' };
+    plugin(oldApi);
+    assert.deepStrictEqual(received.options, {});
+    assert.notStrictEqual(received.api, oldApi);
+    assert.deepStrictEqual(received.api.targets(), {});
+    assert.throws(() => received.api.assertVersion(7), /Requires Babel "7", but was loaded with "6\.0\.0"/);
+
+    // 新的 api 方法都有，原样传入
+    transformSync('a;', { plugins: [plugin], configFile: false });
+    assert.strictEqual(typeof received.api.assertVersion, 'function');
+    assert.strictEqual(received.api.version, '7.0.0');
+});
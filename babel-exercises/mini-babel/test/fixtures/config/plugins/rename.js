@@ -0,0 +1,12 @@
+// 把标识符 x 改成选项里的 to
+module.exports = function (api, options) {
+    return {
+        visitor: {
+            Identifier(path) {
+                if (path.node.name === 'x') {
+                    path.node.name = options.to;
+                }
+            }
+        }
+    };
+};
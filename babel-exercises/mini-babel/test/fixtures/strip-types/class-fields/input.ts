@@ -0,0 +1,11 @@
+abstract class Model {
+    id: number;
+    name = 'model';
+    declare readonly table: string;
+    loaded!: boolean;
+    #secret: string;
+    static count: number;
+    abstract save(): void;
+    abstract kind: string;
+    accessor version: number = 1;
+}
@@ -0,0 +1,5 @@
+class Model {
+    name = 'model';
+    #secret;
+    accessor version = 1;
+}
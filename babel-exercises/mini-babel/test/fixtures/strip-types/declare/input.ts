@@ -0,0 +1,13 @@
+declare const version: string;
+declare let mutable: number;
+declare function log(message: string): void;
+declare class Widget { render(): void; }
+declare enum Mode { A }
+declare namespace Lib { const x: number; }
+declare module 'untyped';
+declare module 'typed' { export function f(): void; }
+declare global { interface Window { app: unknown } }
+namespace Shapes.Inner { export interface Point { x: number } export type Id = string; }
+export declare const exported: number;
+export { version, Widget };
+console.log(version, log);
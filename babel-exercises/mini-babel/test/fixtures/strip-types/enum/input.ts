@@ -0,0 +1,6 @@
+import { size } from './size';
+enum Direction { Up, Down = 4, Left, Right = -1 }
+export enum Flag { None = 0, A = 1 << 0, B = 1 << 1, AB = A | B }
+const enum Label { Ok = 'ok', Fail = `fail`, Both = Ok + '/' + Fail }
+enum Computed { Size = size.length, Double = Size * 2, Fixed = 10, Next }
+enum Quoted { 'a-b' = 1 }
@@ -0,0 +1,32 @@
+import { size } from './size';
+var Direction = function (Direction) {
+    Direction[Direction["Up"] = 0] = "Up";
+    Direction[Direction["Down"] = 4] = "Down";
+    Direction[Direction["Left"] = 5] = "Left";
+    Direction[Direction["Right"] = -1] = "Right";
+    return Direction;
+}(Direction || {});
+export var Flag = function (Flag) {
+    Flag[Flag["None"] = 0] = "None";
+    Flag[Flag["A"] = 1] = "A";
+    Flag[Flag["B"] = 2] = "B";
+    Flag[Flag["AB"] = 3] = "AB";
+    return Flag;
+}(Flag || {});
+var Label = function (Label) {
+    Label["Ok"] = "ok";
+    Label["Fail"] = "fail";
+    Label["Both"] = "ok/fail";
+    return Label;
+}(Label || {});
+var Computed = function (Computed) {
+    Computed[Computed["Size"] = size.length] = "Size";
+    Computed[Computed["Double"] = Computed.Size * 2] = "Double";
+    Computed[Computed["Fixed"] = 10] = "Fixed";
+    Computed[Computed["Next"] = 11] = "Next";
+    return Computed;
+}(Computed || {});
+var Quoted = function (Quoted) {
+    Quoted[Quoted["a-b"] = 1] = "a-b";
+    return Quoted;
+}(Quoted || {});
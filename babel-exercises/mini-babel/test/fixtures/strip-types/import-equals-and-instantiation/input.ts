@@ -0,0 +1,10 @@
+import { Shapes, Types } from './shapes';
+import type Config = require('./config');
+import Point = Shapes.Point;
+import Id = Types.Id;
+export import Circle = Shapes.Circle;
+type Loader = typeof import('./loader').load<string>;
+type Ctor = abstract new () => object;
+const makePoint = Point.create<number>;
+const load = async <T>(id: Id): Promise<T> => fetchById<T>(id);
+export { makePoint, load };
@@ -0,0 +1,6 @@
+import { Shapes } from './shapes';
+var Point = Shapes.Point;
+export var Circle = Shapes.Circle;
+const makePoint = Point.create;
+const load = async id => fetchById(id);
+export { makePoint, load };
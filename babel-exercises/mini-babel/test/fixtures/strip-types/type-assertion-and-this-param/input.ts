@@ -0,0 +1,8 @@
+function onClick(this: HTMLElement, event: Event) {
+    return <HTMLElement>(<unknown>event.target) === this;
+}
+const callback = function (this: void) {};
+const value = <number>input + 1;
+(<any>window).app = value;
+const generic = <T,>(x: T) => x;
+type Accessors = { get size(): number; set size(value: number) };
@@ -0,0 +1,7 @@
+function onClick(event) {
+    return event.target === this;
+}
+const callback = function () {};
+const value = input + 1;
+window.app = value;
+const generic = x => x;
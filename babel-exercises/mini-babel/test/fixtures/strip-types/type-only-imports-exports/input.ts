@@ -0,0 +1,12 @@
+import type { A } from './a';
+import type * as types from './types';
+import { type B, C, type D as E } from './b';
+import { OnlyType, Value } from './c';
+let c: OnlyType = C + Value;
+interface I { a: A; b: B; e: E; t: types.T }
+type T = I;
+export type { I };
+export type { X } from './x';
+export { type T as T2, c };
+export { T };
+export default interface Default {}
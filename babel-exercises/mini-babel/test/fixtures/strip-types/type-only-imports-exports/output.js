@@ -0,0 +1,4 @@
+import { C } from './b';
+import { Value } from './c';
+let c = C + Value;
+export { c };
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SourceMapConsumer } = require('source-map');
+const { parse } = require('../src/parser');
+const generate = require('../src/generator');
+
+function print(code, opts) {
+    return generate(parse(code), code, undefined, opts).code;
+}
+
+// 去掉位置、raw 等和打印格式有关的信息，只比较结构
+function withoutPositions(ast) {
+    return JSON.parse(JSON.stringify(ast, (key, value) => ['start', 'end', 'loc', 'range', 'raw'].includes(key)
+        ? undefined
+        : typeof value === 'bigint' ? `${value}n` : value));
+}
+
+test('各种节点打印后重新解析得到相同的 AST，需要时加上括号，再打印一次结果不变', () => {
+    const code = [
+        "import a, { b as c, default as d } from 'm';",
+        "export * as all from 'o';",
+        'export { a as e2, c };',
+        'export default (function () {})();',
+        'class K extends (a, b) { static #p = 1; static { this.x = 1; } #m() { return #p in this; } get [g]() { return super.g; } set s(v) {} }',
+        'const { d: [e = 1, , ...f], ...rest } = c;',
+        'label: for await (const x of y) { continue label; }',
+        'async function* gen() { yield* await import("x"); yield; }',
+        'const o = { a, [b]: 1, m() {}, async *n() {}, ...rest, "q-q": 2, 3: 4 };',
+        'try { throw 1n; } catch { } finally { debugger; }',
+        'a?.b?.(c)?.[d] ?? tag`t${x}\\n`;',
+        '(a ?? b) || c; (-x) ** 2; (a, b); new (f())(); new (a.b().c)(); ({}).x; (function () {}).call(); (class {}).name;',
+        'x ||= y &&= z ??= /re/g;',
+        'switch (x) { case 1: break; default: }',
+        'do ; while (0); while (i) i++; if (a) { new A; } else if (b) ; else c();',
+        'for (let i in o); for (const [k, v] of m); for (;;) break; for (var i = 0, j = (1 in o); i < j; i++);',
+        'const fn = (a, b = 1) => ({ a, b }), g = async x => await x, v = import.meta, s = -x ? !y : void typeof z, t = - -x, u = +(+x), w = a - -b;',
+        '(() => {})(); !function () {}(); (async () => {})();',
+        'let z = (1, 2), q = a ? b : c ? d : e, r = (a ? b : c) ? d : e, n = 1..toString() + 0x10 + 1e21;'
+    ].join('\n');
+    const options = { sourceType: 'module', ecmaVersion: 2022 };
+    const ast = parse(code, options);
+    const output = generate(ast, code).code;
+    assert.deepStrictEqual(withoutPositions(parse(output, options)), withoutPositions(ast));
+    assert.strictEqual(generate(parse(output, options), output).code, output);
+});
+
+test('jsx 打印后重新解析得到相同的 AST', () => {
+    const code = 'const a = <div id="x" {...p} data-k={1}>hi {name}<br /><></><ns:tag a:b="1" /><A.B.C>{}</A.B.C></div>;';
+    const options = { plugins: ['jsx'] };
+    const ast = parse(code, options);
+    const output = generate(ast, code).code;
+    assert.strictEqual(output, code);
+    assert.deepStrictEqual(withoutPositions(parse(output, options)), withoutPositions(ast));
+});
+
+test('case 的 test 后面的行注释输出在冒号后面', () => {
+    const output = print('switch (a) {\ncase 1 // c\n: x(); break;\ncase 2 /* d */: y();\n}');
+    assert.strictEqual(output, [
+        'switch (a) {',
+        '    case 1: // c',
+        '        x();',
+        '        break;',
+        '    case 2 /* d */:',
+        '        y();',
+        '}'
+    ].join('\n'));
+    assert.doesNotThrow(() => parse(output));
+});
+
+test('节点结束位置的映射记录在节点自己的结尾，不落到下一个 token 上', async () => {
+    const code = 'if (x) {\n    a;\n}';
+    const { map } = generate(parse(code), code, 'in.js');
+    const consumer = await new SourceMapConsumer(map);
+    const mappings = [];
+    consumer.eachMapping(mapping => {
+        mappings.push([mapping.generatedLine, mapping.generatedColumn, mapping.originalLine, mapping.originalColumn].join(':'));
+    });
+    consumer.destroy();
+    // a; 的结尾在第 2 行第 6 列，`}` 前面没有来自它的映射
+    assert.ok(mappings.includes('2:6:2:6'));
+    assert.ok(!mappings.some(mapping => mapping.startsWith('3:0:')));
+    assert.ok(mappings.includes('3:1:3:1'));
+});
+
+test('格式选项：compact、minified、retainLines、indent、quotes', () => {
+    const code = "// c\nfunction f(a, b) {\n  if (a) {\n    return \"x\" + 1.50;\n  }\n\n\n  return b;\n}\nconst s = 'q';";
+    assert.strictEqual(print(code, { compact: true }), "// c\nfunction f(a,b){if(a){return\"x\"+1.50;}return b;}const s='q';");
+    // minified 再去掉注释、块尾的分号，缩短数字
+    assert.strictEqual(print(code, { minified: true }), 'function f(a,b){if(a){return"x"+1.5}return b}const s="q";');
+    // retainLines 时语句留在源码的行上
+    const lines = print(code, { retainLines: true }).split('\n');
+    assert.strictEqual(lines.findIndex(line => line.includes('return b')), 7);
+    assert.strictEqual(lines.findIndex(line => line.includes('const s')), 9);
+    assert.strictEqual(print(code, { indent: 2 }), "// c\nfunction f(a, b) {\n  if (a) {\n    return \"x\" + 1.50;\n  }\n  return b;\n}\nconst s = 'q';");
+    assert.match(print(code, { indent: '\t' }), /\n\t\treturn "x"/);
+    assert.match(print(code, { quotes: 'single' }), /return 'x' \+ 1\.50;[^]*const s = 'q';/);
+    assert.match(print(code, { quotes: 'double' }), /return "x" \+ 1\.50;[^]*const s = "q";/);
+    assert.throws(() => print(code, { quotes: 'backtick' }), /^Error: Invalid generator option quotes: backtick, expected 'single' or 'double'$/);
+});
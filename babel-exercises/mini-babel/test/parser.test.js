@@ -0,0 +1,187 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { transformSync } = require('../src/core');
+
+test('errorRecovery：括号没闭合时，在换行后的 let 声明处恢复', () => {
+    const ast = parse('let a = ;\nlet b = 1;\nfoo(;\nlet c = 2', { errorRecovery: true });
+    assert.deepStrictEqual(ast.body.map(statement => statement.type), [
+        'EmptyStatement',
+        'VariableDeclaration',
+        'EmptyStatement',
+        'VariableDeclaration'
+    ]);
+    assert.strictEqual(ast.body[3].declarations[0].id.name, 'c');
+    assert.deepStrictEqual(ast.errors.map(error => error.message), ['Unexpected token (1:8)', 'Unexpected token (3:4)']);
+});
+
+test('errorRecovery：从出错的那一行开头恢复，不吞掉后面的语句', () => {
+    const recover = code => {
+        const ast = parse(code, { errorRecovery: true });
+        return [ast.body.map(statement => statement.type), ast.errors.length];
+    };
+    const declaration = ['EmptyStatement', 'VariableDeclaration'];
+    assert.deepStrictEqual(recover('const x = {\n a: 1,\n b: \nlet y = 2;'), [declaration, 1]);
+    assert.deepStrictEqual(recover('foo(1,\nlet y = 2;'), [declaration, 1]);
+    assert.deepStrictEqual(recover('let s = "unterminated\nlet t = 2;'), [declaration, 2]);
+    assert.deepStrictEqual(recover('let a = ;\nfoo(;\nbar();'), [['EmptyStatement', 'EmptyStatement', 'ExpressionStatement'], 2]);
+
+    // 属于 if 的 } 不会被跳过，bar() 不会跑到 if 里面
+    const ast = parse('if (x) {\n foo(\n}\nbar();', { errorRecovery: true });
+    assert.deepStrictEqual(ast.body.map(statement => statement.type), ['IfStatement', 'ExpressionStatement']);
+    assert.deepStrictEqual(ast.body[0].consequent.body.map(statement => statement.type), ['EmptyStatement']);
+    assert.deepStrictEqual(ast.errors.map(error => error.message), ['Unexpected token (3:0)']);
+});
+
+test('sourceType：module 能解析 import/export，unambiguous 按有没有模块语法判断', () => {
+    assert.throws(() => parse("import a from 'a';", { sourceType: 'script' }), /'import' and 'export' may appear only with 'sourceType: module'/);
+    assert.strictEqual(parse("import a from 'a';", { sourceType: 'module' }).sourceType, 'module');
+    const unambiguous = code => parse(code, { sourceType: 'unambiguous' }).sourceType;
+    assert.strictEqual(unambiguous("export const a = 1;"), 'module');
+    assert.strictEqual(unambiguous('import.meta.url;'), 'module');
+    assert.strictEqual(unambiguous('with (o) {}'), 'script');
+    assert.strictEqual(unambiguous('var a = 1;'), 'script');
+    assert.strictEqual(unambiguous('await x;'), 'module');
+    assert.throws(() => parse('a', { sourceType: 'esm' }), /Invalid sourceType: "esm"/);
+
+    // transformSync 的 sourceType 和 parserOpts 都传给 parser，parserOpts 中的优先
+    const sourceTypeOf = options => {
+        let sourceType;
+        transformSync('var a;', {
+            plugins: [() => ({ visitor: { Program: path => { sourceType = path.node.sourceType; } } })],
+            configFile: false,
+            ...options
+        });
+        return sourceType;
+    };
+    assert.strictEqual(sourceTypeOf({ sourceType: 'script' }), 'script');
+    assert.strictEqual(sourceTypeOf({ sourceType: 'script', parserOpts: { sourceType: 'module' } }), 'module');
+});
+
+test('ecmaVersion、allowReturnOutsideFunction、allowHashBang、ranges 透传给 acorn', () => {
+    assert.throws(() => parse('a ??= b;', { ecmaVersion: 2020 }), SyntaxError);
+    assert.doesNotThrow(() => parse('a ??= b;', { ecmaVersion: 2021 }));
+    assert.throws(() => parse('return 1;'), /'return' outside of function/);
+    assert.strictEqual(parse('return 1;', { allowReturnOutsideFunction: true }).body[0].type, 'ReturnStatement');
+
+    const ast = parse('#!/usr/bin/env node\na;', { ranges: true });
+    assert.deepStrictEqual(ast.interpreter, { type: 'InterpreterDirective', value: '/usr/bin/env node' });
+    assert.deepStrictEqual(ast.body[0].range, [20, 22]);
+    assert.throws(() => parse('#!/usr/bin/env node\na;', { allowHashBang: false }), SyntaxError);
+});
+
+test('语法插件可以是名字、函数或模块路径，未知的名字报错', () => {
+    const guangPath = path.join(__dirname, '../src/parser/plugins/guangKeyword.js');
+    const statementType = plugins => parse('guang;', { plugins }).body[0].type;
+    assert.strictEqual(statementType(['guangKeyword']), 'GuangStatement');
+    assert.strictEqual(statementType([require(guangPath)]), 'GuangStatement');
+    assert.strictEqual(statementType([guangPath]), 'GuangStatement');
+    assert.strictEqual(statementType(['./' + path.relative(process.cwd(), guangPath)]), 'GuangStatement');
+
+    assert.throws(() => parse('a', { plugins: ['guang'] }), /Unknown parser plugin: 'guang'\. Available plugins: literal, guangKeyword, jsx, typescript/);
+    assert.throws(() => parse('a', { plugins: [1] }), /Parser plugin must be a name, a module path or a function, got number/);
+    assert.throws(() => parse('a', { plugins: ['./no-such-plugin'] }), /Cannot load parser plugin '\.\/no-such-plugin'/);
+    assert.throws(() => parse('a', { plugins: [path.join(__dirname, '../package.json')] }), /must export a function \(Parser\) => Parser/);
+});
+
+test('插件注册的关键字只在这次解析里生效', () => {
+    assert.strictEqual(parse('guang;', { plugins: ['guangKeyword'] }).body[0].type, 'GuangStatement');
+    assert.strictEqual(parse('guang;').body[0].expression.name, 'guang');
+    assert.strictEqual(parse('var guang = 1;', { plugins: ['jsx'] }).body[0].declarations[0].id.name, 'guang');
+});
+
+test('jsx：元素、属性、展开属性、片段、命名空间和成员表达式的标签名同 babel', () => {
+    const ast = parse('<A.B x="1" {...p} ns:y={2}>t {v}<br /><></></A.B>;', { plugins: ['jsx'] });
+    const element = ast.body[0].expression;
+    assert.strictEqual(element.type, 'JSXElement');
+    assert.strictEqual(element.openingElement.name.type, 'JSXMemberExpression');
+    assert.strictEqual(element.closingElement.name.property.name, 'B');
+    assert.deepStrictEqual(element.openingElement.attributes.map(attribute => attribute.type),
+        ['JSXAttribute', 'JSXSpreadAttribute', 'JSXAttribute']);
+    assert.strictEqual(element.openingElement.attributes[2].name.type, 'JSXNamespacedName');
+    assert.strictEqual(element.openingElement.attributes[2].value.type, 'JSXExpressionContainer');
+    assert.deepStrictEqual(element.children.map(child => child.type),
+        ['JSXText', 'JSXExpressionContainer', 'JSXElement', 'JSXFragment']);
+    assert.strictEqual(element.children[0].value, 't ');
+    assert.strictEqual(element.children[2].openingElement.selfClosing, true);
+    assert.strictEqual(element.children[2].closingElement, null);
+    assert.throws(() => parse('<a></b>;', { plugins: ['jsx'] }), SyntaxError);
+    assert.throws(() => parse('<a />;'), SyntaxError);
+});
+
+test('typescript：import type / export type 记在 importKind / exportKind 上', () => {
+    const ast = parse("import type A from 'a';\nimport { type B, C, type as D } from 'b';\nexport type { A };\nexport { type B, C };", {
+        sourceType: 'module',
+        plugins: ['typescript']
+    });
+    assert.deepStrictEqual(ast.body.map(statement => statement.importKind || statement.exportKind), ['type', 'value', 'type', 'value']);
+    assert.deepStrictEqual(ast.body[1].specifiers.map(specifier => [specifier.importKind, specifier.imported.name, specifier.local.name]), [
+        ['type', 'B', 'B'],
+        ['value', 'C', 'C'],
+        ['value', 'type', 'D']
+    ]);
+    assert.deepStrictEqual(ast.body[3].specifiers.map(specifier => specifier.exportKind), ['type', 'value']);
+});
+
+test('typescript：enum、namespace、declare、this 参数、<T>x、类型字面量里的 get/set', () => {
+    const ast = parse([
+        "const enum E { A, 'b' = 2 }",
+        'namespace A.B { export const x = 1; }',
+        "declare module 'm';",
+        'declare const v: number;',
+        'function f(this: Window, a) {}',
+        '<any>a;',
+        'type T = { get x(): number; set x(v: number) };',
+        'export default interface I {}'
+    ].join('\n'), { sourceType: 'module', plugins: ['typescript'] });
+    const [enumDeclaration, namespace, module, declaration, fn, assertion, alias, exportDefault] = ast.body;
+    assert.strictEqual(enumDeclaration.const, true);
+    assert.deepStrictEqual(enumDeclaration.members.map(member => member.id.name || member.id.value), ['A', 'b']);
+    assert.strictEqual(namespace.body.type, 'TSModuleDeclaration');
+    assert.strictEqual(namespace.body.body.body[0].type, 'ExportNamedDeclaration');
+    assert.strictEqual(module.declare, true);
+    assert.strictEqual(module.body, undefined);
+    assert.strictEqual(declaration.declare, true);
+    assert.strictEqual(fn.params[0].name, 'this');
+    assert.strictEqual(assertion.expression.type, 'TSTypeAssertion');
+    assert.deepStrictEqual(alias.typeAnnotation.members.map(member => member.kind), ['get', 'set']);
+    assert.strictEqual(exportDefault.declaration.type, 'TSInterfaceDeclaration');
+});
+
+test('typescript：import x = require、export =、import 类型、infer 约束、实例化表达式、abstract new、accessor', () => {
+    const ast = parse([
+        "import type T = require('t');",
+        'export import A = N.A;',
+        'const f = async <U>(x: U) => x;',
+        "type I = typeof import('x').Foo<string>;",
+        'type C<X> = X extends [infer U extends string] ? U : never;',
+        'const g = f<string>, h = a < b > c;',
+        'type K = abstract new () => object;',
+        'class M { static accessor y: number; accessor() {} }',
+        'export = f;'
+    ].join('\n'), { sourceType: 'module', plugins: ['typescript'] });
+    const [importEquals, exportImport, asyncArrow, importType, infer, instantiation, constructorType, klass, exportAssignment] = ast.body;
+    assert.strictEqual(importEquals.type, 'TSImportEqualsDeclaration');
+    assert.strictEqual(importEquals.importKind, 'type');
+    assert.strictEqual(importEquals.moduleReference.type, 'TSExternalModuleReference');
+    assert.strictEqual(exportImport.isExport, true);
+    assert.strictEqual(exportImport.moduleReference.type, 'TSQualifiedName');
+    assert.strictEqual(asyncArrow.declarations[0].init.async, true);
+    assert.strictEqual(asyncArrow.declarations[0].init.typeParameters.params[0].name, 'U');
+    assert.strictEqual(importType.typeAnnotation.exprName.type, 'TSImportType');
+    assert.strictEqual(importType.typeAnnotation.exprName.qualifier.name, 'Foo');
+    assert.strictEqual(infer.typeAnnotation.extendsType.elementTypes[0].typeParameter.constraint.type, 'TSStringKeyword');
+    assert.deepStrictEqual(instantiation.declarations.map(declarator => declarator.init.type), ['TSInstantiationExpression', 'BinaryExpression']);
+    assert.strictEqual(constructorType.typeAnnotation.abstract, true);
+    assert.deepStrictEqual(klass.body.body.map(member => member.type), ['AccessorProperty', 'MethodDefinition']);
+    assert.strictEqual(exportAssignment.type, 'TSExportAssignment');
+});
+
+test('typescript：[infer U extends X ? A : B] 里的 extends 属于条件类型，实例化表达式后面不能直接取属性', () => {
+    const ast = parse('type C<X> = X extends [infer U extends string ? 1 : 2] ? U : never;', { plugins: ['typescript'] });
+    const element = ast.body[0].typeAnnotation.extendsType.elementTypes[0];
+    assert.strictEqual(element.type, 'TSConditionalType');
+    assert.strictEqual(element.checkType.typeParameter.constraint, undefined);
+    assert.throws(() => parse('f<string>.x;', { plugins: ['typescript'] }), /Invalid property access after an instantiation expression/);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformSync } = require('../src/core');
+const types = require('../src/types');
+const eqLintPlugin = require('../../linter/plugin/eq-lint');
+
+test('buildCodeFrameError 的信息后面附上节点位置的代码片段', () => {
+    let error;
+    transformSync('const a = 1;\nfoo(a);\n', {
+        plugins: [() => ({
+            visitor: {
+                CallExpression(path) {
+                    error = path.buildCodeFrameError('no foo');
+                }
+            }
+        })]
+    });
+    assert.ok(error instanceof SyntaxError);
+    assert.strictEqual(error.message, [
+        'no foo',
+        '  1 | const a = 1;',
+        '> 2 | foo(a);',
+        '    | ^^^^^^',
+        '  3 |'
+    ].join('\n'));
+});
+
+test('仓库里的 eq-lint 插件：报告 == 并修复', t => {
+    t.mock.method(console, 'log', () => {});
+    let errors;
+    const { code } = transformSync('a == b;\ntrue == true;\n', {
+        plugins: [[eqLintPlugin, { fix: true }], () => ({
+            post(file) {
+                errors = file.get('errors');
+            }
+        })]
+    });
+    assert.strictEqual(code, 'a == b;\ntrue === true;');
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /^please replace == with ===\n {2}1 \| a == b;\n> 2 \| true == true;\n {4}\| \^{12}/);
+});
+
+test('getTypeAnnotation：有注解时取注解，没有时按值推断', () => {
+    const found = [];
+    transformSync('function add(a: number, b: number): number { return a + b; }\nconst s = `x`;\nadd(1, s + 1);', {
+        parserOpts: { plugins: ['typescript'] },
+        plugins: [() => ({
+            visitor: {
+                CallExpression(path) {
+                    found.push(...path.get('arguments').map(arg => arg.getTypeAnnotation().type));
+                    found.push(path.getTypeAnnotation().type);
+                    found.push(path.scope.getBinding('add').path.get('params.0').getTypeAnnotation().type);
+                }
+            }
+        })]
+    });
+    assert.deepStrictEqual(found, ['TSNumberKeyword', 'TSStringKeyword', 'TSNumberKeyword', 'TSNumberKeyword']);
+});
+
+test('get 不存在的子节点时返回 node 为 undefined 的路径', () => {
+    transformSync('let a;\nf(x);', {
+        plugins: [() => ({
+            visitor: {
+                Program(path) {
+                    assert.strictEqual(path.get('body.0.declarations.0.init').node, null);
+                    assert.strictEqual(path.get('body.1.expression.optional.foo').node, undefined);
+                    const missing = path.get('body.5');
+                    assert.strictEqual(missing.node, undefined);
+                    assert.strictEqual(missing.parentPath, path);
+                    assert.strictEqual(missing.listKey, 5);
+                    assert.strictEqual(path.get('body.1.expression.arguments.1').node, undefined);
+                    assert.strictEqual(path.get('body.1.expression.arguments.0').node.name, 'x');
+                }
+            }
+        })]
+    });
+});
+
+// 用一个只有 visitor 的插件转换代码
+function transformWith(code, visitor) {
+    return transformSync(code, { plugins: [() => ({ visitor })], configFile: false }).code;
+}
+
+test('remove：删掉最后一个 declarator、表达式语句的表达式时连同父节点一起删', () => {
+    assert.strictEqual(transformWith('const a = 1;\nlet b = 2, c = 3;\nfoo();\nbar();', {
+        VariableDeclarator(path) {
+            path.node.id.name !== 'c' && path.remove();
+        },
+        CallExpression(path) {
+            path.node.callee.name === 'foo' && path.remove();
+        }
+    }), 'let c = 3;\nbar();');
+    assert.strictEqual(transformWith('export const a = 1;\nlabel: x;', {
+        VariableDeclaration(path) {
+            path.remove();
+        },
+        ExpressionStatement(path) {
+            path.remove();
+        }
+    }), '');
+});
+
+test('remove：if 分支、循环体换成空块，else 直接去掉，逗号表达式、二元表达式留下另一部分', () => {
+    // 删掉所有对 foo、bar 的调用
+    assert.strictEqual(transformWith('if (a) foo(); else bar();\nwhile (b) foo();\nx = (foo(), y);\nz = foo() + 1;', {
+        CallExpression(path) {
+            path.remove();
+        }
+    }), 'if (a) {}\nwhile (b) {}\nx = y;\nz = 1;');
+});
+
+test('remove：删掉的声明从作用域上去掉，同一个路径不能删两次', () => {
+    let declaration;
+    let scope;
+    transformWith('function f() { const a = 1, b = 2; }', {
+        VariableDeclarator(path) {
+            if (path.node.id.name === 'a') {
+                path.remove();
+                return;
+            }
+            declaration = path.parentPath;
+            scope = path.scope;
+            declaration.remove();
+        }
+    });
+    assert.ok(!scope.hasBinding('a') && !scope.hasBinding('b'));
+    assert.throws(() => declaration.remove(), /NodePath has been removed/);
+});
+
+test('replaceWith 之后调用 skip()，替换成的节点不再遍历', () => {
+    let count = 0;
+    const output = transformWith('const s = `hello`;', {
+        TemplateLiteral(path) {
+            count++;
+            // 替换结果里还有 TemplateLiteral，不 skip 的话会一直替换下去
+            path.replaceWith(types.callExpression(types.identifier('t'), [types.cloneNode(path.node)]));
+            path.skip();
+        }
+    });
+    assert.strictEqual(output, 'const s = t(`hello`);');
+    assert.strictEqual(count, 1);
+});
+
+const callOf = name => types.callExpression(types.identifier(name), []);
+
+test('insertBefore / insertAfter：列表里直接插入，非块的分支包成块，for 的 init 拼成逗号表达式，插入的节点也会遍历', () => {
+    const visited = [];
+    const output = transformWith('a();\nif (x) b();\nfor (c(); ; ) {}', {
+        CallExpression(path) {
+            const name = path.node.callee.name;
+            visited.push(name);
+            if (name === 'a') {
+                // 表达式语句里的表达式插到语句前后
+                path.insertBefore(callOf('before'));
+                path.insertAfter(callOf('after'));
+            } else if (name === 'b') {
+                path.parentPath.insertAfter(callOf('then'));
+            } else if (name === 'c') {
+                path.insertBefore(callOf('init'));
+            }
+        }
+    });
+    assert.strictEqual(output, 'before();\na();\nafter();\nif (x) {\n    b();\n    then();\n}\nfor (init(), c();;) {}');
+    assert.deepStrictEqual(visited.sort(), ['a', 'after', 'b', 'before', 'c', 'init', 'then']);
+});
+
+test('unshiftContainer 插在指令之后，pushContainer、replaceWithMultiple 插入的节点也会遍历', () => {
+    const visited = [];
+    const output = transformWith('"use strict";\nfoo();', {
+        Program(path) {
+            path.unshiftContainer('body', callOf('first'));
+            path.pushContainer('body', callOf('last'));
+        },
+        CallExpression(path) {
+            visited.push(path.node.callee.name);
+            if (path.node.callee.name === 'foo') {
+                path.parentPath.replaceWithMultiple([callOf('x'), callOf('y')]);
+            }
+        }
+    });
+    assert.strictEqual(output, '"use strict";\nfirst();\nx();\ny();\nlast();');
+    assert.deepStrictEqual(visited.sort(), ['first', 'foo', 'last', 'x', 'y']);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformSync } = require('../src/core');
+
+function compile(code, options = {}) {
+    return transformSync(code, {
+        presets: [['env', options]],
+        parserOpts: { allowReturnOutsideFunction: true },
+        configFile: false
+    }).code;
+}
+
+// 编译后执行，返回代码里 return 的值
+function run(code, options) {
+    return new Function(compile(code, options))();
+}
+
+test('块级作用域：循环体不是块时，重命名的绑定和引用一致', () => {
+    const code = `
+        const arr = [[1, 2], [3, 4]];
+        let s = 0;
+        { let k = 100; }
+        for (const [k, v] of arr) s += k * v;
+        return s;
+    `;
+    assert.strictEqual(run(code), 14);
+});
+
+test('块级作用域：循环体里修改了循环变量时同步到下一次迭代', () => {
+    const code = `
+        const fns = [];
+        for (let i = 0; i < 6; i++) {
+            fns.push(() => i);
+            if (i === 2) {
+                i += 2;
+                continue;
+            }
+            i++;
+        }
+        return fns.map(fn => fn());
+    `;
+    assert.deepStrictEqual(run(code), [1, 4, 6]);
+});
+
+test('块级作用域：循环体里有 yield、await 时 _loop 是生成器、async 函数', async () => {
+    const generator = run(`
+        function* gen() {
+            for (let i = 0; i < 3; i++) {
+                const get = () => i;
+                yield get();
+            }
+        }
+        return [...gen()];
+    `);
+    assert.deepStrictEqual(generator, [0, 1, 2]);
+
+    const asyncResult = await run(`
+        async function collect() {
+            const fns = [];
+            for (const x of [1, 2]) {
+                await null;
+                fns.push(() => x);
+            }
+            return fns.map(fn => fn());
+        }
+        return collect();
+    `);
+    assert.deepStrictEqual(asyncResult, [1, 2]);
+});
+
+test('块级作用域：给 const 变量赋值时抛出 TypeError', () => {
+    const code = `
+        const c = 1;
+        let count = 0;
+        try {
+            c = ++count;
+        } catch (e) {
+            return [e instanceof TypeError, e.message, c, count];
+        }
+    `;
+    assert.match(compile(code), /_readOnlyError\("c"\)/);
+    assert.deepStrictEqual(run(code), [true, '"c" is read-only', 1, 1]);
+    assert.throws(() => compile('const a = 1; for (a of []);'), /"a" is read-only/);
+});
+
+test('箭头函数：super.x、new.target 存到外层方法、函数里的变量上', () => {
+    const code = `
+        class A {
+            get x() { return this._x || 1; }
+            set x(value) { this._x = value; }
+            m(a) { return a + 10; }
+        }
+        class B extends A {
+            f() {
+                const get = () => [super.x, super['x'], super.m(1)];
+                const set = key => {
+                    super.x = 5;
+                    super[key] += 2;
+                    return [super.x++, ++super.x, super.x];
+                };
+                return [get(), set('x')];
+            }
+        }
+        const o = { __proto__: { y: 5 }, f() { return (() => super.y)(); } };
+        function N() { return (() => new.target)(); }
+        return [new B().f(), o.f(), new N() === N, N()];
+    `;
+    const options = { targets: 'es2015', include: ['transform-arrow-functions'] };
+    const output = compile(code, options);
+    assert.match(output, /var _superprop_getX = \(\) => super\.x/);
+    assert.match(output, /var _newtarget = new\.target;/);
+    assert.deepStrictEqual(run(code, options), [[[1, 1, 11], [7, 9, 9]], 5, true, undefined]);
+});
+
+test('类字段：初始值里的 new.target 是 undefined，箭头函数里的 super 报错', () => {
+    const code = `
+        class C { a = new.target; b = () => new.target; }
+        const c = new C();
+        return [c.a, c.b()];
+    `;
+    assert.deepStrictEqual(run(code), [undefined, undefined]);
+    assert.throws(() => transformSync('class C extends B { a = () => super.x; }', {
+        plugins: ['transform-arrow-functions'],
+        configFile: false
+    }), /Unable to transform super inside an arrow function in a class field/);
+});
+
+test('默认参数：函数体里声明的名字不影响参数和参数里的闭包', () => {
+    const code = `
+        function g(x, y = () => x) { var x = 2; return [x, y()]; }
+        function* gen(n = 1) { var n = n + 1; yield n; }
+        var x = 5;
+        const f = (a = x) => { var x = 2; return a; };
+        function h(b = () => typeof inner) { function inner() {} return b(); }
+        return [g(1), [...gen()], f(), h()];
+    `;
+    assert.deepStrictEqual(run(code), [[2, 1], [2], 5, 'undefined']);
+});
+
+test('类：继承 Error 等内置类时实例是子类的实例', () => {
+    const code = `
+        class E extends Error {
+            constructor(message) { super(message); this.name = 'E'; }
+            hi() { return 'hi ' + this.message; }
+        }
+        class L extends Array {}
+        const e = new E('boom');
+        const list = new L();
+        list.push(1);
+        return [e instanceof E, e instanceof Error, e.hi(), list instanceof L, list.length];
+    `;
+    assert.match(compile(code), /_wrapNativeSuper\(Error\)/);
+    assert.deepStrictEqual(run(code), [true, true, 'hi boom', true, 1]);
+});
+
+test('不支持的语法：私有成员在目标低于 es2022 时报错并指出位置', () => {
+    for (const targets of ['es5', 'es2015', 'es2021']) {
+        assert.throws(() => compile('class A {\n    #x = 1;\n}', { targets }),
+            error => /Private class fields are not supported/.test(error.message) && /> 2 \|     #x = 1;/.test(error.message));
+        assert.throws(() => compile('class A { #m() {} }', { targets }), /Private methods are not supported/);
+    }
+    assert.strictEqual(compile('class A { #m() {} }', { targets: 'es2022' }), 'class A {\n    #m() {}\n}');
+    assert.throws(() => compile('class A extends B { m() { super.x = 1; } }'), /Assigning to super properties is not supported/);
+    assert.throws(() => compile('({ m() { super.x = 1; } })'), /Assigning to super properties is not supported/);
+});
+
+test('计算属性名：按顺序定义到对象上，getter、setter、__proto__ 不变', () => {
+    const code = `
+        const k = 'a';
+        const proto = { inherited: 1 };
+        let n = 0;
+        const o = {
+            x: 1,
+            [k + n++]: n,
+            y: n++,
+            get [k]() { return 'get'; },
+            set [k](value) { this.set = value; },
+            __proto__: proto,
+            [k + 2]: { [k]: 3 }
+        };
+        o[k] = 9;
+        return [Object.keys(o), o[k], o.set, o.inherited, o.a2];
+    `;
+    assert.strictEqual(compile('var o = { [k]: 1 };').split('\n').pop(), 'var o = _defineProperty({}, k, 1);');
+    assert.deepStrictEqual(run(code), [['x', 'a0', 'y', 'a', 'a2', 'set'], 'get', 9, 1, { a: 3 }]);
+});
+
+test('对象字面量方法里的 super：从对象的原型上取值', () => {
+    const code = `
+        const base = { f() { return 'base'; }, get g() { return 'g' + this.n; } };
+        const o = {
+            __proto__: base,
+            n: 1,
+            f() { return super.f() + '!'; },
+            get g() { return super.g + '?'; },
+            h() { return (() => super['f']())(); }
+        };
+        return [o.f(), o.g, o.h()];
+    `;
+    assert.match(compile(code), /var o = _obj = \{/);
+    assert.match(compile(code), /_get\(_getPrototypeOf\(_obj\), "f", this\)\.call\(this\)/);
+    assert.deepStrictEqual(run(code), ['base!', 'g1?', 'base']);
+});
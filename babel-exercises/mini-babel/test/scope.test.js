@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const t = require('../src/types');
+const { parse } = require('../src/parser');
+const { transformSync } = require('../src/core');
+
+// 在 Program 上调用 fn(programPath) 后输出代码
+function transformProgram(code, fn, options) {
+    return transformSync(code, {
+        plugins: [() => ({ visitor: { Program: fn } })],
+        configFile: false,
+        ...options
+    }).code;
+}
+
+test('rename：导出的声明先拆成声明和 export { b as a }，对外的名字不变', () => {
+    const output = transformProgram([
+        'export const a = 1, c = 2;',
+        'export function f() { return a; }',
+        'export class K {}',
+        'export default function d() {}',
+        'console.log(a, f, K, d);'
+    ].join('\n'), path => {
+        ['a', 'f', 'K', 'd'].forEach(name => path.scope.rename(name, name + '2'));
+    });
+    assert.strictEqual(output, [
+        'const a2 = 1, c = 2;',
+        'export { a2 as a, c };',
+        'function f2() {',
+        '    return a2;',
+        '}',
+        'export { f2 as f };',
+        'class K2 {}',
+        'export { K2 as K };',
+        'function d2() {}',
+        'export { d2 as default };',
+        'console.log(a2, f2, K2, d2);'
+    ].join('\n'));
+});
+
+test('rename：只改这个声明的引用和修改处，内层同名的声明不受影响', () => {
+    const output = transformProgram([
+        'let a = 1;',
+        'a++;',
+        '[a] = [2];',
+        'function f(a) { return a; }',
+        'export { a };'
+    ].join('\n'), path => path.scope.rename('a', 'b'));
+    assert.strictEqual(output, [
+        'let b = 1;',
+        'b++;',
+        '[b] = [2];',
+        'function f(a) {',
+        '    return a;',
+        '}',
+        'export { b as a };'
+    ].join('\n'));
+});
+
+test('constantViolations、referenceCount 和 crawl', () => {
+    transformProgram('var a = 1; a = 2; a++; var a; const c = a; c;', path => {
+        const a = path.scope.getBinding('a');
+        assert.strictEqual(a.constant, false);
+        assert.deepStrictEqual(a.constantViolations.map(violation => violation.node.type),
+            ['VariableDeclarator', 'AssignmentExpression', 'UpdateExpression']);
+        // a++ 既是修改也是引用，同 babel
+        assert.strictEqual(a.referenceCount, 2);
+        const c = path.scope.getBinding('c');
+        assert.ok(c.constant);
+        assert.strictEqual(c.referenceCount, 1);
+
+        // 改了 AST 之后 crawl 重新收集
+        path.pushContainer('body', t.expressionStatement(t.identifier('c')));
+        path.scope.crawl();
+        assert.strictEqual(path.scope.getBinding('c').referenceCount, 2);
+    });
+});
+
+test('generateUid 避开作用域链上的声明、程序里出现过的名字和生成过的名字', () => {
+    transformProgram('var _temp; function f() { _ref2; }', path => {
+        assert.strictEqual(path.scope.generateUid(), '_temp2');
+        assert.strictEqual(path.scope.generateUid(), '_temp3');
+        assert.strictEqual(path.scope.generateUid('ref'), '_ref');
+        assert.strictEqual(path.scope.generateUid('_ref2'), '_ref3');
+        assert.strictEqual(path.scope.generateUid('a-b c'), '_aBC');
+        assert.deepStrictEqual(path.scope.generateUidIdentifier('x'), { type: 'Identifier', name: '_x' });
+    });
+});
+
+test('isPure：constantsOnly 时引用的变量还不能被修改过', () => {
+    transformProgram('let a = 1; const b = 2; a = 3;', path => {
+        const scope = path.scope;
+        const expression = code => parse(code).body[0].expression;
+        assert.ok(scope.isPure(expression('[b, `${a}`, { k: -1 }, () => x, a ? b : 1]')));
+        assert.ok(!scope.isPure(expression('[b, a]'), true));
+        assert.ok(scope.isPure(expression('[b, 1 + b]'), true));
+        ['x', 'f()', 'delete b.c', 'b.c', 'a = 1', '({ [f()]: 1 })', '(class { static x = f() })'].forEach(code =>
+            assert.ok(!scope.isPure(expression(code)), code));
+    });
+});
+
+// 收集 Program 作用域和各个 BlockStatement / CatchClause / 函数的作用域
+function collectScopes(code, options) {
+    const scopes = {};
+    transformProgram(code, path => {
+        scopes.program = path.scope;
+        path.traverse({
+            'BlockStatement|CatchClause|Function'(innerPath) {
+                const name = innerPath.node.type;
+                (scopes[name] || (scopes[name] = [])).push(innerPath.scope);
+            }
+        });
+    }, options);
+    return scopes;
+}
+
+test('块级作用域：let/const/class 属于块，var 和函数声明提升到函数，参数和 catch 参数各有作用域', () => {
+    const scopes = collectScopes([
+        'function f(a, { b }, ...c) {',
+        '    { let l = 1; const k = 2; class C {} var v; function g() {} }',
+        '    try {} catch (e) {}',
+        '    const fe = function named() {};',
+        '}'
+    ].join('\n'));
+    const fnScope = scopes.FunctionDeclaration[0];
+    const [, innerBlock] = scopes.BlockStatement;
+    const catchScope = scopes.CatchClause[0];
+
+    assert.strictEqual(scopes.program.getOwnBinding('f').kind, 'hoisted');
+    ['a', 'b', 'c'].forEach(name => assert.strictEqual(fnScope.getOwnBinding(name).kind, 'param'));
+    assert.strictEqual(fnScope.getOwnBinding('v').kind, 'var');
+    assert.strictEqual(innerBlock.getOwnBinding('g').kind, 'hoisted');
+    assert.deepStrictEqual(['l', 'k', 'C'].map(name => innerBlock.getOwnBinding(name).kind), ['let', 'const', 'let']);
+    assert.ok(!fnScope.hasOwnBinding('l') && !innerBlock.hasOwnBinding('v'));
+    assert.strictEqual(catchScope.getOwnBinding('e').kind, 'let');
+    assert.strictEqual(scopes.FunctionExpression[0].getOwnBinding('named').kind, 'local');
+
+    // 沿整条作用域链查找
+    assert.strictEqual(innerBlock.getBinding('a'), fnScope.getOwnBinding('a'));
+    assert.strictEqual(innerBlock.getBinding('f'), scopes.program.getOwnBinding('f'));
+    assert.strictEqual(innerBlock.getFunctionParent(), fnScope);
+    assert.ok(!scopes.program.hasBinding('l'));
+});
+
+test('import 是 module 绑定，插件插入重复的 let 声明后 crawl 报错', () => {
+    const scopes = collectScopes("import d, { x as y } from 'm'; import * as ns from 'n';");
+    ['d', 'y', 'ns'].forEach(name => assert.strictEqual(scopes.program.getOwnBinding(name).kind, 'module'));
+    assert.doesNotThrow(() => collectScopes('var a; var a; function f(p) { var p; }'));
+    assert.throws(() => transformProgram('var a;', path => {
+        path.unshiftContainer('body', t.variableDeclaration('let', [t.variableDeclarator(t.identifier('a'))]));
+        path.scope.crawl();
+    }), /Duplicate declaration "a"/);
+});
+
+test('暂时性死区：同一函数里声明之前的引用记到 tdzReferencePaths，函数里的引用不算', () => {
+    const scopes = collectScopes('a; function f() { return a; } let a = 1; a;');
+    const binding = scopes.program.getOwnBinding('a');
+    assert.strictEqual(binding.referenceCount, 3);
+    assert.strictEqual(binding.tdzReferencePaths.length, 1);
+    assert.strictEqual(binding.tdzReferencePaths[0], binding.referencePaths[0]);
+});
+
+test('globals：没有声明的引用和隐式全局变量的赋值都记到 program 作用域上', () => {
+    transformProgram('console.log(x); undeclared = 1; let y; y = x; function f() { return typeof z; }', path => {
+        const globals = path.scope.globals;
+        assert.deepStrictEqual(Object.keys(globals).sort(), ['console', 'undeclared', 'x', 'z']);
+        assert.strictEqual(globals.x.length, 2);
+        assert.ok(globals.undeclared[0].isAssignmentExpression());
+        assert.ok(path.scope.hasGlobal('z') && !path.scope.hasGlobal('y'));
+    });
+});
+
+test('hasEval/hasWith 设置到所在作用域和所有外层作用域，重新声明过的 eval 不算', () => {
+    const scopes = collectScopes([
+        'function f() { eval("x"); }',
+        'function g(eval) { eval("x"); }',
+        'function h(o) { { with (o) {} } }'
+    ].join('\n'), { sourceType: 'script' });
+    const [f, g, h] = scopes.FunctionDeclaration;
+    assert.ok(f.hasEval && !f.hasWith);
+    assert.ok(!g.hasEval);
+    assert.ok(h.hasWith && !h.hasEval);
+    assert.ok(scopes.program.hasEval && scopes.program.hasWith);
+});
+
+test('jsx：大写开头的标签名和成员表达式的对象是引用，小写的标签名和属性名不是', () => {
+    transformProgram('const A = 1, div = 2, x = 3, N = {}; <A x={x}><div /><N.M /></A>;', path => {
+        assert.deepStrictEqual(['A', 'div', 'x', 'N'].map(name => path.scope.getBinding(name).referenceCount), [2, 0, 1, 1]);
+    }, { parserOpts: { plugins: ['jsx'] } });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { transformSync } = require('../src/core');
+const stripTypes = require('../src/plugins/strip-types');
+
+const fixtures = path.join(__dirname, 'fixtures/strip-types');
+
+function strip(code) {
+    return transformSync(code, { filename: 'input.ts', sourceType: 'module', plugins: [stripTypes] }).code;
+}
+
+// 每个目录下是一组 input.ts → output.js
+fs.readdirSync(fixtures).forEach(name => {
+    test(`strip-types：${name}`, () => {
+        const input = fs.readFileSync(path.join(fixtures, name, 'input.ts'), 'utf8');
+        const output = fs.readFileSync(path.join(fixtures, name, 'output.js'), 'utf8');
+        assert.strictEqual(strip(input), output.trim());
+    });
+});
+
+test('strip-types：字符串成员后面的 enum 成员没有初始值时报错并指出位置', () => {
+    assert.throws(() => strip("enum E { A = 'a', B }"), error => {
+        assert.match(error.message, /^Enum member must have initializer\n/);
+        assert.match(error.message, /\^/);
+        return true;
+    });
+});
+
+test('strip-types：包含运行时代码的 namespace 报错', () => {
+    assert.throws(() => strip('namespace N { export const x = 1; }'),
+        /^SyntaxError: Namespaces with runtime values are not supported, use ES modules instead\n/);
+});
+
+test('strip-types：allowDeclareFields 为 true 时保留没有初始值的字段，declare 的字段仍然删掉', () => {
+    const output = transformSync('class A { x: number; declare y: string; z = 1; }', {
+        filename: 'input.ts',
+        plugins: [[stripTypes, { allowDeclareFields: true }]]
+    }).code;
+    assert.strictEqual(output, 'class A {\n    x;\n    z = 1;\n}');
+});
+
+test('strip-types：declare 和 ! 的字段有初始值时报错', () => {
+    assert.throws(() => strip('class A { declare x: number = 1; }'),
+        /^SyntaxError: Fields with the 'declare' modifier cannot be initialized here, but only in the constructor\n/);
+    assert.throws(() => strip('class A { x!: number = 1; }'),
+        /^SyntaxError: Definitely assigned fields cannot be initialized here, but only in the constructor\n/);
+});
+
+test('strip-types：import x = require() 和 export = 没有对应的 ES 模块写法，报错', () => {
+    assert.throws(() => strip("import fs = require('fs');\nfs.readFileSync('a');"),
+        /^SyntaxError: `import fs = require\(\.\.\.\)` is not supported, use `import fs from '\.\.\.'` instead\n/);
+    assert.throws(() => strip('export = 1;'), /^SyntaxError: `export =` is not supported, use `export default` instead\n/);
+});
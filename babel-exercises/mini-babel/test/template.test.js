@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const template = require('../src/template');
+const generate = require('../src/generator');
+const t = require('../src/types');
+
+function print(node) {
+    return generate(Array.isArray(node) ? t.program(node) : node).code;
+}
+
+test('大写占位符换成传入的节点，模板 AST 每次复制一份', () => {
+    const build = template.statement('{ TRACKER(); return PRE_BODY; }');
+    const body = t.identifier('body');
+    const first = build({ TRACKER: t.identifier('track'), PRE_BODY: body });
+    const second = build({ TRACKER: t.identifier('log'), PRE_BODY: body });
+    assert.strictEqual(print(first), '{\n    track();\n    return body;\n}');
+    assert.strictEqual(print(second), '{\n    log();\n    return body;\n}');
+    assert.notStrictEqual(first.body[0], second.body[0]);
+    // 同一个占位符出现多次时复制传入的节点
+    const [left, right] = template.statements('A; A;')({ A: body });
+    assert.notStrictEqual(left.expression, right.expression);
+    assert.strictEqual(print(right), 'body;');
+
+    // 表达式位置传字符串时换成同名的标识符
+    assert.strictEqual(print(template.expression('NAME(SOURCE)')({ NAME: 'require', SOURCE: t.stringLiteral('m') })), 'require("m")');
+    assert.throws(() => build({ TRACKER: t.identifier('track') }), /No substitution given for "PRE_BODY"/);
+    assert.throws(() => build({ TRACKER: t.identifier('a'), PRE_BODY: body, OTHER: body }), /Unknown substitution "OTHER" given/);
+});
+
+test('statement、statements、program、smart、expression 返回不同的节点', () => {
+    assert.strictEqual(template.statement('a;')().type, 'ExpressionStatement');
+    assert.throws(() => template.statement('a; b;')(), /Found multiple statements but wanted one/);
+    assert.deepStrictEqual(template.statements('a; b;')().map(node => node.type), ['ExpressionStatement', 'ExpressionStatement']);
+    assert.strictEqual(template.program('a;')().type, 'Program');
+    assert.strictEqual(template.smart('a;')().type, 'ExpressionStatement');
+    assert.strictEqual(template('a; b;')().length, 2);
+    assert.strictEqual(template.expression('{ a: 1 }')().type, 'ObjectExpression');
+    assert.throws(() => template.expression('if (a) {}')(), /Unexpected token/);
+    // 放宽了 return、await 的限制
+    assert.strictEqual(template.statement('return await x;')().type, 'ReturnStatement');
+});
+
+test('%%name%% 占位符、标签模板、template.ast 和 placeholderPattern 选项', () => {
+    assert.strictEqual(print(template.statement('const %%id%% = %%init%%;')({ id: t.identifier('x'), init: t.numericLiteral(1) })),
+        'const x = 1;');
+    // 模板在第一次使用时才解析，错误也在这时抛出
+    assert.throws(() => template.statement('%%a%% + B;', { syntacticPlaceholders: false })(), /can't be used when '\.syntacticPlaceholders' is false/);
+
+    const id = t.identifier('lib');
+    assert.strictEqual(print(template.statement`var ${id} = require(${t.stringLiteral('lib')});`()), 'var lib = require("lib");');
+    assert.strictEqual(print(template.ast`ALL_CAPS + ${id};`), 'ALL_CAPS + lib;');
+    assert.strictEqual(print(template.ast('FOO;')), 'FOO;');
+
+    const custom = template.statement({ placeholderPattern: /^\$\w+$/ });
+    assert.strictEqual(print(custom('$a + KEEP;')({ $a: t.identifier('b') })), 'b + KEEP;');
+    assert.strictEqual(print(template.statement('NAME + KEEP;', { placeholderWhitelist: new Set(['NAME']), placeholderPattern: false })({ NAME: 'n' })),
+        'n + KEEP;');
+    assert.throws(() => template({ placeholderPattern: 'x' }), /'\.placeholderPattern' must be a RegExp, false, or undefined/);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const t = require('../src/types');
+const { parse } = require('../src/parser');
+const traverse = require('../src/traverse');
+const { transformSync } = require('../src/core');
+
+// 包含 ES2022 各种语法的模块，解析出的节点类型覆盖 parser 能产生的绝大部分
+const ES2022_SAMPLE = [
+    "import a, { b as c } from 'm';",
+    "import * as ns from 'n';",
+    "export * as all from 'o';",
+    'export default class K extends a { static #p = 1; static { this.x = 1; } #m() { return #p in this; } get g() { return super.g; } }',
+    'export const { d, ...rest } = c, [e = 1, , ...f] = [];',
+    'label: for await (const x of y) { continue label; }',
+    'async function* gen() { yield* await import("x"); }',
+    'const o = { a, [b]: 1, m() {}, ...rest, get x() { return new.target; } };',
+    'try { throw 1n; } catch { } finally { debugger; }',
+    'a?.b?.(c) ?? tag`t${x}`;',
+    'x ||= y &&= z ??= /re/g;',
+    'switch (x) { case 1: break; default: }',
+    'do ; while (0); while (i) i++; if (a) new A(); else ;',
+    'for (let i in o); for (;;) break;',
+    'const fn = (a, b = 1) => (a, b), cls = class {}, v = import.meta, s = -x ? !y : void z;'
+].join('\n');
+
+// 所有节点（有字符串 type 的对象）
+function collectNodes(value, nodes = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectNodes(item, nodes));
+    } else if (value && typeof value === 'object') {
+        if (typeof value.type === 'string') {
+            nodes.push(value);
+        }
+        Object.values(value).forEach(item => collectNodes(item, nodes));
+    }
+    return nodes;
+}
+
+test('ES2022 的节点都已注册，子节点都在 visitor 的 key 里，遍历能走到每一个节点', () => {
+    const ast = parse(ES2022_SAMPLE, { sourceType: 'module', ecmaVersion: 2022 });
+    const nodes = collectNodes(ast);
+    const isNode = value => !!value && typeof value.type === 'string';
+    nodes.forEach(node => {
+        const definition = t.visitorKeys.get(node.type);
+        assert.ok(definition, `${node.type} 没有注册`);
+        Object.keys(node)
+            .filter(key => isNode(node[key]) || (Array.isArray(node[key]) && node[key].some(isNode)))
+            .forEach(key => assert.ok(definition.visitor.includes(key), `${node.type}.${key} 不在 visitor 里`));
+    });
+
+    let visited = 0;
+    traverse(ast, { enter() { visited++; } });
+    assert.strictEqual(visited, nodes.length);
+});
+
+test('builder 按定义填默认值并校验字段，参数多了报错', () => {
+    const call = t.callExpression(t.identifier('f'), [t.numericLiteral(1)]);
+    assert.deepStrictEqual(call, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: 'f' },
+        arguments: [{ type: 'NumericLiteral', value: 1 }],
+        optional: false
+    });
+    // 数组默认值每个节点一份
+    assert.notStrictEqual(t.blockStatement().body, t.blockStatement().body);
+    assert.throws(() => t.expressionStatement(t.variableDeclaration('var', [])),
+        /Property expression of ExpressionStatement expected node to be of a type \["Expression"\]/);
+    assert.throws(() => t.variableDeclaration('int', []), /Property kind of VariableDeclaration expected value to be one of/);
+    assert.throws(() => t.identifier(1), /Property name of Identifier expected type of string but got number/);
+    assert.throws(() => t.arrayExpression([1]), /Property elements\[0\] of ArrayExpression/);
+    assert.throws(() => t.identifier('a', 'b', 'c', 'd'), /identifier: Too many arguments passed/);
+});
+
+test('is* 和 assert* 支持别名和浅比较的 opts，NodePath 上也有', () => {
+    const declaration = t.variableDeclaration('var', [t.variableDeclarator(t.identifier('a'))]);
+    assert.ok(t.isVariableDeclaration(declaration, { kind: 'var' }));
+    assert.ok(!t.isVariableDeclaration(declaration, { kind: 'let' }));
+    assert.ok(t.isStatement(declaration) && t.isDeclaration(declaration));
+    assert.ok(!t.isExpression(declaration) && !t.isIdentifier(null));
+    assert.ok(t.is('Declaration', declaration, { kind: 'var' }));
+    assert.doesNotThrow(() => t.assertVariableDeclaration(declaration, { kind: 'var' }));
+    assert.throws(() => t.assertIdentifier(declaration, { name: 'a' }),
+        /Expected type "Identifier" with option \{"name":"a"\}, but instead got "VariableDeclaration"/);
+
+    let kinds = [];
+    transformSync('var a; let b; a = b;', {
+        plugins: [() => ({ visitor: { Statement(path) { kinds.push(path.isVariableDeclaration({ kind: 'let' })); } } })],
+        configFile: false
+    });
+    assert.deepStrictEqual(kinds, [false, true, false]);
+});
+
+test('cloneNode 默认深复制，可以只复制一层或者去掉位置信息', () => {
+    const ast = parse('/* c */ f([1, /x/g]);');
+    const statement = ast.body[0];
+    const deep = t.cloneNode(statement);
+    // 复制出的是普通对象，没有 acorn 的 Node 原型
+    assert.strictEqual(JSON.stringify(deep), JSON.stringify(statement));
+    assert.notStrictEqual(deep.expression.arguments[0], statement.expression.arguments[0]);
+    assert.notStrictEqual(deep.leadingComments[0], statement.leadingComments[0]);
+    assert.deepStrictEqual(t.cloneDeep(statement), deep);
+
+    const shallow = t.cloneNode(statement, false);
+    assert.strictEqual(shallow.expression, statement.expression);
+
+    const withoutLoc = t.cloneNode(statement, true, true);
+    assert.strictEqual(withoutLoc.loc, undefined);
+    assert.strictEqual(withoutLoc.expression.start, undefined);
+    assert.strictEqual(withoutLoc.expression.arguments[0].elements[1].regex.flags, 'g');
+    assert.strictEqual(t.cloneNode(null), null);
+});
+
+test('builder 有和节点类型同名的别名', () => {
+    assert.deepStrictEqual(t.StringLiteral('x'), t.stringLiteral('x'));
+    assert.strictEqual(t.JSXExpressionContainer, t.jsxExpressionContainer);
+    assert.strictEqual(t.TSAnyKeyword, t.tsAnyKeyword);
+});
+
+test('Literal 别名包括 babel 的各种字面量', () => {
+    assert.ok(t.isLiteral(t.stringLiteral('x')));
+    assert.ok(t.isLiteral(t.numericLiteral(1)));
+    assert.ok(t.isLiteral(t.nullLiteral()));
+    assert.ok(t.isLiteral(t.templateLiteral([t.templateElement({ raw: 'a', cooked: 'a' }, true)], [])));
+    assert.ok(!t.isLiteral(t.identifier('x')));
+
+    // 打开 parser 的 literal 插件时解析出 babel 的字面量，Literal 的 visitor 也能匹配到
+    const visit = parserOpts => {
+        const visited = [];
+        transformSync("f('a', 1, true, `t`, x);", {
+            plugins: [() => ({ visitor: { Literal: path => visited.push(path.node.type) } })],
+            parserOpts,
+            configFile: false
+        });
+        return visited;
+    };
+    assert.deepStrictEqual(visit({ plugins: ['literal'] }), ['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'TemplateLiteral']);
+    assert.deepStrictEqual(visit(), ['Literal', 'Literal', 'Literal', 'TemplateLiteral']);
+});
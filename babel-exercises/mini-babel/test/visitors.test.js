@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformSync } = require('../src/core');
+
+function collect(code, visitor) {
+    transformSync(code, { plugins: [() => ({ visitor })] });
+}
+
+test('babel 的类成员类型对应到 MethodDefinition、PropertyDefinition', () => {
+    const visited = [];
+    collect('class A { m() {} get g() { return 1; } #p() {} x = 1; #y; }', {
+        ClassMethod(path) { visited.push(`ClassMethod ${path.node.key.name}`); },
+        ClassPrivateMethod(path) { visited.push(`ClassPrivateMethod ${path.node.key.name}`); },
+        ClassProperty(path) { visited.push(`ClassProperty ${path.node.key.name}`); },
+        ClassPrivateProperty(path) { visited.push(`ClassPrivateProperty ${path.node.key.name}`); }
+    });
+    assert.deepStrictEqual(visited, [
+        'ClassMethod m',
+        'ClassMethod g',
+        'ClassPrivateMethod p',
+        'ClassProperty x',
+        'ClassPrivateProperty y'
+    ]);
+});
+
+test('ClassMethod、ObjectMethod 的 params、body、returnType、async 等从方法的 value 上取', () => {
+    const visited = [];
+    const record = path => visited.push([
+        path.get('params').map(param => param.node.name).join(','),
+        path.get('params.0').node.name,
+        path.get('body').node.type,
+        path.get('body.body').length,
+        path.get('returnType').node && path.get('returnType').toString(),
+        path.node.params.length,
+        path.node.async,
+        path.node.generator,
+        path.get('params.0').scope === path.get('body').scope
+    ]);
+    transformSync('class A { async m(a: number, b): string { return a; } }\n({ *n(c) {} });', {
+        plugins: [() => ({ visitor: { ClassMethod: record, ObjectMethod: record } })],
+        parserOpts: { plugins: ['typescript'] },
+        configFile: false
+    });
+    assert.deepStrictEqual(visited, [
+        ['a,b', 'a', 'BlockStatement', 1, ': string', 2, true, false, true],
+        ['c', 'c', 'BlockStatement', 0, undefined, 1, false, true, true]
+    ]);
+});
+
+test('ObjectMethod、ObjectProperty 按 Property 的 kind、method 区分', () => {
+    const visited = [];
+    collect('({ a: 1, b() {}, get c() { return 1; }, d });', {
+        ObjectMethod(path) { visited.push(`ObjectMethod ${path.node.key.name}`); },
+        ObjectProperty(path) { visited.push(`ObjectProperty ${path.node.key.name}`); }
+    });
+    assert.deepStrictEqual(visited, ['ObjectProperty a', 'ObjectMethod b', 'ObjectMethod c', 'ObjectProperty d']);
+});
+
+test('可选链里的成员访问、调用是 OptionalMemberExpression、OptionalCallExpression', () => {
+    const visited = [];
+    collect('a?.b.c(); x.y(); f?.();', {
+        OptionalMemberExpression(path) { visited.push(`member ${path.node.property.name}`); },
+        OptionalCallExpression(path) { visited.push(`call ${path.get('callee').toString()}`); }
+    });
+    assert.deepStrictEqual(visited, ['call a?.b.c', 'member c', 'member b', 'call f']);
+});
+
+test('和 FunctionExpression 写在一起时，类方法只处理一次', () => {
+    let count = 0;
+    collect('class A { m() {} }', {
+        'ClassMethod|FunctionExpression'() { count++; }
+    });
+    assert.strictEqual(count, 1);
+});